@@ -0,0 +1,334 @@
+const { ethers } = require("ethers");
+
+const { fetchJson } = require("../scripts/lib/pharos-evm-helpers");
+const { revertErrorName, roundAmountToLot } = require("../sdk");
+
+// Market maker for one market (a PharosSpotMarket, or one base of a MultiBaseOrderBookDEXVaultLevels),
+// driven through the SDK clients in sdk/.
+//
+// Every tick reads the reference price. When nothing is quoted yet, when the reference has moved at
+// least `requoteBps` from the mid of the current quotes, or when one of the quotes was (partly) filled,
+// all quotes are cancelled and a fresh ladder is posted: `levels` bids and asks, the best of them
+// `spreadBps / 2` from the mid and each further one `levelStepBps` away, `size` base each (rounded down
+// to the market's lot size, as the SDK places it).
+//
+// Inventory limits are per base: bids stop before the base balance could exceed `maxBase`, asks stop
+// before it could drop below `minBase`. Quotes never take liquidity: PharosSpotMarket orders are
+// postOnly, and on MultiBaseOrderBookDEXVaultLevels (which has no postOnly) levels that would cross the
+// other side are skipped.
+
+const DEFAULT_CONFIG = Object.freeze({
+    spreadBps: 50,
+    levels: 3,
+    levelStepBps: 25,
+    size: "1",
+    requoteBps: 20,
+    minBase: "0",
+    maxBase: undefined,
+});
+
+const BPS = 10000n;
+
+function bpsArg(value, name) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n >= 10000) throw new Error(`Invalid ${name} (expected integer 0..9999)`);
+    return BigInt(n);
+}
+
+function resolveConfig(config) {
+    const c = { ...DEFAULT_CONFIG, ...config };
+    const levels = Number(c.levels);
+    if (!Number.isInteger(levels) || levels < 1) throw new Error("Invalid levels (expected an integer >= 1)");
+    const spreadBps = bpsArg(c.spreadBps, "spreadBps");
+    const levelStepBps = bpsArg(c.levelStepBps, "levelStepBps");
+    if (spreadBps / 2n + BigInt(levels - 1) * levelStepBps >= BPS) {
+        throw new Error("spreadBps / 2 + (levels - 1) * levelStepBps must stay below 10000");
+    }
+    return {
+        spreadBps,
+        levels,
+        levelStepBps,
+        size: String(c.size),
+        requoteBps: bpsArg(c.requoteBps, "requoteBps"),
+        minBase: String(c.minBase),
+        maxBase: c.maxBase === undefined || c.maxBase === null ? undefined : String(c.maxBase),
+    };
+}
+
+/**
+ * Quote prices around `midE18` (in the market's on-chain price units), best first per side.
+ *
+ * @param {object} opts
+ * @param {bigint} opts.midE18
+ * @param {bigint} opts.spreadBps distance between the best bid and the best ask
+ * @param {number} opts.levels per side
+ * @param {bigint} opts.levelStepBps distance between consecutive levels
+ */
+function buildLadder({ midE18, spreadBps, levels, levelStepBps }) {
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < levels; i++) {
+        const offset = spreadBps / 2n + BigInt(i) * levelStepBps;
+        bids.push((midE18 * (BPS - offset)) / BPS);
+        // Round asks up so that rounding never narrows the spread.
+        asks.push((midE18 * (BPS + offset) + BPS - 1n) / BPS);
+    }
+    return { bids, asks };
+}
+
+function readPath(data, path) {
+    let value = data;
+    for (const part of String(path || "")
+        .split(".")
+        .filter(Boolean)) {
+        value = value?.[part];
+    }
+    if (value === undefined || value === null) throw new Error(`Reference price not found at '${path}'`);
+    return String(value);
+}
+
+/**
+ * Reference price source: an async function returning a human-readable price (quote per base).
+ *
+ *   { "type": "fixed", "price": "60000" }
+ *   { "type": "url", "url": "https://...", "path": "data.price" }      JSON field, dotted path
+ *   { "type": "last", "fallback": "60000" }                            the market's last trade price
+ *   { "type": "random-walk", "price": "60000", "stepBps": 10 }         moves up to stepBps per tick (demos)
+ *
+ * @param {object} spec
+ * @param {object} market connected SDK client
+ * @param {{ random?: () => number }} [opts]
+ */
+function createPriceSource(spec, market, { random = Math.random } = {}) {
+    if (typeof spec === "string" || typeof spec === "number") spec = { type: "fixed", price: spec };
+    switch (spec?.type) {
+        case "fixed":
+            market.parsePrice(spec.price);
+            return async () => String(spec.price);
+        case "url":
+            if (!spec.url) throw new Error("url price source needs `url`");
+            return async () => readPath(await fetchJson(spec.url), spec.path);
+        case "last":
+            return async () => {
+                const last = await market.getLastPrice();
+                if (last !== null) return last;
+                if (spec.fallback === undefined) throw new Error("No trade yet and no `fallback` price");
+                return String(spec.fallback);
+            };
+        case "random-walk": {
+            let current = market.parsePrice(spec.price);
+            const stepBps = Number(bpsArg(spec.stepBps ?? 10, "stepBps"));
+            return async () => {
+                const moveBps = BigInt(Math.round((random() * 2 - 1) * stepBps));
+                current = (current * (BPS + moveBps)) / BPS;
+                return market.formatPrice(current);
+            };
+        }
+        default:
+            throw new Error(`Unknown price source ${JSON.stringify(spec)} (type: fixed, url, last, random-walk)`);
+    }
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.market connected SDK client (connectSpotMarket / connectLevelsMarket) with a signer
+ * @param {"spot" | "levels"} opts.kind
+ * @param {() => Promise<string>} opts.referencePrice e.g. from createPriceSource
+ * @param {object} [opts.config] spreadBps, levels, levelStepBps, size, requoteBps, minBase, maxBase
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createMarketMaker({ market, kind, referencePrice, config = {}, log = () => {} }) {
+    const cfg = resolveConfig(config);
+    const sizeBase = ethers.parseUnits(cfg.size, market.baseDecimals);
+    const minBase = ethers.parseUnits(cfg.minBase, market.baseDecimals);
+    const maxBase = cfg.maxBase === undefined ? undefined : ethers.parseUnits(cfg.maxBase, market.baseDecimals);
+    const runner = market.contract.runner;
+
+    // Our resting quotes: orderId -> { side, priceE18, amountBase }.
+    const quotes = new Map();
+    let quotedMid = null;
+
+    // A failed send has already consumed a nonce in an ethers NonceManager; re-read it from the chain.
+    const resetNonce = () => runner?.reset?.();
+
+    async function quotesTouched() {
+        for (const [id, q] of quotes) {
+            const order = await market.getOrder(id);
+            if (!order.active || order.remainingBase < q.amountBase) return true;
+        }
+        return false;
+    }
+
+    async function cancelAll() {
+        let canceled = 0;
+        for (const id of quotes.keys()) {
+            if (!(await market.getOrder(id)).active) continue;
+            try {
+                await market.cancelOrder(id);
+                canceled++;
+            } catch (e) {
+                // Filled between the read and the cancel.
+                resetNonce();
+                const name = revertErrorName(market.contract, e);
+                if (name !== "OrderNotActive" && name !== "NotActive") throw e;
+            }
+        }
+        quotes.clear();
+        quotedMid = null;
+        return canceled;
+    }
+
+    // Cancels every open order of the signer in this market, e.g. quotes left by an earlier run.
+    async function cancelExisting({ fromBlock } = {}) {
+        const open = await market.openOrders(undefined, { fromBlock });
+        for (const o of open) quotes.set(o.orderId, { side: o.side, priceE18: 0n, amountBase: 0n });
+        return cancelAll();
+    }
+
+    // Posts one side of the ladder, `amountBase` per level, until the budget (base) runs out. Returns the
+    // placed orders.
+    async function postSide(side, prices, amountBase, budget, crosses) {
+        const placed = [];
+        let used = 0n;
+        for (const priceE18 of prices) {
+            if (budget !== undefined && used + amountBase > budget) break;
+            if (crosses(priceE18)) continue;
+            const price = market.formatPrice(priceE18);
+            try {
+                const order =
+                    kind === "spot"
+                        ? await market.placeLimitOrder({ side, price, amount: cfg.size, postOnly: true })
+                        : await market.placeLimitOrder({ side, price, amount: cfg.size });
+                // What was actually placed, so that quotesTouched compares against the rounded size.
+                const placedBase = ethers.parseUnits(order.amount, market.baseDecimals);
+                quotes.set(order.orderId, { side, priceE18, amountBase: placedBase });
+                placed.push({ orderId: order.orderId, side, price, amount: order.amount });
+                used += placedBase;
+            } catch (e) {
+                resetNonce();
+                const name = revertErrorName(market.contract, e);
+                // Someone else's order sits at this price now; try the next level.
+                if (name === "WouldCrossBook") continue;
+                // Out of quote (bids) or base (asks): the remaining levels cannot be funded either.
+                if (name === "InsufficientBalance") break;
+                throw e;
+            }
+        }
+        return placed;
+    }
+
+    async function requote(midE18) {
+        const { bids, asks } = buildLadder({ midE18, ...cfg });
+        const balances = await market.balances();
+        const base = ethers.parseUnits(balances.base, market.baseDecimals);
+        const { bidE18, askE18 } = await market.getBestPrices();
+        const { lotSize, lotSizeBase } = await market.getMarketGrid();
+        const amountBase = roundAmountToLot(sizeBase, lotSizeBase);
+        if (amountBase === 0n) throw new Error(`size ${cfg.size} is below the lot size ${lotSize}`);
+
+        const bidBudget = maxBase === undefined ? undefined : maxBase > base ? maxBase - base : 0n;
+        const askBudget = base > minBase ? base - minBase : 0n;
+        const placedBids = await postSide("buy", bids, amountBase, bidBudget, (p) => askE18 !== 0n && p >= askE18);
+        const placedAsks = await postSide("sell", asks, amountBase, askBudget, (p) => bidE18 !== 0n && p <= bidE18);
+        quotedMid = midE18;
+        return [...placedBids, ...placedAsks];
+    }
+
+    /**
+     * One round: read the reference price, requote if needed.
+     * @returns {Promise<{ action: "hold" | "requote", reason?: string, mid: string, canceled?: number, placed?: object[] }>}
+     */
+    async function tick() {
+        const mid = await referencePrice();
+        const midE18 = market.parsePrice(mid);
+        if (midE18 === 0n) throw new Error(`Reference price ${mid} is zero`);
+
+        let reason;
+        if (quotedMid === null) reason = "initial";
+        else if (await quotesTouched()) reason = "fill";
+        else {
+            const moved = midE18 > quotedMid ? midE18 - quotedMid : quotedMid - midE18;
+            if (moved * BPS >= cfg.requoteBps * quotedMid) reason = "moved";
+        }
+        if (!reason) return { action: "hold", mid };
+
+        const canceled = await cancelAll();
+        const placed = await requote(midE18);
+        log(`[MM] ${reason}: mid ${mid}, canceled ${canceled}, placed ${placed.length}`);
+        return { action: "requote", reason, mid, canceled, placed };
+    }
+
+    return {
+        config: cfg,
+        quotes,
+        tick,
+        // Forces a full requote on the next tick.
+        invalidate: () => {
+            quotedMid = null;
+        },
+        cancelAll,
+        cancelExisting,
+    };
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Ticks every maker in turn, every `intervalMs`, until `signal` aborts. The makers usually share one
+ * signer, so their transactions are never interleaved. A failed tick is logged and the maker requotes
+ * from scratch on its next turn.
+ *
+ * @param {{ name: string, maker: ReturnType<typeof createMarketMaker> }[]} makers
+ */
+async function runMarketMakers(makers, { intervalMs = 5000, signal, log = () => {} } = {}) {
+    while (!signal?.aborted) {
+        for (const { name, maker } of makers) {
+            if (signal?.aborted) break;
+            try {
+                await maker.tick();
+            } catch (e) {
+                log(`[MM] ${name}: tick failed: ${e.shortMessage || e.message}`);
+                maker.invalidate();
+            }
+        }
+        if (signal) await sleep(intervalMs, signal);
+        else await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+}
+
+// Local / testnet funding: mints MockERC20 base and quote to the signer and deposits them.
+async function fundFromMock(market, { base, quote } = {}) {
+    const signer = market.contract.runner;
+    const owner = await signer.getAddress();
+    const mintAbi = ["function mint(address to, uint256 amount)"];
+    for (const [token, address, decimals, amount] of [
+        ["base", market.baseToken, market.baseDecimals, base],
+        ["quote", market.quoteToken, market.quoteDecimals, quote],
+    ]) {
+        if (!amount || Number(amount) === 0) continue;
+        const raw = ethers.parseUnits(String(amount), decimals);
+        await (await new ethers.Contract(address, mintAbi, signer).mint(owner, raw)).wait();
+        await market.deposit(token, String(amount));
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    buildLadder,
+    createPriceSource,
+    createMarketMaker,
+    runMarketMakers,
+    fundFromMock,
+};
@@ -5,12 +5,13 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /// @notice Multi-base single-quote orderbook DEX with internal balances (deposit/withdraw)
 ///         - Supports many base tokens against one quote token
 ///         - Keeps the old no-base-param interfaces as wrappers for `defaultBaseToken`
 ///         - Uses hash-based order ids (per-user nonce) to reduce global write contention
-contract MultiBaseOrderBookDEXVault is Ownable {
+contract MultiBaseOrderBookDEXVault is Ownable, Pausable {
     using Math for uint256;
 
     IERC20 public immutable quoteToken;
@@ -118,6 +119,29 @@ contract MultiBaseOrderBookDEXVault is Ownable {
     error InsufficientBalance();
     error TransferFailed();
 
+    // -------------------------
+    // Emergency pause
+    // -------------------------
+
+    // may halt trading alongside the owner; only the owner resumes it
+    address public guardian;
+    // trading halted in one base; pause() halts every base
+    mapping(address => bool) public basePaused;
+
+    event GuardianUpdated(address indexed guardian);
+    event BasePaused(address indexed baseToken, address account);
+    event BaseUnpaused(address indexed baseToken, address account);
+
+    error NotGuardian();
+    error EnforcedBasePause(address baseToken);
+    error ExpectedBasePause(address baseToken);
+
+    modifier onlyGuardianOrOwner() {
+        if (msg.sender != guardian && msg.sender != owner())
+            revert NotGuardian();
+        _;
+    }
+
     constructor(address _quote) Ownable(msg.sender) {
         quoteToken = IERC20(_quote);
         quoteDecimals = IERC20Metadata(_quote).decimals();
@@ -154,13 +178,52 @@ contract MultiBaseOrderBookDEXVault is Ownable {
         if (!isBaseSupported[base]) revert UnsupportedBaseToken();
     }
 
+    // -------------------------
+    // Admin: emergency pause
+    // -------------------------
+
+    /// @notice Zero address: no guardian, only the owner can pause.
+    function setGuardian(address guardian_) external onlyOwner {
+        guardian = guardian_;
+        emit GuardianUpdated(guardian_);
+    }
+
+    /// @notice Halts orders and deposits in every base. Withdrawals and cancels keep working.
+    function pause() external onlyGuardianOrOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /// @notice pause() for one base only.
+    function pauseBase(address base) external onlyGuardianOrOwner {
+        _requireSupportedBase(base);
+        if (basePaused[base]) revert EnforcedBasePause(base);
+        basePaused[base] = true;
+        emit BasePaused(base, msg.sender);
+    }
+
+    function unpauseBase(address base) external onlyOwner {
+        if (!basePaused[base]) revert ExpectedBasePause(base);
+        basePaused[base] = false;
+        emit BaseUnpaused(base, msg.sender);
+    }
+
+    function _requireTradable(address base) internal view {
+        _requireSupportedBase(base);
+        _requireNotPaused();
+        if (basePaused[base]) revert EnforcedBasePause(base);
+    }
+
     // -------------------------
     // Deposit / Withdraw
     // -------------------------
 
     // Multi-base versions
     function depositBaseFor(address base, uint256 amount) public {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (amount == 0) revert InvalidAmount();
         _safeTransferFrom(base, msg.sender, address(this), amount);
         baseBalance[msg.sender][base] += amount;
@@ -177,7 +240,7 @@ contract MultiBaseOrderBookDEXVault is Ownable {
         emit Withdrawn(msg.sender, base, amount);
     }
 
-    function depositQuote(uint256 amount) external {
+    function depositQuote(uint256 amount) external whenNotPaused {
         if (amount == 0) revert InvalidAmount();
         _safeTransferFrom(
             address(quoteToken),
@@ -364,7 +427,7 @@ contract MultiBaseOrderBookDEXVault is Ownable {
     // -------------------------
 
     function _marketBuyFor(address base, uint256 maxQuoteIn) internal {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (maxQuoteIn == 0) revert InvalidAmount();
         if (quoteBalance[msg.sender] < maxQuoteIn) revert InsufficientBalance();
 
@@ -426,7 +489,7 @@ contract MultiBaseOrderBookDEXVault is Ownable {
     }
 
     function _marketSellFor(address base, uint256 amountBase) internal {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (amountBase == 0) revert InvalidAmount();
         if (baseBalance[msg.sender][base] < amountBase)
             revert InsufficientBalance();
@@ -486,7 +549,7 @@ contract MultiBaseOrderBookDEXVault is Ownable {
         uint256 price,
         uint256 amountBase
     ) internal returns (uint256 orderId) {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (price == 0) revert InvalidPrice();
         if (amountBase == 0) revert InvalidAmount();
 
@@ -509,7 +572,7 @@ contract MultiBaseOrderBookDEXVault is Ownable {
         uint256 price,
         uint256 amountBase
     ) internal returns (uint256 orderId) {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (price == 0) revert InvalidPrice();
         if (amountBase == 0) revert InvalidAmount();
         if (baseBalance[msg.sender][base] < amountBase)
@@ -5,13 +5,14 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /// @notice Multi-base single-quote orderbook DEX with internal balances (deposit/withdraw)
 ///         Orderbook storage is price-level bucketed:
 ///         - Each price has a FIFO linked-list of orders
 ///         - Each side maintains a sorted linked-list of active prices (levels)
 ///         This reduces O(n) array shifting and improves parallelism by avoiding global counters.
-contract MultiBaseOrderBookDEXVaultLevels is Ownable {
+contract MultiBaseOrderBookDEXVaultLevels is Ownable, Pausable {
     using Math for uint256;
 
     IERC20 public immutable quoteToken;
@@ -134,13 +135,18 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         uint256 amountBase
     );
     event OrderCancelled(uint256 indexed orderId, address indexed trader);
+    /// @dev `makerFee` is charged to `maker` and `takerFee` to `taker`, each in the asset that side receives
+    ///      (base for the buyer, quote for the seller). When a new limit order crosses a resting one the ask
+    ///      is reported as the maker either way, but the order that arrived last pays the taker rate.
     event Trade(
         uint256 indexed makerOrderId,
         address indexed maker,
         address indexed taker,
         Side takerSide,
         uint256 price,
-        uint256 amountBase
+        uint256 amountBase,
+        uint256 makerFee,
+        uint256 takerFee
     );
 
     error InvalidAmount();
@@ -150,9 +156,121 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
     error InsufficientBalance();
     error TransferFailed();
 
+    // -------------------------
+    // Fees
+    // -------------------------
+
+    uint256 public constant FEE_BPS_DENOMINATOR = 10_000;
+    uint256 public constant MAX_FEE_BPS = 1_000; // 10%
+
+    struct FeeRates {
+        uint16 makerBps;
+        uint16 takerBps;
+        bool custom; // overrides the default rates for this base
+    }
+
+    // fees accrue to this account's internal balances
+    address public feeRecipient;
+    uint16 public makerFeeBps;
+    uint16 public takerFeeBps;
+    mapping(address => FeeRates) public baseFeeRates;
+
+    event FeeRecipientUpdated(address indexed feeRecipient);
+    event FeesUpdated(uint16 makerFeeBps, uint16 takerFeeBps);
+    event BaseFeesUpdated(
+        address indexed baseToken,
+        uint16 makerFeeBps,
+        uint16 takerFeeBps,
+        bool custom
+    );
+
+    error FeeTooHigh();
+    error InvalidFeeRecipient();
+
+    // -------------------------
+    // Order size limits
+    // -------------------------
+
+    struct OrderLimits {
+        uint256 minAmountBase; // base smallest units
+        uint256 minNotional; // quote smallest units, at the order's limit price
+    }
+
+    // per base; zero = no minimum
+    mapping(address => OrderLimits) public orderLimits;
+
+    event OrderLimitsUpdated(
+        address indexed baseToken,
+        uint256 minAmountBase,
+        uint256 minNotional
+    );
+
+    error OrderTooSmall();
+    error NotionalTooSmall();
+
+    // -------------------------
+    // Tick / lot size
+    // -------------------------
+
+    struct MarketGrid {
+        uint256 tickSize; // prices are multiples of this (1e18-scaled, like prices)
+        uint256 lotSize; // order amounts are multiples of this (base smallest units)
+    }
+
+    // per base; zero = no grid
+    mapping(address => MarketGrid) public marketGrid;
+
+    event MarketGridUpdated(
+        address indexed baseToken,
+        uint256 tickSize,
+        uint256 lotSize
+    );
+
+    error PriceNotOnTick();
+    error AmountNotOnLot();
+
+    // -------------------------
+    // Emergency pause
+    // -------------------------
+
+    // may halt trading alongside the owner; only the owner resumes it
+    address public guardian;
+    // trading halted in one base; pause() halts every base
+    mapping(address => bool) public basePaused;
+
+    event GuardianUpdated(address indexed guardian);
+    event BasePaused(address indexed baseToken, address account);
+    event BaseUnpaused(address indexed baseToken, address account);
+
+    error NotGuardian();
+    error EnforcedBasePause(address baseToken);
+    error ExpectedBasePause(address baseToken);
+
+    // -------------------------
+    // Delisting
+    // -------------------------
+
+    // set by delistBase; the base stays supported until its last resting order is cancelled, and its
+    // balances stay withdrawable after that
+    mapping(address => bool) public isBaseDelisted;
+
+    event BaseDelistingStarted(address indexed baseToken);
+    event BaseDelisted(address indexed baseToken);
+
+    error DelistedBase(address baseToken);
+    error NotDelisting(address baseToken);
+
+    modifier onlyGuardianOrOwner() {
+        if (msg.sender != guardian && msg.sender != owner())
+            revert NotGuardian();
+        _;
+    }
+
     constructor(address _quote) Ownable(msg.sender) {
         quoteToken = IERC20(_quote);
         quoteDecimals = IERC20Metadata(_quote).decimals();
+        feeRecipient = msg.sender;
+        emit FeeRecipientUpdated(msg.sender);
     }
 
     // -------------------------
@@ -168,6 +286,7 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         if (isBaseSupported[base]) return;
         uint8 d = IERC20Metadata(base).decimals();
         isBaseSupported[base] = true;
+        isBaseDelisted[base] = false;
         baseDecimals[base] = d;
         supportedBases.push(base);
         emit BaseTokenSupported(base, d);
@@ -177,6 +296,201 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         if (!isBaseSupported[base]) revert UnsupportedBaseToken();
     }
 
+    function setFeeRecipient(address recipient) external onlyOwner {
+        if (recipient == address(0)) revert InvalidFeeRecipient();
+        feeRecipient = recipient;
+        emit FeeRecipientUpdated(recipient);
+    }
+
+    /// @notice Default maker / taker rates in basis points, for every base without its own rates.
+    function setFees(uint16 makerBps, uint16 takerBps) external onlyOwner {
+        if (makerBps > MAX_FEE_BPS || takerBps > MAX_FEE_BPS)
+            revert FeeTooHigh();
+        makerFeeBps = makerBps;
+        takerFeeBps = takerBps;
+        emit FeesUpdated(makerBps, takerBps);
+    }
+
+    /// @notice Rates for one base that override the defaults until clearBaseFees.
+    function setBaseFees(
+        address base,
+        uint16 makerBps,
+        uint16 takerBps
+    ) external onlyOwner {
+        _requireSupportedBase(base);
+        if (makerBps > MAX_FEE_BPS || takerBps > MAX_FEE_BPS)
+            revert FeeTooHigh();
+        baseFeeRates[base] = FeeRates(makerBps, takerBps, true);
+        emit BaseFeesUpdated(base, makerBps, takerBps, true);
+    }
+
+    function clearBaseFees(address base) external onlyOwner {
+        delete baseFeeRates[base];
+        emit BaseFeesUpdated(base, 0, 0, false);
+    }
+
+    /// @notice The maker / taker rates trades in `base` pay, in basis points.
+    function feeRatesFor(
+        address base
+    ) public view returns (uint256 makerBps, uint256 takerBps) {
+        FeeRates memory r = baseFeeRates[base];
+        if (r.custom) return (r.makerBps, r.takerBps);
+        return (makerFeeBps, takerFeeBps);
+    }
+
+    /// @notice Smallest limit order accepted in `base`: at least `minAmountBase` of base, worth at least
+    ///         `minNotional` of quote at its limit price. Orders already resting are not affected.
+    function setOrderLimits(
+        address base,
+        uint256 minAmountBase,
+        uint256 minNotional
+    ) external onlyOwner {
+        _requireSupportedBase(base);
+        orderLimits[base] = OrderLimits(minAmountBase, minNotional);
+        emit OrderLimitsUpdated(base, minAmountBase, minNotional);
+    }
+
+    function _requireOrderSize(
+        address base,
+        uint256 amountBase,
+        uint256 notional
+    ) internal view {
+        OrderLimits storage l = orderLimits[base];
+        if (amountBase < l.minAmountBase) revert OrderTooSmall();
+        if (notional < l.minNotional) revert NotionalTooSmall();
+    }
+
+    /// @notice Price and amount increments of `base`: limit prices must be multiples of `tickSize` and limit
+    ///         and market sell amounts multiples of `lotSize`; market buys round what they take down to a lot.
+    ///         Orders already resting are not affected.
+    function setMarketGrid(
+        address base,
+        uint256 tickSize,
+        uint256 lotSize
+    ) external onlyOwner {
+        _requireSupportedBase(base);
+        marketGrid[base] = MarketGrid(tickSize, lotSize);
+        emit MarketGridUpdated(base, tickSize, lotSize);
+    }
+
+    function _requireOnGrid(
+        address base,
+        uint256 price,
+        uint256 amountBase
+    ) internal view {
+        uint256 tick = marketGrid[base].tickSize;
+        if (tick != 0 && price % tick != 0) revert PriceNotOnTick();
+        if (_roundToLot(base, amountBase) != amountBase)
+            revert AmountNotOnLot();
+    }
+
+    /// @dev `amountBase` rounded down to a multiple of the lot size of `base`.
+    function _roundToLot(
+        address base,
+        uint256 amountBase
+    ) internal view returns (uint256) {
+        uint256 lot = marketGrid[base].lotSize;
+        return lot == 0 ? amountBase : amountBase - (amountBase % lot);
+    }
+
+    /// @notice Zero address: no guardian, only the owner can pause.
+    function setGuardian(address guardian_) external onlyOwner {
+        guardian = guardian_;
+        emit GuardianUpdated(guardian_);
+    }
+
+    /// @notice Halts orders and deposits in every base. Withdrawals and cancels keep working, so traders
+    ///         can always take their funds out.
+    function pause() external onlyGuardianOrOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /// @notice pause() for one base: its orders and base deposits revert, everything else keeps trading.
+    function pauseBase(address base) external onlyGuardianOrOwner {
+        _requireSupportedBase(base);
+        if (basePaused[base]) revert EnforcedBasePause(base);
+        basePaused[base] = true;
+        emit BasePaused(base, msg.sender);
+    }
+
+    function unpauseBase(address base) external onlyOwner {
+        if (!basePaused[base]) revert ExpectedBasePause(base);
+        basePaused[base] = false;
+        emit BaseUnpaused(base, msg.sender);
+    }
+
+    /// @dev `base` is supported, not being delisted, and neither the book nor `base` is paused.
+    function _requireTradable(address base) internal view {
+        _requireSupportedBase(base);
+        if (isBaseDelisted[base]) revert DelistedBase(base);
+        _requireNotPaused();
+        if (basePaused[base]) revert EnforcedBasePause(base);
+    }
+
+    /// @notice Starts retiring `base`: new orders and base deposits revert from now on, resting orders are
+    ///         cancelled with cancelDelistedOrders, and the base leaves getSupportedBases once none is left.
+    ///         supportBaseToken lists it again after that, with the default grid, limits, fees and no pause.
+    function delistBase(address base) external onlyOwner {
+        _requireSupportedBase(base);
+        if (isBaseDelisted[base]) revert DelistedBase(base);
+        isBaseDelisted[base] = true;
+        emit BaseDelistingStarted(base);
+    }
+
+    /// @notice Cancels up to `maxOrders` resting orders of a base being delisted, best prices first, and
+    ///         refunds their locked quote or base to their traders. Anyone can call it. The call that finds
+    ///         the book empty removes the base from the supported list and returns true.
+    function cancelDelistedOrders(
+        address base,
+        uint256 maxOrders
+    ) external returns (bool removed) {
+        _requireSupportedBase(base);
+        if (!isBaseDelisted[base]) revert NotDelisting(base);
+
+        for (uint256 i = 0; i < maxOrders; i++) {
+            Side side = bestBidPrice[base] != 0 ? Side.BUY : Side.SELL;
+            uint256 price = side == Side.BUY
+                ? bestBidPrice[base]
+                : bestAskPrice[base];
+            if (price == 0) break;
+
+            uint256 oid = side == Side.BUY
+                ? bidLevels[base][price].head
+                : askLevels[base][price].head;
+            Order storage o = orders[oid];
+            if (o.active) {
+                _cancel(o);
+            } else {
+                _removeOrderFromLevel(base, side, price, oid);
+            }
+        }
+
+        if (bestBidPrice[base] != 0 || bestAskPrice[base] != 0) return false;
+        _removeSupportedBase(base);
+        return true;
+    }
+
+    function _removeSupportedBase(address base) internal {
+        uint256 last = supportedBases.length - 1;
+        for (uint256 i = 0; i <= last; i++) {
+            if (supportedBases[i] != base) continue;
+            supportedBases[i] = supportedBases[last];
+            supportedBases.pop();
+            break;
+        }
+        isBaseSupported[base] = false;
+        // a relisted base starts from the defaults, not from its old settings
+        delete marketGrid[base];
+        delete orderLimits[base];
+        delete baseFeeRates[base];
+        delete basePaused[base];
+        emit BaseDelisted(base);
+    }
+
     // -------------------------
     // Supported bases enumeration
     // -------------------------
@@ -198,7 +512,7 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
     // -------------------------
 
     function depositBaseFor(address base, uint256 amount) public {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (amount == 0) revert InvalidAmount();
         _safeTransferFrom(base, msg.sender, address(this), amount);
         baseBalance[msg.sender][base] += amount;
@@ -206,7 +520,9 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
     }
 
     function withdrawBaseFor(address base, uint256 amount) public {
-        _requireSupportedBase(base);
+        // delisted bases stay withdrawable
+        if (!isBaseSupported[base] && !isBaseDelisted[base])
+            revert UnsupportedBaseToken();
         if (amount == 0) revert InvalidAmount();
         if (baseBalance[msg.sender][base] < amount)
             revert InsufficientBalance();
@@ -215,7 +531,7 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         emit Withdrawn(msg.sender, base, amount);
     }
 
-    function depositQuote(uint256 amount) external {
+    function depositQuote(uint256 amount) external whenNotPaused {
         if (amount == 0) revert InvalidAmount();
         _safeTransferFrom(
             address(quoteToken),
@@ -349,19 +665,220 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         }
     }
 
+    // -------------------------
+    // Market order quotes
+    // -------------------------
+
+    /// @notice What marketBuyFor(base, maxQuoteIn) would fill right now, without trading: walks the asks in the
+    ///         same order, with the same rounding, and stops where the market buy would. Balances are not checked.
+    /// @return filledBase Base bought
+    /// @return filledQuote Quote spent
+    /// @return avgPrice filledQuote per filledBase, scaled like prices (floor; 0 when nothing fills)
+    /// @return levels Ask levels traded at
+    function quoteMarketBuyFor(
+        address base,
+        uint256 maxQuoteIn
+    )
+        external
+        view
+        returns (
+            uint256 filledBase,
+            uint256 filledQuote,
+            uint256 avgPrice,
+            uint256 levels
+        )
+    {
+        _requireSupportedBase(base);
+        uint256 price = bestAskPrice[base];
+        while (price != 0 && maxQuoteIn > filledQuote) {
+            (uint256 b, uint256 q, bool stop) = _quoteBuyAtLevel(
+                base,
+                price,
+                maxQuoteIn - filledQuote
+            );
+            if (b > 0) levels++;
+            filledBase += b;
+            filledQuote += q;
+            if (stop) break;
+            price = askLevels[base][price].nextPrice;
+        }
+        avgPrice = _avgPrice(base, filledBase, filledQuote);
+    }
+
+    /// @notice What marketSellFor(base, amountBase) would fill right now, without trading. Reverts like
+    ///         marketSellFor when amountBase is off the lot size.
+    /// @return filledBase Base sold
+    /// @return filledQuote Quote received
+    /// @return avgPrice filledQuote per filledBase, scaled like prices (floor; 0 when nothing fills)
+    /// @return levels Bid levels traded at
+    function quoteMarketSellFor(
+        address base,
+        uint256 amountBase
+    )
+        external
+        view
+        returns (
+            uint256 filledBase,
+            uint256 filledQuote,
+            uint256 avgPrice,
+            uint256 levels
+        )
+    {
+        _requireSupportedBase(base);
+        if (_roundToLot(base, amountBase) != amountBase)
+            revert AmountNotOnLot();
+        uint256 price = bestBidPrice[base];
+        while (price != 0 && amountBase > filledBase) {
+            (uint256 b, uint256 q, bool stop) = _quoteSellAtLevel(
+                base,
+                price,
+                amountBase - filledBase
+            );
+            if (b > 0) levels++;
+            filledBase += b;
+            filledQuote += q;
+            if (stop) break;
+            price = bidLevels[base][price].nextPrice;
+        }
+        avgPrice = _avgPrice(base, filledBase, filledQuote);
+    }
+
+    /// @dev One ask level of quoteMarketBuyFor. Like marketBuyFor, walks the level again from its head while a
+    ///      partially filled order is left on it; `taken` tracks the base taken from each order (by position).
+    ///      `stop` is set where marketBuyFor returns or runs out of quote.
+    function _quoteBuyAtLevel(
+        address base,
+        uint256 price,
+        uint256 remainingQuote
+    )
+        internal
+        view
+        returns (uint256 filledBase, uint256 filledQuote, bool stop)
+    {
+        uint256[] memory taken = new uint256[](
+            askLevels[base][price].orderCount
+        );
+        bool again = true;
+        while (again) {
+            again = false;
+            uint256 oid = askLevels[base][price].head;
+            for (uint256 i = 0; oid != 0; i++) {
+                if (remainingQuote == 0) return (filledBase, filledQuote, true);
+                uint256 remainingBaseInOrder = _openBase(orders[oid]) -
+                    taken[i];
+                oid = orders[oid].next;
+                if (remainingBaseInOrder == 0) continue;
+
+                uint256 tradeBase = _roundToLot(
+                    base,
+                    _baseForQuote(base, remainingQuote, price)
+                );
+                if (tradeBase == 0) return (filledBase, filledQuote, true);
+                if (tradeBase >= remainingBaseInOrder) {
+                    tradeBase = remainingBaseInOrder;
+                } else {
+                    again = true;
+                }
+                uint256 tradeQuote = _quoteForBase(base, tradeBase, price);
+                if (tradeQuote == 0) {
+                    if (tradeBase < remainingBaseInOrder)
+                        return (filledBase, filledQuote, true);
+                    // marketBuyFor cancels a dust ask and goes on
+                    taken[i] += tradeBase;
+                    continue;
+                }
+
+                taken[i] += tradeBase;
+                remainingQuote -= tradeQuote;
+                filledBase += tradeBase;
+                filledQuote += tradeQuote;
+            }
+        }
+        stop = remainingQuote == 0;
+    }
+
+    /// @dev One bid level of quoteMarketSellFor; `stop` is set where marketSellFor returns.
+    function _quoteSellAtLevel(
+        address base,
+        uint256 price,
+        uint256 remainingBase
+    )
+        internal
+        view
+        returns (uint256 filledBase, uint256 filledQuote, bool stop)
+    {
+        uint256 oid = bidLevels[base][price].head;
+        while (oid != 0 && remainingBase > 0) {
+            uint256 remainingBaseInOrder = _openBase(orders[oid]);
+            oid = orders[oid].next;
+            if (remainingBaseInOrder == 0) continue;
+
+            uint256 tradeBase = remainingBase < remainingBaseInOrder
+                ? remainingBase
+                : remainingBaseInOrder;
+            uint256 tradeQuote = _quoteForBase(base, tradeBase, price);
+            if (tradeQuote == 0) {
+                if (tradeBase < remainingBaseInOrder)
+                    return (filledBase, filledQuote, true);
+                // marketSellFor cancels a dust bid and goes on
+                continue;
+            }
+
+            remainingBase -= tradeBase;
+            filledBase += tradeBase;
+            filledQuote += tradeQuote;
+        }
+    }
+
+    /// @dev Base still open in an order on the book (0 once inactive).
+    function _openBase(Order storage o) internal view returns (uint256) {
+        return o.active ? o.amountBase - o.filledBase : 0;
+    }
+
+    /// @dev quote * PRICE_SCALE per base, in human units like prices.
+    function _avgPrice(
+        address base,
+        uint256 filledBase,
+        uint256 filledQuote
+    ) internal view returns (uint256) {
+        if (filledBase == 0) return 0;
+        return
+            filledQuote.mulDiv(PRICE_SCALE * _pow10(baseDecimals[base]), 1) /
+            (filledBase * _pow10(quoteDecimals));
+    }
+
     // -------------------------
     // Trading
     // -------------------------
 
     function marketBuyFor(address base, uint256 maxQuoteIn) external {
-        _requireSupportedBase(base);
+        _marketBuy(base, maxQuoteIn, type(uint256).max);
+    }
+
+    /// @notice marketBuyFor that leaves asks above `maxPrice` alone, as a slippage bound: it fills what it can
+    ///         at or below `maxPrice` and the rest of maxQuoteIn stays in the vault.
+    function marketBuyWithMaxPriceFor(
+        address base,
+        uint256 maxQuoteIn,
+        uint256 maxPrice
+    ) external {
+        if (maxPrice == 0) revert InvalidPrice();
+        _marketBuy(base, maxQuoteIn, maxPrice);
+    }
+
+    function _marketBuy(
+        address base,
+        uint256 maxQuoteIn,
+        uint256 maxPrice
+    ) internal {
+        _requireTradable(base);
         if (maxQuoteIn == 0) revert InvalidAmount();
         if (quoteBalance[msg.sender] < maxQuoteIn) revert InsufficientBalance();
 
         uint256 remainingQuote = maxQuoteIn;
 
         uint256 price = bestAskPrice[base];
-        while (price != 0 && remainingQuote > 0) {
+        while (price != 0 && price <= maxPrice && remainingQuote > 0) {
             PriceLevel storage lvl = askLevels[base][price];
             uint256 oid = lvl.head;
 
@@ -376,10 +893,9 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
                     continue;
                 }
 
-                uint256 buyableBase = _baseForQuote(
+                uint256 buyableBase = _roundToLot(
                     base,
-                    remainingQuote,
-                    ask.price
+                    _baseForQuote(base, remainingQuote, ask.price)
                 );
                 if (buyableBase == 0) {
                     // can't afford even 1 unit at this price
@@ -390,30 +906,35 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
                     ? buyableBase
                     : remainingBaseInOrder;
                 uint256 tradeQuote = _quoteForBase(base, tradeBase, ask.price);
-                if (tradeQuote == 0) return;
+                if (tradeQuote == 0) {
+                    // the quote left buys nothing more
+                    if (tradeBase < remainingBaseInOrder) return;
+                    // the ask itself is dust that can never fill: cancel it
+                    uint256 nextOid = ask.next;
+                    _cancel(ask);
+                    oid = nextOid;
+                    continue;
+                }
 
                 // accounting
                 ask.filledBase += tradeBase;
                 remainingQuote -= tradeQuote;
 
-                // taker spends quote, receives base
+                // taker spends quote, receives base; maker receives quote
                 quoteBalance[msg.sender] -= tradeQuote;
-                baseBalance[msg.sender][base] += tradeBase;
-
-                // maker receives quote
-                quoteBalance[ask.trader] += tradeQuote;
 
                 // level aggregate
                 lvl.totalRemainingBase -= tradeBase;
 
                 lastTradePriceForBase[base] = ask.price;
-                emit Trade(
-                    ask.id,
-                    ask.trader,
+                _settleTrade(
+                    base,
+                    ask,
                     msg.sender,
                     Side.BUY,
-                    ask.price,
-                    tradeBase
+                    tradeBase,
+                    tradeQuote,
+                    true
                 );
 
                 if (ask.filledBase == ask.amountBase) {
@@ -431,15 +952,36 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
     }
 
     function marketSellFor(address base, uint256 amountBase) external {
-        _requireSupportedBase(base);
+        _marketSell(base, amountBase, 0);
+    }
+
+    /// @notice marketSellFor that leaves bids below `minPrice` alone, as a slippage bound: it sells what it can
+    ///         at or above `minPrice` and keeps the rest of amountBase in the vault.
+    function marketSellWithMinPriceFor(
+        address base,
+        uint256 amountBase,
+        uint256 minPrice
+    ) external {
+        if (minPrice == 0) revert InvalidPrice();
+        _marketSell(base, amountBase, minPrice);
+    }
+
+    function _marketSell(
+        address base,
+        uint256 amountBase,
+        uint256 minPrice
+    ) internal {
+        _requireTradable(base);
         if (amountBase == 0) revert InvalidAmount();
+        if (_roundToLot(base, amountBase) != amountBase)
+            revert AmountNotOnLot();
         if (baseBalance[msg.sender][base] < amountBase)
             revert InsufficientBalance();
 
         uint256 remainingBase = amountBase;
 
         uint256 price = bestBidPrice[base];
-        while (price != 0 && remainingBase > 0) {
+        while (price != 0 && price >= minPrice && remainingBase > 0) {
             PriceLevel storage lvl = bidLevels[base][price];
             uint256 oid = lvl.head;
 
@@ -458,7 +1000,15 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
                     ? remainingBase
                     : remainingBaseInOrder;
                 uint256 tradeQuote = _quoteForBase(base, tradeBase, bid.price);
-                if (tradeQuote == 0) return;
+                if (tradeQuote == 0) {
+                    // the base left sells for nothing
+                    if (tradeBase < remainingBaseInOrder) return;
+                    // the bid itself is dust that can never fill: cancel it
+                    uint256 nextOid = bid.next;
+                    _cancel(bid);
+                    oid = nextOid;
+                    continue;
+                }
 
                 // settle against bid's locked quote
                 if (bid.lockedQuote < tradeQuote) {
@@ -470,23 +1020,20 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
                 bid.lockedQuote -= tradeQuote;
                 remainingBase -= tradeBase;
 
-                // taker gives base, receives quote
+                // taker gives base, receives quote; bid maker receives base
                 baseBalance[msg.sender][base] -= tradeBase;
-                quoteBalance[msg.sender] += tradeQuote;
-
-                // bid maker receives base
-                baseBalance[bid.trader][base] += tradeBase;
 
                 lvl.totalRemainingBase -= tradeBase;
 
                 lastTradePriceForBase[base] = bid.price;
-                emit Trade(
-                    bid.id,
-                    bid.trader,
+                _settleTrade(
+                    base,
+                    bid,
                     msg.sender,
                     Side.SELL,
-                    bid.price,
-                    tradeBase
+                    tradeBase,
+                    tradeQuote,
+                    false
                 );
 
                 if (bid.filledBase == bid.amountBase) {
@@ -512,12 +1059,14 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         uint256 price,
         uint256 amountBase
     ) external returns (uint256 orderId) {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (price == 0) revert InvalidPrice();
         if (amountBase == 0) revert InvalidAmount();
+        _requireOnGrid(base, price, amountBase);
 
         uint256 quoteToLock = _quoteForBase(base, amountBase, price);
         if (quoteToLock == 0) revert InvalidAmount();
+        _requireOrderSize(base, amountBase, quoteToLock);
         if (quoteBalance[msg.sender] < quoteToLock)
             revert InsufficientBalance();
 
@@ -527,7 +1076,7 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         _addOrderToLevel(base, Side.BUY, price, orderId);
 
         emit LimitOrderPlaced(orderId, msg.sender, Side.BUY, price, amountBase);
-        _tryMatch(base);
+        _tryMatch(base, Side.BUY);
     }
 
     function limitSellFor(
@@ -535,9 +1084,15 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         uint256 price,
         uint256 amountBase
     ) external returns (uint256 orderId) {
-        _requireSupportedBase(base);
+        _requireTradable(base);
         if (price == 0) revert InvalidPrice();
         if (amountBase == 0) revert InvalidAmount();
+        _requireOnGrid(base, price, amountBase);
+        _requireOrderSize(
+            base,
+            amountBase,
+            _quoteForBase(base, amountBase, price)
+        );
         if (baseBalance[msg.sender][base] < amountBase)
             revert InsufficientBalance();
 
@@ -553,14 +1108,18 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
             price,
             amountBase
         );
-        _tryMatch(base);
+        _tryMatch(base, Side.SELL);
     }
 
     function cancelOrder(uint256 orderId) external {
         Order storage o = orders[orderId];
         if (!o.active) revert NotActive();
         if (o.trader != msg.sender) revert NotOwner();
+        _cancel(o);
+    }
 
+    /// @dev Deactivates `o`, refunds what it still holds to its trader and takes it off its level.
+    function _cancel(Order storage o) internal {
         o.active = false;
 
         uint256 remainingBase = o.amountBase - o.filledBase;
@@ -568,88 +1127,93 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         if (o.side == Side.BUY) {
             // refund remaining locked quote
             if (o.lockedQuote > 0) {
-                quoteBalance[msg.sender] += o.lockedQuote;
+                quoteBalance[o.trader] += o.lockedQuote;
                 o.lockedQuote = 0;
             }
         } else {
             // refund remaining base
             if (remainingBase > 0)
-                baseBalance[msg.sender][o.baseToken] += remainingBase;
+                baseBalance[o.trader][o.baseToken] += remainingBase;
         }
 
-        _removeOrderFromLevel(o.baseToken, o.side, o.price, orderId);
-        emit OrderCancelled(orderId, msg.sender);
+        _removeOrderFromLevel(o.baseToken, o.side, o.price, o.id);
+        emit OrderCancelled(o.id, o.trader);
     }
 
     // -------------------------
     // Matching (per base)
     // -------------------------
 
-    function _tryMatch(address base) internal {
+    /// @param takerSide Side of the order just placed; it pays the taker fee.
+    function _tryMatch(address base, Side takerSide) internal {
         while (true) {
             uint256 bidP = bestBidPrice[base];
             uint256 askP = bestAskPrice[base];
             if (bidP == 0 || askP == 0 || bidP < askP) break;
-            if (!_matchOnce(base, bidP, askP)) break;
+            _matchOnce(base, bidP, askP, takerSide);
         }
     }
 
+    /// @dev One step of _tryMatch: fills the head bid against the head ask, or clears one stale or dust order.
     function _matchOnce(
         address base,
         uint256 bidP,
-        uint256 askP
-    ) internal returns (bool shouldContinue) {
+        uint256 askP,
+        Side takerSide
+    ) internal {
         uint256 bidId = bidLevels[base][bidP].head;
         uint256 askId = askLevels[base][askP].head;
 
         if (bidId == 0) {
             _removePriceLevelIfEmpty(base, Side.BUY, bidP);
-            return true;
+            return;
         }
         if (askId == 0) {
             _removePriceLevelIfEmpty(base, Side.SELL, askP);
-            return true;
+            return;
         }
 
         Order storage bid = orders[bidId];
         if (!bid.active || bid.filledBase >= bid.amountBase) {
             _removeOrderFromLevel(base, Side.BUY, bidP, bidId);
-            return true;
+            return;
         }
 
         Order storage ask = orders[askId];
         if (!ask.active || ask.filledBase >= ask.amountBase) {
             _removeOrderFromLevel(base, Side.SELL, askP, askId);
-            return true;
+            return;
         }
 
-        uint256 bidRemain = bid.amountBase - bid.filledBase;
-        uint256 askRemain = ask.amountBase - ask.filledBase;
-        uint256 tradeBase = bidRemain < askRemain ? bidRemain : askRemain;
+        uint256 tradeBase = bid.amountBase - bid.filledBase;
+        if (ask.amountBase - ask.filledBase < tradeBase)
+            tradeBase = ask.amountBase - ask.filledBase;
 
-        uint256 tradePrice = ask.price;
-        uint256 tradeQuote = _quoteForBase(base, tradeBase, tradePrice);
-        if (tradeQuote == 0) return false;
+        uint256 tradeQuote = _quoteForBase(base, tradeBase, ask.price);
+        if (tradeQuote == 0) {
+            // The smaller order is worth less than one quote unit here and can never fill, but it would
+            // keep the book crossed (audit High-01): cancel it and let matching go on.
+            _cancel(ask.amountBase - ask.filledBase == tradeBase ? ask : bid);
+            return;
+        }
         if (bid.lockedQuote < tradeQuote) revert InsufficientBalance();
 
         bid.filledBase += tradeBase;
         bid.lockedQuote -= tradeQuote;
         ask.filledBase += tradeBase;
 
-        baseBalance[bid.trader][base] += tradeBase;
-        quoteBalance[ask.trader] += tradeQuote;
-
         bidLevels[base][bidP].totalRemainingBase -= tradeBase;
         askLevels[base][askP].totalRemainingBase -= tradeBase;
 
-        lastTradePriceForBase[base] = tradePrice;
-        emit Trade(
-            ask.id,
-            ask.trader,
+        lastTradePriceForBase[base] = ask.price;
+        _settleTrade(
+            base,
+            ask,
             bid.trader,
             Side.BUY,
-            tradePrice,
-            tradeBase
+            tradeBase,
+            tradeQuote,
+            takerSide == Side.BUY
         );
 
         if (bid.filledBase == bid.amountBase) {
@@ -663,8 +1227,80 @@ contract MultiBaseOrderBookDEXVaultLevels is Ownable {
         if (ask.filledBase == ask.amountBase) {
             _removeOrderFromLevel(base, Side.SELL, askP, askId);
         }
+    }
 
-        return true;
+    // -------------------------
+    // Fee settlement
+    // -------------------------
+
+    /// @dev Credits the buyer `tradeBase` and the seller `tradeQuote`, each less its fee, and emits the Trade
+    ///      against `maker`. `bidTakes` says whether the buyer pays the taker rate (and the seller the maker
+    ///      rate) or the other way round.
+    function _settleTrade(
+        address base,
+        Order storage maker,
+        address taker,
+        Side takerSide,
+        uint256 tradeBase,
+        uint256 tradeQuote,
+        bool bidTakes
+    ) internal {
+        bool makerBuys = takerSide == Side.SELL;
+        uint256 buyerFee = _creditBase(
+            makerBuys ? maker.trader : taker,
+            base,
+            tradeBase,
+            !bidTakes
+        );
+        uint256 sellerFee = _creditQuote(
+            makerBuys ? taker : maker.trader,
+            tradeQuote,
+            base,
+            bidTakes
+        );
+        emit Trade(
+            maker.id,
+            maker.trader,
+            taker,
+            takerSide,
+            maker.price,
+            tradeBase,
+            makerBuys ? buyerFee : sellerFee,
+            makerBuys ? sellerFee : buyerFee
+        );
+    }
+
+    /// @dev Credits a buyer `amountBase` less its maker or taker fee, and the fee to the fee recipient.
+    function _creditBase(
+        address trader,
+        address base,
+        uint256 amountBase,
+        bool isMaker
+    ) internal returns (uint256 fee) {
+        fee = _fee(base, amountBase, isMaker);
+        baseBalance[trader][base] += amountBase - fee;
+        if (fee > 0) baseBalance[feeRecipient][base] += fee;
+    }
+
+    /// @dev Credits a seller `amountQuote` less its maker or taker fee, and the fee to the fee recipient.
+    function _creditQuote(
+        address trader,
+        uint256 amountQuote,
+        address base,
+        bool isMaker
+    ) internal returns (uint256 fee) {
+        fee = _fee(base, amountQuote, isMaker);
+        quoteBalance[trader] += amountQuote - fee;
+        if (fee > 0) quoteBalance[feeRecipient] += fee;
+    }
+
+    function _fee(
+        address base,
+        uint256 amount,
+        bool isMaker
+    ) internal view returns (uint256) {
+        (uint256 makerBps, uint256 takerBps) = feeRatesFor(base);
+        return (amount * (isMaker ? makerBps : takerBps)) / FEE_BPS_DENOMINATOR;
     }
 
     // -------------------------
@@ -1,8 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 
@@ -12,7 +14,7 @@ import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 /// - One contract per market/pair to isolate state and maximize parallelism across markets.
 /// - Optional `hintPrice` + `maxHops` to avoid long linked-list traversal (reduce shared-state reads).
 /// - Matching work is bounded via `maxMatches` to keep transactions small and schedulable.
-contract PharosSpotMarket is ReentrancyGuard {
+contract PharosSpotMarket is Ownable, Pausable, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     enum Side {
@@ -51,6 +53,14 @@ contract PharosSpotMarket is ReentrancyGuard {
     error BadHint();
     error EmptyBook();
     error Slippage();
+    error UnknownLevel();
+    error FeeTooHigh();
+    error InvalidFeeRecipient();
+    error OrderTooSmall();
+    error NotionalTooSmall();
+    error PriceNotOnTick();
+    error AmountNotOnLot();
+    error NotGuardian();
 
     event Deposit(address indexed user, address indexed token, uint256 amount);
     event Withdraw(address indexed user, address indexed token, uint256 amount);
@@ -71,6 +81,7 @@ contract PharosSpotMarket is ReentrancyGuard {
         uint256 refundAmount
     );
 
+    /// @dev Fees are charged in the asset each side receives: base for the buyer, quote for the seller.
     event Trade(
         uint256 indexed makerOrderId,
         uint256 indexed takerOrderId,
@@ -79,9 +90,17 @@ contract PharosSpotMarket is ReentrancyGuard {
         Side makerSide,
         uint256 priceE18,
         uint256 amountBase,
-        uint256 amountQuote
+        uint256 amountQuote,
+        uint256 makerFee,
+        uint256 takerFee
     );
 
+    event FeeRecipientUpdated(address indexed feeRecipient);
+    event FeesUpdated(uint16 makerFeeBps, uint16 takerFeeBps);
+    event OrderLimitsUpdated(uint256 minAmountBase, uint256 minNotional);
+    event MarketGridUpdated(uint256 tickSize, uint256 lotSize);
+    event GuardianUpdated(address indexed guardian);
+
     IERC20 public immutable baseToken;
     IERC20 public immutable quoteToken;
 
@@ -101,7 +120,35 @@ contract PharosSpotMarket is ReentrancyGuard {
 
     uint256 public lastTradePriceE18;
 
-    constructor(address baseToken_, address quoteToken_) {
+    uint256 public constant FEE_BPS_DENOMINATOR = 10_000;
+    uint256 public constant MAX_FEE_BPS = 1_000; // 10%
+
+    // fees accrue to this account's vault balances
+    address public feeRecipient;
+    uint16 public makerFeeBps;
+    uint16 public takerFeeBps;
+
+    // smallest limit order accepted; zero = no minimum
+    uint256 public minAmountBase;
+    uint256 public minNotional; // quote, at the order's limit price
+
+    // price / amount increments; zero = no grid
+    uint256 public tickSize; // priceE18 units
+    uint256 public lotSize; // base smallest units
+
+    // may halt trading alongside the owner; only the owner resumes it
+    address public guardian;
+
+    modifier onlyGuardianOrOwner() {
+        if (msg.sender != guardian && msg.sender != owner())
+            revert NotGuardian();
+        _;
+    }
+
+    constructor(
+        address baseToken_,
+        address quoteToken_
+    ) Ownable(msg.sender) {
         require(
             baseToken_ != address(0) && quoteToken_ != address(0),
             "ZERO_TOKEN"
@@ -109,13 +156,82 @@ contract PharosSpotMarket is ReentrancyGuard {
         require(baseToken_ != quoteToken_, "SAME_TOKEN");
         baseToken = IERC20(baseToken_);
         quoteToken = IERC20(quoteToken_);
+        feeRecipient = msg.sender;
+        emit FeeRecipientUpdated(msg.sender);
+    }
+
+    // -------------------------
+    // Admin: fees
+    // -------------------------
+
+    function setFeeRecipient(address recipient) external onlyOwner {
+        if (recipient == address(0)) revert InvalidFeeRecipient();
+        feeRecipient = recipient;
+        emit FeeRecipientUpdated(recipient);
+    }
+
+    /// @notice Maker / taker rates in basis points of what each side receives.
+    function setFees(uint16 makerBps, uint16 takerBps) external onlyOwner {
+        if (makerBps > MAX_FEE_BPS || takerBps > MAX_FEE_BPS)
+            revert FeeTooHigh();
+        makerFeeBps = makerBps;
+        takerFeeBps = takerBps;
+        emit FeesUpdated(makerBps, takerBps);
+    }
+
+    // -------------------------
+    // Admin: order size limits
+    // -------------------------
+
+    /// @notice Smallest limit order placeLimitOrder accepts: at least `minAmountBase_` of base, worth at least
+    ///         `minNotional_` of quote at its limit price. Orders already resting are not affected.
+    function setOrderLimits(
+        uint256 minAmountBase_,
+        uint256 minNotional_
+    ) external onlyOwner {
+        minAmountBase = minAmountBase_;
+        minNotional = minNotional_;
+        emit OrderLimitsUpdated(minAmountBase_, minNotional_);
+    }
+
+    /// @notice Limit prices must be multiples of `tickSize_` and order amounts multiples of `lotSize_`; market
+    ///         buys also round what they take down to a lot. Orders already resting are not affected.
+    function setMarketGrid(
+        uint256 tickSize_,
+        uint256 lotSize_
+    ) external onlyOwner {
+        tickSize = tickSize_;
+        lotSize = lotSize_;
+        emit MarketGridUpdated(tickSize_, lotSize_);
+    }
+
+    // -------------------------
+    // Admin: emergency pause
+    // -------------------------
+
+    /// @notice Zero address: no guardian, only the owner can pause.
+    function setGuardian(address guardian_) external onlyOwner {
+        guardian = guardian_;
+        emit GuardianUpdated(guardian_);
+    }
+
+    /// @notice Halts orders and deposits. Withdrawals and cancels keep working.
+    function pause() external onlyGuardianOrOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
     }
 
     // -------------------------
     // Vault: deposit / withdraw
     // -------------------------
 
-    function deposit(address token, uint256 amount) external nonReentrant {
+    function deposit(
+        address token,
+        uint256 amount
+    ) external nonReentrant whenNotPaused {
         if (amount == 0) revert ZeroAmount();
         IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
         balances[token][msg.sender] += amount;
@@ -197,6 +313,114 @@ contract PharosSpotMarket is ReentrancyGuard {
         }
     }
 
+    /// @notice Returns up to `maxLevels` price levels of one side, best first, starting after `afterPrice`
+    ///         (0 = from the best price). Pages past the top N of `getDepth`, e.g. to compute `hintPrice`.
+    /// @dev Reverts with UnknownLevel if `afterPrice` is not a live level on that side.
+    function getLevels(
+        Side side,
+        uint256 afterPrice,
+        uint32 maxLevels
+    )
+        external
+        view
+        returns (uint256[] memory prices, uint256[] memory baseTotals)
+    {
+        mapping(uint256 => Level) storage levels = side == Side.Buy
+            ? bidLevels
+            : askLevels;
+
+        uint256 p;
+        if (afterPrice == 0) {
+            p = side == Side.Buy ? bestBidPrice : bestAskPrice;
+        } else {
+            if (!levels[afterPrice].exists) revert UnknownLevel();
+            p = levels[afterPrice].nextPrice;
+        }
+
+        prices = new uint256[](maxLevels);
+        baseTotals = new uint256[](maxLevels);
+
+        uint256 i = 0;
+        while (p != 0 && i < maxLevels) {
+            Level storage lvl = levels[p];
+            prices[i] = p;
+            baseTotals[i] = lvl.totalBase;
+            p = lvl.nextPrice;
+            unchecked {
+                ++i;
+            }
+        }
+        assembly {
+            mstore(prices, i)
+            mstore(baseTotals, i)
+        }
+    }
+
+    /// @notice What placeMarketOrder(Buy, amountBase, maxQuoteIn, 0, maxMatches) would fill right now, without
+    ///         placing it: walks the asks like the matching loop, in the same FIFO order, with the same rounding
+    ///         and `maxMatches` bound. Balances are not checked.
+    /// @param maxQuoteIn Quote to spend at most; 0 for no limit.
+    /// @param maxMatches 0 = the placeMarketOrder default (64).
+    /// @return filledBase Base bought; placeMarketOrder reverts with Slippage when it is below minOut
+    /// @return filledQuote Quote spent
+    /// @return avgPriceE18 filledQuote * 1e18 / filledBase (floor; 0 when nothing fills)
+    /// @return levels Ask levels traded at
+    function quoteMarketBuy(
+        uint256 amountBase,
+        uint256 maxQuoteIn,
+        uint32 maxMatches
+    )
+        external
+        view
+        returns (
+            uint256 filledBase,
+            uint256 filledQuote,
+            uint256 avgPriceE18,
+            uint256 levels
+        )
+    {
+        (filledBase, filledQuote, levels) = _quoteMarket(
+            askLevels,
+            bestAskPrice,
+            amountBase,
+            maxQuoteIn,
+            maxMatches
+        );
+        if (filledBase > 0)
+            avgPriceE18 = Math.mulDiv(filledQuote, 1e18, filledBase);
+    }
+
+    /// @notice What placeMarketOrder(Sell, amountBase, 0, minOut, maxMatches) would fill right now, without
+    ///         placing it. Balances are not checked.
+    /// @param maxMatches 0 = the placeMarketOrder default (64).
+    /// @return filledBase Base sold
+    /// @return filledQuote Quote received; placeMarketOrder reverts with Slippage when it is below minOut
+    /// @return avgPriceE18 filledQuote * 1e18 / filledBase (floor; 0 when nothing fills)
+    /// @return levels Bid levels traded at
+    function quoteMarketSell(
+        uint256 amountBase,
+        uint32 maxMatches
+    )
+        external
+        view
+        returns (
+            uint256 filledBase,
+            uint256 filledQuote,
+            uint256 avgPriceE18,
+            uint256 levels
+        )
+    {
+        (filledBase, filledQuote, levels) = _quoteMarket(
+            bidLevels,
+            bestBidPrice,
+            amountBase,
+            0,
+            maxMatches
+        );
+        if (filledBase > 0)
+            avgPriceE18 = Math.mulDiv(filledQuote, 1e18, filledBase);
+    }
+
     // -------------------------
     // Orders: limit / market
     // -------------------------
@@ -213,9 +437,14 @@ contract PharosSpotMarket is ReentrancyGuard {
         uint32 maxHops,
         bool postOnly,
         uint32 maxMatches
-    ) external nonReentrant returns (uint256 orderId) {
+    ) external nonReentrant whenNotPaused returns (uint256 orderId) {
         if (amountBase == 0) revert ZeroAmount();
         if (priceE18 == 0) revert ZeroPrice();
+        if (tickSize != 0 && priceE18 % tickSize != 0) revert PriceNotOnTick();
+        if (_roundToLot(amountBase) != amountBase) revert AmountNotOnLot();
+        if (amountBase < minAmountBase) revert OrderTooSmall();
+        if (Math.mulDiv(amountBase, priceE18, 1e18) < minNotional)
+            revert NotionalTooSmall();
 
         // post-only guard
         if (postOnly) {
@@ -248,22 +477,26 @@ contract PharosSpotMarket is ReentrancyGuard {
         }
     }
 
-    /// @notice Market order.
+    /// @notice Market order. Fills and `filledBase` / `filledQuote` are before the taker fee.
     /// @param amountBase For sell: exact base to sell. For buy: desired base to buy (may be partially filled).
     /// @param maxQuoteIn For buy: max quote to spend. Ignored for sell.
-    /// @param minQuoteOut For sell: minimum quote to receive. Ignored for buy.
+    /// @param minOut Reverts with Slippage when less fills: for buy, base bought; for sell, quote received
+    ///        (both before the taker fee). A buy bounded by both maxQuoteIn and minOut pays at most
+    ///        maxQuoteIn / minOut on average, however the book moves before it lands.
     function placeMarketOrder(
         Side side,
         uint256 amountBase,
         uint256 maxQuoteIn,
-        uint256 minQuoteOut,
+        uint256 minOut,
         uint32 maxMatches
     )
         external
         nonReentrant
+        whenNotPaused
         returns (uint256 orderId, uint256 filledBase, uint256 filledQuote)
     {
         if (amountBase == 0) revert ZeroAmount();
+        if (_roundToLot(amountBase) != amountBase) revert AmountNotOnLot();
         if (maxMatches == 0) maxMatches = 64; // reasonable default bound
 
         if (side == Side.Buy) {
@@ -303,7 +536,8 @@ contract PharosSpotMarket is ReentrancyGuard {
                 orders[orderId].reserved = 0;
             }
 
-            if (filledQuote > maxQuoteIn) revert Slippage();
+            if (filledQuote > maxQuoteIn || filledBase < minOut)
+                revert Slippage();
         } else {
             if (bestBidPrice == 0) revert EmptyBook();
             // lock base
@@ -342,7 +576,7 @@ contract PharosSpotMarket is ReentrancyGuard {
                 orders[orderId].reserved = 0;
             }
 
-            if (filledQuote < minQuoteOut) revert Slippage();
+            if (filledQuote < minOut) revert Slippage();
         }
 
         orders[orderId].active = false;
@@ -352,24 +586,7 @@ contract PharosSpotMarket is ReentrancyGuard {
         Order storage o = orders[orderId];
         if (!o.active || o.isMarket) revert OrderNotActive();
         if (o.owner != msg.sender) revert NotOrderOwner();
-
-        // remove from book
-        _removeFromBook(orderId);
-
-        uint256 refund;
-        if (o.side == Side.Buy) {
-            refund = o.reserved;
-            if (refund > 0) balances[address(quoteToken)][msg.sender] += refund;
-        } else {
-            refund = o.reserved;
-            if (refund > 0) balances[address(baseToken)][msg.sender] += refund;
-        }
-
-        o.reserved = 0;
-        o.amountBaseRemaining = 0;
-        o.active = false;
-
-        emit OrderCanceled(orderId, msg.sender, refund);
+        _cancel(orderId);
     }
 
     // -------------------------
@@ -521,6 +738,8 @@ contract PharosSpotMarket is ReentrancyGuard {
         // Use hint if provided.
         if (hintPrevPrice != 0) {
             Level storage hintPrev = levels[hintPrevPrice];
+            // A stale hint (level removed since it was read) must not be linked into the list.
+            if (!hintPrev.exists) revert BadHint();
             uint256 nextP = hintPrev.nextPrice;
 
             if (isBids) {
@@ -575,6 +794,32 @@ contract PharosSpotMarket is ReentrancyGuard {
         revert BadHint();
     }
 
+    /// @dev Takes a resting order off the book and refunds its reserve to its owner.
+    function _cancel(uint256 orderId) internal {
+        _removeFromBook(orderId);
+        _refundAndClose(orderId);
+    }
+
+    /// @dev Refunds an order's reserve and deactivates it; the order must not be linked in the book.
+    function _refundAndClose(uint256 orderId) internal {
+        Order storage o = orders[orderId];
+
+        uint256 refund;
+        if (o.side == Side.Buy) {
+            refund = o.reserved;
+            if (refund > 0) balances[address(quoteToken)][o.owner] += refund;
+        } else {
+            refund = o.reserved;
+            if (refund > 0) balances[address(baseToken)][o.owner] += refund;
+        }
+
+        o.reserved = 0;
+        o.amountBaseRemaining = 0;
+        o.active = false;
+
+        emit OrderCanceled(orderId, o.owner, refund);
+    }
+
     function _removeFromBook(uint256 orderId) internal {
         Order storage o = orders[orderId];
         uint256 price = o.priceE18;
@@ -653,6 +898,7 @@ contract PharosSpotMarket is ReentrancyGuard {
         uint32 maxMatches
     ) internal {
         Order storage taker = orders[takerOrderId];
+        bool dust;
 
         // If not on book yet (taker could be maker after partial), ensure posted before matching remainder.
         // We match first, and only post residual.
@@ -669,13 +915,23 @@ contract PharosSpotMarket is ReentrancyGuard {
                     continue;
                 }
 
-                _trade(takerOrderId, makerId);
+                // nothing filled and the maker still there: what is left of the taker is dust
+                if (
+                    _trade(takerOrderId, makerId) == 0 &&
+                    orders[makerId].active
+                ) {
+                    dust = true;
+                    break;
+                }
                 unchecked {
                     ++matches;
                 }
             }
 
-            if (taker.amountBaseRemaining > 0) {
+            // a dust remainder would rest on a crossed book: refund it instead (audit High-01)
+            if (dust) {
+                _refundAndClose(takerOrderId);
+            } else if (taker.amountBaseRemaining > 0) {
                 _addToSideBook(
                     takerOrderId,
                     bidLevels,
@@ -699,13 +955,21 @@ contract PharosSpotMarket is ReentrancyGuard {
                     continue;
                 }
 
-                _trade(takerOrderId, makerId2);
+                if (
+                    _trade(takerOrderId, makerId2) == 0 &&
+                    orders[makerId2].active
+                ) {
+                    dust = true;
+                    break;
+                }
                 unchecked {
                     ++matches2;
                 }
             }
 
-            if (taker.amountBaseRemaining > 0) {
+            if (dust) {
+                _refundAndClose(takerOrderId);
+            } else if (taker.amountBaseRemaining > 0) {
                 _addToSideBook(
                     takerOrderId,
                     askLevels,
@@ -745,12 +1009,9 @@ contract PharosSpotMarket is ReentrancyGuard {
                 continue;
             }
 
-            // compute max base affordable at this price
-            uint256 maxBase = Math.mulDiv(
-                taker.reserved,
-                1e18,
-                askP,
-                Math.Rounding.Floor
+            // compute max base affordable at this price, in whole lots
+            uint256 maxBase = _roundToLot(
+                Math.mulDiv(taker.reserved, 1e18, askP, Math.Rounding.Floor)
             );
             if (maxBase == 0) break;
 
@@ -759,6 +1020,7 @@ contract PharosSpotMarket is ReentrancyGuard {
                 makerId,
                 maxBase
             );
+            if (db == 0 && orders[makerId].active) break;
             filledBase += db;
             filledQuote += dq;
 
@@ -797,6 +1059,7 @@ contract PharosSpotMarket is ReentrancyGuard {
                 makerId,
                 taker.amountBaseRemaining
             );
+            if (db == 0 && orders[makerId].active) break;
             filledBase += db;
             filledQuote += dq;
 
@@ -808,15 +1071,94 @@ contract PharosSpotMarket is ReentrancyGuard {
         return (filledBase, filledQuote);
     }
 
+    /// @dev Read-only replay of _matchMarketBuy / _matchMarketSell from the best `price` of `levels`.
+    ///      `budget` caps the quote spent (buys; 0 = no cap).
+    function _quoteMarket(
+        mapping(uint256 => Level) storage levels,
+        uint256 price,
+        uint256 amountBase,
+        uint256 budget,
+        uint32 maxMatches
+    )
+        internal
+        view
+        returns (uint256 filledBase, uint256 filledQuote, uint256 levelCount)
+    {
+        if (maxMatches == 0) maxMatches = 64;
+        if (_roundToLot(amountBase) != amountBase) revert AmountNotOnLot();
+        uint256 makerId = levels[price].head;
+        uint256 makerLeft = orders[makerId].amountBaseRemaining;
+        uint256 countedPrice;
+
+        for (
+            uint32 matches = 0;
+            makerId != 0 && amountBase > 0 && matches < maxMatches;
+            ++matches
+        ) {
+            uint256 fillBase = _capToBudget(
+                amountBase < makerLeft ? amountBase : makerLeft,
+                budget,
+                price
+            );
+            if (fillBase == 0) break;
+            uint256 fillQuote = Math.mulDiv(fillBase, price, 1e18);
+            if (fillQuote == 0) {
+                // A fill worth zero quote does not trade: the matching loop stops when the taker's rest is the
+                // dust, and cancels the maker when it is.
+                if (fillBase < makerLeft) break;
+            } else {
+                if (price != countedPrice) {
+                    ++levelCount;
+                    countedPrice = price;
+                }
+                filledBase += fillBase;
+                filledQuote += fillQuote;
+                amountBase -= fillBase;
+            }
+            makerLeft -= fillBase;
+            if (makerLeft == 0) {
+                makerId = orders[makerId].next;
+                if (makerId == 0) {
+                    price = levels[price].nextPrice;
+                    makerId = levels[price].head;
+                }
+                makerLeft = orders[makerId].amountBaseRemaining;
+            }
+            if (budget != 0 && fillQuote != 0) {
+                budget -= fillQuote;
+                if (budget == 0) break;
+            }
+        }
+    }
+
+    /// @dev `fillBase` capped to the whole lots `budget` buys at `price` (0 = no cap), like _matchMarketBuy.
+    function _capToBudget(
+        uint256 fillBase,
+        uint256 budget,
+        uint256 price
+    ) internal view returns (uint256) {
+        if (budget == 0) return fillBase;
+        uint256 maxBase = _roundToLot(Math.mulDiv(budget, 1e18, price));
+        return fillBase < maxBase ? fillBase : maxBase;
+    }
+
     // -------------------------
     // Internal: trade execution
     // -------------------------
 
-    function _trade(uint256 takerOrderId, uint256 makerOrderId) internal {
-        _tradeWithCap(takerOrderId, makerOrderId, type(uint256).max);
+    function _trade(
+        uint256 takerOrderId,
+        uint256 makerOrderId
+    ) internal returns (uint256 fillBase) {
+        (fillBase, ) = _tradeWithCap(
+            takerOrderId,
+            makerOrderId,
+            type(uint256).max
+        );
     }
 
-    /// @dev Executes one maker vs taker match, capped by `capBase` on the taker side.
+    /// @dev Executes one maker vs taker match, capped by `capBase` on the taker side. A maker whose whole
+    ///      remainder is worth zero quote at its price can never fill and is canceled (audit High-01).
     function _tradeWithCap(
         uint256 takerOrderId,
         uint256 makerOrderId,
@@ -831,11 +1173,10 @@ contract PharosSpotMarket is ReentrancyGuard {
         // maker is from the book; trade price is maker price
         uint256 tradePrice = maker.priceE18;
 
-        uint256 a = taker.amountBaseRemaining;
-        uint256 b = maker.amountBaseRemaining;
-        uint256 m = capBase;
-        fillBase = a < b ? a : b;
-        if (fillBase > m) fillBase = m;
+        fillBase = taker.amountBaseRemaining;
+        if (maker.amountBaseRemaining < fillBase)
+            fillBase = maker.amountBaseRemaining;
+        if (fillBase > capBase) fillBase = capBase;
         if (fillBase == 0) return (0, 0);
 
         // quote computed with floor
@@ -847,25 +1188,28 @@ contract PharosSpotMarket is ReentrancyGuard {
         );
         if (fillQuote == 0) {
             // If the quote rounds to 0 at this precision, don't trade (prevents free base).
+            if (fillBase == maker.amountBaseRemaining) _cancel(makerOrderId);
             return (0, 0);
         }
 
         // Apply balance movements depending on sides.
         // maker is either Sell (ask) or Buy (bid) depending on which book we took it from.
+        uint256 makerFee;
+        uint256 takerFee;
         if (maker.side == Side.Sell) {
             // maker sells base, receives quote; taker buys base, pays quote
             _consumeTakerQuote(taker, fillBase, fillQuote, tradePrice);
             _consumeMakerBase(maker, fillBase);
 
-            balances[address(baseToken)][taker.owner] += fillBase;
-            balances[address(quoteToken)][maker.owner] += fillQuote;
+            takerFee = _credit(baseToken, taker.owner, fillBase, takerFeeBps);
+            makerFee = _credit(quoteToken, maker.owner, fillQuote, makerFeeBps);
         } else {
             // maker buys base, pays quote; taker sells base, receives quote
             _consumeTakerBase(taker, fillBase);
             _consumeMakerQuote(maker, fillBase, fillQuote);
 
-            balances[address(baseToken)][maker.owner] += fillBase;
-            balances[address(quoteToken)][taker.owner] += fillQuote;
+            makerFee = _credit(baseToken, maker.owner, fillBase, makerFeeBps);
+            takerFee = _credit(quoteToken, taker.owner, fillQuote, takerFeeBps);
         }
 
         // Update remaining sizes
@@ -890,12 +1234,32 @@ contract PharosSpotMarket is ReentrancyGuard {
             maker.side,
             tradePrice,
             fillBase,
-            fillQuote
+            fillQuote,
+            makerFee,
+            takerFee
         );
 
         return (fillBase, fillQuote);
     }
 
+    /// @dev `amountBase` rounded down to a multiple of lotSize.
+    function _roundToLot(uint256 amountBase) internal view returns (uint256) {
+        uint256 lot = lotSize;
+        return lot == 0 ? amountBase : amountBase - (amountBase % lot);
+    }
+
+    /// @dev Credits `user` with `amount` of `token` less a `feeBps` fee, and the fee to the fee recipient.
+    function _credit(
+        IERC20 token,
+        address user,
+        uint256 amount,
+        uint256 feeBps
+    ) internal returns (uint256 fee) {
+        fee = (amount * feeBps) / FEE_BPS_DENOMINATOR;
+        balances[address(token)][user] += amount - fee;
+        if (fee > 0) balances[address(token)][feeRecipient] += fee;
+    }
+
     function _consumeMakerBase(Order storage maker, uint256 fillBase) internal {
         // SELL maker reserved base decreases by fillBase
         maker.reserved -= fillBase;
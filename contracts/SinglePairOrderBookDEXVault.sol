@@ -1,13 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /// @notice Single-pair orderbook DEX with internal balances (deposit/withdraw)
 ///         Designed to reduce ERC20 transfer calls during trading and improve parallelism.
-contract SinglePairOrderBookDEXVault {
+contract SinglePairOrderBookDEXVault is Ownable, Pausable {
     using Math for uint256;
 
     IERC20 public immutable baseToken; // e.g., DOGE
@@ -102,7 +104,24 @@ contract SinglePairOrderBookDEXVault {
     error InsufficientBalance();
     error TransferFailed();
 
-    constructor(address _base, address _quote) {
+    // -------------------------
+    // Emergency pause
+    // -------------------------
+
+    // may halt trading alongside the owner; only the owner resumes it
+    address public guardian;
+
+    event GuardianUpdated(address indexed guardian);
+
+    error NotGuardian();
+
+    modifier onlyGuardianOrOwner() {
+        if (msg.sender != guardian && msg.sender != owner())
+            revert NotGuardian();
+        _;
+    }
+
+    constructor(address _base, address _quote) Ownable(msg.sender) {
         baseToken = IERC20(_base);
         quoteToken = IERC20(_quote);
 
@@ -110,6 +129,25 @@ contract SinglePairOrderBookDEXVault {
         quoteDecimals = IERC20Metadata(_quote).decimals();
     }
 
+    // -------------------------
+    // Admin: emergency pause
+    // -------------------------
+
+    /// @notice Zero address: no guardian, only the owner can pause.
+    function setGuardian(address guardian_) external onlyOwner {
+        guardian = guardian_;
+        emit GuardianUpdated(guardian_);
+    }
+
+    /// @notice Halts orders and deposits. Withdrawals and cancels keep working.
+    function pause() external onlyGuardianOrOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     // -------------------------
     // View helpers (unchanged interface shape)
     // -------------------------
@@ -202,7 +240,7 @@ contract SinglePairOrderBookDEXVault {
     // Deposit / Withdraw (new)
     // -------------------------
 
-    function depositBase(uint256 amount) external {
+    function depositBase(uint256 amount) external whenNotPaused {
         if (amount == 0) revert InvalidAmount();
         _safeTransferFrom(
             address(baseToken),
@@ -222,7 +260,7 @@ contract SinglePairOrderBookDEXVault {
         emit Withdrawn(msg.sender, address(baseToken), amount);
     }
 
-    function depositQuote(uint256 amount) external {
+    function depositQuote(uint256 amount) external whenNotPaused {
         if (amount == 0) revert InvalidAmount();
         _safeTransferFrom(
             address(quoteToken),
@@ -248,7 +286,7 @@ contract SinglePairOrderBookDEXVault {
 
     // 1) 市价买：最多花 maxQuoteIn(quote 最小单位) 去买 base
     //    In vault model: spend from quoteBalance and credit baseBalance
-    function marketBuy(uint256 maxQuoteIn) external {
+    function marketBuy(uint256 maxQuoteIn) external whenNotPaused {
         if (maxQuoteIn == 0) revert InvalidAmount();
         if (quoteBalance[msg.sender] < maxQuoteIn) revert InsufficientBalance();
 
@@ -310,7 +348,7 @@ contract SinglePairOrderBookDEXVault {
     }
 
     // 2) 市价卖：卖 amountBase(base 最小单位)，换 quote
-    function marketSell(uint256 amountBase) external {
+    function marketSell(uint256 amountBase) external whenNotPaused {
         if (amountBase == 0) revert InvalidAmount();
         if (baseBalance[msg.sender] < amountBase) revert InsufficientBalance();
 
@@ -371,7 +409,7 @@ contract SinglePairOrderBookDEXVault {
     function limitBuy(
         uint256 price,
         uint256 amountBase
-    ) external returns (uint256 orderId) {
+    ) external whenNotPaused returns (uint256 orderId) {
         if (price == 0) revert InvalidPrice();
         if (amountBase == 0) revert InvalidAmount();
 
@@ -394,7 +432,7 @@ contract SinglePairOrderBookDEXVault {
     function limitSell(
         uint256 price,
         uint256 amountBase
-    ) external returns (uint256 orderId) {
+    ) external whenNotPaused returns (uint256 orderId) {
         if (price == 0) revert InvalidPrice();
         if (amountBase == 0) revert InvalidAmount();
         if (baseBalance[msg.sender] < amountBase) revert InsufficientBalance();
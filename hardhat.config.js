@@ -48,4 +48,10 @@ module.exports = {
     sourcify: {
         enabled: true,
     },
+    // hardhat-toolbox skips typechain on compile in JS projects; the SDK (sdk/) relies on these typings.
+    typechain: {
+        outDir: "typechain-types",
+        target: "ethers-v6",
+        dontOverrideCompile: false,
+    },
 };
@@ -0,0 +1,311 @@
+const http = require("http");
+const { WebSocketServer } = require("ws");
+
+const { MarketDataError, marketId, createMarketData } = require("./market-data");
+const { parseInterval, createCandles } = require("./candles");
+
+// Market-data service over the indexer database.
+//
+// REST (JSON):
+//   GET /markets
+//   GET /depth/:base?contract=&levels=
+//   GET /trades/:base?contract=&limit=&beforeBlock=
+//   GET /ticker?base=&contract=
+//   GET /candles/:base?contract=&interval=1m|5m|1h|1d&from=&to=&limit=&fill=1
+//   GET /orders/:trader?status=open|all&limit=
+//
+// WebSocket (/ws): send {"op":"subscribe","channel":"depth"|"trades","base":"0x..","contract":"0x.."}.
+// A depth subscription first gets a full snapshot, then incremental updates for the price levels that
+// changed in each indexed block (amount "0" removes a level). `seq` increases by one per depth message
+// of a market; on a gap re-subscribe. After a reorg rollback every client gets {"type":"reorg"} and
+// depth subscribers a fresh snapshot. When a market starts or finishes delisting (or is listed again),
+// its subscribers get {"type":"status","status":"delisting"|"delisted"|"trading"}.
+
+const DEFAULT_DEPTH_LEVELS = 50;
+const DEFAULT_TRADES_LIMIT = 50;
+const DEFAULT_CANDLES_LIMIT = 500;
+const MAX_LIMIT = 1000;
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+    });
+    res.end(JSON.stringify(body));
+}
+
+function limitParam(params, name, fallback) {
+    const value = params.get(name);
+    if (value === null) return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0 || n > MAX_LIMIT) {
+        throw new MarketDataError(400, `Invalid ${name} (expected an integer 1..${MAX_LIMIT})`);
+    }
+    return n;
+}
+
+function timeParam(params, name) {
+    if (!params.has(name)) return undefined;
+    const n = Number(params.get(name));
+    if (!Number.isInteger(n) || n < 0) throw new MarketDataError(400, `Invalid ${name} (expected unix seconds)`);
+    return n;
+}
+
+function sortLevels(levels, desc) {
+    return [...levels].sort(([a], [b]) => {
+        if (a === b) return 0;
+        return a > b === desc ? -1 : 1;
+    });
+}
+
+// Levels whose aggregated size differs between two depth snapshots; removed levels get amount 0.
+function diffLevels(before, after) {
+    const changes = new Map();
+    for (const [price, amount] of after) {
+        if (before.get(price) !== amount) changes.set(price, amount);
+    }
+    for (const price of before.keys()) {
+        if (!after.has(price)) changes.set(price, 0n);
+    }
+    return changes;
+}
+
+function createMarketDataServer({ db, indexer, now }) {
+    const data = createMarketData(db);
+    const candles = createCandles(db);
+    const server = http.createServer(handleRequest);
+    const wss = new WebSocketServer({ server, path: "/ws" });
+
+    const depthState = new Map(); // marketId -> { market, seq, bids, asks }
+
+    function handleRequest(req, res) {
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, {
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, OPTIONS",
+            });
+            res.end();
+            return;
+        }
+        if (req.method !== "GET") {
+            sendJson(res, 405, { error: "Only GET is supported" });
+            return;
+        }
+
+        const url = new URL(req.url, "http://localhost");
+        const [route, arg, extra] = url.pathname.split("/").filter(Boolean);
+        const params = url.searchParams;
+        try {
+            if (extra !== undefined) throw new MarketDataError(404, `Unknown path ${url.pathname}`);
+            if (route === "markets" && !arg) {
+                sendJson(res, 200, { markets: data.markets() });
+            } else if (route === "depth" && arg) {
+                const market = data.resolveMarket(arg, params.get("contract"));
+                sendJson(res, 200, data.depth(market, limitParam(params, "levels", DEFAULT_DEPTH_LEVELS)));
+            } else if (route === "trades" && arg) {
+                const market = data.resolveMarket(arg, params.get("contract"));
+                const beforeBlock = params.has("beforeBlock") ? Number(params.get("beforeBlock")) : undefined;
+                if (beforeBlock !== undefined && !Number.isInteger(beforeBlock)) {
+                    throw new MarketDataError(400, "Invalid beforeBlock");
+                }
+                sendJson(res, 200, {
+                    market: marketId(market.contract, market.base_token),
+                    trades: data.trades(market, {
+                        limit: limitParam(params, "limit", DEFAULT_TRADES_LIMIT),
+                        beforeBlock,
+                    }),
+                });
+            } else if (route === "ticker" && !arg) {
+                const at = now ? now() : undefined;
+                if (params.has("base")) {
+                    sendJson(res, 200, data.ticker(data.resolveMarket(params.get("base"), params.get("contract")), at));
+                } else {
+                    sendJson(res, 200, { tickers: data.tickers(at) });
+                }
+            } else if (route === "candles" && arg) {
+                const market = data.resolveMarket(arg, params.get("contract"));
+                const interval = params.get("interval") || "1m";
+                const seconds = parseInterval(interval);
+                // Without ?from= return the last `limit` intervals up to `to` (default: now).
+                const to = timeParam(params, "to") ?? (now ? now() : Math.floor(Date.now() / 1000)) + 1;
+                const limit = limitParam(params, "limit", DEFAULT_CANDLES_LIMIT);
+                const from = timeParam(params, "from") ?? Math.max(0, to - limit * seconds);
+                const result = candles.candles(market, { interval, from, to, fillGaps: params.get("fill") === "1" });
+                result.candles = result.candles.slice(-limit);
+                sendJson(res, 200, result);
+            } else if (route === "orders" && arg) {
+                const status = params.get("status") || "open";
+                if (status !== "open" && status !== "all") {
+                    throw new MarketDataError(400, "Invalid status (expected open or all)");
+                }
+                sendJson(res, 200, {
+                    trader: arg,
+                    orders: data.ordersOf(arg, { status, limit: limitParam(params, "limit", 200) }),
+                });
+            } else {
+                throw new MarketDataError(404, `Unknown path ${url.pathname}`);
+            }
+        } catch (err) {
+            if (err instanceof MarketDataError) {
+                sendJson(res, err.status, { error: err.message });
+            } else {
+                sendJson(res, 500, { error: err.message || String(err) });
+            }
+        }
+    }
+
+    function send(ws, message) {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    }
+
+    function broadcast(topic, message) {
+        for (const ws of wss.clients) {
+            if (ws.topics?.has(topic)) send(ws, message);
+        }
+    }
+
+    function depthSnapshot(state) {
+        const format = (levels, desc) =>
+            sortLevels(levels, desc).map(([price, amount]) => data.formatLevel(state.market, price, amount));
+        return {
+            type: "depth",
+            snapshot: true,
+            market: marketId(state.market.contract, state.market.base_token),
+            seq: state.seq,
+            bids: format(state.bids, true),
+            asks: format(state.asks, false),
+        };
+    }
+
+    function trackDepth(market) {
+        const id = marketId(market.contract, market.base_token);
+        if (!depthState.has(id)) {
+            depthState.set(id, { market, seq: 0, ...data.depthLevels(market) });
+        }
+        return depthState.get(id);
+    }
+
+    function handleMessage(ws, raw) {
+        let msg;
+        try {
+            msg = JSON.parse(String(raw));
+        } catch (_) {
+            send(ws, { type: "error", message: "Messages must be JSON" });
+            return;
+        }
+
+        try {
+            if (msg.op !== "subscribe" && msg.op !== "unsubscribe") {
+                throw new MarketDataError(400, `Unknown op ${msg.op}; use subscribe or unsubscribe`);
+            }
+            if (msg.channel !== "depth" && msg.channel !== "trades") {
+                throw new MarketDataError(400, `Unknown channel ${msg.channel}; use depth or trades`);
+            }
+            const market = data.resolveMarket(String(msg.base), msg.contract ? String(msg.contract) : undefined);
+            const id = marketId(market.contract, market.base_token);
+            const topic = `${msg.channel}:${id}`;
+
+            if (msg.op === "unsubscribe") {
+                ws.topics.delete(topic);
+                send(ws, { type: "unsubscribed", channel: msg.channel, market: id });
+                return;
+            }
+            ws.topics.add(topic);
+            send(ws, { type: "subscribed", channel: msg.channel, market: id });
+            if (msg.channel === "depth") send(ws, depthSnapshot(trackDepth(market)));
+        } catch (err) {
+            send(ws, { type: "error", message: err.message || String(err) });
+        }
+    }
+
+    wss.on("connection", (ws) => {
+        ws.topics = new Set();
+        ws.on("message", (raw) => handleMessage(ws, raw));
+    });
+
+    function onBlock({ block, marketStatuses = [], orders, fills }) {
+        for (const m of marketStatuses) {
+            const id = marketId(m.contract, m.base_token);
+            const message = { type: "status", market: id, status: m.status, blockNumber: block.number };
+            for (const ws of wss.clients) {
+                if (ws.topics?.has(`depth:${id}`) || ws.topics?.has(`trades:${id}`)) send(ws, message);
+            }
+        }
+
+        const touched = new Set([
+            ...orders.map((o) => marketId(o.contract, o.base_token)),
+            ...fills.map((f) => marketId(f.contract, f.base_token)),
+        ]);
+
+        for (const id of touched) {
+            const state = depthState.get(id);
+            if (!state) continue;
+            const next = data.depthLevels(state.market);
+            const bids = diffLevels(state.bids, next.bids);
+            const asks = diffLevels(state.asks, next.asks);
+            state.bids = next.bids;
+            state.asks = next.asks;
+            if (bids.size === 0 && asks.size === 0) continue;
+
+            state.seq += 1;
+            const format = (levels, desc) =>
+                sortLevels(levels, desc).map(([price, amount]) => data.formatLevel(state.market, price, amount));
+            broadcast(`depth:${id}`, {
+                type: "depth",
+                snapshot: false,
+                market: id,
+                seq: state.seq,
+                blockNumber: block.number,
+                bids: format(bids, true),
+                asks: format(asks, false),
+            });
+        }
+
+        for (const fill of fills) {
+            const market = data.marketRow(fill.contract, fill.base_token);
+            if (!market) continue;
+            broadcast(`trades:${marketId(fill.contract, fill.base_token)}`, {
+                type: "trade",
+                ...data.formatTrade(market, fill),
+            });
+        }
+    }
+
+    function onRollback(blockNumber) {
+        for (const ws of wss.clients) send(ws, { type: "reorg", blockNumber });
+        for (const [id, state] of depthState) {
+            Object.assign(state, data.depthLevels(state.market));
+            state.seq += 1;
+            broadcast(`depth:${id}`, depthSnapshot(state));
+        }
+    }
+
+    if (indexer) {
+        indexer.on("block", onBlock);
+        indexer.on("rollback", onRollback);
+    }
+
+    return {
+        server,
+        wss,
+        listen(port = 0, host = "127.0.0.1") {
+            return new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(port, host, () => resolve(server.address()));
+            });
+        },
+        close() {
+            if (indexer) {
+                indexer.off("block", onBlock);
+                indexer.off("rollback", onRollback);
+            }
+            for (const ws of wss.clients) ws.terminate();
+            wss.close();
+            return new Promise((resolve) => server.close(() => resolve()));
+        },
+    };
+}
+
+module.exports = {
+    createMarketDataServer,
+};
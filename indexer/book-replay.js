@@ -0,0 +1,466 @@
+const { ethers } = require("ethers");
+
+const { quoteForBase } = require("../scripts/lib/orderbook-bootstrap");
+
+// Rebuilds an order book and its vault balances purely from the contract's event log, mirroring the
+// contract's accounting step by step. consistency.js compares the result with on-chain state.
+//
+// Logs must be applied in chain order from the deployment on. Logs of one transaction are applied
+// together because some effects have no event of their own: a PharosSpotMarket market order returns
+// its unused reserve when its transaction ends, and a MultiBaseOrderBookDEXVaultLevels Trade that
+// follows a LimitOrderPlaced in the same transaction is a match of two resting orders (the bid is
+// the head of the best bid level), not a market order.
+
+const SIDES = ["buy", "sell"];
+
+function sideName(value) {
+    return SIDES[Number(value)];
+}
+
+// Replay state shared by both contract kinds. Orders are keyed by decimal order id; book levels
+// keep order ids in FIFO order per price.
+function createReplayState() {
+    return {
+        orders: new Map(),
+        books: new Map(), // base token -> { bids: Map(price -> [orderId]), asks: Map(price -> [orderId]) }
+        balances: new Map(), // `${token}:${user}` -> bigint
+        users: new Set(),
+        tokens: new Set(),
+        issues: [],
+        logs: 0,
+        feeRecipient: null, // from FeeRecipientUpdated, emitted by the constructor
+    };
+}
+
+function bookOf(state, base) {
+    if (!state.books.has(base)) state.books.set(base, { bids: new Map(), asks: new Map() });
+    return state.books.get(base);
+}
+
+function addToBook(state, order) {
+    const levels = bookOf(state, order.base)[order.side === "buy" ? "bids" : "asks"];
+    if (!levels.has(order.price)) levels.set(order.price, []);
+    levels.get(order.price).push(order.id);
+}
+
+function removeFromBook(state, order) {
+    const levels = bookOf(state, order.base)[order.side === "buy" ? "bids" : "asks"];
+    const ids = levels.get(order.price);
+    if (!ids) return;
+    const i = ids.indexOf(order.id);
+    if (i >= 0) ids.splice(i, 1);
+    if (ids.length === 0) levels.delete(order.price);
+}
+
+function bestPrice(levels, side) {
+    let best = null;
+    for (const price of levels.keys()) {
+        if (best === null || (side === "buy" ? price > best : price < best)) best = price;
+    }
+    return best;
+}
+
+// Aggregated remaining base per price level: { bids: Map(price -> base), asks: Map(price -> base) }.
+function levelTotals(state, base) {
+    const book = bookOf(state, base);
+    const totals = (levels) =>
+        new Map(
+            [...levels].map(([price, ids]) => [
+                price,
+                ids.reduce((sum, id) => sum + state.orders.get(id).remaining, 0n),
+            ]),
+        );
+    return { bids: totals(book.bids), asks: totals(book.asks) };
+}
+
+function balanceOf(state, token, user) {
+    return state.balances.get(`${token}:${user}`) || 0n;
+}
+
+function credit(state, token, user, amount) {
+    state.users.add(user);
+    state.tokens.add(token);
+    state.balances.set(`${token}:${user}`, balanceOf(state, token, user) + amount);
+}
+
+function issue(state, log, check, message) {
+    state.issues.push({
+        severity: "error",
+        check,
+        message,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+    });
+}
+
+function debit(state, log, token, user, amount) {
+    const balance = balanceOf(state, token, user);
+    if (balance < amount) {
+        issue(state, log, "replay", `Balance of ${user} in ${token} goes negative (${balance} - ${amount})`);
+    }
+    credit(state, token, user, -amount);
+}
+
+// Credits one side of a trade with what it received less its fee, and the fee to the fee recipient.
+function creditLessFee(state, log, token, user, amount, fee) {
+    credit(state, token, user, amount - fee);
+    if (fee === 0n) return;
+    if (state.feeRecipient === null) {
+        issue(state, log, "replay", `Trade charged a fee of ${fee} before any FeeRecipientUpdated`);
+        return;
+    }
+    credit(state, token, state.feeRecipient, fee);
+}
+
+function knownOrder(state, log, orderId) {
+    const order = state.orders.get(orderId.toString());
+    if (!order) issue(state, log, "replay", `Event references unknown order ${orderId}`);
+    return order;
+}
+
+// PharosSpotMarket: one base per contract, sequential order ids, every reserve is in the events.
+function createSpotReplay(source) {
+    const state = createReplayState();
+    const base = source.markets[0].baseToken;
+    const quote = source.quoteToken;
+    bookOf(state, base);
+
+    let txHash = null;
+    let marketOrders = [];
+
+    function endTx() {
+        // placeMarketOrder returns what is left of the reserve before the transaction ends.
+        for (const order of marketOrders) {
+            if (order.locked > 0n) credit(state, order.side === "buy" ? quote : base, order.owner, order.locked);
+            order.locked = 0n;
+            order.active = false;
+        }
+        marketOrders = [];
+    }
+
+    const handlers = {
+        FeeRecipientUpdated({ args }) {
+            state.feeRecipient = args.feeRecipient;
+        },
+
+        Deposit({ args }) {
+            credit(state, args.token, args.user, args.amount);
+        },
+
+        Withdraw({ args }, log) {
+            debit(state, log, args.token, args.user, args.amount);
+        },
+
+        OrderPlaced({ args }, log) {
+            const order = {
+                id: args.orderId.toString(),
+                owner: args.user,
+                base,
+                side: sideName(args.side),
+                isMarket: args.isMarket,
+                price: args.priceE18,
+                amount: args.amountBase,
+                remaining: args.amountBase,
+                locked: args.reserved,
+                active: true,
+            };
+            debit(state, log, order.side === "buy" ? quote : base, order.owner, order.locked);
+            state.orders.set(order.id, order);
+            if (order.isMarket) marketOrders.push(order);
+            else addToBook(state, order);
+        },
+
+        Trade({ args }, log) {
+            const maker = knownOrder(state, log, args.makerOrderId);
+            const taker = knownOrder(state, log, args.takerOrderId);
+            if (!maker || !taker) return;
+
+            const fill = args.amountBase;
+            const quoteAmount = args.amountQuote;
+            if (maker.price !== args.priceE18 || maker.side !== sideName(args.makerSide)) {
+                issue(state, log, "replay", `Trade against order ${maker.id} does not match its price or side`);
+            }
+            const expected = (fill * args.priceE18) / 10n ** 18n;
+            if (quoteAmount !== expected) {
+                issue(state, log, "replay", `Trade quote ${quoteAmount} != floor(base * price) ${expected}`);
+            }
+
+            // A limit buy releases its reserve at its own (ceiled) limit price and gets the difference back.
+            const releaseBuy = (order) => {
+                if (order.isMarket) {
+                    order.locked -= quoteAmount;
+                    return;
+                }
+                const released = (fill * order.price + 10n ** 18n - 1n) / 10n ** 18n;
+                if (order.locked < released) {
+                    issue(state, log, "replay", `Order ${order.id} reserve ${order.locked} < released ${released}`);
+                }
+                order.locked -= released;
+                credit(state, quote, order.owner, released - quoteAmount);
+            };
+
+            if (maker.side === "sell") {
+                releaseBuy(taker);
+                maker.locked -= fill;
+                creditLessFee(state, log, base, taker.owner, fill, args.takerFee);
+                creditLessFee(state, log, quote, maker.owner, quoteAmount, args.makerFee);
+            } else {
+                taker.locked -= fill;
+                releaseBuy(maker);
+                creditLessFee(state, log, base, maker.owner, fill, args.makerFee);
+                creditLessFee(state, log, quote, taker.owner, quoteAmount, args.takerFee);
+            }
+
+            for (const order of [maker, taker]) {
+                order.remaining -= fill;
+                if (order.remaining < 0n) issue(state, log, "replay", `Order ${order.id} is overfilled`);
+                if (order.remaining <= 0n && !order.isMarket) {
+                    order.active = false;
+                    removeFromBook(state, order);
+                }
+            }
+        },
+
+        OrderCanceled({ args }, log) {
+            const order = knownOrder(state, log, args.orderId);
+            if (!order) return;
+            if (args.refundAmount !== order.locked) {
+                issue(
+                    state,
+                    log,
+                    "replay",
+                    `Cancel of order ${order.id} refunded ${args.refundAmount}, reserve was ${order.locked}`,
+                );
+            }
+            credit(state, order.side === "buy" ? quote : base, order.owner, args.refundAmount);
+            order.locked = 0n;
+            order.remaining = 0n;
+            order.active = false;
+            removeFromBook(state, order);
+        },
+    };
+
+    return {
+        kind: "spot",
+        state,
+        async apply(parsed, log) {
+            if (log.transactionHash !== txHash) {
+                endTx();
+                txHash = log.transactionHash;
+            }
+            state.logs += 1;
+            const handler = handlers[parsed.name];
+            if (handler) handler(parsed, log);
+        },
+        finish: endTx,
+        // Tokens the vault holds for an order: the reserve, whether or not the order is still active.
+        lockedBy: (order) => [order.side === "buy" ? quote : base, order.locked],
+    };
+}
+
+const LEVELS_ID_TYPES = ["uint256", "address", "address", "address", "uint64", "uint8", "uint256", "uint256"];
+
+// MultiBaseOrderBookDEXVaultLevels order ids hash the trader's per-base nonce together with the base
+// token, which LimitOrderPlaced does not carry. Re-deriving the id for every supported base recovers it.
+function createLevelsReplay(source, { chainId, blockTimestamp }) {
+    const state = createReplayState();
+    const quote = source.quoteToken;
+    const baseDecimals = new Map(source.markets.map((m) => [m.baseToken, m.baseDecimals]));
+    const nonces = new Map(); // `${trader}:${base}` -> next nonce
+
+    let txHash = null;
+    let matching = false;
+
+    const quoteOf = (order, amount, price) =>
+        quoteForBase(amount, price, baseDecimals.get(order.base), source.quoteDecimals);
+
+    async function attributeBase(args, log) {
+        for (const base of baseDecimals.keys()) {
+            const nonce = nonces.get(`${args.trader}:${base}`) || 0n;
+            let id = BigInt(
+                ethers.solidityPackedKeccak256(LEVELS_ID_TYPES, [
+                    chainId,
+                    source.address,
+                    args.trader,
+                    base,
+                    nonce,
+                    args.side,
+                    args.price,
+                    args.amountBase,
+                ]),
+            );
+            if (state.orders.has(id.toString())) {
+                const timestamp = await blockTimestamp(log.blockNumber);
+                id = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256", "uint64"], [id, timestamp, nonce]));
+            }
+            if (id === args.orderId) {
+                nonces.set(`${args.trader}:${base}`, nonce + 1n);
+                return base;
+            }
+        }
+        return null;
+    }
+
+    function closeIfFilled(order) {
+        if (order.remaining > 0n) return;
+        if (order.side === "buy" && order.locked > 0n) {
+            // Unspent lock (price improvement / rounding) goes back to the trader.
+            credit(state, quote, order.owner, order.locked);
+            order.locked = 0n;
+        }
+        order.active = false;
+        removeFromBook(state, order);
+    }
+
+    function fillBid(bid, fill, quoteAmount, fee, log) {
+        if (bid.locked < quoteAmount) {
+            issue(state, log, "replay", `Bid ${bid.id} lock ${bid.locked} < trade quote ${quoteAmount}`);
+        }
+        bid.locked -= quoteAmount;
+        bid.remaining -= fill;
+        creditLessFee(state, log, bid.base, bid.owner, fill, fee);
+    }
+
+    const handlers = {
+        FeeRecipientUpdated({ args }) {
+            state.feeRecipient = args.feeRecipient;
+        },
+
+        BaseTokenSupported({ args }) {
+            baseDecimals.set(args.baseToken, Number(args.decimals));
+            bookOf(state, args.baseToken);
+        },
+
+        // Off the supported list, whose views now revert, with every order already cancelled. The decimals
+        // stay: a later supportBaseToken lists the base again.
+        BaseDelisted({ args }) {
+            state.books.delete(args.baseToken);
+        },
+
+        Deposited({ args }) {
+            credit(state, args.token, args.trader, args.amount);
+        },
+
+        Withdrawn({ args }, log) {
+            debit(state, log, args.token, args.trader, args.amount);
+        },
+
+        async LimitOrderPlaced({ args }, log) {
+            const base = await attributeBase(args, log);
+            if (!base) {
+                issue(state, log, "replay", `Order ${args.orderId} does not derive from any supported base`);
+                return;
+            }
+            const order = {
+                id: args.orderId.toString(),
+                owner: args.trader,
+                base,
+                side: sideName(args.side),
+                isMarket: false,
+                price: args.price,
+                amount: args.amountBase,
+                remaining: args.amountBase,
+                locked: 0n,
+                active: true,
+            };
+            if (order.side === "buy") {
+                order.locked = quoteOf(order, order.amount, order.price);
+                debit(state, log, quote, order.owner, order.locked);
+            } else {
+                debit(state, log, base, order.owner, order.amount);
+            }
+            state.orders.set(order.id, order);
+            addToBook(state, order);
+            matching = true;
+        },
+
+        Trade({ args }, log) {
+            const maker = knownOrder(state, log, args.makerOrderId);
+            if (!maker) return;
+            const fill = args.amountBase;
+            const quoteAmount = quoteOf(maker, fill, args.price);
+            if (maker.price !== args.price) {
+                issue(state, log, "replay", `Trade against order ${maker.id} is not at its price`);
+            }
+
+            if (matching) {
+                // _tryMatch: the maker is the best ask, the taker the head of the best bid level.
+                const bids = bookOf(state, maker.base).bids;
+                const best = bestPrice(bids, "buy");
+                const bid = best === null ? null : state.orders.get(bids.get(best)[0]);
+                if (!bid || bid.owner !== args.taker || maker.side !== "sell") {
+                    issue(
+                        state,
+                        log,
+                        "replay",
+                        `Cannot find the resting bid of ${args.taker} crossing ask ${maker.id}`,
+                    );
+                    return;
+                }
+                fillBid(bid, fill, quoteAmount, args.takerFee, log);
+                maker.remaining -= fill;
+                creditLessFee(state, log, quote, maker.owner, quoteAmount, args.makerFee);
+                closeIfFilled(bid);
+                closeIfFilled(maker);
+            } else if (sideName(args.takerSide) === "buy") {
+                // marketBuyFor: the taker pays from its free quote balance.
+                debit(state, log, quote, args.taker, quoteAmount);
+                creditLessFee(state, log, maker.base, args.taker, fill, args.takerFee);
+                maker.remaining -= fill;
+                creditLessFee(state, log, quote, maker.owner, quoteAmount, args.makerFee);
+                closeIfFilled(maker);
+            } else {
+                // marketSellFor: the maker bid pays from its lock.
+                debit(state, log, maker.base, args.taker, fill);
+                creditLessFee(state, log, quote, args.taker, quoteAmount, args.takerFee);
+                fillBid(maker, fill, quoteAmount, args.makerFee, log);
+                closeIfFilled(maker);
+            }
+        },
+
+        OrderCancelled({ args }, log) {
+            const order = knownOrder(state, log, args.orderId);
+            if (!order) return;
+            if (order.side === "buy") {
+                credit(state, quote, order.owner, order.locked);
+                order.locked = 0n;
+            } else {
+                credit(state, order.base, order.owner, order.remaining);
+            }
+            order.active = false;
+            removeFromBook(state, order);
+        },
+    };
+
+    return {
+        kind: "levels",
+        state,
+        baseDecimals,
+        async apply(parsed, log) {
+            if (log.transactionHash !== txHash) {
+                txHash = log.transactionHash;
+                matching = false;
+            }
+            state.logs += 1;
+            const handler = handlers[parsed.name];
+            if (handler) await handler(parsed, log);
+        },
+        finish() {},
+        // Tokens the vault holds for an order: the quote lock of a bid, the unfilled base of an active ask.
+        lockedBy: (order) =>
+            order.side === "buy" ? [quote, order.locked] : [order.base, order.active ? order.remaining : 0n],
+    };
+}
+
+function createBookReplay(source, options = {}) {
+    if (source.kind === "spot") return createSpotReplay(source);
+    if (source.kind === "levels") return createLevelsReplay(source, options);
+    throw new Error(`Cannot replay a ${source.kind} source`);
+}
+
+module.exports = {
+    createBookReplay,
+    levelTotals,
+    bestPrice,
+    balanceOf,
+};
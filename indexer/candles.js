@@ -0,0 +1,119 @@
+const { ethers } = require("ethers");
+
+const { MarketDataError, marketId, formatMarketPrice } = require("./market-data");
+
+// OHLCV bars aggregated on demand from indexed fills, so they follow backfills and reorg rollbacks
+// of the fills table. Bars are aligned to UTC interval boundaries (block timestamps).
+
+const INTERVALS = Object.freeze({ "1m": 60, "5m": 300, "1h": 3600, "1d": 86400 });
+
+function parseInterval(interval) {
+    const seconds = INTERVALS[interval];
+    if (!seconds) {
+        throw new MarketDataError(400, `Invalid interval ${interval} (expected ${Object.keys(INTERVALS).join(", ")})`);
+    }
+    return seconds;
+}
+
+// fills: [{ timestamp, price, amount_base, amount_quote }] in chain order. Prices stay raw (bigint),
+// so bars of both contracts compare correctly before formatting.
+function aggregateCandles(fills, intervalSeconds) {
+    const candles = [];
+    let bar = null;
+    for (const f of fills) {
+        const time = Math.floor(f.timestamp / intervalSeconds) * intervalSeconds;
+        const price = BigInt(f.price);
+        if (!bar || bar.time !== time) {
+            bar = {
+                time,
+                open: price,
+                high: price,
+                low: price,
+                close: price,
+                volumeBase: 0n,
+                volumeQuote: 0n,
+                trades: 0,
+            };
+            candles.push(bar);
+        }
+        if (price > bar.high) bar.high = price;
+        if (price < bar.low) bar.low = price;
+        bar.close = price;
+        bar.volumeBase += BigInt(f.amount_base);
+        bar.volumeQuote += BigInt(f.amount_quote);
+        bar.trades += 1;
+    }
+    return candles;
+}
+
+// Inserts flat zero-volume bars (at the previous close) for intervals without trades.
+function fillCandleGaps(candles, intervalSeconds) {
+    const out = [];
+    for (const c of candles) {
+        const prev = out[out.length - 1];
+        if (prev) {
+            for (let t = prev.time + intervalSeconds; t < c.time; t += intervalSeconds) {
+                const p = prev.close;
+                out.push({ time: t, open: p, high: p, low: p, close: p, volumeBase: 0n, volumeQuote: 0n, trades: 0 });
+            }
+        }
+        out.push(c);
+    }
+    return out;
+}
+
+function formatCandle(market, c) {
+    return {
+        time: c.time,
+        open: formatMarketPrice(market, c.open),
+        high: formatMarketPrice(market, c.high),
+        low: formatMarketPrice(market, c.low),
+        close: formatMarketPrice(market, c.close),
+        volumeBase: ethers.formatUnits(c.volumeBase, market.base_decimals),
+        volumeQuote: ethers.formatUnits(c.volumeQuote, market.quote_decimals),
+        trades: c.trades,
+    };
+}
+
+const CSV_COLUMNS = ["time", "open", "high", "low", "close", "volumeBase", "volumeQuote", "trades"];
+
+function candlesToCsv(candles) {
+    const lines = [["datetime", ...CSV_COLUMNS].join(",")];
+    for (const c of candles) {
+        lines.push([new Date(c.time * 1000).toISOString(), ...CSV_COLUMNS.map((k) => c[k])].join(","));
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+function createCandles(db) {
+    const fillsBetween = db.prepare(
+        `SELECT timestamp, price, amount_base, amount_quote FROM fills
+         WHERE contract = ? AND base_token = ? AND timestamp >= ? AND timestamp < ?
+         ORDER BY block_number, log_index`,
+    );
+
+    // Formatted bars for `market` (a markets row) with from <= time < to (unix seconds).
+    function candles(market, { interval = "1m", from = 0, to = Number.MAX_SAFE_INTEGER, fillGaps = false } = {}) {
+        const seconds = parseInterval(interval);
+        const start = Math.floor(from / seconds) * seconds;
+        let bars = aggregateCandles(fillsBetween.all(market.contract, market.base_token, start, to), seconds);
+        if (fillGaps) bars = fillCandleGaps(bars, seconds);
+        return {
+            market: marketId(market.contract, market.base_token),
+            interval,
+            candles: bars.map((c) => formatCandle(market, c)),
+        };
+    }
+
+    return { candles };
+}
+
+module.exports = {
+    INTERVALS,
+    parseInterval,
+    aggregateCandles,
+    fillCandleGaps,
+    formatCandle,
+    candlesToCsv,
+    createCandles,
+};
@@ -0,0 +1,225 @@
+const { ethers } = require("ethers");
+
+const { DEFAULT_BATCH_SIZE } = require("./indexer");
+const { createBookReplay, levelTotals, bestPrice, balanceOf } = require("./book-replay");
+
+// Order book consistency checker: replays a contract's full event log (book-replay.js) and compares
+// the result at one block with what the contract itself reports — price levels and best prices,
+// every order's storage, every user's vault balances — and checks that each level's aggregate equals
+// the sum of its orders and that the vault holds at least what it owes.
+//
+// Findings are { severity: "error" | "warning", check, message }. Checks:
+//   replay      an event could not be applied (unknown order, negative balance, inconsistent amounts)
+//   depth       a price level differs between the replay and getDepth / getOrderBookDepthFor
+//   best-price  bestBidPrice / bestAskPrice differ from the replay or from the first depth level
+//   crossed     best bid >= best ask: matching has stopped (e.g. an order posted with maxMatches 0)
+//   level-sum   a level's aggregate differs from the sum of its orders' remaining base on-chain
+//   order       an order's remaining size, lock or status differs from the replay
+//   balance     a user's vault balance differs from the replay
+//   solvency    token.balanceOf(vault) is below (error) or above (warning) balances plus locks
+//   stranded    tokens stay reserved by orders that are no longer active (warning)
+
+const ERC20_BALANCE_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+async function replayOrderBook({ provider, source, toBlock, batchSize = DEFAULT_BATCH_SIZE }) {
+    const { chainId } = await provider.getNetwork();
+    const replay = createBookReplay(source, {
+        chainId,
+        blockTimestamp: async (number) => (await provider.getBlock(number)).timestamp,
+    });
+
+    for (let from = source.startBlock || 0; from <= toBlock; from += batchSize) {
+        const to = Math.min(toBlock, from + batchSize - 1);
+        const logs = await provider.getLogs({ address: source.address, fromBlock: from, toBlock: to });
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        for (const l of logs) {
+            const parsed = source.contract.interface.parseLog(l);
+            if (parsed) await replay.apply(parsed, l);
+        }
+    }
+    replay.finish();
+    return replay;
+}
+
+function levelsFromDepth(prices, sizes) {
+    const levels = [];
+    for (let i = 0; i < prices.length; i++) {
+        if (prices[i] !== 0n) levels.push([prices[i], sizes[i]]);
+    }
+    return levels;
+}
+
+async function readChainOrder(source, id, blockTag) {
+    const o = await source.contract.orders(id, { blockTag });
+    if (source.kind === "spot") {
+        return { owner: o.owner, remaining: o.amountBaseRemaining, locked: o.reserved, active: o.active };
+    }
+    return {
+        owner: o.trader,
+        base: o.baseToken,
+        remaining: o.amountBase - o.filledBase,
+        locked: o.lockedQuote,
+        active: o.active,
+    };
+}
+
+async function readChainBalance(source, token, user, blockTag) {
+    if (source.kind === "spot") return source.contract.balances(token, user, { blockTag });
+    if (token === source.quoteToken) return source.contract.quoteBalance(user, { blockTag });
+    return source.contract.baseBalance(user, token, { blockTag });
+}
+
+async function checkOrderBook({ provider, source, blockTag, batchSize }) {
+    const block = blockTag ?? (await provider.getBlockNumber());
+    const replay = await replayOrderBook({ provider, source, toBlock: block, batchSize });
+    const { state } = replay;
+    const issues = [...state.issues];
+    const report = (severity, check, message) => issues.push({ severity, check, message });
+    const call = (fn, ...args) => source.contract[fn](...args, { blockTag: block });
+
+    // Per-order storage first: the level sums below are built from it.
+    const chainRemaining = new Map();
+    for (const order of state.orders.values()) {
+        const chain = await readChainOrder(source, order.id, block);
+        chainRemaining.set(order.id, chain.remaining);
+        const diffs = [];
+        if (chain.owner !== order.owner) diffs.push(`owner ${order.owner} != ${chain.owner}`);
+        if (chain.base !== undefined && chain.base !== order.base) diffs.push(`base ${order.base} != ${chain.base}`);
+        if (chain.remaining !== order.remaining) diffs.push(`remaining ${order.remaining} != ${chain.remaining}`);
+        if (chain.locked !== order.locked) diffs.push(`locked ${order.locked} != ${chain.locked}`);
+        if (chain.active !== order.active) diffs.push(`active ${order.active} != ${chain.active}`);
+        if (diffs.length) report("error", "order", `Order ${order.id} (replay != chain): ${diffs.join(", ")}`);
+    }
+
+    const markets = [];
+    for (const base of state.books.keys()) {
+        const replayed = levelTotals(state, base);
+        const topN = Math.max(replayed.bids.size, replayed.asks.size) + 1;
+        const [bidPrices, bidSizes, askPrices, askSizes] =
+            source.kind === "spot" ? await call("getDepth", topN) : await call("getOrderBookDepthFor", base, topN);
+        const [bestBid, bestAsk] =
+            source.kind === "spot"
+                ? await Promise.all([call("bestBidPrice"), call("bestAskPrice")])
+                : await Promise.all([call("bestBidPrice", base), call("bestAskPrice", base)]);
+        const chain = {
+            bids: levelsFromDepth(bidPrices, bidSizes),
+            asks: levelsFromDepth(askPrices, askSizes),
+        };
+        const book = state.books.get(base);
+
+        for (const [side, best] of [
+            ["bids", bestBid],
+            ["asks", bestAsk],
+        ]) {
+            const label = `${base} ${side}`;
+            const chainLevels = new Map(chain[side]);
+            for (let i = 1; i < chain[side].length; i++) {
+                const [prev, price] = [chain[side][i - 1][0], chain[side][i][0]];
+                if (side === "bids" ? price >= prev : price <= prev) {
+                    report("error", "depth", `${label}: level ${price} is out of order after ${prev}`);
+                }
+            }
+            for (const [price, total] of replayed[side]) {
+                if (!chainLevels.has(price)) {
+                    report("error", "depth", `${label}: level ${price} (${total} base) is missing on-chain`);
+                } else if (chainLevels.get(price) !== total) {
+                    report(
+                        "error",
+                        "depth",
+                        `${label}: level ${price} is ${chainLevels.get(price)} on-chain, replay ${total}`,
+                    );
+                }
+            }
+            for (const [price, total] of chainLevels) {
+                if (!replayed[side].has(price)) {
+                    report("error", "depth", `${label}: unexpected on-chain level ${price} (${total} base)`);
+                    continue;
+                }
+                const sum = book[side].get(price).reduce((acc, id) => acc + chainRemaining.get(id), 0n);
+                if (sum !== total) {
+                    report(
+                        "error",
+                        "level-sum",
+                        `${label}: level ${price} aggregate ${total} != sum of its orders ${sum}`,
+                    );
+                }
+            }
+
+            const expected = bestPrice(replayed[side], side === "bids" ? "buy" : "sell") ?? 0n;
+            if (best !== expected) {
+                report("error", "best-price", `${label}: best price ${best} on-chain, replay ${expected}`);
+            }
+            const first = chain[side].length ? chain[side][0][0] : 0n;
+            if (best !== first) {
+                report("error", "best-price", `${label}: best price ${best} but first depth level ${first}`);
+            }
+        }
+        if (bestBid !== 0n && bestAsk !== 0n && bestBid >= bestAsk) {
+            report(
+                "warning",
+                "crossed",
+                `${base}: best bid ${bestBid} >= best ask ${bestAsk}; the book is crossed and stuck`,
+            );
+        }
+
+        markets.push({ baseToken: base, bids: chain.bids.length, asks: chain.asks.length, bestBid, bestAsk });
+    }
+
+    const tokens = new Set([source.quoteToken, ...state.books.keys(), ...state.tokens]);
+    for (const user of state.users) {
+        for (const token of tokens) {
+            const chain = await readChainBalance(source, token, user, block);
+            const replayed = balanceOf(state, token, user);
+            if (chain !== replayed) {
+                report("error", "balance", `${user} ${token}: ${chain} on-chain, replay ${replayed}`);
+            }
+        }
+    }
+
+    for (const token of tokens) {
+        let owed = 0n;
+        for (const user of state.users) owed += balanceOf(state, token, user);
+        let stranded = 0n;
+        let strandedOrders = 0;
+        for (const order of state.orders.values()) {
+            const [lockedToken, amount] = replay.lockedBy(order);
+            if (lockedToken !== token || amount === 0n) continue;
+            owed += amount;
+            if (!order.active) {
+                stranded += amount;
+                strandedOrders += 1;
+            }
+        }
+
+        const held = await new ethers.Contract(token, ERC20_BALANCE_ABI, provider).balanceOf(source.address, {
+            blockTag: block,
+        });
+        if (held < owed) {
+            report("error", "solvency", `${token}: vault holds ${held}, owes ${owed} (short ${owed - held})`);
+        } else if (held > owed) {
+            report("warning", "solvency", `${token}: vault holds ${held}, owes ${owed} (surplus ${held - owed})`);
+        }
+        if (stranded > 0n) {
+            report("warning", "stranded", `${token}: ${stranded} stays reserved by ${strandedOrders} closed orders`);
+        }
+    }
+
+    return {
+        key: source.key,
+        kind: source.kind,
+        address: source.address,
+        block,
+        logs: state.logs,
+        orders: state.orders.size,
+        openOrders: [...state.orders.values()].filter((o) => o.active && !o.isMarket).length,
+        users: state.users.size,
+        markets,
+        issues,
+        ok: !issues.some((i) => i.severity === "error"),
+    };
+}
+
+module.exports = {
+    replayOrderBook,
+    checkOrderBook,
+};
@@ -0,0 +1,328 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// SQLite persistence for the indexer. Token amounts, prices and order ids are stored as decimal
+// strings (uint256 does not fit SQLite integers). Orders and balances keep one version per block
+// so a reorg can restore the state as of any indexed block.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+-- Hashes of indexed blocks, used to detect reorgs.
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+
+-- One row per (contract, base token): PharosSpotMarket has one, MultiBaseOrderBookDEXVaultLevels one per base.
+CREATE TABLE IF NOT EXISTS markets (
+    contract TEXT NOT NULL,
+    base_token TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    quote_token TEXT NOT NULL,
+    base_decimals INTEGER NOT NULL,
+    quote_decimals INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (contract, base_token)
+);
+
+-- Status changes of a market (trading / delisting / delisted), kept per block so a reorg can undo them.
+CREATE TABLE IF NOT EXISTS market_status_versions (
+    contract TEXT NOT NULL,
+    base_token TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    PRIMARY KEY (contract, base_token, block_number)
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+    contract TEXT NOT NULL,
+    order_id TEXT NOT NULL,
+    base_token TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    side TEXT NOT NULL,
+    is_market INTEGER NOT NULL,
+    price TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    remaining TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL,
+    PRIMARY KEY (contract, order_id)
+);
+CREATE INDEX IF NOT EXISTS orders_by_owner ON orders (owner, status);
+CREATE INDEX IF NOT EXISTS orders_by_market ON orders (contract, base_token, status);
+
+CREATE TABLE IF NOT EXISTS order_versions (
+    contract TEXT NOT NULL,
+    order_id TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (contract, order_id, block_number)
+);
+
+CREATE TABLE IF NOT EXISTS fills (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    base_token TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    maker_order_id TEXT NOT NULL,
+    taker_order_id TEXT,
+    maker TEXT NOT NULL,
+    taker TEXT NOT NULL,
+    taker_side TEXT NOT NULL,
+    price TEXT NOT NULL,
+    amount_base TEXT NOT NULL,
+    amount_quote TEXT NOT NULL,
+    -- Charged to each side in the asset it receives (base for the buyer, quote for the seller).
+    maker_fee TEXT NOT NULL DEFAULT '0',
+    taker_fee TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS fills_by_market ON fills (contract, base_token, timestamp);
+
+-- Vault balances (available, not locked in orders), read from the contract at the end of each block.
+CREATE TABLE IF NOT EXISTS balances (
+    contract TEXT NOT NULL,
+    token TEXT NOT NULL,
+    user TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    updated_block INTEGER NOT NULL,
+    PRIMARY KEY (contract, token, user)
+);
+
+CREATE TABLE IF NOT EXISTS balance_versions (
+    contract TEXT NOT NULL,
+    token TEXT NOT NULL,
+    user TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (contract, token, user, block_number)
+);
+`;
+
+// Columns added after the first schema, created on databases that predate them.
+const ADDED_COLUMNS = [
+    ["fills", "maker_fee", "TEXT NOT NULL DEFAULT '0'"],
+    ["fills", "taker_fee", "TEXT NOT NULL DEFAULT '0'"],
+    ["markets", "status", "TEXT NOT NULL DEFAULT 'trading'"],
+];
+
+// Opens (and creates if needed) an indexer database. Pass ":memory:" for a throwaway one.
+function openIndexerDb(file) {
+    if (file !== ":memory:") fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    for (const [table, column, type] of ADDED_COLUMNS) {
+        if (!db.pragma(`table_info(${table})`).some((c) => c.name === column)) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+    }
+    return db;
+}
+
+const ORDER_COLUMNS = [
+    "contract",
+    "order_id",
+    "base_token",
+    "owner",
+    "side",
+    "is_market",
+    "price",
+    "amount",
+    "remaining",
+    "status",
+    "created_block",
+    "updated_block",
+];
+
+function createStore(db) {
+    const stmt = {
+        getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+        setMeta: db.prepare(
+            "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value",
+        ),
+        putBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+        latestBlock: db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1"),
+        blocksAtOrBelow: db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC"),
+        putEvent: db.prepare(
+            "INSERT OR REPLACE INTO events (block_number, log_index, contract, tx_hash, name, args) VALUES (?, ?, ?, ?, ?, ?)",
+        ),
+        putMarket: db.prepare(
+            `INSERT INTO markets (contract, base_token, kind, quote_token, base_decimals, quote_decimals, block_number)
+             VALUES (@contract, @base_token, @kind, @quote_token, @base_decimals, @quote_decimals, @block_number)
+             ON CONFLICT(contract, base_token) DO NOTHING`,
+        ),
+        getMarket: db.prepare("SELECT * FROM markets WHERE contract = ? AND base_token = ?"),
+        setMarketStatus: db.prepare("UPDATE markets SET status = ? WHERE contract = ? AND base_token = ?"),
+        putMarketStatusVersion: db.prepare(
+            "INSERT OR REPLACE INTO market_status_versions (contract, base_token, block_number, status) VALUES (?, ?, ?, ?)",
+        ),
+        getOrder: db.prepare("SELECT * FROM orders WHERE contract = ? AND order_id = ?"),
+        openOrdersOf: db.prepare(
+            "SELECT * FROM orders WHERE contract = ? AND base_token = ? AND owner = ? AND status = 'open'",
+        ),
+        openOrdersOfMarket: db.prepare(
+            "SELECT * FROM orders WHERE contract = ? AND base_token = ? AND status = 'open'",
+        ),
+        putOrder: db.prepare(
+            `INSERT OR REPLACE INTO orders (${ORDER_COLUMNS.join(", ")})
+             VALUES (${ORDER_COLUMNS.map((c) => `@${c}`).join(", ")})`,
+        ),
+        putOrderVersion: db.prepare(
+            "INSERT OR REPLACE INTO order_versions (contract, order_id, block_number, data) VALUES (?, ?, ?, ?)",
+        ),
+        putFill: db.prepare(
+            `INSERT OR REPLACE INTO fills (block_number, log_index, contract, base_token, tx_hash, timestamp,
+                maker_order_id, taker_order_id, maker, taker, taker_side, price, amount_base, amount_quote,
+                maker_fee, taker_fee)
+             VALUES (@block_number, @log_index, @contract, @base_token, @tx_hash, @timestamp,
+                @maker_order_id, @taker_order_id, @maker, @taker, @taker_side, @price, @amount_base, @amount_quote,
+                @maker_fee, @taker_fee)`,
+        ),
+        putBalance: db.prepare(
+            "INSERT OR REPLACE INTO balances (contract, token, user, amount, updated_block) VALUES (?, ?, ?, ?, ?)",
+        ),
+        putBalanceVersion: db.prepare(
+            "INSERT OR REPLACE INTO balance_versions (contract, token, user, block_number, amount) VALUES (?, ?, ?, ?, ?)",
+        ),
+    };
+
+    const getCursor = () => {
+        const row = stmt.getMeta.get("last_block");
+        return row ? Number(row.value) : null;
+    };
+
+    // Writes everything derived from one block atomically, then advances the cursor to it.
+    const commitBlock = db.transaction(({ block, events, markets, marketStatuses = [], orders, fills, balances }) => {
+        stmt.putBlock.run(block.number, block.hash, block.timestamp);
+        for (const e of events) {
+            stmt.putEvent.run(e.block_number, e.log_index, e.contract, e.tx_hash, e.name, e.args);
+        }
+        for (const m of markets) stmt.putMarket.run(m);
+        for (const m of marketStatuses) {
+            stmt.setMarketStatus.run(m.status, m.contract, m.base_token);
+            stmt.putMarketStatusVersion.run(m.contract, m.base_token, block.number, m.status);
+        }
+        for (const o of orders) {
+            stmt.putOrder.run(o);
+            stmt.putOrderVersion.run(o.contract, o.order_id, block.number, JSON.stringify(o));
+        }
+        for (const f of fills) stmt.putFill.run(f);
+        for (const b of balances) {
+            stmt.putBalance.run(b.contract, b.token, b.user, b.amount, block.number);
+            stmt.putBalanceVersion.run(b.contract, b.token, b.user, block.number, b.amount);
+        }
+        stmt.setMeta.run("last_block", String(block.number));
+    });
+
+    const putMarkets = db.transaction((rows) => {
+        for (const m of rows) stmt.putMarket.run(m);
+    });
+
+    // Marks a block range without logs as indexed.
+    const commitEmptyRange = db.transaction((block) => {
+        stmt.putBlock.run(block.number, block.hash, block.timestamp);
+        stmt.setMeta.run("last_block", String(block.number));
+    });
+
+    // Drops everything above `blockNumber` and restores orders/balances to their state at that block.
+    const rollbackTo = db.transaction((blockNumber) => {
+        const orderKeys = db
+            .prepare("SELECT DISTINCT contract, order_id FROM order_versions WHERE block_number > ?")
+            .all(blockNumber);
+        const balanceKeys = db
+            .prepare("SELECT DISTINCT contract, token, user FROM balance_versions WHERE block_number > ?")
+            .all(blockNumber);
+        const marketKeys = db
+            .prepare("SELECT DISTINCT contract, base_token FROM market_status_versions WHERE block_number > ?")
+            .all(blockNumber);
+
+        const tables = [
+            "blocks",
+            "events",
+            "fills",
+            "markets",
+            "order_versions",
+            "balance_versions",
+            "market_status_versions",
+        ];
+        for (const table of tables) {
+            const column = table === "blocks" ? "number" : "block_number";
+            db.prepare(`DELETE FROM ${table} WHERE ${column} > ?`).run(blockNumber);
+        }
+
+        const lastOrder = db.prepare(
+            "SELECT data FROM order_versions WHERE contract = ? AND order_id = ? ORDER BY block_number DESC LIMIT 1",
+        );
+        for (const { contract, order_id: orderId } of orderKeys) {
+            const row = lastOrder.get(contract, orderId);
+            if (row) stmt.putOrder.run(JSON.parse(row.data));
+            else db.prepare("DELETE FROM orders WHERE contract = ? AND order_id = ?").run(contract, orderId);
+        }
+
+        const lastBalance = db.prepare(
+            `SELECT amount, block_number FROM balance_versions WHERE contract = ? AND token = ? AND user = ?
+             ORDER BY block_number DESC LIMIT 1`,
+        );
+        for (const { contract, token, user } of balanceKeys) {
+            const row = lastBalance.get(contract, token, user);
+            if (row) stmt.putBalance.run(contract, token, user, row.amount, row.block_number);
+            else
+                db.prepare("DELETE FROM balances WHERE contract = ? AND token = ? AND user = ?").run(
+                    contract,
+                    token,
+                    user,
+                );
+        }
+
+        const lastMarketStatus = db.prepare(
+            `SELECT status FROM market_status_versions WHERE contract = ? AND base_token = ?
+             ORDER BY block_number DESC LIMIT 1`,
+        );
+        for (const { contract, base_token: baseToken } of marketKeys) {
+            const row = lastMarketStatus.get(contract, baseToken);
+            stmt.setMarketStatus.run(row ? row.status : "trading", contract, baseToken);
+        }
+
+        stmt.setMeta.run("last_block", String(blockNumber));
+    });
+
+    return {
+        db,
+        getCursor,
+        latestBlock: () => stmt.latestBlock.get() || null,
+        blocksAtOrBelow: (n) => stmt.blocksAtOrBelow.all(n),
+        getMarket: (contract, base) => stmt.getMarket.get(contract, base) || null,
+        putMarkets,
+        getOrder: (contract, orderId) => stmt.getOrder.get(contract, orderId) || null,
+        openOrdersOf: (contract, base, owner) => stmt.openOrdersOf.all(contract, base, owner),
+        openOrdersOfMarket: (contract, base) => stmt.openOrdersOfMarket.all(contract, base),
+        commitBlock,
+        commitEmptyRange,
+        rollbackTo,
+    };
+}
+
+module.exports = {
+    openIndexerDb,
+    createStore,
+};
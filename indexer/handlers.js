@@ -0,0 +1,347 @@
+const { quoteForBase } = require("../scripts/lib/orderbook-bootstrap");
+
+// Per-contract event handlers. They run against a BlockContext that collects what one block changes;
+// the indexer then reads the touched balances (and, for the levels DEX, orders) at that block and
+// commits it all at once.
+//
+// PharosSpotMarket events carry everything needed to follow an order. MultiBaseOrderBookDEXVaultLevels
+// events do not (LimitOrderPlaced has no base token and Trade has no taker order id), so its orders
+// are re-read from the contract at the end of the block instead of being derived from events.
+
+const SIDES = ["buy", "sell"];
+
+function sideName(value) {
+    return SIDES[Number(value)];
+}
+
+class BlockContext {
+    constructor({ store, block }) {
+        this.store = store;
+        this.block = block;
+        this.events = [];
+        this.markets = [];
+        this.marketStatuses = new Map(); // `${contract}:${base}` -> { contract, base_token, status }
+        this.fills = [];
+        this.orders = new Map(); // `${contract}:${orderId}` -> order row (spot)
+        this.refresh = new Map(); // `${contract}:${orderId}` -> { source, orderId } (levels)
+        this.takers = new Map(); // `${contract}:${base}:${user}` -> { source, base, user } (levels)
+        this.balances = new Map(); // `${contract}:${token}:${user}` -> { source, token, user }
+        this.feeRecipients = new Map(); // contract -> fee recipient at this point of the block
+    }
+
+    order(contract, orderId) {
+        const key = `${contract}:${orderId}`;
+        if (!this.orders.has(key)) {
+            const row = this.store.getOrder(contract, orderId);
+            if (!row) return null;
+            this.orders.set(key, { ...row });
+        }
+        return this.orders.get(key);
+    }
+
+    putOrder(row) {
+        this.orders.set(`${row.contract}:${row.order_id}`, row);
+    }
+
+    refreshOrder(source, orderId) {
+        this.refresh.set(`${source.address}:${orderId}`, { source, orderId });
+    }
+
+    refreshOpenOrdersOf(source, base, user) {
+        this.takers.set(`${source.address}:${base}:${user}`, { source, base, user });
+    }
+
+    touchBalance(source, token, user) {
+        this.balances.set(`${source.address}:${token}:${user}`, { source, token, user });
+    }
+
+    addMarket(source, baseToken, baseDecimals) {
+        this.markets.push({
+            contract: source.address,
+            base_token: baseToken,
+            kind: source.kind,
+            quote_token: source.quoteToken,
+            base_decimals: baseDecimals,
+            quote_decimals: source.quoteDecimals,
+            block_number: this.block.number,
+        });
+    }
+
+    setMarketStatus(source, baseToken, status) {
+        this.marketStatuses.set(`${source.address}:${baseToken}`, {
+            contract: source.address,
+            base_token: baseToken,
+            status,
+        });
+    }
+
+    addFill(log, fill) {
+        this.fills.push({
+            block_number: log.blockNumber,
+            log_index: log.index,
+            tx_hash: log.transactionHash,
+            timestamp: this.block.timestamp,
+            ...fill,
+        });
+    }
+}
+
+// The fee recipient in force at this point of the block: the last FeeRecipientUpdated seen in it, else the
+// recipient at the end of the previous block (or of this one when the contract was deployed in it).
+async function feeRecipient(ctx, source) {
+    if (!ctx.feeRecipients.has(source.address)) {
+        let recipient;
+        try {
+            recipient = await source.contract.feeRecipient({ blockTag: ctx.block.number - 1 });
+        } catch {
+            recipient = await source.contract.feeRecipient({ blockTag: ctx.block.number });
+        }
+        ctx.feeRecipients.set(source.address, recipient);
+    }
+    return ctx.feeRecipients.get(source.address);
+}
+
+// Fees are credited to the fee recipient's vault balance, in the asset each side receives.
+async function touchFeeRecipient(ctx, source, base, { takerSide, makerFee, takerFee }) {
+    if (makerFee === 0n && takerFee === 0n) return;
+    const recipient = await feeRecipient(ctx, source);
+    const [takerAsset, makerAsset] = takerSide === "buy" ? [base, source.quoteToken] : [source.quoteToken, base];
+    if (takerFee > 0n) ctx.touchBalance(source, takerAsset, recipient);
+    if (makerFee > 0n) ctx.touchBalance(source, makerAsset, recipient);
+}
+
+function orderStatus({ isMarket, active, remaining }) {
+    if (active) return "open";
+    if (remaining === 0n) return "filled";
+    return isMarket ? "closed" : "canceled";
+}
+
+const spot = {
+    OrderPlaced(ctx, source, { args }) {
+        const base = source.markets[0].baseToken;
+        ctx.putOrder({
+            contract: source.address,
+            order_id: args.orderId.toString(),
+            base_token: base,
+            owner: args.user,
+            side: sideName(args.side),
+            is_market: args.isMarket ? 1 : 0,
+            price: args.priceE18.toString(),
+            amount: args.amountBase.toString(),
+            remaining: args.amountBase.toString(),
+            // Market orders never rest; they are closed when their transaction ends.
+            status: args.isMarket ? orderStatus({ isMarket: true, active: false, remaining: args.amountBase }) : "open",
+            created_block: ctx.block.number,
+            updated_block: ctx.block.number,
+        });
+        ctx.touchBalance(source, base, args.user);
+        ctx.touchBalance(source, source.quoteToken, args.user);
+    },
+
+    async Trade(ctx, source, { args }, log) {
+        const base = source.markets[0].baseToken;
+        const takerSide = sideName(1 - Number(args.makerSide));
+        for (const id of [args.makerOrderId, args.takerOrderId]) {
+            const order = ctx.order(source.address, id.toString());
+            if (!order) continue; // placed before the indexer's start block
+            const remaining = BigInt(order.remaining) - args.amountBase;
+            order.remaining = remaining.toString();
+            order.status = orderStatus({
+                isMarket: Boolean(order.is_market),
+                active: order.status === "open" && remaining > 0n,
+                remaining,
+            });
+            order.updated_block = ctx.block.number;
+        }
+
+        ctx.addFill(log, {
+            contract: source.address,
+            base_token: base,
+            maker_order_id: args.makerOrderId.toString(),
+            taker_order_id: args.takerOrderId.toString(),
+            maker: args.maker,
+            taker: args.taker,
+            taker_side: takerSide,
+            price: args.priceE18.toString(),
+            amount_base: args.amountBase.toString(),
+            amount_quote: args.amountQuote.toString(),
+            maker_fee: args.makerFee.toString(),
+            taker_fee: args.takerFee.toString(),
+        });
+        for (const user of [args.maker, args.taker]) {
+            ctx.touchBalance(source, base, user);
+            ctx.touchBalance(source, source.quoteToken, user);
+        }
+        await touchFeeRecipient(ctx, source, base, { takerSide, makerFee: args.makerFee, takerFee: args.takerFee });
+    },
+
+    FeeRecipientUpdated(ctx, source, { args }) {
+        ctx.feeRecipients.set(source.address, args.feeRecipient);
+    },
+
+    OrderCanceled(ctx, source, { args }) {
+        const order = ctx.order(source.address, args.orderId.toString());
+        if (order) {
+            order.status = "canceled";
+            order.updated_block = ctx.block.number;
+        }
+        ctx.touchBalance(source, source.markets[0].baseToken, args.user);
+        ctx.touchBalance(source, source.quoteToken, args.user);
+    },
+
+    Deposit(ctx, source, { args }) {
+        ctx.touchBalance(source, args.token, args.user);
+    },
+
+    Withdraw(ctx, source, { args }) {
+        ctx.touchBalance(source, args.token, args.user);
+    },
+};
+
+async function levelsOrderBase(ctx, source, orderId) {
+    const known = ctx.order(source.address, orderId.toString());
+    if (known) return known.base_token;
+    return (await source.contract.orders(orderId, { blockTag: ctx.block.number })).baseToken;
+}
+
+async function levelsBaseDecimals(ctx, source, base) {
+    const market = ctx.markets.find((m) => m.contract === source.address && m.base_token === base);
+    if (market) return market.base_decimals;
+    const stored = ctx.store.getMarket(source.address, base);
+    if (stored) return stored.base_decimals;
+    return Number(await source.contract.baseDecimals(base, { blockTag: ctx.block.number }));
+}
+
+const levels = {
+    BaseTokenSupported(ctx, source, { args }) {
+        ctx.addMarket(source, args.baseToken, Number(args.decimals));
+        // A delisted base can be listed again.
+        ctx.setMarketStatus(source, args.baseToken, "trading");
+    },
+
+    BaseDelistingStarted(ctx, source, { args }) {
+        ctx.setMarketStatus(source, args.baseToken, "delisting");
+    },
+
+    // cancelDelistedOrders emits OrderCancelled for the orders it cancels; re-reading whatever is still
+    // open here also closes orders the indexer missed, so a delisted market never shows a book.
+    BaseDelisted(ctx, source, { args }) {
+        ctx.setMarketStatus(source, args.baseToken, "delisted");
+        for (const row of ctx.store.openOrdersOfMarket(source.address, args.baseToken)) {
+            ctx.refreshOrder(source, row.order_id);
+        }
+    },
+
+    LimitOrderPlaced(ctx, source, { args }) {
+        ctx.refreshOrder(source, args.orderId);
+        ctx.touchBalance(source, source.quoteToken, args.trader);
+    },
+
+    async Trade(ctx, source, { args }, log) {
+        const base = await levelsOrderBase(ctx, source, args.makerOrderId);
+        const baseDecimals = await levelsBaseDecimals(ctx, source, base);
+
+        ctx.addFill(log, {
+            contract: source.address,
+            base_token: base,
+            maker_order_id: args.makerOrderId.toString(),
+            taker_order_id: null,
+            maker: args.maker,
+            taker: args.taker,
+            taker_side: sideName(args.takerSide),
+            price: args.price.toString(),
+            amount_base: args.amountBase.toString(),
+            amount_quote: quoteForBase(args.amountBase, args.price, baseDecimals, source.quoteDecimals).toString(),
+            maker_fee: args.makerFee.toString(),
+            taker_fee: args.takerFee.toString(),
+        });
+
+        ctx.refreshOrder(source, args.makerOrderId);
+        // When two resting orders cross, the bid is only identified by its trader.
+        ctx.refreshOpenOrdersOf(source, base, args.taker);
+        for (const user of [args.maker, args.taker]) {
+            ctx.touchBalance(source, base, user);
+            ctx.touchBalance(source, source.quoteToken, user);
+        }
+        await touchFeeRecipient(ctx, source, base, {
+            takerSide: sideName(args.takerSide),
+            makerFee: args.makerFee,
+            takerFee: args.takerFee,
+        });
+    },
+
+    FeeRecipientUpdated(ctx, source, { args }) {
+        ctx.feeRecipients.set(source.address, args.feeRecipient);
+    },
+
+    OrderCancelled(ctx, source, { args }) {
+        ctx.refreshOrder(source, args.orderId);
+        ctx.touchBalance(source, source.quoteToken, args.trader);
+    },
+
+    Deposited(ctx, source, { args }) {
+        ctx.touchBalance(source, args.token, args.trader);
+    },
+
+    Withdrawn(ctx, source, { args }) {
+        ctx.touchBalance(source, args.token, args.trader);
+    },
+};
+
+const HANDLERS = { spot, levels };
+
+// Re-reads the levels DEX orders touched in this block. Runs after the block's events so that orders
+// placed and matched in the same block are seen in their final state.
+async function refreshLevelsOrders(ctx) {
+    for (const { source, base, user } of ctx.takers.values()) {
+        for (const row of ctx.store.openOrdersOf(source.address, base, user)) {
+            ctx.refreshOrder(source, row.order_id);
+        }
+    }
+
+    for (const { source, orderId } of ctx.refresh.values()) {
+        const o = await source.contract.orders(orderId, { blockTag: ctx.block.number });
+        if (o.id === 0n) continue;
+
+        const existing = ctx.order(source.address, orderId.toString());
+        const remaining = o.amountBase - o.filledBase;
+        ctx.putOrder({
+            contract: source.address,
+            order_id: orderId.toString(),
+            base_token: o.baseToken,
+            owner: o.trader,
+            side: sideName(o.side),
+            is_market: 0,
+            price: o.price.toString(),
+            amount: o.amountBase.toString(),
+            remaining: remaining.toString(),
+            status: orderStatus({ isMarket: false, active: o.active && remaining > 0n, remaining }),
+            created_block: existing ? existing.created_block : ctx.block.number,
+            updated_block: ctx.block.number,
+        });
+        // The base balance of the placing trader is only known once the order is read.
+        ctx.touchBalance(source, o.baseToken, o.trader);
+    }
+}
+
+async function readBalance(source, token, user, blockTag) {
+    if (source.kind === "spot") return source.contract.balances(token, user, { blockTag });
+    if (token === source.quoteToken) return source.contract.quoteBalance(user, { blockTag });
+    return source.contract.baseBalance(user, token, { blockTag });
+}
+
+async function readTouchedBalances(ctx) {
+    const rows = [];
+    for (const { source, token, user } of ctx.balances.values()) {
+        const amount = await readBalance(source, token, user, ctx.block.number);
+        rows.push({ contract: source.address, token, user, amount: amount.toString() });
+    }
+    return rows;
+}
+
+module.exports = {
+    HANDLERS,
+    BlockContext,
+    refreshLevelsOrders,
+    readTouchedBalances,
+};
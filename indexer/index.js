@@ -0,0 +1,15 @@
+// Off-chain indexer for PharosSpotMarket and MultiBaseOrderBookDEXVaultLevels deployments.
+// It persists orders, fills and vault balances to SQLite; see scripts/index-pharos.js for the CLI
+// scripts/market-data-pharos.js for the REST/WebSocket service on top of it and
+// scripts/candles-pharos.js for OHLCV exports.
+
+module.exports = {
+    ...require("./db"),
+    ...require("./sources"),
+    ...require("./indexer"),
+    ...require("./market-data"),
+    ...require("./candles"),
+    ...require("./book-replay"),
+    ...require("./consistency"),
+    ...require("./api-server"),
+};
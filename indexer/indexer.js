@@ -0,0 +1,225 @@
+const { EventEmitter } = require("events");
+
+const { createStore } = require("./db");
+const { HANDLERS, BlockContext, refreshLevelsOrders, readTouchedBalances } = require("./handlers");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_POLL_MS = 4000;
+const DEFAULT_MAX_BACKOFF_MS = 60000;
+
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+// Event indexer for the order book contracts in `sources` (see sources.js).
+//
+// Logs are fetched in block ranges of `batchSize` up to the chain head. Each block with logs is
+// committed atomically together with the cursor, so an interrupted run resumes where it stopped.
+// Before every sync the hash of the last indexed block is compared with the chain; on a mismatch
+// the database is rolled back to the newest stored block at least `confirmations` deep that is still
+// canonical, and everything after it is indexed again.
+//
+// Emits "block" ({ block, orders, fills, markets }) after each committed block with logs and
+// "rollback" (block number) after a reorg rollback.
+function createIndexer({
+    provider,
+    db,
+    sources,
+    batchSize = DEFAULT_BATCH_SIZE,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    fromBlock,
+    log = () => {},
+}) {
+    if (!sources.length) throw new Error("Nothing to index: no sources given");
+
+    const store = createStore(db);
+    const byAddress = new Map(sources.map((s) => [s.address.toLowerCase(), s]));
+    const addresses = sources.map((s) => s.address);
+    const startBlock = fromBlock ?? Math.min(...sources.map((s) => s.startBlock || 0));
+
+    const events = new EventEmitter();
+    let controller = new AbortController();
+
+    function ensureMarkets() {
+        const rows = [];
+        for (const source of sources) {
+            for (const { baseToken, baseDecimals } of source.markets) {
+                if (store.getMarket(source.address, baseToken)) continue;
+                rows.push({
+                    contract: source.address,
+                    base_token: baseToken,
+                    kind: source.kind,
+                    quote_token: source.quoteToken,
+                    base_decimals: baseDecimals,
+                    quote_decimals: source.quoteDecimals,
+                    block_number: Math.max(startBlock, source.startBlock || 0),
+                });
+            }
+        }
+        if (rows.length) store.putMarkets(rows);
+    }
+
+    // Returns the block the database was rolled back to, or null when the indexed chain is canonical.
+    async function checkReorg() {
+        const last = store.latestBlock();
+        if (!last) return null;
+        const current = await provider.getBlock(last.number);
+        if (current && current.hash === last.hash) return null;
+
+        let target = startBlock - 1;
+        for (const stored of store.blocksAtOrBelow(last.number - confirmations)) {
+            const block = await provider.getBlock(stored.number);
+            if (block && block.hash === stored.hash) {
+                target = stored.number;
+                break;
+            }
+        }
+        log(`[REORG] block ${last.number} ${last.hash} is no longer canonical; rolling back to ${target}`);
+        store.rollbackTo(target);
+        events.emit("rollback", target);
+        return target;
+    }
+
+    async function processBlock(number, logs) {
+        const block = await provider.getBlock(number);
+        if (!block) throw new Error(`Block ${number} not found`);
+        for (const l of logs) {
+            if (l.blockHash !== block.hash) {
+                throw new Error(`Block ${number} changed while indexing (reorg in progress); retry the sync`);
+            }
+        }
+
+        const ctx = new BlockContext({
+            store,
+            block: { number, hash: block.hash, timestamp: Number(block.timestamp) },
+        });
+
+        for (const l of logs) {
+            const source = byAddress.get(l.address.toLowerCase());
+            const parsed = source.contract.interface.parseLog(l);
+            if (!parsed) continue;
+
+            ctx.events.push({
+                block_number: number,
+                log_index: l.index,
+                contract: source.address,
+                tx_hash: l.transactionHash,
+                name: parsed.name,
+                args: JSON.stringify(
+                    Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]])),
+                    (k, v) => (typeof v === "bigint" ? v.toString() : v),
+                ),
+            });
+
+            const handler = HANDLERS[source.kind][parsed.name];
+            if (handler) await handler(ctx, source, parsed, l);
+        }
+
+        await refreshLevelsOrders(ctx);
+        const balances = await readTouchedBalances(ctx);
+
+        const commit = {
+            block: ctx.block,
+            events: ctx.events,
+            markets: ctx.markets,
+            marketStatuses: [...ctx.marketStatuses.values()],
+            orders: [...ctx.orders.values()].filter((o) => o.updated_block === number),
+            fills: ctx.fills,
+            balances,
+        };
+        store.commitBlock(commit);
+        events.emit("block", commit);
+    }
+
+    async function processRange(from, to) {
+        const logs = await provider.getLogs({ address: addresses, fromBlock: from, toBlock: to });
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        const byBlock = new Map();
+        for (const l of logs) {
+            if (!byBlock.has(l.blockNumber)) byBlock.set(l.blockNumber, []);
+            byBlock.get(l.blockNumber).push(l);
+        }
+        for (const [number, blockLogs] of byBlock) {
+            await processBlock(number, blockLogs);
+        }
+
+        if (store.getCursor() !== to) {
+            const block = await provider.getBlock(to);
+            store.commitEmptyRange({ number: to, hash: block.hash, timestamp: Number(block.timestamp) });
+        }
+        return logs.length;
+    }
+
+    // Indexes everything up to the current head once. Returns what was done.
+    async function syncOnce() {
+        ensureMarkets();
+        const rolledBackTo = await checkReorg();
+
+        const head = await provider.getBlockNumber();
+        const cursor = store.getCursor();
+        let from = cursor === null ? startBlock : cursor + 1;
+        const first = from;
+        let logCount = 0;
+
+        while (from <= head && !controller.signal.aborted) {
+            const to = Math.min(head, from + batchSize - 1);
+            const n = await processRange(from, to);
+            logCount += n;
+            log(`[SYNC] blocks ${from}-${to}: ${n} logs`);
+            from = to + 1;
+        }
+
+        return { from: first, to: store.getCursor(), head, logs: logCount, rolledBackTo };
+    }
+
+    // Follows new blocks until stop() is called or `signal` aborts. A failed sync (RPC error, reorg racing
+    // the sync) is logged and retried, waiting twice as long after each consecutive failure up to
+    // `maxBackoffMs`; committed blocks are never half-written, so the retry resumes from the cursor.
+    async function run({ pollMs = DEFAULT_POLL_MS, maxBackoffMs = DEFAULT_MAX_BACKOFF_MS, signal } = {}) {
+        controller = new AbortController();
+        const stopping = controller.signal;
+        signal?.addEventListener("abort", () => controller.abort());
+        let failures = 0;
+        while (!stopping.aborted) {
+            let waitMs = pollMs;
+            try {
+                await syncOnce();
+                failures = 0;
+            } catch (err) {
+                failures += 1;
+                waitMs = Math.min(pollMs * 2 ** failures, maxBackoffMs);
+                log(`[WARN] sync failed (${failures} in a row), retrying in ${waitMs}ms: ${err.message}`);
+            }
+            await sleep(waitMs, stopping);
+        }
+    }
+
+    return {
+        store,
+        syncOnce,
+        run,
+        stop: () => controller.abort(),
+        on: (name, listener) => events.on(name, listener),
+        off: (name, listener) => events.off(name, listener),
+    };
+}
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    DEFAULT_CONFIRMATIONS,
+    DEFAULT_POLL_MS,
+    DEFAULT_MAX_BACKOFF_MS,
+    createIndexer,
+};
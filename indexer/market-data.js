@@ -0,0 +1,247 @@
+const { ethers } = require("ethers");
+
+const { formatPrice } = require("../sdk/spot-market");
+
+// Read-side queries over the indexer database, shaped for the market-data API. Every amount and
+// price is returned both human-readable (using the market's decimals) and raw.
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+class MarketDataError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "MarketDataError";
+        this.status = status;
+    }
+}
+
+function marketId(contract, baseToken) {
+    return `${contract}:${baseToken}`;
+}
+
+// PharosSpotMarket prices are raw quote units per raw base unit (1e18 scaled); the levels DEX uses
+// human quote per human base (1e18 scaled).
+function formatMarketPrice(market, price) {
+    if (market.kind === "spot") return formatPrice(BigInt(price), market.base_decimals, market.quote_decimals);
+    return ethers.formatUnits(BigInt(price), 18);
+}
+
+function describeMarket(m) {
+    return {
+        id: marketId(m.contract, m.base_token),
+        contract: m.contract,
+        kind: m.kind,
+        baseToken: m.base_token,
+        quoteToken: m.quote_token,
+        baseDecimals: m.base_decimals,
+        quoteDecimals: m.quote_decimals,
+        // trading, delisting (no new orders; resting ones are being cancelled) or delisted
+        status: m.status,
+    };
+}
+
+function compareBigIntDesc(a, b) {
+    if (a === b) return 0;
+    return a > b ? -1 : 1;
+}
+
+function createMarketData(db) {
+    const stmt = {
+        markets: db.prepare("SELECT * FROM markets ORDER BY contract, base_token"),
+        marketsByBase: db.prepare("SELECT * FROM markets WHERE lower(base_token) = lower(?)"),
+        openOrders: db.prepare(
+            "SELECT side, price, remaining FROM orders WHERE contract = ? AND base_token = ? AND status = 'open'",
+        ),
+        trades: db.prepare(
+            `SELECT * FROM fills WHERE contract = ? AND base_token = ? AND block_number <= ?
+             ORDER BY block_number DESC, log_index DESC LIMIT ?`,
+        ),
+        fillsSince: db.prepare(
+            "SELECT * FROM fills WHERE contract = ? AND base_token = ? AND timestamp >= ? ORDER BY block_number, log_index",
+        ),
+        lastFill: db.prepare(
+            "SELECT * FROM fills WHERE contract = ? AND base_token = ? ORDER BY block_number DESC, log_index DESC LIMIT 1",
+        ),
+        ordersOf: db.prepare(
+            "SELECT * FROM orders WHERE lower(owner) = lower(?) ORDER BY created_block DESC, order_id LIMIT ?",
+        ),
+        openOrdersOf: db.prepare(
+            `SELECT * FROM orders WHERE lower(owner) = lower(?) AND status = 'open'
+             ORDER BY created_block DESC, order_id LIMIT ?`,
+        ),
+        market: db.prepare("SELECT * FROM markets WHERE contract = ? AND base_token = ?"),
+    };
+
+    const marketCache = new Map();
+    function marketRow(contract, baseToken) {
+        const key = marketId(contract, baseToken);
+        if (!marketCache.has(key)) {
+            const row = stmt.market.get(contract, baseToken);
+            if (!row) return null;
+            marketCache.set(key, row);
+        }
+        return marketCache.get(key);
+    }
+
+    // Finds the market for a base token; `contract` disambiguates when the base is listed on several.
+    function resolveMarket(base, contract) {
+        if (!ethers.isAddress(base)) throw new MarketDataError(400, `Invalid base token address: ${base}`);
+        let rows = stmt.marketsByBase.all(base);
+        if (contract) {
+            if (!ethers.isAddress(contract)) throw new MarketDataError(400, `Invalid contract address: ${contract}`);
+            rows = rows.filter((m) => m.contract.toLowerCase() === contract.toLowerCase());
+        }
+        if (rows.length === 0) throw new MarketDataError(404, `No indexed market for base ${base}`);
+        if (rows.length > 1) {
+            const contracts = rows.map((m) => m.contract).join(", ");
+            throw new MarketDataError(
+                409,
+                `Base ${base} is listed on several contracts (${contracts}); pass ?contract=`,
+            );
+        }
+        return rows[0];
+    }
+
+    function formatLevel(market, price, amount) {
+        return {
+            price: formatMarketPrice(market, price),
+            amount: ethers.formatUnits(amount, market.base_decimals),
+            priceRaw: price.toString(),
+            amountBase: amount.toString(),
+        };
+    }
+
+    // Aggregated open size per price: { bids: Map(price -> base), asks: Map(price -> base) } with bigint keys.
+    function depthLevels(market) {
+        const bids = new Map();
+        const asks = new Map();
+        for (const o of stmt.openOrders.all(market.contract, market.base_token)) {
+            const levels = o.side === "buy" ? bids : asks;
+            const price = BigInt(o.price);
+            levels.set(price, (levels.get(price) || 0n) + BigInt(o.remaining));
+        }
+        return { bids, asks };
+    }
+
+    function depth(market, limit = 50) {
+        const { bids, asks } = depthLevels(market);
+        const sorted = (levels, desc) =>
+            [...levels.entries()]
+                .filter(([, amount]) => amount > 0n)
+                .sort(([a], [b]) => (desc ? compareBigIntDesc(a, b) : -compareBigIntDesc(a, b)))
+                .slice(0, limit)
+                .map(([price, amount]) => formatLevel(market, price, amount));
+        return { market: describeMarket(market), bids: sorted(bids, true), asks: sorted(asks, false) };
+    }
+
+    function formatTrade(market, f) {
+        const [baseDec, quoteDec] = [market.base_decimals, market.quote_decimals];
+        return {
+            market: marketId(f.contract, f.base_token),
+            blockNumber: f.block_number,
+            logIndex: f.log_index,
+            txHash: f.tx_hash,
+            timestamp: f.timestamp,
+            makerOrderId: f.maker_order_id,
+            takerOrderId: f.taker_order_id,
+            maker: f.maker,
+            taker: f.taker,
+            side: f.taker_side,
+            price: formatMarketPrice(market, f.price),
+            amount: ethers.formatUnits(BigInt(f.amount_base), market.base_decimals),
+            quoteAmount: ethers.formatUnits(BigInt(f.amount_quote), market.quote_decimals),
+            // Each side pays in what it receives: the buyer in base, the seller in quote.
+            makerFee: ethers.formatUnits(BigInt(f.maker_fee), f.taker_side === "buy" ? quoteDec : baseDec),
+            takerFee: ethers.formatUnits(BigInt(f.taker_fee), f.taker_side === "buy" ? baseDec : quoteDec),
+            priceRaw: f.price,
+            amountBase: f.amount_base,
+            amountQuote: f.amount_quote,
+            makerFeeRaw: f.maker_fee,
+            takerFeeRaw: f.taker_fee,
+        };
+    }
+
+    function trades(market, { limit = 50, beforeBlock = Number.MAX_SAFE_INTEGER } = {}) {
+        return stmt.trades
+            .all(market.contract, market.base_token, beforeBlock, limit)
+            .map((f) => formatTrade(market, f));
+    }
+
+    function ticker(market, now = Math.floor(Date.now() / 1000)) {
+        const fills = stmt.fillsSince.all(market.contract, market.base_token, now - DAY_SECONDS);
+        const last = stmt.lastFill.get(market.contract, market.base_token);
+
+        let high = null;
+        let low = null;
+        let volumeBase = 0n;
+        let volumeQuote = 0n;
+        for (const f of fills) {
+            const price = BigInt(f.price);
+            if (high === null || price > high) high = price;
+            if (low === null || price < low) low = price;
+            volumeBase += BigInt(f.amount_base);
+            volumeQuote += BigInt(f.amount_quote);
+        }
+
+        const { bids, asks } = depth(market, 1);
+        const price = (p) => (p === null || p === undefined ? null : formatMarketPrice(market, p));
+        return {
+            market: marketId(market.contract, market.base_token),
+            status: market.status,
+            last: last ? price(last.price) : null,
+            lastTimestamp: last ? last.timestamp : null,
+            open24h: fills.length ? price(fills[0].price) : null,
+            high24h: price(high),
+            low24h: price(low),
+            volumeBase24h: ethers.formatUnits(volumeBase, market.base_decimals),
+            volumeQuote24h: ethers.formatUnits(volumeQuote, market.quote_decimals),
+            trades24h: fills.length,
+            bestBid: bids.length ? bids[0].price : null,
+            bestAsk: asks.length ? asks[0].price : null,
+        };
+    }
+
+    function ordersOf(trader, { status = "open", limit = 200 } = {}) {
+        if (!ethers.isAddress(trader)) throw new MarketDataError(400, `Invalid trader address: ${trader}`);
+        const rows = status === "all" ? stmt.ordersOf.all(trader, limit) : stmt.openOrdersOf.all(trader, limit);
+        return rows.map((o) => {
+            const market = marketRow(o.contract, o.base_token);
+            return {
+                market: marketId(o.contract, o.base_token),
+                orderId: o.order_id,
+                side: o.side,
+                isMarket: Boolean(o.is_market),
+                price: formatMarketPrice(market, o.price),
+                amount: ethers.formatUnits(BigInt(o.amount), market.base_decimals),
+                remaining: ethers.formatUnits(BigInt(o.remaining), market.base_decimals),
+                status: o.status,
+                createdBlock: o.created_block,
+                updatedBlock: o.updated_block,
+                priceRaw: o.price,
+                amountBase: o.amount,
+                remainingBase: o.remaining,
+            };
+        });
+    }
+
+    return {
+        markets: () => stmt.markets.all().map(describeMarket),
+        marketRow,
+        resolveMarket,
+        depthLevels,
+        depth,
+        trades,
+        formatTrade,
+        formatLevel,
+        ticker,
+        tickers: (now) => stmt.markets.all().map((m) => ticker(m, now)),
+        ordersOf,
+    };
+}
+
+module.exports = {
+    MarketDataError,
+    marketId,
+    formatMarketPrice,
+    createMarketData,
+};
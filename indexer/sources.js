@@ -0,0 +1,92 @@
+const { ethers } = require("ethers");
+
+const { loadHardhatArtifact } = require("../scripts/lib/pharos-evm-helpers");
+const { listDeploymentRecords } = require("../scripts/lib/deploy-manifest");
+
+// Contracts the indexer understands, keyed by deployment record contractName.
+const SOURCE_KINDS = {
+    PharosSpotMarket: "spot",
+    MultiBaseOrderBookDEXVaultLevels: "levels",
+};
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+async function tokenDecimals(address, provider) {
+    return Number(await new ethers.Contract(address, ERC20_DECIMALS_ABI, provider).decimals());
+}
+
+// Builds an indexer source for one deployed order book: its ABI-bound contract, tokens and the
+// markets (base tokens) known when indexing starts.
+async function describeSource({ provider, contractName, address, key, startBlock = 0 }) {
+    const kind = SOURCE_KINDS[contractName];
+    if (!kind) {
+        throw new Error(`Cannot index ${contractName}; supported: ${Object.keys(SOURCE_KINDS).join(", ")}`);
+    }
+
+    const { abi } = loadHardhatArtifact(contractName).artifact;
+    const contract = new ethers.Contract(address, abi, provider);
+    const source = {
+        key: key || contractName,
+        kind,
+        address: ethers.getAddress(address),
+        contract,
+        startBlock,
+    };
+
+    if (kind === "spot") {
+        const [baseToken, quoteToken] = await Promise.all([contract.baseToken(), contract.quoteToken()]);
+        const [baseDecimals, quoteDecimals] = await Promise.all([
+            tokenDecimals(baseToken, provider),
+            tokenDecimals(quoteToken, provider),
+        ]);
+        source.quoteToken = quoteToken;
+        source.quoteDecimals = quoteDecimals;
+        source.markets = [{ baseToken, baseDecimals }];
+    } else {
+        const [quoteToken, quoteDecimals] = await Promise.all([contract.quoteToken(), contract.quoteDecimals()]);
+        source.quoteToken = quoteToken;
+        source.quoteDecimals = Number(quoteDecimals);
+        // Bases supported today; bases added after indexing starts come from BaseTokenSupported events.
+        const bases = await contract.getSupportedBases();
+        source.markets = await Promise.all(
+            bases.map(async (baseToken) => ({
+                baseToken,
+                baseDecimals: Number(await contract.baseDecimals(baseToken)),
+            })),
+        );
+    }
+    return source;
+}
+
+// Reads every indexable deployments/<network>.*.latest.json record. Indexing starts at the block of
+// each deploy tx when the record has one.
+async function loadSourcesFromRecords({ provider, network, only }) {
+    const records = listDeploymentRecords({ network }).filter(
+        ({ key, record }) => SOURCE_KINDS[record.contractName] && (!only || only.includes(key)),
+    );
+
+    const sources = [];
+    for (const { key, record } of records) {
+        let startBlock = 0;
+        if (record.deployTxHash) {
+            const receipt = await provider.getTransactionReceipt(record.deployTxHash);
+            if (receipt) startBlock = receipt.blockNumber;
+        }
+        sources.push(
+            await describeSource({
+                provider,
+                contractName: record.contractName,
+                address: record.address,
+                key,
+                startBlock,
+            }),
+        );
+    }
+    return sources;
+}
+
+module.exports = {
+    SOURCE_KINDS,
+    describeSource,
+    loadSourcesFromRecords,
+};
@@ -0,0 +1,135 @@
+require("@chainlink/env-enc").config();
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseArgv, readJsonIfExists, writeJson, loadHardhatArtifact } = require("./lib/pharos-evm-helpers");
+const { deploymentFileFor, listDeploymentRecords } = require("./lib/deploy-manifest");
+const { bootstrapOrderBookLevels } = require("./lib/orderbook-bootstrap");
+
+// Configure a deployed MultiBaseOrderBookDEXVaultLevels: supportBaseToken for every base that is
+// not supported yet, optionally seed test liquidity, and store the markets in the deployment record.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   set TEST_ACCOUNT_0=...
+//   node scripts/bootstrap-orderbook-levels-pharos.js [--bases BTC,ETH,0x...] [--seed BTC=60000,ETH=3000]
+
+const CONTRACT_NAME = "MultiBaseOrderBookDEXVaultLevels";
+const NETWORK = "pharos_atlantic";
+
+function printHelp() {
+    console.log(
+        `\nBootstrap MultiBaseOrderBookDEXVaultLevels markets\n\nUsage:\n  node scripts/bootstrap-orderbook-levels-pharos.js [--bases <LIST>] [--seed <SYMBOL=PRICE,...>]\n\nOptions:\n  --rpc              RPC url (or env PHAROS_ATLANTIC_URL)\n  --pk               Owner private key (or env TEST_ACCOUNT_0)\n  --deployment       Order book deployment json (default: deployments/${NETWORK}.${CONTRACT_NAME}.latest.json)\n  --bases            Comma-separated base addresses or MockERC20 symbols (e.g. BTC,ETH,0x..).\n                    Default: every deployments/${NETWORK}.MockERC20.*.latest.json except the quote token\n  --seed             Mint and post one bid/ask per base around a mid price, e.g. BTC=60000,ETH=3000\n  --seed-size        Base amount per seeded order, human-readable (default: 1)\n  --seed-spread-bps  Distance of bid/ask from the mid price in bps (default: 100)\n\nThe configured markets are written back to the deployment json under "markets".\n`,
+    );
+}
+
+function toRepoPath(p) {
+    return path.isAbsolute(p) ? p : path.join(__dirname, "..", p);
+}
+
+function splitList(value) {
+    return String(value)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+}
+
+function resolveBaseAddress(item) {
+    if (ethers.isAddress(item)) return ethers.getAddress(item);
+
+    const record = readJsonIfExists(deploymentFileFor(NETWORK, `MockERC20.${item.toUpperCase()}`));
+    if (!record?.address) {
+        throw new Error(
+            `Cannot resolve base '${item}': not an address and no deployments/${NETWORK}.MockERC20.${item.toUpperCase()}.latest.json`,
+        );
+    }
+    return ethers.getAddress(record.address);
+}
+
+function parseSeed(args) {
+    if (!args.seed) return {};
+    if (args.seed === true) throw new Error("--seed needs SYMBOL=PRICE pairs, e.g. --seed BTC=60000,ETH=3000");
+
+    const size = String(args["seed-size"] || "1");
+    const spreadBps = Number(args["seed-spread-bps"] ?? 100);
+    if (!Number.isInteger(spreadBps) || spreadBps < 0 || spreadBps >= 10000) {
+        throw new Error("Invalid --seed-spread-bps (expected integer 0..9999)");
+    }
+
+    const seed = {};
+    for (const pair of splitList(args.seed)) {
+        const eq = pair.indexOf("=");
+        if (eq <= 0) throw new Error(`Invalid --seed entry '${pair}' (expected SYMBOL=PRICE)`);
+        const key = pair.slice(0, eq);
+        seed[ethers.isAddress(key) ? ethers.getAddress(key) : key.toUpperCase()] = {
+            price: pair.slice(eq + 1),
+            size,
+            spreadBps,
+        };
+    }
+    return seed;
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    const privateKey = args.pk || process.env.TEST_ACCOUNT_0;
+    if (!rpcUrl) throw new Error("Missing --rpc (or env PHAROS_ATLANTIC_URL)");
+    if (!privateKey) throw new Error("Missing --pk (or env TEST_ACCOUNT_0)");
+
+    const deploymentFile = args.deployment
+        ? toRepoPath(String(args.deployment))
+        : deploymentFileFor(NETWORK, CONTRACT_NAME);
+    const deployment = readJsonIfExists(deploymentFile);
+    if (!deployment?.address) throw new Error(`Deployment file not found or has no address: ${deploymentFile}`);
+
+    const bases = args.bases
+        ? splitList(args.bases).map(resolveBaseAddress)
+        : listDeploymentRecords({ network: NETWORK, contractName: "MockERC20" }).map(({ record }) =>
+              ethers.getAddress(record.address),
+          );
+
+    const { artifact } = loadHardhatArtifact(CONTRACT_NAME, deployment.artifactPath);
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    // Sends many transactions back to back; track the nonce locally instead of re-querying the RPC.
+    const signer = new ethers.NonceManager(wallet);
+    const dex = new ethers.Contract(deployment.address, artifact.abi, signer);
+
+    console.log(`[INFO] ${CONTRACT_NAME}=${deployment.address}`);
+    console.log(`[INFO] Owner=${wallet.address}`);
+    console.log(`[INFO] Bases=${bases.join(",") || "(none)"}`);
+
+    const { quoteToken, markets, added } = await bootstrapOrderBookLevels({
+        dex,
+        signer,
+        bases,
+        seed: parseSeed(args),
+    });
+
+    // Keep seeding info from earlier runs for markets that were not re-seeded now.
+    const previousMarkets = new Map((deployment.markets || []).map((m) => [m.baseToken.toLowerCase(), m]));
+    for (const market of markets) {
+        const prev = previousMarkets.get(market.baseToken.toLowerCase());
+        if (!market.seeded && prev?.seeded) market.seeded = prev.seeded;
+    }
+
+    writeJson(deploymentFile, {
+        ...deployment,
+        quoteToken,
+        markets,
+        bootstrappedAt: new Date().toISOString(),
+    });
+
+    console.log(`[OK] Supported ${added.length} new base(s); ${markets.length} market(s) configured`);
+    console.log(`[INFO] Wrote ${deploymentFile}`);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
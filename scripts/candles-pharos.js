@@ -0,0 +1,90 @@
+require("@chainlink/env-enc").config();
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { INDEXER_OPTIONS_HELP, indexerDbPath, openIndexerFromArgs } = require("./lib/indexer-cli");
+const {
+    INTERVALS,
+    openIndexerDb,
+    createMarketData,
+    createCandles,
+    candlesToCsv,
+    parseInterval,
+} = require("../indexer");
+
+// Export OHLCV candles built from indexed Trade events as CSV (one file per market and interval).
+// The indexer database is brought up to date first unless --offline is given.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   node scripts/candles-pharos.js [--base 0x..] [--interval 1h] [--out-dir data/candles]
+
+function printHelp() {
+    const intervals = Object.keys(INTERVALS).join(", ");
+    console.log(
+        `\nExport OHLCV candles as CSV\n\nUsage:\n  node scripts/candles-pharos.js [--base <BASE>] [--contract <ADDR>] [--interval 1m,5m,1h,1d]\n\nOptions:\n  --base             Base token address (default: every indexed market)\n  --contract         Order book address, when the base is listed on several contracts\n  --interval         Comma-separated intervals: ${intervals} (default: all)\n  --from             Start time, unix seconds or ISO date (default: first trade)\n  --to               End time (exclusive), unix seconds or ISO date (default: now)\n  --fill             Emit zero-volume candles at the previous close for intervals without trades\n  --out-dir          Output directory (default: data/candles)\n  --offline          Read the existing database without syncing it first (no RPC needed)\n${INDEXER_OPTIONS_HELP}\nFiles are named <contract>.<base>.<interval>.csv with columns\ndatetime,time,open,high,low,close,volumeBase,volumeQuote,trades (human-readable prices and amounts).\n`,
+    );
+}
+
+function timeArg(value, name) {
+    const s = String(value);
+    const seconds = /^\d+$/.test(s) ? Number(s) : Math.floor(Date.parse(s) / 1000);
+    if (!Number.isSafeInteger(seconds)) throw new Error(`Invalid ${name} (expected unix seconds or an ISO date)`);
+    return seconds;
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const intervals = args.interval
+        ? String(args.interval)
+              .split(",")
+              .map((s) => s.trim())
+        : Object.keys(INTERVALS);
+    intervals.forEach(parseInterval);
+    const from = args.from !== undefined ? timeArg(args.from, "--from") : 0;
+    const to = args.to !== undefined ? timeArg(args.to, "--to") : undefined;
+    const outDir = path.resolve(String(args["out-dir"] || path.join(__dirname, "..", "data", "candles")));
+
+    let db;
+    if (args.offline) {
+        const dbFile = indexerDbPath(args);
+        if (!fs.existsSync(dbFile)) throw new Error(`Missing indexer database ${dbFile}; run scripts/index-pharos.js`);
+        db = openIndexerDb(dbFile);
+    } else {
+        const opened = await openIndexerFromArgs(args);
+        db = opened.db;
+        const result = await opened.indexer.syncOnce();
+        console.log(`[OK] Indexed up to block ${result.to} (head ${result.head})`);
+    }
+
+    try {
+        const data = createMarketData(db);
+        const markets = args.base
+            ? [data.resolveMarket(String(args.base), args.contract ? String(args.contract) : undefined)]
+            : data.markets().map((m) => data.marketRow(m.contract, m.baseToken));
+        const candles = createCandles(db);
+
+        fs.mkdirSync(outDir, { recursive: true });
+        for (const market of markets) {
+            for (const interval of intervals) {
+                const { candles: rows } = candles.candles(market, { interval, from, to, fillGaps: Boolean(args.fill) });
+                const file = path.join(outDir, `${market.contract}.${market.base_token}.${interval}.csv`);
+                fs.writeFileSync(file, candlesToCsv(rows));
+                console.log(`[OK] ${rows.length} ${interval} candles -> ${file}`);
+            }
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,76 @@
+require("@chainlink/env-enc").config();
+
+const { ethers } = require("ethers");
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { intArg } = require("./lib/indexer-cli");
+const { DEFAULT_BATCH_SIZE, loadSourcesFromRecords, checkOrderBook } = require("../indexer");
+
+// Rebuild every recorded order book (PharosSpotMarket, MultiBaseOrderBookDEXVaultLevels) from its event
+// log and compare it with on-chain state: depth levels, best prices, per-order storage, vault balances
+// and the vault's token holdings. Exits non-zero when any error is found.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   node scripts/check-orderbook-pharos.js [--only <key>] [--block <N>] [--json]
+
+function printHelp() {
+    console.log(
+        `\nOrder book consistency check\n\nUsage:\n  node scripts/check-orderbook-pharos.js [--only <key,...>] [--block <N>] [--json]\n\nOptions:\n  --rpc              RPC url (or env PHAROS_ATLANTIC_URL); must serve eth_call at past blocks\n  --network          Deployment record prefix (default: pharos_atlantic)\n  --only             Comma-separated record keys (default: every PharosSpotMarket and\n                    MultiBaseOrderBookDEXVaultLevels record)\n  --block            Block to check at (default: latest)\n  --batch-size       Blocks per eth_getLogs request (default: ${DEFAULT_BATCH_SIZE})\n  --json             Print the full reports as JSON\n\nChecks: replay, depth, best-price, crossed, level-sum, order, balance, solvency, stranded\n(see indexer/consistency.js). Warnings do not fail the run.\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    if (!rpcUrl) throw new Error("Missing --rpc (or env PHAROS_ATLANTIC_URL)");
+    const network = String(args.network || "pharos_atlantic");
+    const only = args.only
+        ? String(args.only)
+              .split(",")
+              .map((s) => s.trim())
+        : undefined;
+    const blockTag = args.block !== undefined ? intArg(args.block, "--block") : undefined;
+    const batchSize = args["batch-size"] !== undefined ? intArg(args["batch-size"], "--batch-size", 1) : undefined;
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const sources = await loadSourcesFromRecords({ provider, network, only });
+    if (sources.length === 0) {
+        throw new Error(`No order book deployment records under deployments/${network}.*.latest.json`);
+    }
+
+    const reports = [];
+    for (const source of sources) {
+        const report = await checkOrderBook({ provider, source, blockTag, batchSize });
+        reports.push(report);
+        if (args.json) continue;
+
+        const status = report.ok ? "OK" : "FAIL";
+        console.log(`\n[${status}] ${report.key} (${report.kind}) at=${report.address} block ${report.block}`);
+        console.log(
+            `  ${report.logs} logs, ${report.orders} orders (${report.openOrders} open), ${report.users} users`,
+        );
+        for (const m of report.markets) {
+            console.log(`  ${m.baseToken}: ${m.bids} bid / ${m.asks} ask levels, best ${m.bestBid} / ${m.bestAsk}`);
+        }
+        for (const i of report.issues) {
+            console.log(
+                `  [${i.severity.toUpperCase()}] ${i.check}: ${i.message}${i.txHash ? ` (tx ${i.txHash})` : ""}`,
+            );
+        }
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(reports, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+    }
+    if (reports.some((r) => !r.ok)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,139 @@
+require("@chainlink/env-enc").config();
+
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { parseArgv, readJsonIfExists, parseContractName } = require("./lib/pharos-evm-helpers");
+const {
+    DEFAULT_MANIFEST_FILE,
+    loadManifest,
+    collectRefs,
+    resolveRefs,
+    orderEntries,
+    deploymentFileFor,
+} = require("./lib/deploy-manifest");
+
+// Deploy the whole stack described in deployments.config.json, in dependency order.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   set TEST_ACCOUNT_0=...
+//   node scripts/deploy-all-pharos.js [--manifest <FILE>] [--only <Key1,Key2>] [--dry-run] [--force]
+//
+// Each entry is written to deployments/<network>.<Key>.latest.json, and later entries
+// may reference earlier ones with "${<Key>.<field>}", e.g. "${MockERC20.USDT.address}".
+// An entry with a "bootstrap" object also runs the post-deploy script registered for its contract.
+
+const BOOTSTRAP_SCRIPTS = {
+    MultiBaseOrderBookDEXVaultLevels: "bootstrap-orderbook-levels-pharos.js",
+};
+
+function printHelp() {
+    console.log(
+        `\nDeploy every contract listed in the deployment manifest\n\nUsage:\n  node scripts/deploy-all-pharos.js [--manifest <FILE>] [--only <Key1,Key2>] [--dry-run] [--force]\n\nOptions:\n  --manifest       Manifest file (default: deployments.config.json)\n  --only           Comma-separated manifest keys to deploy (e.g. MockERC20.USDT).\n                  References to other entries are read from their existing deployment records.\n  --dry-run        Print the deployment plan without sending transactions\n  --force          Redeploy entries whose deployment record is still up to date\n\nEntries whose record already matches the artifact, constructor args and chain are skipped,\nso an interrupted run can simply be started again.\n\nExamples:\n  node scripts/deploy-all-pharos.js\n  node scripts/deploy-all-pharos.js --only MockERC20.BTC,MockERC20.ETH\n`,
+    );
+}
+
+function toRepoPath(p) {
+    return path.isAbsolute(p) ? p : path.join(__dirname, "..", p);
+}
+
+function runNodeScript(scriptFileName, args) {
+    const scriptPath = path.join(__dirname, scriptFileName);
+    execFileSync(process.execPath, [scriptPath, ...args], { stdio: "inherit" });
+}
+
+function selectKeys(ordered, only) {
+    if (!only) return ordered;
+
+    const wanted = String(only)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    for (const key of wanted) {
+        if (!ordered.includes(key)) throw new Error(`--only: unknown manifest entry '${key}'`);
+    }
+    return ordered.filter((key) => wanted.includes(key));
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const manifestFile = args.manifest ? toRepoPath(String(args.manifest)) : DEFAULT_MANIFEST_FILE;
+    const { network, contracts } = loadManifest(manifestFile);
+    const keys = selectKeys(orderEntries(contracts), args.only);
+    const dryRun = Boolean(args["dry-run"]);
+
+    console.log(`[INFO] Manifest=${manifestFile}`);
+    console.log(`[INFO] Network=${network}`);
+    console.log(`[INFO] Plan: ${keys.join(" -> ")}`);
+
+    if (dryRun) {
+        for (const key of keys) {
+            const entry = contracts[key];
+            const refs = [...collectRefs(entry.args || [])];
+            console.log(
+                `  ${key}: ${entry.contract} args=${JSON.stringify(entry.args || [])}` +
+                    (refs.length ? ` (depends on ${refs.join(", ")})` : ""),
+            );
+        }
+        return;
+    }
+
+    const rpcUrl = process.env.PHAROS_ATLANTIC_URL;
+    const privateKey = process.env.TEST_ACCOUNT_0;
+    if (!rpcUrl) throw new Error("Missing env PHAROS_ATLANTIC_URL");
+    if (!privateKey) throw new Error("Missing env TEST_ACCOUNT_0");
+
+    const lookup = (key) => readJsonIfExists(deploymentFileFor(network, key));
+
+    for (const key of keys) {
+        const entry = contracts[key];
+        const outFile = deploymentFileFor(network, key);
+        const ctorArgs = resolveRefs(entry.args || [], lookup);
+
+        console.log(`\n[INFO] Deploy ${key} (${entry.contract})`);
+        console.log(`[INFO] Out=${outFile}`);
+        console.log(`[INFO] Constructor args=${JSON.stringify(ctorArgs)}`);
+
+        const deployArgs = [
+            "--rpc",
+            rpcUrl,
+            "--pk",
+            privateKey,
+            "--contract",
+            entry.contract,
+            "--args",
+            JSON.stringify(ctorArgs),
+            "--out",
+            outFile,
+        ];
+        if (entry.artifact) deployArgs.push("--artifact", String(entry.artifact));
+        if (args.force) deployArgs.push("--force");
+
+        runNodeScript("deploy-pharos.js", deployArgs);
+
+        if (entry.bootstrap) {
+            const script = BOOTSTRAP_SCRIPTS[parseContractName(entry.contract).contractName];
+            if (!script) throw new Error(`Manifest entry '${key}': no bootstrap step for ${entry.contract}`);
+
+            const bootstrapArgs = ["--rpc", rpcUrl, "--pk", privateKey, "--deployment", outFile];
+            for (const [name, value] of Object.entries(entry.bootstrap)) {
+                const resolved = resolveRefs(value, lookup);
+                bootstrapArgs.push(`--${name}`, Array.isArray(resolved) ? resolved.join(",") : String(resolved));
+            }
+
+            console.log(`[INFO] Bootstrap ${key}`);
+            runNodeScript(script, bootstrapArgs);
+        }
+    }
+
+    console.log(`\n[OK] Processed ${keys.length} manifest entr${keys.length === 1 ? "y" : "ies"}.`);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -2,12 +2,16 @@ require("@chainlink/env-enc").config();
 
 const path = require("path");
 const { execFileSync } = require("child_process");
+const { parseArgv } = require("./lib/pharos-evm-helpers");
 
 // Deploy MultiBaseOrderBookDEXVaultLevels with an existing quote token address.
 // Usage:
 //   set PHAROS_ATLANTIC_URL=...
 //   set TEST_ACCOUNT_0=...
-//   node scripts/deploy-orderbook-levels-pharos.js --quote <QUOTE_ADDR>
+//   node scripts/deploy-orderbook-levels-pharos.js --quote <QUOTE_ADDR> [--bases BTC,ETH,...] [--seed BTC=60000]
+//
+// After deploying, bootstrap-orderbook-levels-pharos.js supports the given bases (default: every
+// deployed MockERC20 except the quote) and records the markets. Pass --skip-bootstrap to skip it.
 //
 // Output (default): deployments/pharos_atlantic.MultiBaseOrderBookDEXVaultLevels.latest.json
 
@@ -17,19 +21,6 @@ function toRepoPath(p) {
     return path.isAbsolute(p) ? p : path.join(__dirname, "..", p);
 }
 
-function parseArgv(argv) {
-    const out = {};
-    for (let i = 2; i < argv.length; i++) {
-        const a = argv[i];
-        if (!a.startsWith("--")) continue;
-        const key = a.slice(2);
-        const val = argv[i + 1];
-        out[key] = val;
-        i++;
-    }
-    return out;
-}
-
 function runNodeScript(scriptFileName, args) {
     const scriptPath = path.join(__dirname, scriptFileName);
     execFileSync(process.execPath, [scriptPath, ...args], { stdio: "inherit" });
@@ -65,6 +56,14 @@ async function main() {
         "--out",
         outFile,
     ]);
+
+    if (args["skip-bootstrap"]) return;
+
+    const bootstrapArgs = ["--rpc", rpcUrl, "--pk", privateKey, "--deployment", outFile];
+    for (const key of ["bases", "seed", "seed-size", "seed-spread-bps"]) {
+        if (args[key] !== undefined) bootstrapArgs.push(`--${key}`, String(args[key]));
+    }
+    runNodeScript("bootstrap-orderbook-levels-pharos.js", bootstrapArgs);
 }
 
 main().catch((err) => {
@@ -2,11 +2,21 @@ require("@chainlink/env-enc").config();
 
 const path = require("path");
 const { ethers } = require("ethers");
-const { parseArgv, writeJson, loadHardhatArtifact, parseJsonArg } = require("./lib/pharos-evm-helpers");
+const {
+    parseArgv,
+    readJsonIfExists,
+    writeJson,
+    loadHardhatArtifact,
+    parseJsonArg,
+    artifactBytecodeHash,
+    historyFileFor,
+    checkExistingDeployment,
+    appendDeploymentHistory,
+} = require("./lib/pharos-evm-helpers");
 
 function printHelp() {
     console.log(
-        `\nPharos deploy on EVM RPC (Pharos-friendly; no Hardhat tx sending)\n\nUsage:\n  node scripts/deploy-pharos.js --rpc <RPC_URL> --pk <PRIVATE_KEY> --contract <ContractName> [--args <JSON_ARRAY>]\n\nCommon options:\n  --rpc              RPC url (or env PHAROS_ATLANTIC_URL)\n  --pk               Private key (or env TEST_ACCOUNT_0)\n  --contract         Contract name (e.g. MemeHubToken)\n  --artifact          Optional artifact path (relative to repo root or absolute)\n  --args             Constructor args JSON array, e.g. '["MemeHub","MEH","1000"]'\n  --args-file        Path to a JSON file containing an array\n  --nonce            'latest' (default) or 'pending'\n  --gas-limit        Gas limit override (number)\n  --max-fee-gwei     Max fee per gas in gwei\n  --max-priority-fee-gwei  Max priority fee per gas in gwei\n  --out              Output deployment json path\n                    (default: deployments/pharos_atlantic.<contract>.latest.json if PHAROS_ATLANTIC_URL is used,\n                     otherwise deployments/pharos_evm.<contract>.latest.json)\n\nExamples:\n  node scripts/deploy-pharos.js --rpc %PHAROS_ATLANTIC_URL% --pk %TEST_ACCOUNT_0% --contract MemeHubToken --args '["MemeHub","MEH","1000000000000000000"]'\n`,
+        `\nPharos deploy on EVM RPC (Pharos-friendly; no Hardhat tx sending)\n\nUsage:\n  node scripts/deploy-pharos.js --rpc <RPC_URL> --pk <PRIVATE_KEY> --contract <ContractName> [--args <JSON_ARRAY>]\n\nCommon options:\n  --rpc              RPC url (or env PHAROS_ATLANTIC_URL)\n  --pk               Private key (or env TEST_ACCOUNT_0)\n  --contract         Contract name (e.g. MemeHubToken), or fully-qualified when the name is ambiguous\n                    (e.g. contracts/MockCoin.sol:MockERC20)\n  --artifact          Optional artifact path (relative to repo root or absolute)\n  --args             Constructor args JSON array, e.g. '["MemeHub","MEH","1000"]'\n  --args-file        Path to a JSON file containing an array\n  --nonce            'latest' (default) or 'pending'\n  --gas-limit        Gas limit override (number)\n  --max-fee-gwei     Max fee per gas in gwei\n  --max-priority-fee-gwei  Max priority fee per gas in gwei\n  --out              Output deployment json path\n                    (default: deployments/pharos_atlantic.<contract>.latest.json if PHAROS_ATLANTIC_URL is used,\n                     otherwise deployments/pharos_evm.<contract>.latest.json)\n  --force            Redeploy even if the existing record is up to date\n\nRe-runs are idempotent: if the --out record matches the artifact bytecode hash, constructor args\nand chainId, and code still exists at its address, nothing is deployed. Replaced records are\nappended to the matching .history.json file.\n\nExamples:\n  node scripts/deploy-pharos.js --rpc %PHAROS_ATLANTIC_URL% --pk %TEST_ACCOUNT_0% --contract MemeHubToken --args '["MemeHub","MEH","1000000000000000000"]'\n`,
     );
 }
 
@@ -60,6 +70,30 @@ async function main() {
     console.log(`[INFO] Deployer=${wallet.address}`);
     console.log(`[INFO] Artifact=${artifactPath}`);
 
+    const outFile = args.out
+        ? path.isAbsolute(args.out)
+            ? args.out
+            : path.join(__dirname, "..", args.out)
+        : defaultOutFile({ rpcUrl, contractName: artifact.contractName });
+
+    const bytecodeHash = artifactBytecodeHash(artifact);
+    const previous = readJsonIfExists(outFile);
+    const status = await checkExistingDeployment({
+        provider,
+        record: previous,
+        chainId: network.chainId,
+        bytecodeHash,
+        abi: artifact.abi,
+        ctorArgs,
+    });
+
+    if (status.upToDate && !args.force) {
+        console.log(`[SKIP] ${contractName} is up to date at=${previous.address} (${outFile})`);
+        console.log("[SKIP] Pass --force to redeploy anyway.");
+        return;
+    }
+    console.log(`[INFO] Deploying: ${status.upToDate ? "--force given" : status.reason}`);
+
     const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
 
     const nonceTag = String(args.nonce || "latest");
@@ -90,20 +124,21 @@ async function main() {
     const address = await contract.getAddress();
     console.log(`[OK] Deployed at=${address}`);
 
-    const outFile = args.out
-        ? path.isAbsolute(args.out)
-            ? args.out
-            : path.join(__dirname, "..", args.out)
-        : defaultOutFile({ rpcUrl, contractName });
+    if (previous?.address) {
+        appendDeploymentHistory(outFile, previous, status.upToDate ? "forced redeploy" : status.reason);
+        console.log(`[INFO] Previous address ${previous.address} kept in ${historyFileFor(outFile)}`);
+    }
 
     writeJson(outFile, {
-        contractName,
+        contractName: artifact.contractName,
+        fullyQualifiedName: `${artifact.sourceName}:${artifact.contractName}`,
         address,
         chainId: network.chainId.toString(),
         rpcUrl,
         deployer: wallet.address,
         deployTxHash: tx.hash,
         constructorArgs: ctorArgs,
+        bytecodeHash,
         artifactPath: path.relative(path.join(__dirname, ".."), artifactPath).replace(/\\/g, "/"),
         deployedAt: new Date().toISOString(),
     });
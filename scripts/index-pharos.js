@@ -0,0 +1,44 @@
+require("@chainlink/env-enc").config();
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { INDEXER_OPTIONS_HELP, openIndexerFromArgs } = require("./lib/indexer-cli");
+
+// Index the recorded order book deployments (PharosSpotMarket, MultiBaseOrderBookDEXVaultLevels) into SQLite.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   node scripts/index-pharos.js [--follow] [--db data/pharos_atlantic.indexer.sqlite]
+
+function printHelp() {
+    console.log(
+        `\nIndex order book events into SQLite\n\nUsage:\n  node scripts/index-pharos.js [--follow] [--db <FILE>]\n\nOptions:\n${INDEXER_OPTIONS_HELP}  --follow           Keep polling for new blocks until interrupted\n\nThe cursor is stored in the database, so re-runs continue from the last indexed block.\nTables: orders, fills, balances, markets, events (raw logs), blocks.\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const { db, indexer, pollMs } = await openIndexerFromArgs(args);
+    try {
+        if (args.follow) {
+            process.once("SIGINT", () => {
+                console.log("[INFO] Stopping after the current batch...");
+                indexer.stop();
+            });
+            await indexer.run({ pollMs });
+        } else {
+            const result = await indexer.syncOnce();
+            console.log(`[OK] Indexed up to block ${result.to} (head ${result.head}, ${result.logs} logs)`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,199 @@
+const { ethers } = require("ethers");
+const { encodeConstructorArgs } = require("./pharos-evm-helpers");
+
+// Local checks that an address really runs the compiled artifact before its sources are uploaded
+// for verification: runtime bytecode (ignoring metadata and immutables) and constructor args.
+
+function strip0x(hex) {
+    const s = String(hex || "").toLowerCase();
+    return s.startsWith("0x") ? s.slice(2) : s;
+}
+
+// solc appends CBOR metadata followed by its 2-byte length. Returns { code, metadata } as hex without 0x.
+function splitMetadata(hex) {
+    const code = strip0x(hex);
+    if (code.length < 4) return { code, metadata: "" };
+
+    const cborLength = parseInt(code.slice(-4), 16);
+    const start = code.length - 4 - cborLength * 2;
+    // CBOR metadata is a map (major type 5: 0xa0..0xbf); anything else means there is no metadata.
+    if (cborLength === 0 || start < 0) return { code, metadata: "" };
+    const head = parseInt(code.slice(start, start + 2), 16);
+    if (head < 0xa0 || head > 0xbf) return { code, metadata: "" };
+
+    return { code: code.slice(0, start), metadata: code.slice(start) };
+}
+
+// Zeroes the given byte ranges ([{ start, length }]) of a hex string without 0x.
+function maskRanges(hex, ranges) {
+    let out = hex;
+    for (const { start, length } of ranges) {
+        out = out.slice(0, start * 2) + "0".repeat(length * 2) + out.slice((start + length) * 2);
+    }
+    return out;
+}
+
+function flattenReferences(refs) {
+    // immutableReferences: { astId: [ranges] }; link references: { file: { lib: [ranges] } }
+    const out = [];
+    for (const value of Object.values(refs || {})) {
+        if (Array.isArray(value)) out.push(...value);
+        else out.push(...flattenReferences(value));
+    }
+    return out;
+}
+
+// Compiler output entry (evm.deployedBytecode.immutableReferences, AST) for an artifact.
+function compilerOutputFor(buildInfo, artifact) {
+    return buildInfo?.output?.contracts?.[artifact.sourceName]?.[artifact.contractName];
+}
+
+function findAstNode(node, id) {
+    if (!node || typeof node !== "object") return null;
+    if (node.id === id && node.nodeType) return node;
+    for (const value of Object.values(node)) {
+        const found = findAstNode(value, id);
+        if (found) return found;
+    }
+    return null;
+}
+
+function formatImmutable(word, typeString) {
+    if (/^(contract|address)/.test(typeString || "")) return ethers.getAddress(`0x${word.slice(-40)}`);
+    if (/^u?int/.test(typeString || "")) return ethers.toBigInt(`0x${word}`).toString();
+    return `0x${word}`;
+}
+
+// Reads immutable values out of the on-chain runtime code, named via the build-info AST when possible.
+function readImmutables(onchainHex, immutableReferences, buildInfo) {
+    const code = strip0x(onchainHex);
+    const out = {};
+    for (const [astId, ranges] of Object.entries(immutableReferences || {})) {
+        if (!ranges.length) continue;
+        const { start, length } = ranges[0];
+        const word = code.slice(start * 2, (start + length) * 2);
+
+        let node = null;
+        for (const source of Object.values(buildInfo?.output?.sources || {})) {
+            node = findAstNode(source.ast, Number(astId));
+            if (node) break;
+        }
+        out[node?.name || `ast#${astId}`] = formatImmutable(word, node?.typeDescriptions?.typeString);
+    }
+    return out;
+}
+
+// Compares on-chain runtime code to the artifact's deployedBytecode.
+// Returns { match, metadataMatches, message }.
+function compareRuntimeBytecode({ onchain, deployedBytecode, immutableReferences, linkReferences }) {
+    const chain = strip0x(onchain);
+    const local = strip0x(deployedBytecode);
+
+    if (!chain) return { match: false, metadataMatches: false, message: "no code at address" };
+
+    const ranges = [...flattenReferences(immutableReferences), ...flattenReferences(linkReferences)];
+    const a = splitMetadata(maskRanges(chain, ranges));
+    const b = splitMetadata(maskRanges(local, ranges));
+
+    if (a.code !== b.code) {
+        let i = 0;
+        while (i < a.code.length && a.code[i] === b.code[i]) i++;
+        return {
+            match: false,
+            metadataMatches: a.metadata === b.metadata,
+            message:
+                `runtime bytecode differs from the artifact (on-chain ${chain.length / 2} bytes, ` +
+                `artifact ${local.length / 2} bytes, first difference at byte ${Math.floor(i / 2)})`,
+        };
+    }
+
+    return {
+        match: true,
+        metadataMatches: a.metadata === b.metadata,
+        message: a.metadata === b.metadata ? "" : "metadata hash differs (sources changed only in comments or paths?)",
+    };
+}
+
+// Splits deployment tx input into creation code and constructor args, and decodes the args.
+// Returns null if the input does not look like a plain CREATE of this artifact.
+function decodeConstructorArgsFromInput({ input, artifact }) {
+    const data = strip0x(input);
+    const creation = strip0x(artifact.bytecode);
+    if (data.length < creation.length) return null;
+
+    // Compare without metadata: a different metadata hash does not change the code length.
+    const prefix = data.slice(0, creation.length);
+    if (splitMetadata(prefix).code !== splitMetadata(creation).code) return null;
+
+    const encoded = data.slice(creation.length);
+    const ctor = artifact.abi.find((x) => x && x.type === "constructor");
+    const inputs = ctor?.inputs ?? [];
+    const values = inputs.length ? ethers.AbiCoder.defaultAbiCoder().decode(inputs, `0x${encoded}`) : [];
+
+    const toPlain = (v) => (typeof v === "bigint" ? v.toString() : Array.isArray(v) ? [...v].map(toPlain) : v);
+    return { encoded, args: inputs.map((_, i) => toPlain(values[i])) };
+}
+
+function encodeArgsOrNull(abi, args) {
+    try {
+        return strip0x(encodeConstructorArgs(abi, args));
+    } catch {
+        return null;
+    }
+}
+
+// Runs all checks against a live RPC. Returns { ok, problems: [string], notes: [string], immutables, decodedArgs }.
+async function preflightBytecode({ provider, address, artifact, buildInfo, ctorArgs, deployTxHash }) {
+    const problems = [];
+    const notes = [];
+
+    const output = compilerOutputFor(buildInfo, artifact);
+    const immutableReferences = output?.evm?.deployedBytecode?.immutableReferences || {};
+    if (!output) notes.push("build-info has no compiler output for this artifact; immutables are not masked");
+
+    const onchain = await provider.getCode(address);
+    const cmp = compareRuntimeBytecode({
+        onchain,
+        deployedBytecode: artifact.deployedBytecode,
+        immutableReferences,
+        linkReferences: artifact.deployedLinkReferences,
+    });
+    if (!cmp.match) problems.push(`Bytecode: ${cmp.message}`);
+    else if (cmp.message) notes.push(`Bytecode: ${cmp.message}`);
+
+    const immutables = cmp.match ? readImmutables(onchain, immutableReferences, buildInfo) : {};
+
+    let decodedArgs = null;
+    if (deployTxHash) {
+        const tx = await provider.getTransaction(deployTxHash);
+        if (!tx) {
+            notes.push(`Deploy tx ${deployTxHash} not found; constructor args not checked`);
+        } else if (tx.to) {
+            notes.push(`Deploy tx ${deployTxHash} is a call to ${tx.to} (factory?); constructor args not checked`);
+        } else {
+            decodedArgs = decodeConstructorArgsFromInput({ input: tx.data, artifact });
+            if (!decodedArgs) {
+                problems.push(
+                    `Constructor args: deploy tx ${deployTxHash} input does not start with this artifact's creation code`,
+                );
+            } else if (decodedArgs.encoded !== encodeArgsOrNull(artifact.abi, ctorArgs)) {
+                problems.push(
+                    `Constructor args: deploy tx used ${JSON.stringify(decodedArgs.args)}, ` +
+                        `but verification would submit ${JSON.stringify(ctorArgs)}`,
+                );
+            }
+        }
+    } else {
+        notes.push("No deploy tx hash; constructor args not checked against the chain");
+    }
+
+    return { ok: problems.length === 0, problems, notes, immutables, decodedArgs };
+}
+
+module.exports = {
+    splitMetadata,
+    compareRuntimeBytecode,
+    readImmutables,
+    decodeConstructorArgsFromInput,
+    preflightBytecode,
+};
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_MANIFEST_FILE = path.join(REPO_ROOT, "deployments.config.json");
+const DEFAULT_NETWORK = "pharos_atlantic";
+
+// Matches "${MockERC20.USDT.address}" style references. The last segment is the
+// field of the deployment record, everything before it is the manifest entry key.
+const REF_PATTERN = /\$\{([^}]+)\}/g;
+
+function loadManifest(filePath = DEFAULT_MANIFEST_FILE) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Deployment manifest not found: ${filePath}`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        const msg = e && e.message ? String(e.message) : String(e);
+        throw new Error(`Invalid JSON in deployment manifest ${filePath}: ${msg}`);
+    }
+
+    if (!manifest || typeof manifest.contracts !== "object" || Array.isArray(manifest.contracts)) {
+        throw new Error(`Deployment manifest ${filePath} must have a "contracts" object.`);
+    }
+
+    for (const [key, entry] of Object.entries(manifest.contracts)) {
+        if (!entry || typeof entry.contract !== "string" || !entry.contract) {
+            throw new Error(`Manifest entry '${key}' is missing "contract" (the contract name to deploy).`);
+        }
+        if (entry.args !== undefined && !Array.isArray(entry.args)) {
+            throw new Error(`Manifest entry '${key}' has non-array "args".`);
+        }
+    }
+
+    return {
+        network: manifest.network || DEFAULT_NETWORK,
+        contracts: manifest.contracts,
+    };
+}
+
+function parseRef(ref) {
+    const dot = ref.lastIndexOf(".");
+    if (dot <= 0 || dot === ref.length - 1) {
+        throw new Error(`Invalid reference \${${ref}}: expected \${<EntryKey>.<field>}, e.g. \${MockERC20.USDT.address}`);
+    }
+    return { key: ref.slice(0, dot), field: ref.slice(dot + 1) };
+}
+
+function collectRefs(value, out = new Set()) {
+    if (typeof value === "string") {
+        for (const m of value.matchAll(REF_PATTERN)) {
+            out.add(parseRef(m[1]).key);
+        }
+    } else if (Array.isArray(value)) {
+        for (const v of value) collectRefs(v, out);
+    } else if (value && typeof value === "object") {
+        for (const v of Object.values(value)) collectRefs(v, out);
+    }
+    return out;
+}
+
+// Replaces every ${Key.field} with lookup(Key)[field]. A string that is exactly one
+// reference keeps the referenced value's type; embedded references are interpolated.
+function resolveRefs(value, lookup) {
+    if (typeof value === "string") {
+        const whole = /^\$\{([^}]+)\}$/.exec(value);
+        if (whole) return readRefField(whole[1], lookup);
+        return value.replace(REF_PATTERN, (_, ref) => String(readRefField(ref, lookup)));
+    }
+    if (Array.isArray(value)) return value.map((v) => resolveRefs(v, lookup));
+    if (value && typeof value === "object") {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = resolveRefs(v, lookup);
+        return out;
+    }
+    return value;
+}
+
+function readRefField(ref, lookup) {
+    const { key, field } = parseRef(ref);
+    const record = lookup(key);
+    if (!record) {
+        throw new Error(`Unresolved reference \${${ref}}: no deployment record for '${key}'.`);
+    }
+    if (record[field] === undefined) {
+        throw new Error(`Unresolved reference \${${ref}}: deployment record for '${key}' has no field '${field}'.`);
+    }
+    return record[field];
+}
+
+// Returns manifest keys in dependency order (referenced entries first, otherwise manifest order).
+function orderEntries(contracts) {
+    const keys = Object.keys(contracts);
+    const deps = new Map();
+    for (const key of keys) {
+        const refs = collectRefs([contracts[key].args || [], contracts[key].bootstrap || {}]);
+        for (const ref of refs) {
+            if (!Object.prototype.hasOwnProperty.call(contracts, ref)) {
+                throw new Error(`Manifest entry '${key}' references unknown entry '${ref}'.`);
+            }
+        }
+        deps.set(key, refs);
+    }
+
+    const ordered = [];
+    const state = new Map(); // key => "visiting" | "done"
+
+    function visit(key, trail) {
+        if (state.get(key) === "done") return;
+        if (state.get(key) === "visiting") {
+            throw new Error(`Dependency cycle in deployment manifest: ${[...trail, key].join(" -> ")}`);
+        }
+        state.set(key, "visiting");
+        for (const dep of deps.get(key)) visit(dep, [...trail, key]);
+        state.set(key, "done");
+        ordered.push(key);
+    }
+
+    for (const key of keys) visit(key, []);
+    return ordered;
+}
+
+function deploymentFileFor(network, key) {
+    return path.join(REPO_ROOT, "deployments", `${network}.${key}.latest.json`);
+}
+
+// Lists deployments/<network>.<contractName>[.<suffix>].latest.json records.
+// Without contractName every record of the network is returned. `dir` defaults to the repo's deployments/.
+function listDeploymentRecords({
+    network = DEFAULT_NETWORK,
+    contractName,
+    dir = path.join(REPO_ROOT, "deployments"),
+} = {}) {
+    if (!fs.existsSync(dir)) return [];
+
+    const prefix = contractName ? `${network}.${contractName}.` : `${network}.`;
+    const exact = contractName ? `${network}.${contractName}.latest.json` : null;
+    const keyOf = (f) => f.slice(network.length + 1, -".latest.json".length);
+
+    // A bare <network>.latest.json has an empty key: it names no contract and is not a record.
+    return fs
+        .readdirSync(dir)
+        .filter((f) => f.endsWith(".latest.json") && (f === exact || f.startsWith(prefix)))
+        .filter((f) => keyOf(f).split(".")[0] !== "")
+        .sort()
+        .map((f) => {
+            const file = path.join(dir, f);
+            return { key: keyOf(f), file, record: JSON.parse(fs.readFileSync(file, "utf8")) };
+        })
+        .filter(({ record }) => !contractName || record.contractName === contractName);
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_FILE,
+    loadManifest,
+    collectRefs,
+    resolveRefs,
+    orderEntries,
+    deploymentFileFor,
+    listDeploymentRecords,
+};
@@ -0,0 +1,129 @@
+const { ethers } = require("ethers");
+
+const PAUSE_ABI = [
+    "function owner() view returns (address)",
+    "function guardian() view returns (address)",
+    "function paused() view returns (bool)",
+    "function pause()",
+    "function unpause()",
+    "function setGuardian(address guardian)",
+];
+
+const BASE_PAUSE_ABI = [
+    ...PAUSE_ABI,
+    "function getSupportedBases() view returns (address[])",
+    "function basePaused(address base) view returns (bool)",
+    "function pauseBase(address base)",
+    "function unpauseBase(address base)",
+];
+
+// Order books with an emergency pause (audit Low-01). The owner or the guardian pauses, only the owner
+// resumes; withdrawals and cancels keep working either way. `perBase` books can also halt a single base.
+const PAUSABLE_CONTRACTS = {
+    PharosSpotMarket: { perBase: false },
+    SinglePairOrderBookDEXVault: { perBase: false },
+    MultiBaseOrderBookDEXVault: { perBase: true },
+    MultiBaseOrderBookDEXVaultLevels: { perBase: true },
+};
+
+// Picks the pausable record `ref` (record key or address) among the deployment records of a network;
+// without `ref` there must be exactly one.
+function selectPausableRecord(records, ref) {
+    const books = records.filter(({ record }) => PAUSABLE_CONTRACTS[record.contractName]);
+    const keys = books.map((b) => b.key).join(", ") || "(none)";
+    if (ref === undefined) {
+        if (books.length === 1) return books[0];
+        throw new Error(`Pass --market <key>; pausable records: ${keys}`);
+    }
+
+    const wanted = String(ref);
+    const found = books.find(
+        ({ key, record }) =>
+            key === wanted ||
+            (ethers.isAddress(wanted) && ethers.getAddress(record.address) === ethers.getAddress(wanted)),
+    );
+    if (!found) throw new Error(`Unknown --market '${wanted}'; pausable records: ${keys}`);
+    return found;
+}
+
+function connectPausable({ address, contractName, runner }) {
+    const spec = PAUSABLE_CONTRACTS[contractName];
+    if (!spec) {
+        throw new Error(
+            `${contractName} has no emergency pause; expected one of: ${Object.keys(PAUSABLE_CONTRACTS).join(", ")}`,
+        );
+    }
+    return new ethers.Contract(address, spec.perBase ? BASE_PAUSE_ABI : PAUSE_ABI, runner);
+}
+
+/**
+ * Owner, guardian and whether the book is paused; multi-base books also list every supported base.
+ *
+ * @param {object} opts
+ * @param {string} opts.address
+ * @param {string} opts.contractName one of PAUSABLE_CONTRACTS
+ * @param {import("ethers").ContractRunner} opts.runner
+ * @returns {Promise<{owner: string, guardian: string, paused: boolean, bases?: {baseToken: string, paused: boolean}[]}>}
+ */
+async function readPauseState({ address, contractName, runner }) {
+    const book = connectPausable({ address, contractName, runner });
+    const [owner, guardian, paused] = await Promise.all([book.owner(), book.guardian(), book.paused()]);
+    const state = { owner, guardian, paused };
+    if (PAUSABLE_CONTRACTS[contractName].perBase) {
+        state.bases = [];
+        for (const baseToken of await book.getSupportedBases()) {
+            state.bases.push({ baseToken, paused: await book.basePaused(baseToken) });
+        }
+    }
+    return state;
+}
+
+/**
+ * Pauses (`paused: true`) or resumes the whole book, or only `base` of a multi-base book. Sends nothing
+ * when the book or base is already in that state, so running it twice is harmless.
+ *
+ * @param {object} opts
+ * @param {string} opts.address
+ * @param {string} opts.contractName one of PAUSABLE_CONTRACTS
+ * @param {import("ethers").Signer} opts.runner the owner, or the guardian when pausing
+ * @param {boolean} opts.paused
+ * @param {string} [opts.base] base token address
+ * @returns {Promise<{changed: boolean, txHash?: string}>}
+ */
+async function setPaused({ address, contractName, runner, paused, base, log = console.log }) {
+    const book = connectPausable({ address, contractName, runner });
+    if (base !== undefined && !PAUSABLE_CONTRACTS[contractName].perBase) {
+        throw new Error(`${contractName} trades a single pair; pause it without a base`);
+    }
+
+    const what = base === undefined ? contractName : `${contractName} base ${base}`;
+    const current = base === undefined ? await book.paused() : await book.basePaused(base);
+    if (current === paused) {
+        log(`[SKIP] ${what} is already ${paused ? "paused" : "trading"}`);
+        return { changed: false };
+    }
+
+    const method = `${paused ? "pause" : "unpause"}${base === undefined ? "" : "Base"}`;
+    log(`[INFO] ${method}(${base ?? ""}) on ${what}`);
+    const tx = base === undefined ? await book[method]() : await book[method](base);
+    await tx.wait();
+    return { changed: true, txHash: tx.hash };
+}
+
+/** Owner only; the zero address removes the guardian. */
+async function setGuardian({ address, contractName, runner, guardian, log = console.log }) {
+    const book = connectPausable({ address, contractName, runner });
+    log(`[INFO] setGuardian(${guardian}) on ${contractName}`);
+    const tx = await book.setGuardian(guardian);
+    await tx.wait();
+    return { changed: true, txHash: tx.hash };
+}
+
+module.exports = {
+    PAUSABLE_CONTRACTS,
+    selectPausableRecord,
+    connectPausable,
+    readPauseState,
+    setPaused,
+    setGuardian,
+};
@@ -0,0 +1,75 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+const {
+    DEFAULT_BATCH_SIZE,
+    DEFAULT_CONFIRMATIONS,
+    DEFAULT_POLL_MS,
+    openIndexerDb,
+    loadSourcesFromRecords,
+    createIndexer,
+} = require("../../indexer");
+
+// Options shared by the scripts that run the indexer (index-pharos.js, market-data-pharos.js, candles-pharos.js).
+const INDEXER_OPTIONS_HELP = `  --rpc              RPC url (or env PHAROS_ATLANTIC_URL); must serve eth_call at past blocks\n  --network          Deployment record prefix (default: pharos_atlantic)\n  --only             Comma-separated record keys (default: every PharosSpotMarket and\n                    MultiBaseOrderBookDEXVaultLevels record)\n  --db               SQLite file (default: data/<network>.indexer.sqlite)\n  --from-block       First block to index (default: block of the earliest deploy tx)\n  --batch-size       Blocks per eth_getLogs request (default: ${DEFAULT_BATCH_SIZE})\n  --confirmations    Reorg depth to roll back to when the indexed head is replaced (default: ${DEFAULT_CONFIRMATIONS})\n  --poll-ms          Delay between polls for new blocks (default: ${DEFAULT_POLL_MS})\n`;
+
+function intArg(value, name, min = 0) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new Error(`Invalid ${name} (expected an integer >= ${min})`);
+    return n;
+}
+
+function indexerDbPath(args) {
+    const network = String(args.network || "pharos_atlantic");
+    return args.db
+        ? path.resolve(String(args.db))
+        : path.join(__dirname, "..", "..", "data", `${network}.indexer.sqlite`);
+}
+
+// Validates the indexer options, loads the deployment records and opens the database.
+async function openIndexerFromArgs(args) {
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    if (!rpcUrl) throw new Error("Missing --rpc (or env PHAROS_ATLANTIC_URL)");
+
+    const network = String(args.network || "pharos_atlantic");
+    const dbFile = indexerDbPath(args);
+    const only = args.only
+        ? String(args.only)
+              .split(",")
+              .map((s) => s.trim())
+        : undefined;
+    const options = {
+        batchSize: args["batch-size"] !== undefined ? intArg(args["batch-size"], "--batch-size", 1) : undefined,
+        confirmations: args.confirmations !== undefined ? intArg(args.confirmations, "--confirmations") : undefined,
+        fromBlock: args["from-block"] !== undefined ? intArg(args["from-block"], "--from-block") : undefined,
+    };
+    const pollMs = args["poll-ms"] !== undefined ? intArg(args["poll-ms"], "--poll-ms") : undefined;
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const sources = await loadSourcesFromRecords({ provider, network, only });
+    if (sources.length === 0) {
+        throw new Error(`No indexable deployment records under deployments/${network}.*.latest.json`);
+    }
+    for (const s of sources) {
+        console.log(`[INFO] ${s.key} (${s.kind}) at=${s.address} from block ${s.startBlock}`);
+    }
+
+    const db = openIndexerDb(dbFile);
+    console.log(`[INFO] Database: ${dbFile}`);
+
+    const indexer = createIndexer({
+        provider,
+        db,
+        sources,
+        ...options,
+        log: (msg) => console.log(msg),
+    });
+    return { db, indexer, pollMs };
+}
+
+module.exports = {
+    INDEXER_OPTIONS_HELP,
+    intArg,
+    indexerDbPath,
+    openIndexerFromArgs,
+};
@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+
+const PRICE_SCALE = 10n ** 18n;
+
+const MOCK_ERC20_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function mint(address to, uint256 amount)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// Mirrors MultiBaseOrderBookDEXVaultLevels._quoteForBase (floor rounding).
+function quoteForBase(amountBase, priceE18, baseDecimals, quoteDecimals) {
+    return (amountBase * priceE18 * 10n ** BigInt(quoteDecimals)) / (PRICE_SCALE * 10n ** BigInt(baseDecimals));
+}
+
+async function sendAndWait(txPromise) {
+    const tx = await txPromise;
+    await tx.wait();
+    return tx;
+}
+
+async function readTokenInfo(address, runner) {
+    const token = new ethers.Contract(address, MOCK_ERC20_ABI, runner);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    return { address, symbol, decimals: Number(decimals) };
+}
+
+// Places one ask above and one bid below `seed.price` for `base`, minting the tokens first.
+async function seedLiquidity({ dex, signer, base, quote, seed, log }) {
+    const trader = await signer.getAddress();
+    const spreadBps = BigInt(seed.spreadBps ?? 100);
+
+    const midE18 = ethers.parseUnits(String(seed.price), 18);
+    const askE18 = (midE18 * (10000n + spreadBps)) / 10000n;
+    const bidE18 = (midE18 * (10000n - spreadBps)) / 10000n;
+    const amountBase = ethers.parseUnits(String(seed.size), base.decimals);
+    const quoteNeeded = quoteForBase(amountBase, bidE18, base.decimals, quote.decimals);
+
+    const baseToken = new ethers.Contract(base.address, MOCK_ERC20_ABI, signer);
+    const quoteToken = new ethers.Contract(quote.address, MOCK_ERC20_ABI, signer);
+    const dexAddress = await dex.getAddress();
+
+    log(`[INFO] Seed ${base.symbol}: ask ${amountBase} @ ${askE18}, bid ${amountBase} @ ${bidE18} (priceE18)`);
+
+    await sendAndWait(baseToken.mint(trader, amountBase));
+    await sendAndWait(baseToken.approve(dexAddress, amountBase));
+    await sendAndWait(dex.connect(signer).depositBaseFor(base.address, amountBase));
+    await sendAndWait(dex.connect(signer).limitSellFor(base.address, askE18, amountBase));
+
+    if (quoteNeeded > 0n) {
+        await sendAndWait(quoteToken.mint(trader, quoteNeeded));
+        await sendAndWait(quoteToken.approve(dexAddress, quoteNeeded));
+        await sendAndWait(dex.connect(signer).depositQuote(quoteNeeded));
+        await sendAndWait(dex.connect(signer).limitBuyFor(base.address, bidE18, amountBase));
+    }
+
+    return {
+        amountBase: amountBase.toString(),
+        askPriceE18: askE18.toString(),
+        bidPriceE18: bidE18.toString(),
+    };
+}
+
+/**
+ * Supports every base in `bases` that is not yet in getSupportedBases(), optionally seeds
+ * test liquidity, and returns the configured markets in a JSON-friendly shape.
+ *
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.dex MultiBaseOrderBookDEXVaultLevels instance
+ * @param {import("ethers").Signer} opts.signer owner of the dex (also used as seeding trader)
+ * @param {string[]} opts.bases base token addresses
+ * @param {Record<string, {price: string, size: string, spreadBps?: number}>} [opts.seed]
+ *        seed config keyed by base address or symbol
+ */
+async function bootstrapOrderBookLevels({ dex, signer, bases, seed = {}, log = console.log }) {
+    const quote = await readTokenInfo(await dex.quoteToken(), signer);
+
+    const supported = new Set((await dex.getSupportedBases()).map((a) => a.toLowerCase()));
+    const added = [];
+
+    for (const address of bases) {
+        if (address.toLowerCase() === quote.address.toLowerCase()) {
+            log(`[SKIP] ${address} is the quote token`);
+            continue;
+        }
+        if (supported.has(address.toLowerCase())) {
+            log(`[SKIP] ${address} already supported`);
+            continue;
+        }
+        log(`[INFO] supportBaseToken(${address})`);
+        await sendAndWait(dex.connect(signer).supportBaseToken(address));
+        supported.add(address.toLowerCase());
+        added.push(address);
+    }
+
+    const markets = [];
+    for (const address of await dex.getSupportedBases()) {
+        const base = await readTokenInfo(address, signer);
+        const market = { baseToken: base.address, symbol: base.symbol, decimals: base.decimals };
+
+        const seedCfg = seed[base.address] || seed[base.address.toLowerCase()] || seed[base.symbol];
+        if (seedCfg) {
+            market.seeded = await seedLiquidity({ dex, signer, base, quote, seed: seedCfg, log });
+        }
+        markets.push(market);
+    }
+
+    return { quoteToken: quote, markets, added };
+}
+
+module.exports = {
+    MOCK_ERC20_ABI,
+    quoteForBase,
+    bootstrapOrderBookLevels,
+};
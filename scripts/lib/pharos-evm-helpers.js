@@ -60,15 +60,38 @@ function walkFiles(dirPath, onFile) {
     }
 }
 
-function findHardhatArtifactPath(contractName) {
-    const contractsRoot = path.join(__dirname, "..", "..", "artifacts", "contracts");
+const ARTIFACTS_ROOT = path.join(__dirname, "..", "..", "artifacts");
+
+// "contracts/MockCoin.sol:MockERC20" -> { sourceName, contractName }; a bare name has sourceName null.
+function parseContractName(name) {
+    const value = String(name);
+    const colon = value.lastIndexOf(":");
+    if (colon < 0) return { sourceName: null, contractName: value };
+    return { sourceName: value.slice(0, colon), contractName: value.slice(colon + 1) };
+}
+
+function findHardhatArtifactPath(contractName, artifactsRoot = ARTIFACTS_ROOT) {
+    const parsed = parseContractName(contractName);
+    if (parsed.sourceName) {
+        const artifactPath = path.join(artifactsRoot, ...parsed.sourceName.split("/"), `${parsed.contractName}.json`);
+        if (!fs.existsSync(artifactPath)) {
+            throw new Error(
+                `Cannot find artifact for ${contractName} (expected ${artifactPath}). Run \`npm run compile\` or check the source path.`,
+            );
+        }
+        return artifactPath;
+    }
+
+    const contractsRoot = path.join(artifactsRoot, "contracts");
     if (!fs.existsSync(contractsRoot)) {
         throw new Error("Missing artifacts/contracts. Run `npm run compile` first.");
     }
 
+    // Hardhat writes artifacts/<sourceName>/<Contract>.json, so the parent directory is the .sol file.
     const matches = [];
     walkFiles(contractsRoot, (filePath) => {
         if (path.basename(filePath) !== `${contractName}.json`) return;
+        if (!path.basename(path.dirname(filePath)).endsWith(".sol")) return;
         matches.push(filePath);
     });
 
@@ -78,11 +101,16 @@ function findHardhatArtifactPath(contractName) {
         );
     }
 
-    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+        const names = matches
+            .map((p) => `${path.relative(artifactsRoot, path.dirname(p)).replace(/\\/g, "/")}:${contractName}`)
+            .sort();
+        throw new Error(
+            `Contract name ${contractName} is ambiguous; use a fully-qualified name:\n  ${names.join("\n  ")}`,
+        );
+    }
 
-    // Prefer the typical Hardhat path: artifacts/contracts/<Something>.sol/<Contract>.json
-    const preferred = matches.find((p) => path.basename(path.dirname(p)).endsWith(".sol"));
-    return preferred || matches.sort((a, b) => a.length - b.length)[0];
+    return matches[0];
 }
 
 function loadArtifactByPath(artifactPath) {
@@ -102,39 +130,53 @@ function loadHardhatArtifact(contractName, artifactPathOverride) {
     return { artifact: loadArtifactByPath(artifactPath), artifactPath };
 }
 
-function findBuildInfoByContractName(contractName) {
-    const buildInfoDir = path.join(__dirname, "..", "..", "artifacts", "build-info");
+// Build-info that produced the given artifact. Hardhat records it in the sibling <Contract>.dbg.json;
+// without one, build-info files are scanned for the artifact's fully-qualified name.
+function findBuildInfoForArtifact(artifactPath, artifactsRoot = ARTIFACTS_ROOT) {
+    const artifact = loadArtifactByPath(artifactPath);
+    const fqn = `${artifact.sourceName}:${artifact.contractName}`;
+    const hasContract = (buildInfo) =>
+        Boolean(buildInfo?.output?.contracts?.[artifact.sourceName]?.[artifact.contractName]);
+
+    const dbgPath = artifactPath.replace(/\.json$/, ".dbg.json");
+    const dbg = readJsonIfExists(dbgPath);
+    if (dbg?.buildInfo) {
+        const buildInfoPath = path.resolve(path.dirname(dbgPath), dbg.buildInfo);
+        const buildInfo = readJsonIfExists(buildInfoPath);
+        if (!hasContract(buildInfo)) {
+            throw new Error(
+                `${dbgPath} points at ${buildInfoPath}, which does not contain ${fqn}. Run \`npm run compile\` again.`,
+            );
+        }
+        return buildInfo;
+    }
+
+    const buildInfoDir = path.join(artifactsRoot, "build-info");
     if (!fs.existsSync(buildInfoDir)) {
         throw new Error("Missing artifacts/build-info. Run `npm run compile` first.");
     }
 
-    const candidates = fs
+    const matches = fs
         .readdirSync(buildInfoDir)
         .filter((f) => f.endsWith(".json"))
-        .map((f) => path.join(buildInfoDir, f));
+        .map((f) => ({ file: f, buildInfo: JSON.parse(fs.readFileSync(path.join(buildInfoDir, f), "utf8")) }))
+        .filter(({ buildInfo }) => hasContract(buildInfo));
 
-    if (candidates.length === 0) {
-        throw new Error("No build-info JSON found under artifacts/build-info. Run `npm run compile` first.");
+    if (matches.length === 0) {
+        throw new Error(`No build-info under artifacts/build-info contains ${fqn}. Run \`npm run compile\` first.`);
     }
-
-    let first = null;
-    for (const filePath of candidates) {
-        const raw = fs.readFileSync(filePath, "utf8");
-        const buildInfo = JSON.parse(raw);
-        if (!first) first = buildInfo;
-
-        const contracts = buildInfo?.output?.contracts;
-        if (!contracts || typeof contracts !== "object") continue;
-
-        for (const sourcePath of Object.keys(contracts)) {
-            const sourceContracts = contracts[sourcePath];
-            if (sourceContracts && Object.prototype.hasOwnProperty.call(sourceContracts, contractName)) {
-                return buildInfo;
-            }
-        }
+    if (matches.length > 1) {
+        throw new Error(
+            `Several build-info files contain ${fqn} (${matches.map((m) => m.file).join(", ")}). ` +
+                "Run `npx hardhat clean && npx hardhat compile` to drop stale builds.",
+        );
     }
+    return matches[0].buildInfo;
+}
 
-    return first;
+// Accepts a bare contract name (must be unique) or a fully-qualified one (contracts/MockCoin.sol:MockERC20).
+function findBuildInfoByContractName(contractName, artifactsRoot = ARTIFACTS_ROOT) {
+    return findBuildInfoForArtifact(findHardhatArtifactPath(contractName, artifactsRoot), artifactsRoot);
 }
 
 function normalizeArgValue(type, value) {
@@ -175,6 +217,57 @@ function encodeConstructorArgs(abi, args) {
     return encoded.startsWith("0x") ? encoded.slice(2) : encoded;
 }
 
+function artifactBytecodeHash(artifact) {
+    return ethers.keccak256(artifact.bytecode);
+}
+
+function historyFileFor(outFile) {
+    return outFile.endsWith(".latest.json")
+        ? outFile.slice(0, -".latest.json".length) + ".history.json"
+        : `${outFile}.history.json`;
+}
+
+// Decides whether an existing deployment record can be reused instead of deploying again.
+// Returns { upToDate: true } or { upToDate: false, reason }.
+async function checkExistingDeployment({ provider, record, chainId, bytecodeHash, abi, ctorArgs }) {
+    if (!record) return { upToDate: false, reason: "no previous deployment record" };
+    if (!record.address) return { upToDate: false, reason: "previous record has no address" };
+
+    if (String(record.chainId) !== String(chainId)) {
+        return { upToDate: false, reason: `chainId changed (${record.chainId} -> ${chainId})` };
+    }
+
+    if (!record.bytecodeHash) {
+        return { upToDate: false, reason: "previous record has no bytecodeHash (deployed by an older script)" };
+    }
+    if (record.bytecodeHash !== bytecodeHash) {
+        return { upToDate: false, reason: "artifact bytecode changed" };
+    }
+
+    let argsChanged;
+    try {
+        argsChanged = encodeConstructorArgs(abi, record.constructorArgs || []) !== encodeConstructorArgs(abi, ctorArgs);
+    } catch {
+        argsChanged = true;
+    }
+    if (argsChanged) return { upToDate: false, reason: "constructor args changed" };
+
+    const code = await provider.getCode(record.address);
+    if (!code || code === "0x") {
+        return { upToDate: false, reason: `no code at recorded address ${record.address}` };
+    }
+
+    return { upToDate: true };
+}
+
+function appendDeploymentHistory(outFile, record, reason) {
+    const historyFile = historyFileFor(outFile);
+    const history = readJsonIfExists(historyFile) || [];
+    history.push({ ...record, supersededAt: new Date().toISOString(), supersededReason: reason });
+    writeJson(historyFile, history);
+    return historyFile;
+}
+
 function parseJsonArg(value, nameForError) {
     try {
         return JSON.parse(value);
@@ -184,6 +277,15 @@ function parseJsonArg(value, nameForError) {
     }
 }
 
+// Renders rows as a plain-text table. columns: [{ key, title }]
+function formatTable(rows, columns) {
+    const cells = rows.map((row) => columns.map((c) => String(row[c.key] ?? "")));
+    const widths = columns.map((c, i) => Math.max(c.title.length, ...cells.map((r) => r[i].length)));
+    const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+
+    return [line(columns.map((c) => c.title)), line(widths.map((w) => "-".repeat(w))), ...cells.map(line)].join("\n");
+}
+
 async function fetchJson(url, init = {}) {
     if (typeof fetch !== "function") {
         throw new Error("Global fetch() is not available. Please use Node.js >= 18.");
@@ -219,9 +321,16 @@ module.exports = {
     parseArgv,
     readJsonIfExists,
     writeJson,
+    parseContractName,
     loadHardhatArtifact,
+    findBuildInfoForArtifact,
     findBuildInfoByContractName,
     encodeConstructorArgs,
+    artifactBytecodeHash,
+    historyFileFor,
+    checkExistingDeployment,
+    appendDeploymentHistory,
     parseJsonArg,
+    formatTable,
     fetchJson,
 };
@@ -0,0 +1,275 @@
+const {
+    loadHardhatArtifact,
+    findBuildInfoForArtifact,
+    encodeConstructorArgs,
+    fetchJson,
+} = require("./pharos-evm-helpers");
+
+const DEFAULT_API_BASE = "https://api.socialscan.io/pharos-atlantic-testnet";
+const DEFAULT_BROWSER_BASE = "https://atlantic.pharosscan.xyz";
+const DEFAULT_LICENSE_TYPE = "MIT License (MIT)";
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function explorerCodeUrl(browserBase, address) {
+    return `${browserBase}/address/${address}#code`;
+}
+
+function loadVerifySources(contractName, artifactPathOverride) {
+    try {
+        const { artifact, artifactPath } = loadHardhatArtifact(contractName, artifactPathOverride);
+        const buildInfo = findBuildInfoForArtifact(artifactPath);
+        return { artifact, artifactPath, buildInfo };
+    } catch (e) {
+        const msg = String(e?.message || e);
+        throw new Error(
+            `Failed to load Hardhat artifact/build-info for contract '${contractName}'.\n` +
+                `- Ensure you ran: npx hardhat compile\n` +
+                `- Ensure the contract name is correct (use contracts/File.sol:Name if it is ambiguous)\n` +
+                `- Or pass --artifact <path/to/<ContractName>.json>\n` +
+                `Original error: ${msg}`,
+        );
+    }
+}
+
+// Compiler settings the explorer needs, read from the Hardhat build-info.
+function compilerSettings(buildInfo) {
+    const input = buildInfo.input;
+    return {
+        compilerVersion: `v${buildInfo.solcLongVersion || buildInfo.solcVersion}`,
+        optimizerEnabled: Boolean(input?.settings?.optimizer?.enabled),
+        optimizerRuns: input?.settings?.optimizer?.runs ?? 200,
+        evmVersion: input?.settings?.evmVersion ?? "default (compiler defaults)",
+    };
+}
+
+// Standard-json-input restricted to the sources the contract was compiled from (per its metadata),
+// so one verification does not upload every other contract of the Hardhat build.
+function trimStandardJsonInput(buildInfo, artifact) {
+    const input = buildInfo.input;
+    const output = buildInfo.output?.contracts?.[artifact.sourceName]?.[artifact.contractName];
+    if (!output?.metadata) {
+        throw new Error(`build-info has no metadata for ${artifact.sourceName}:${artifact.contractName}`);
+    }
+
+    const needed = Object.keys(JSON.parse(output.metadata).sources);
+    const sources = {};
+    for (const sourceName of needed) {
+        if (!input.sources[sourceName]) throw new Error(`build-info input is missing source ${sourceName}`);
+        sources[sourceName] = input.sources[sourceName];
+    }
+    return { ...input, sources };
+}
+
+function buildVerifyForm({ address, artifact, buildInfo, ctorArgs, licenseType, libraries }) {
+    const { compilerVersion, optimizerEnabled, optimizerRuns, evmVersion } = compilerSettings(buildInfo);
+
+    const form = new FormData();
+    form.append("address", address);
+    form.append("compiler_type", "Solidity (Standard-Json-Input)");
+    form.append("license_type", licenseType);
+    form.append("evm_version", evmVersion);
+    form.append("compiler_version", compilerVersion);
+    form.append("libraries", JSON.stringify(libraries));
+    form.append("optimization", optimizerEnabled ? "yes" : "no");
+    form.append("constructor_arguments", encodeConstructorArgs(artifact.abi, ctorArgs));
+    form.append("optimization_runs", String(optimizerRuns));
+
+    const inputBlob = new Blob([JSON.stringify(trimStandardJsonInput(buildInfo, artifact))], {
+        type: "application/json",
+    });
+    form.append("files", inputBlob, "standard-json-input.json");
+
+    return form;
+}
+
+async function checkVerification({ apiBase, address, headers = {} }) {
+    return fetchJson(`${apiBase}/v1/explorer/verify_contract/check`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify({ address }),
+    });
+}
+
+async function submitVerification({ apiBase, form, headers = {} }) {
+    return fetchJson(`${apiBase}/v1/explorer/verify_contract/verify`, {
+        method: "POST",
+        headers,
+        body: form,
+    });
+}
+
+// Normalizes a check/submit response into { state: "verified" | "failed" | "pending", message }.
+function interpretVerifyResponse(data) {
+    if (data && typeof data === "object") {
+        if (data.already_verified || data.verified === true) return { state: "verified", message: "" };
+
+        const status = String(data.status ?? data.result ?? "").toLowerCase();
+        const message = String(data.message ?? data.error ?? data.reason ?? data.msg ?? "");
+        if (data.success === false || data.error || /fail|error|reject/.test(status)) {
+            return { state: "failed", message: message || status || JSON.stringify(data) };
+        }
+        if (/^(verified|pass|success)/.test(status)) return { state: "verified", message };
+        return { state: "pending", message };
+    }
+
+    const text = String(data ?? "");
+    if (/fail|error|reject|mismatch/i.test(text)) return { state: "failed", message: text };
+    return { state: "pending", message: text };
+}
+
+// Polls the check endpoint until the address is verified, a failure is reported or timeoutMs elapses.
+// The delay between polls starts at intervalMs and grows by `backoff` up to maxIntervalMs.
+async function waitForVerification({
+    apiBase,
+    address,
+    headers,
+    timeoutMs = 120000,
+    intervalMs = 5000,
+    backoff = 1.5,
+    maxIntervalMs = 30000,
+    onPoll,
+}) {
+    const deadline = Date.now() + timeoutMs;
+    let last = { state: "pending", message: "" };
+    let delay = intervalMs;
+    let attempt = 0;
+
+    while (Date.now() < deadline) {
+        last = interpretVerifyResponse(await checkVerification({ apiBase, address, headers }));
+        attempt += 1;
+        if (onPoll) onPoll({ attempt, ...last });
+        if (last.state !== "pending") return last;
+        await sleep(Math.min(delay, Math.max(0, deadline - Date.now())));
+        delay = Math.min(maxIntervalMs, Math.ceil(delay * backoff));
+    }
+
+    return { state: "pending", message: last.message || `still pending after ${timeoutMs}ms` };
+}
+
+// Known explorer rejections, most specific first: the settings and source checks come before the
+// compiler version, whose messages also say "version" / "mismatch".
+const FAILURE_PATTERNS = [
+    {
+        kind: "constructor-args",
+        pattern: /constructor/i,
+        hint: ({ constructorArgs }) =>
+            `Constructor arguments do not match the deployment. Submitted 0x${constructorArgs || ""}; ` +
+            "pass --args '<JSON array>' with the exact values used at deploy time.",
+    },
+    {
+        kind: "optimizer",
+        pattern: /optimi[sz]|runs/i,
+        hint: ({ optimizerEnabled, optimizerRuns }) =>
+            `Optimizer settings rejected. Submitted optimization=${optimizerEnabled ? "yes" : "no"}, ` +
+            `runs=${optimizerRuns}; they must match the settings the contract was deployed with.`,
+    },
+    {
+        kind: "evm-version",
+        pattern: /evm[ _-]?version/i,
+        hint: ({ evmVersion }) =>
+            `EVM version rejected. Submitted ${evmVersion}; set evmVersion in hardhat.config.js to the one ` +
+            "the contract was deployed with.",
+    },
+    {
+        kind: "bytecode-mismatch",
+        pattern: /bytecode|source|does not match|doesn't match|not match/i,
+        hint: () =>
+            "Deployed bytecode does not match the compiled artifact. Make sure the deployment record points at " +
+            "this contract and the sources have not changed since deployment (npx hardhat compile, then compare).",
+    },
+    {
+        kind: "compiler-version",
+        pattern: /compiler version|solc version|version mismatch|wrong compiler/i,
+        hint: ({ compilerVersion }) =>
+            `Compiler version rejected. Submitted ${compilerVersion}; the deployed bytecode must come from the ` +
+            "same solc version as hardhat.config.js (recompile and redeploy if it changed since deployment).",
+    },
+];
+
+// Maps an explorer failure message to [{ kind, hint }] using the settings that were submitted.
+function diagnoseVerifyFailure(message, submitted = {}) {
+    const text = String(message || "");
+    const match = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (!match) return [{ kind: "unknown", hint: `Explorer rejected the source: ${text || "(no message)"}` }];
+    return [{ kind: match.kind, hint: match.hint(submitted) }];
+}
+
+// Verifies one deployment record end to end: check, submit if needed, then wait for the result.
+async function verifyDeployment({
+    deployment,
+    apiBase = DEFAULT_API_BASE,
+    headers = {},
+    licenseType = DEFAULT_LICENSE_TYPE,
+    libraries = [],
+    ...pollOpts
+}) {
+    const { address, contractName } = deployment;
+
+    const check = interpretVerifyResponse(await checkVerification({ apiBase, address, headers }));
+    if (check.state === "verified") return { state: "verified", submitted: false, message: "already verified" };
+
+    const { artifact, buildInfo } = loadVerifySources(
+        deployment.fullyQualifiedName || contractName,
+        deployment.artifactPath,
+    );
+    const ctorArgs = deployment.constructorArgs || [];
+    const form = buildVerifyForm({ address, artifact, buildInfo, ctorArgs, licenseType, libraries });
+    const diagnose = (result) =>
+        result.state === "failed"
+            ? {
+                  ...result,
+                  diagnostics: diagnoseVerifyFailure(result.message, {
+                      ...compilerSettings(buildInfo),
+                      constructorArgs: encodeConstructorArgs(artifact.abi, ctorArgs),
+                  }),
+              }
+            : result;
+
+    // A submit response only tells us the job was accepted; the check endpoint decides "verified".
+    const submitted = interpretVerifyResponse(await submitVerification({ apiBase, form, headers }));
+    if (submitted.state === "failed") return { ...diagnose(submitted), submitted: true };
+
+    const result = await waitForVerification({ apiBase, address, headers, ...pollOpts });
+    return { ...diagnose(result), submitted: true };
+}
+
+// Verifies every deployment record in turn; one failing record does not stop the others.
+async function verifyAllDeployments({ records, log = console.log, ...opts }) {
+    const results = [];
+    for (const { key, record } of records) {
+        const row = { key, contractName: record.contractName, address: record.address };
+        if (!record.address || !record.contractName) {
+            results.push({ ...row, state: "failed", submitted: false, message: "record has no address/contractName" });
+            continue;
+        }
+
+        log(`[INFO] ${key}: ${record.contractName} at ${record.address}`);
+        try {
+            results.push({ ...row, ...(await verifyDeployment({ deployment: record, ...opts })) });
+        } catch (e) {
+            results.push({ ...row, state: "failed", submitted: false, message: String(e?.message || e) });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    DEFAULT_API_BASE,
+    DEFAULT_BROWSER_BASE,
+    DEFAULT_LICENSE_TYPE,
+    explorerCodeUrl,
+    loadVerifySources,
+    compilerSettings,
+    trimStandardJsonInput,
+    buildVerifyForm,
+    checkVerification,
+    submitVerification,
+    interpretVerifyResponse,
+    waitForVerification,
+    diagnoseVerifyFailure,
+    verifyDeployment,
+    verifyAllDeployments,
+};
@@ -0,0 +1,317 @@
+const { ethers } = require("ethers");
+
+const { formatTable } = require("./pharos-evm-helpers");
+const { SOURCE_KINDS } = require("../../indexer/sources");
+const { connectSpotMarket, connectLevelsMarket } = require("../../sdk");
+
+// Commands of scripts/pharosdex.js. Each takes a connected market (sdk/spot-market.js or
+// sdk/levels-market.js, which share their method names), the positional arguments after the command
+// name and the parsed options, and returns a JSON-friendly result that `formatResult` renders as tables.
+
+const TOKEN_INFO_ABI = [
+    "function symbol() view returns (string)",
+    "function balanceOf(address) view returns (uint256)",
+];
+
+const SUPPORTED_BASES_ABI = ["function getSupportedBases() view returns (address[])"];
+
+const DEFAULT_DEPTH_LEVELS = 10;
+
+// Picks the order book record `ref` (record key or address) among the trading records of a network;
+// without `ref` there must be exactly one.
+function selectMarketRecord(records, ref) {
+    const markets = records.filter(({ record }) => SOURCE_KINDS[record.contractName]);
+    const keys = markets.map((m) => m.key).join(", ") || "(none)";
+    if (ref === undefined) {
+        if (markets.length === 1) return markets[0];
+        throw new Error(`Pass --market <key>; order book records: ${keys}`);
+    }
+
+    const wanted = String(ref);
+    const found = markets.find(
+        ({ key, record }) => key === wanted || (ethers.isAddress(wanted) && eqAddress(record.address, wanted)),
+    );
+    if (!found) throw new Error(`Unknown --market '${wanted}'; order book records: ${keys}`);
+    return found;
+}
+
+function eqAddress(a, b) {
+    return ethers.getAddress(a) === ethers.getAddress(b);
+}
+
+// MultiBaseOrderBookDEXVaultLevels (like MultiBaseOrderBookDEXVault) trades many bases: `base` is an address
+// or the symbol of a supported base, and may be omitted when only one base is supported.
+async function resolveLevelsBase({ dex, runner, base }) {
+    const supported = await dex.getSupportedBases();
+    if (base === undefined) {
+        if (supported.length === 1) return supported[0];
+        throw new Error(`Pass --base <symbol|address>; supported bases: ${supported.join(", ") || "(none)"}`);
+    }
+    const list = supported.join(", ") || "(none)";
+    if (ethers.isAddress(String(base))) {
+        const address = ethers.getAddress(String(base));
+        if (supported.some((a) => a.toLowerCase() === address.toLowerCase())) return address;
+        throw new Error(`Base ${address} is not supported; supported bases: ${list}`);
+    }
+
+    const wanted = String(base).toUpperCase();
+    for (const address of supported) {
+        const symbol = await new ethers.Contract(address, TOKEN_INFO_ABI, runner).symbol();
+        if (symbol.toUpperCase() === wanted) return address;
+    }
+    throw new Error(`No supported base with symbol '${base}'; supported bases: ${list}`);
+}
+
+/**
+ * Connects the SDK client for a deployment record.
+ *
+ * @param {object} opts
+ * @param {{ key: string, record: object }} opts.entry from listDeploymentRecords / selectMarketRecord
+ * @param {import("ethers").ContractRunner} opts.runner signer, or a provider for read-only commands
+ * @param {string} [opts.base] MultiBaseOrderBookDEXVaultLevels base (symbol or address)
+ */
+async function connectMarketFromRecord({ entry, runner, base }) {
+    const { key, record } = entry;
+    const kind = SOURCE_KINDS[record.contractName];
+    let market;
+    if (kind === "spot") {
+        market = await connectSpotMarket({ address: record.address, runner });
+    } else {
+        const dex = new ethers.Contract(record.address, SUPPORTED_BASES_ABI, runner);
+        market = await connectLevelsMarket({
+            address: record.address,
+            runner,
+            base: await resolveLevelsBase({ dex, runner, base }),
+        });
+    }
+
+    // PharosSpotMarket open orders are found through logs; start at the deploy block when it is known.
+    let fromBlock = 0;
+    if (record.deployTxHash && runner.provider) {
+        const receipt = await runner.provider.getTransactionReceipt(record.deployTxHash);
+        if (receipt) fromBlock = receipt.blockNumber;
+    }
+    return { key, kind, market, fromBlock };
+}
+
+function need(value, usage) {
+    if (value === undefined || value === true) throw new Error(`Usage: pharosdex ${usage}`);
+    return String(value);
+}
+
+function intOption(args, name, fallback) {
+    if (args[name] === undefined) return fallback;
+    const n = Number(args[name]);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid --${name} (expected an integer >= 0)`);
+    return n;
+}
+
+// Side, size and --max-matches shared by `market` and `quote`.
+function marketOrder(ctx, side, amount, args) {
+    const order = { side, amount: amount ?? 0, maxQuoteIn: args["max-quote"] ?? 0 };
+    if (args["max-matches"] !== undefined) {
+        if (ctx.kind !== "spot") throw new Error("--max-matches is PharosSpotMarket only");
+        order.maxMatches = intOption(args, "max-matches");
+    }
+    return order;
+}
+
+async function tokenRows(ctx, user) {
+    const { market } = ctx;
+    const vault = await market.balances(user);
+    const rows = [];
+    for (const [asset, address, decimals] of [
+        ["base", market.baseToken, market.baseDecimals],
+        ["quote", market.quoteToken, market.quoteDecimals],
+    ]) {
+        const token = new ethers.Contract(address, TOKEN_INFO_ABI, market.contract.runner);
+        const [symbol, wallet] = await Promise.all([token.symbol(), token.balanceOf(user)]);
+        rows.push({ asset, symbol, token: address, wallet: ethers.formatUnits(wallet, decimals), vault: vault[asset] });
+    }
+    return rows;
+}
+
+async function userOf(ctx, args) {
+    if (args.user !== undefined && args.user !== true) return ethers.getAddress(String(args.user));
+    const runner = ctx.market.contract.runner;
+    if (!runner || typeof runner.getAddress !== "function") throw new Error("Pass --user <address> or --pk");
+    return runner.getAddress();
+}
+
+const COMMANDS = {
+    deposit: {
+        usage: "deposit <base|quote|token> <amount>",
+        run(ctx, [token, amount]) {
+            return ctx.market.deposit(need(token, this.usage), need(amount, this.usage));
+        },
+    },
+    withdraw: {
+        usage: "withdraw <base|quote|token> <amount>",
+        run(ctx, [token, amount]) {
+            return ctx.market.withdraw(need(token, this.usage), need(amount, this.usage));
+        },
+    },
+    limit: {
+        usage: "limit <buy|sell> <amount> <price> [--post-only] [--max-matches N]",
+        run(ctx, [side, amount, price], args) {
+            const order = {
+                side: need(side, this.usage),
+                amount: need(amount, this.usage),
+                price: need(price, this.usage),
+            };
+            if (ctx.kind === "spot") {
+                order.postOnly = Boolean(args["post-only"]);
+                if (args["max-matches"] !== undefined) order.maxMatches = intOption(args, "max-matches");
+            } else if (args["post-only"] || args["max-matches"] !== undefined) {
+                throw new Error("--post-only / --max-matches are PharosSpotMarket only");
+            }
+            return ctx.market.placeLimitOrder(order);
+        },
+    },
+    market: {
+        usage:
+            "market <buy|sell> [<amount>] [--max-quote <quote>] [--min-quote <quote>] [--slippage <bps>] " +
+            "[--max-price <p>] [--min-price <p>]",
+        run(ctx, [side, amount], args) {
+            const order = marketOrder(ctx, need(side, this.usage), amount, args);
+            if (args["min-quote"] !== undefined) order.minQuoteOut = args["min-quote"];
+            if (args.slippage !== undefined) order.slippageBps = intOption(args, "slippage");
+            for (const [flag, key] of [
+                ["max-price", "maxPrice"],
+                ["min-price", "minPrice"],
+            ]) {
+                if (args[flag] === undefined) continue;
+                if (ctx.kind === "spot") throw new Error(`--${flag} is MultiBaseOrderBookDEXVaultLevels only`);
+                order[key] = args[flag];
+            }
+            return ctx.market.placeMarketOrder(order);
+        },
+    },
+    quote: {
+        usage: "quote <buy|sell> [<amount>] [--max-quote <quote>]",
+        run(ctx, [side, amount], args) {
+            return ctx.market.quoteMarketOrder(marketOrder(ctx, need(side, this.usage), amount, args));
+        },
+    },
+    cancel: {
+        usage: "cancel <orderId> [<orderId> ...]",
+        async run(ctx, ids) {
+            if (ids.length === 0) need(undefined, this.usage);
+            const results = [];
+            for (const id of ids) results.push(await ctx.market.cancelOrder(BigInt(id)));
+            return results;
+        },
+    },
+    orders: {
+        usage: "orders [--user <address>]",
+        async run(ctx, positional, args) {
+            const user = await userOf(ctx, args);
+            return ctx.market.openOrders(user, { fromBlock: ctx.fromBlock });
+        },
+    },
+    depth: {
+        usage: "depth [--levels N]",
+        run(ctx, positional, args) {
+            return ctx.market.getDepth(intOption(args, "levels", DEFAULT_DEPTH_LEVELS));
+        },
+    },
+    balances: {
+        usage: "balances [--user <address>]",
+        async run(ctx, positional, args) {
+            return tokenRows(ctx, await userOf(ctx, args));
+        },
+    },
+};
+
+// Commands that send transactions; the others also work with a read-only provider.
+const WRITE_COMMANDS = new Set(["deposit", "withdraw", "limit", "market", "cancel"]);
+
+async function runCommand(ctx, command, positional = [], args = {}) {
+    const spec = COMMANDS[command];
+    if (!spec) throw new Error(`Unknown command '${command}'; expected one of: ${Object.keys(COMMANDS).join(", ")}`);
+    return spec.run(ctx, positional, args);
+}
+
+const TRADE_COLUMNS = [
+    { key: "makerOrderId", title: "Maker order" },
+    { key: "makerSide", title: "Maker side" },
+    { key: "price", title: "Price" },
+    { key: "amount", title: "Amount" },
+    { key: "quoteAmount", title: "Quote" },
+    { key: "takerFee", title: "Taker fee" },
+];
+
+// One "field  value" table for a transaction result, followed by its trades when there are any.
+function formatTx(result) {
+    const rows = Object.entries(result)
+        .filter(([, v]) => !Array.isArray(v))
+        .map(([field, value]) => ({ field, value }));
+    const parts = [
+        formatTable(rows, [
+            { key: "field", title: "Field" },
+            { key: "value", title: "Value" },
+        ]),
+    ];
+    if (result.trades?.length) parts.push(formatTable(result.trades, TRADE_COLUMNS));
+    return parts.join("\n\n");
+}
+
+function formatResult(command, result) {
+    switch (command) {
+        case "orders":
+            if (result.length === 0) return "No open orders";
+            return formatTable(result, [
+                { key: "orderId", title: "Order" },
+                { key: "side", title: "Side" },
+                { key: "price", title: "Price" },
+                { key: "amount", title: "Amount" },
+                { key: "filled", title: "Filled" },
+                { key: "remaining", title: "Remaining" },
+            ]);
+        case "depth": {
+            // Asks from worst to best above the bids from best to worst, like a ladder.
+            const rows = [
+                ...[...result.asks].reverse().map((l) => ({ side: "ask", ...l })),
+                ...result.bids.map((l) => ({ side: "bid", ...l })),
+            ];
+            if (rows.length === 0) return "Empty order book";
+            return formatTable(rows, [
+                { key: "side", title: "Side" },
+                { key: "price", title: "Price" },
+                { key: "amount", title: "Amount" },
+            ]);
+        }
+        case "balances":
+            return formatTable(result, [
+                { key: "asset", title: "Asset" },
+                { key: "symbol", title: "Symbol" },
+                { key: "token", title: "Token" },
+                { key: "wallet", title: "Wallet" },
+                { key: "vault", title: "Vault" },
+            ]);
+        case "cancel":
+            return formatTable(result, [
+                { key: "orderId", title: "Order" },
+                { key: "refund", title: "Refund" },
+                { key: "refundToken", title: "Token" },
+                { key: "hash", title: "Tx" },
+            ]);
+        default:
+            return formatTx(result);
+    }
+}
+
+function toJson(value) {
+    return JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+module.exports = {
+    COMMANDS,
+    WRITE_COMMANDS,
+    selectMarketRecord,
+    resolveLevelsBase,
+    connectMarketFromRecord,
+    runCommand,
+    formatResult,
+    toJson,
+};
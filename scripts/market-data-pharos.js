@@ -0,0 +1,50 @@
+require("@chainlink/env-enc").config();
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { INDEXER_OPTIONS_HELP, intArg, openIndexerFromArgs } = require("./lib/indexer-cli");
+const { createMarketDataServer } = require("../indexer");
+
+// Local market-data service: follows the chain with the event indexer and serves depth, trades,
+// tickers and orders over REST, with incremental depth/trade pushes over WebSocket.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   node scripts/market-data-pharos.js [--port 8787]
+
+function printHelp() {
+    console.log(
+        `\nMarket-data REST/WebSocket service\n\nUsage:\n  node scripts/market-data-pharos.js [--port 8787] [--host 127.0.0.1]\n\nOptions:\n  --port             HTTP/WebSocket port (default: 8787)\n  --host             Listen address (default: 127.0.0.1)\n${INDEXER_OPTIONS_HELP}\nEndpoints:\n  GET /markets\n  GET /depth/:base?contract=&levels=\n  GET /trades/:base?contract=&limit=&beforeBlock=\n  GET /ticker?base=&contract=\n  GET /candles/:base?contract=&interval=1m|5m|1h|1d&from=&to=&limit=&fill=1\n  GET /orders/:trader?status=open|all\n  WS  /ws  {"op":"subscribe","channel":"depth"|"trades","base":"0x..","contract":"0x.."}\n\n?contract= is only needed when a base token is listed on several contracts.\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const port = args.port !== undefined ? intArg(args.port, "--port") : 8787;
+    const host = String(args.host || "127.0.0.1");
+
+    const { db, indexer, pollMs } = await openIndexerFromArgs(args);
+    // Serve what is already indexed while the backfill catches up.
+    const service = createMarketDataServer({ db, indexer });
+    const address = await service.listen(port, host);
+    console.log(`[OK] Market data on http://${address.address}:${address.port} (WebSocket /ws)`);
+
+    process.once("SIGINT", () => {
+        console.log("[INFO] Stopping...");
+        indexer.stop();
+    });
+    try {
+        await indexer.run({ pollMs });
+    } finally {
+        await service.close();
+        db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
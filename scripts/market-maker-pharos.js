@@ -0,0 +1,128 @@
+require("@chainlink/env-enc").config();
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { listDeploymentRecords } = require("./lib/deploy-manifest");
+const { intArg } = require("./lib/indexer-cli");
+const { selectMarketRecord, connectMarketFromRecord } = require("./lib/trading-cli");
+const { createPriceSource, createMarketMaker, runMarketMakers, fundFromMock } = require("../bots/market-maker");
+
+// Market maker for the demo books: quotes a ladder of bids and asks around a reference price on every
+// market listed in market-maker.config.json and requotes when the price moves or a quote fills.
+// Works against Pharos Atlantic or a local `npx hardhat node` (point PHAROS_ATLANTIC_URL at it).
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   set TEST_ACCOUNT_0=...
+//   node scripts/market-maker-pharos.js [--config <FILE>] [--only <market,...>] [--fund] [--once]
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "market-maker.config.json");
+
+function printHelp() {
+    console.log(
+        `\nMarket-maker bot\n\nUsage:\n  node scripts/market-maker-pharos.js [--config <FILE>] [--only <market,...>] [--fund] [--once]\n\nOptions:\n  --rpc              RPC url (or env PHAROS_ATLANTIC_URL)\n  --pk               Market maker private key (or env TEST_ACCOUNT_0)\n  --config           Config file (default: market-maker.config.json)\n  --network          Deployment record prefix (default: config "network", else pharos_atlantic)\n  --only             Comma-separated config entries to run, by "market" or "market:base"\n  --interval-ms      Delay between rounds (default: config "intervalMs", else 5000)\n  --fund             Mint each entry's "fund" amounts (MockERC20 only) and deposit them first\n  --once             Quote once and exit, leaving the quotes on the book\n  --keep-orders      Do not cancel the quotes on exit (Ctrl+C)\n\nEach config entry: market (record key), base (MultiBase only), price (fixed / url / last /\nrandom-walk source), spreadBps, levels, levelStepBps, size, requoteBps, minBase, maxBase, fund.\nMissing fields come from "defaults". Open orders of the account in each market are cancelled at start.\n`,
+    );
+}
+
+function loadConfig(file) {
+    if (!fs.existsSync(file)) throw new Error(`Market maker config not found: ${file}`);
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(config.markets) || config.markets.length === 0) {
+        throw new Error(`${file}: "markets" must be a non-empty array`);
+    }
+    return config;
+}
+
+function entryName(entry) {
+    return entry.base ? `${entry.market}:${entry.base}` : String(entry.market);
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    const privateKey = args.pk || process.env.TEST_ACCOUNT_0;
+    if (!rpcUrl) throw new Error("Missing --rpc (or env PHAROS_ATLANTIC_URL)");
+    if (!privateKey) throw new Error("Missing --pk (or env TEST_ACCOUNT_0)");
+
+    const configFile = args.config ? path.resolve(String(args.config)) : DEFAULT_CONFIG_FILE;
+    const config = loadConfig(configFile);
+    const network = String(args.network || config.network || "pharos_atlantic");
+    const intervalMs =
+        args["interval-ms"] !== undefined ? intArg(args["interval-ms"], "--interval-ms", 1) : config.intervalMs || 5000;
+
+    let entries = config.markets;
+    if (args.only) {
+        const only = String(args.only)
+            .split(",")
+            .map((s) => s.trim());
+        entries = entries.filter((e) => only.includes(entryName(e)) || only.includes(String(e.market)));
+        if (entries.length === 0) throw new Error(`--only matches no entry of ${configFile}`);
+    }
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    // One account quotes every market; track its nonce locally across the many small transactions.
+    const signer = new ethers.NonceManager(wallet);
+    const records = listDeploymentRecords({ network });
+    console.log(`[INFO] Market maker=${wallet.address}`);
+
+    const makers = [];
+    for (const entry of entries) {
+        const name = entryName(entry);
+        const ctx = await connectMarketFromRecord({
+            entry: selectMarketRecord(records, entry.market),
+            runner: signer,
+            base: entry.base,
+        });
+        if (args.fund && entry.fund) {
+            await fundFromMock(ctx.market, entry.fund);
+            console.log(`[INFO] ${name}: funded base=${entry.fund.base ?? 0} quote=${entry.fund.quote ?? 0}`);
+        }
+
+        const { market: marketKey, base, price, fund, ...settings } = entry;
+        const maker = createMarketMaker({
+            market: ctx.market,
+            kind: ctx.kind,
+            referencePrice: createPriceSource(price, ctx.market),
+            config: { ...config.defaults, ...settings },
+            log: (msg) => console.log(msg.replace("[MM]", `[MM] ${name}`)),
+        });
+        const stale = await maker.cancelExisting({ fromBlock: ctx.fromBlock });
+        console.log(`[INFO] ${name} (${ctx.kind}) at=${ctx.market.address}; cancelled ${stale} stale order(s)`);
+        makers.push({ name, maker });
+    }
+
+    if (args.once) {
+        for (const { maker } of makers) await maker.tick();
+        return;
+    }
+
+    const controller = new AbortController();
+    process.once("SIGINT", () => {
+        console.log("[INFO] Stopping...");
+        controller.abort();
+    });
+    await runMarketMakers(makers, {
+        intervalMs,
+        signal: controller.signal,
+        log: (msg) => console.log(msg),
+    });
+
+    if (!args["keep-orders"]) {
+        for (const { name, maker } of makers) {
+            console.log(`[INFO] ${name}: cancelled ${await maker.cancelAll()} quote(s)`);
+        }
+    }
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
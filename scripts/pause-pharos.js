@@ -0,0 +1,92 @@
+require("@chainlink/env-enc").config();
+
+const { ethers } = require("ethers");
+
+const { parseArgv, formatTable } = require("./lib/pharos-evm-helpers");
+const { listDeploymentRecords } = require("./lib/deploy-manifest");
+const { resolveLevelsBase } = require("./lib/trading-cli");
+const {
+    PAUSABLE_CONTRACTS,
+    selectPausableRecord,
+    connectPausable,
+    readPauseState,
+    setPaused,
+    setGuardian,
+} = require("./lib/emergency-pause");
+
+// Emergency pause of a recorded order book (PharosSpotMarket, SinglePairOrderBookDEXVault,
+// MultiBaseOrderBookDEXVault or MultiBaseOrderBookDEXVaultLevels): show the state, halt or resume trading
+// for the whole book or one base, and set the guardian.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   set TEST_ACCOUNT_0=...
+//   node scripts/pause-pharos.js <status|pause|unpause|guardian> [--market <key>] [--base <symbol|address>]
+
+const COMMANDS = ["status", "pause", "unpause", "guardian"];
+
+function printHelp() {
+    console.log(
+        `\nOrder book emergency pause\n\nUsage:\n  node scripts/pause-pharos.js status [--market <key>]\n  node scripts/pause-pharos.js pause [--market <key>] [--base <symbol|address>]\n  node scripts/pause-pharos.js unpause [--market <key>] [--base <symbol|address>]\n  node scripts/pause-pharos.js guardian <address> [--market <key>]\n\nOptions:\n  --rpc       RPC url (or env PHAROS_ATLANTIC_URL)\n  --pk        Owner or guardian private key (or env TEST_ACCOUNT_0); status works without it\n  --network   Deployment record prefix (default: pharos_atlantic)\n  --market    Order book record key or address (default: the only pausable record)\n  --base      Pause or resume one base of a MultiBase book instead of the whole book\n  --json      Print the result as JSON\n\nA paused book rejects orders and deposits; withdrawals and cancels keep working. The owner or the\nguardian can pause, only the owner can unpause or set the guardian (the zero address removes it).\n\nExamples:\n  node scripts/pause-pharos.js pause --market PharosSpotMarket.BTC-USDT\n  node scripts/pause-pharos.js pause --market MultiBaseOrderBookDEXVaultLevels --base BTC\n  node scripts/pause-pharos.js guardian 0x0000000000000000000000000000000000000001\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    const [command = "status", ...positional] = args._;
+    if (args.help || args.h || command === "help") {
+        printHelp();
+        return;
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command '${command}'; expected one of: ${COMMANDS.join(", ")}`);
+    }
+
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    const privateKey = args.pk || process.env.TEST_ACCOUNT_0;
+    if (!rpcUrl) throw new Error("Missing --rpc (or env PHAROS_ATLANTIC_URL)");
+    if (!privateKey && command !== "status") throw new Error("Missing --pk (or env TEST_ACCOUNT_0)");
+
+    const network = String(args.network || "pharos_atlantic");
+    const { key, record } = selectPausableRecord(listDeploymentRecords({ network }), args.market);
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const runner = privateKey ? new ethers.Wallet(privateKey, provider) : provider;
+    const book = { address: record.address, contractName: record.contractName, runner };
+    console.log(`[INFO] ${key} at=${record.address}`);
+
+    let result;
+    if (command === "pause" || command === "unpause") {
+        let base;
+        if (args.base !== undefined) {
+            if (!PAUSABLE_CONTRACTS[record.contractName].perBase) {
+                throw new Error(`${record.contractName} trades a single pair; drop --base`);
+            }
+            base = await resolveLevelsBase({ dex: connectPausable(book), runner, base: args.base });
+        }
+        result = await setPaused({ ...book, paused: command === "pause", base });
+    } else if (command === "guardian") {
+        const [guardian] = positional;
+        if (!guardian || !ethers.isAddress(guardian)) throw new Error("Usage: guardian <address>");
+        result = await setGuardian({ ...book, guardian: ethers.getAddress(guardian) });
+    }
+
+    const state = await readPauseState(book);
+    if (args.json) {
+        console.log(JSON.stringify({ ...result, ...state }, null, 2));
+        return;
+    }
+    if (result?.txHash) console.log(`[OK] tx=${result.txHash}`);
+    console.log(`owner=${state.owner} guardian=${state.guardian} paused=${state.paused}`);
+    if (state.bases) {
+        console.log(
+            formatTable(state.bases, [
+                { key: "baseToken", title: "Base" },
+                { key: "paused", title: "Paused" },
+            ]),
+        );
+    }
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+require("@chainlink/env-enc").config();
+
+const { ethers } = require("ethers");
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { listDeploymentRecords } = require("./lib/deploy-manifest");
+const {
+    COMMANDS,
+    WRITE_COMMANDS,
+    selectMarketRecord,
+    connectMarketFromRecord,
+    runCommand,
+    formatResult,
+    toJson,
+} = require("./lib/trading-cli");
+
+// Day-to-day trading against the recorded PharosSpotMarket / MultiBaseOrderBookDEXVaultLevels deployments:
+// deposit, withdraw, limit and market orders, cancel, open orders, depth and balances. Amounts and prices
+// are human-readable; output is a table or JSON.
+// Usage:
+//   set PHAROS_ATLANTIC_URL=...
+//   set TEST_ACCOUNT_0=...
+//   node scripts/pharosdex.js <command> [args] [--market <key>] [--base <symbol|address>] [--json]
+
+function printHelp() {
+    const commands = Object.values(COMMANDS)
+        .map((c) => `  ${c.usage}`)
+        .join("\n");
+    console.log(
+        `\nPharosDex trading CLI\n\nUsage:\n  node scripts/pharosdex.js <command> [args] [options]\n\nCommands:\n${commands}\n\nOptions:\n  --rpc              RPC url (or env PHAROS_ATLANTIC_URL)\n  --pk               Trader private key (or env TEST_ACCOUNT_0); read-only commands work without it\n                    when --user is given\n  --network          Deployment record prefix (default: pharos_atlantic)\n  --market           Order book record key or address (default: the only PharosSpotMarket /\n                    MultiBaseOrderBookDEXVaultLevels record)\n  --base             MultiBaseOrderBookDEXVaultLevels base symbol or address (default: the only supported base)\n  --json             Print the result as JSON\n\nAmounts and prices are human-readable (price = quote per base). Put flags after the arguments.\nMultiBaseOrderBookDEXVaultLevels market buys spend --max-quote and take no amount; --post-only,\n--max-matches and --min-quote are PharosSpotMarket only, --max-price (buys) and --min-price (sells) are\nMultiBaseOrderBookDEXVaultLevels only. --slippage <bps> quotes the order first and sets --max-quote / --min-quote\n(PharosSpotMarket) or --max-price / --min-price (MultiBaseOrderBookDEXVaultLevels) that many basis points worse.\n\nExamples:\n  node scripts/pharosdex.js deposit quote 60000\n  node scripts/pharosdex.js limit buy 0.5 60000 --post-only\n  node scripts/pharosdex.js market buy --max-quote 1000 --market MultiBaseOrderBookDEXVaultLevels --base BTC\n  node scripts/pharosdex.js quote sell 0.5\n  node scripts/pharosdex.js market sell 0.5 --slippage 50\n  node scripts/pharosdex.js orders --json\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    const [command, ...positional] = args._;
+    if (args.help || args.h || !command || command === "help") {
+        printHelp();
+        return;
+    }
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command '${command}'; expected one of: ${Object.keys(COMMANDS).join(", ")}`);
+    }
+
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    const privateKey = args.pk || process.env.TEST_ACCOUNT_0;
+    if (!rpcUrl) throw new Error("Missing --rpc (or env PHAROS_ATLANTIC_URL)");
+    if (!privateKey && (WRITE_COMMANDS.has(command) || !args.user)) {
+        throw new Error("Missing --pk (or env TEST_ACCOUNT_0)");
+    }
+
+    const network = String(args.network || "pharos_atlantic");
+    const entry = selectMarketRecord(listDeploymentRecords({ network }), args.market);
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    // Deposits approve first and cancel takes several ids; track the nonce locally between those transactions.
+    const runner = privateKey ? new ethers.NonceManager(new ethers.Wallet(privateKey, provider)) : provider;
+    const ctx = await connectMarketFromRecord({ entry, runner, base: args.base });
+
+    const result = await runCommand(ctx, command, positional, args);
+    if (args.json) {
+        console.log(toJson(result));
+        return;
+    }
+    const market = ctx.kind === "spot" ? ctx.key : `${ctx.key} ${ctx.market.baseToken}`;
+    console.log(`[INFO] ${market} at=${ctx.market.address}`);
+    console.log(formatResult(command, result));
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
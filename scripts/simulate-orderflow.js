@@ -0,0 +1,93 @@
+require("@chainlink/env-enc").config();
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseArgv } = require("./lib/pharos-evm-helpers");
+const { intArg } = require("./lib/indexer-cli");
+const { BOOK_KINDS, BOOKS, createTraders, deployBook } = require("../sim/books");
+const { DEFAULT_FLOW, simulateOrderFlow } = require("../sim/order-flow");
+const { summarizeRun, formatGasReport, formatGasReportMarkdown } = require("../sim/gas-report");
+
+// Order-flow simulator / load generator: deploys each order book on the in-process Hardhat network, lets
+// many traders send random limit, market and cancel orders, and reports gas per call type against book
+// depth, price levels and trader history, with where each fitted curve crosses the block gas limit.
+// Usage:
+//   node scripts/simulate-orderflow.js [--books spot,levels,...] [--steps 300] [--traders 20] [--seed 1]
+
+function printHelp() {
+    const mix = [DEFAULT_FLOW.mix.limit, DEFAULT_FLOW.mix.market, DEFAULT_FLOW.mix.cancel].join(",");
+    const books = BOOK_KINDS.map((k) => `  ${k.padEnd(19)}${BOOKS[k].contractName}`).join("\n");
+    console.log(
+        `\nOrder-flow simulator (gas / capacity)\n\nUsage:\n  node scripts/simulate-orderflow.js [--books <kind,...>] [--steps <N>] [--traders <N>] [--seed <N>]\n\nBooks:\n${books}\n\nOptions:\n  --books            Comma-separated books to simulate (default: all)\n  --steps            Orders per book (default: ${DEFAULT_FLOW.steps})\n  --traders          Trading accounts (default: 20)\n  --seed             PRNG seed; the same seed replays the same flow (default: 1)\n  --spread-ticks     Passive limit orders rest up to this many ticks from the mid (default: ${DEFAULT_FLOW.spreadTicks})\n  --market-max-size  Largest market order, in base units (default: ${DEFAULT_FLOW.marketMaxSize})\n  --mix              Weights of limit,market,cancel orders (default: ${mix})\n  --view-every       Sample the open-orders view every N orders (default: ${DEFAULT_FLOW.viewEvery})\n  --block-gas-limit  Limit to report against (default: the Hardhat network block gas limit)\n  --out-dir          Report directory (default: data/sim)\n  --json             Print the summaries as JSON instead of tables\n\nWrites <out-dir>/orderflow-report.md and <out-dir>/orderflow-report.json (summaries and raw samples).\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const kinds = args.books
+        ? String(args.books)
+              .split(",")
+              .map((s) => s.trim())
+        : BOOK_KINDS;
+    for (const kind of kinds) {
+        if (!BOOKS[kind]) throw new Error(`Unknown book '${kind}'; expected one of: ${BOOK_KINDS.join(", ")}`);
+    }
+    const traderCount = args.traders !== undefined ? intArg(args.traders, "--traders", 1) : 20;
+    const seed = args.seed !== undefined ? intArg(args.seed, "--seed") : 1;
+    const flow = {};
+    if (args.steps !== undefined) flow.steps = intArg(args.steps, "--steps", 1);
+    if (args["spread-ticks"] !== undefined) flow.spreadTicks = intArg(args["spread-ticks"], "--spread-ticks", 1);
+    if (args["market-max-size"] !== undefined) {
+        flow.marketMaxSize = intArg(args["market-max-size"], "--market-max-size", 1);
+    }
+    if (args.mix !== undefined) {
+        const [limit, market, cancel] = String(args.mix).split(",").map(Number);
+        flow.mix = { limit, market, cancel };
+    }
+    if (args["view-every"] !== undefined) flow.viewEvery = intArg(args["view-every"], "--view-every", 1);
+    const outDir = path.resolve(String(args["out-dir"] || path.join(__dirname, "..", "data", "sim")));
+
+    // Always the in-process network: the simulator deploys fresh books and mints tokens freely.
+    process.env.HARDHAT_NETWORK = "hardhat";
+    const hre = require("hardhat");
+    await hre.run("compile", { quiet: true });
+    const { ethers } = hre;
+
+    const blockGasLimit =
+        args["block-gas-limit"] !== undefined
+            ? intArg(args["block-gas-limit"], "--block-gas-limit", 1)
+            : Number((await ethers.provider.getBlock("latest")).gasLimit);
+    const traders = await createTraders(ethers, traderCount);
+    const funding = ethers.parseUnits("1000000000", 18);
+
+    const runs = [];
+    for (const kind of kinds) {
+        console.log(`[INFO] ${BOOKS[kind].contractName}: deploying and funding ${traders.length} traders`);
+        const book = await deployBook({ ethers, kind, traders, funding });
+        runs.push(await simulateOrderFlow({ book, traders, seed, flow, log: (msg) => console.log(msg) }));
+    }
+
+    const summaries = runs.map((run) => summarizeRun(run, { blockGasLimit }));
+    fs.mkdirSync(outDir, { recursive: true });
+    const mdFile = path.join(outDir, "orderflow-report.md");
+    const jsonFile = path.join(outDir, "orderflow-report.json");
+    fs.writeFileSync(mdFile, formatGasReportMarkdown(summaries));
+    fs.writeFileSync(
+        jsonFile,
+        JSON.stringify({ blockGasLimit, seed, flow, summaries, samples: runs.map((r) => r.samples) }, null, 2),
+    );
+
+    console.log(args.json ? JSON.stringify(summaries, null, 2) : `\n${formatGasReport(summaries)}\n`);
+    console.log(`[INFO] Report: ${mdFile}`);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,99 @@
+require("@chainlink/env-enc").config();
+
+const { parseArgv, parseJsonArg, formatTable } = require("./lib/pharos-evm-helpers");
+const { listDeploymentRecords } = require("./lib/deploy-manifest");
+const {
+    DEFAULT_API_BASE,
+    DEFAULT_BROWSER_BASE,
+    DEFAULT_LICENSE_TYPE,
+    explorerCodeUrl,
+    verifyAllDeployments,
+} = require("./lib/pharos-verify");
+
+// Verify every recorded deployment (deployments/<network>.*.latest.json) via SocialScan-like API.
+// Already-verified addresses are only checked; the rest are submitted and polled until they settle.
+// Usage:
+//   node scripts/verify-all-pharos.js [--only <Key1,Key2>]
+
+function printHelp() {
+    console.log(
+        `\nVerify every recorded deployment\n\nUsage:\n  node scripts/verify-all-pharos.js [--network pharos_atlantic] [--only <Key1,Key2>]\n\nOptions:\n  --network        Deployment record prefix (default: pharos_atlantic)\n  --only           Comma-separated record keys (e.g. MockERC20.USDT,MultiBaseOrderBookDEXVaultLevels)\n  --api            API base (default: ${DEFAULT_API_BASE}, or env PHAROS_VERIFY_API_BASE)\n  --browser        Explorer base URL (default: ${DEFAULT_BROWSER_BASE}, or env PHAROS_VERIFY_BROWSER_URL)\n  --license        License type string (default: ${DEFAULT_LICENSE_TYPE})\n  --libraries      JSON array of {key,value} items (default: [])\n  --auth           Authorization header value (or env PHAROS_VERIFY_AUTH)\n  --timeout-ms     How long to poll each submission (default: 120000)\n  --interval-ms    Delay between polls (default: 5000)\n\nExits with code 1 if any deployment failed verification.\n`,
+    );
+}
+
+async function main() {
+    const args = parseArgv(process.argv);
+    if (args.help || args.h) {
+        printHelp();
+        return;
+    }
+
+    const network = String(args.network || "pharos_atlantic");
+    const apiBase = (args.api || process.env.PHAROS_VERIFY_API_BASE || DEFAULT_API_BASE).replace(/\/$/, "");
+    const browserBase = (args.browser || process.env.PHAROS_VERIFY_BROWSER_URL || DEFAULT_BROWSER_BASE).replace(
+        /\/$/,
+        "",
+    );
+    const licenseType = args.license || process.env.PHAROS_VERIFY_LICENSE_TYPE || DEFAULT_LICENSE_TYPE;
+    const libraries = args.libraries ? parseJsonArg(String(args.libraries), "--libraries") : [];
+
+    const headers = {};
+    const auth = args.auth || process.env.PHAROS_VERIFY_AUTH;
+    if (auth) headers.Authorization = String(auth);
+
+    let records = listDeploymentRecords({ network });
+    if (args.only) {
+        const wanted = String(args.only)
+            .split(",")
+            .map((s) => s.trim());
+        records = records.filter(({ key }) => wanted.includes(key));
+    }
+    if (records.length === 0) {
+        throw new Error(`No deployment records found under deployments/${network}.*.latest.json`);
+    }
+
+    console.log(`[INFO] API base: ${apiBase}`);
+    console.log(`[INFO] Records: ${records.length}`);
+
+    const results = await verifyAllDeployments({
+        records,
+        apiBase,
+        headers,
+        licenseType,
+        libraries,
+        timeoutMs: args["timeout-ms"] ? Number(args["timeout-ms"]) : undefined,
+        intervalMs: args["interval-ms"] ? Number(args["interval-ms"]) : undefined,
+    });
+
+    console.log("");
+    console.log(
+        formatTable(
+            results.map((r) => ({
+                ...r,
+                status: r.submitted ? `${r.state} (submitted)` : r.state,
+                link: r.address ? explorerCodeUrl(browserBase, r.address) : "",
+            })),
+            [
+                { key: "key", title: "Deployment" },
+                { key: "address", title: "Address" },
+                { key: "status", title: "Status" },
+                { key: "link", title: "Explorer" },
+            ],
+        ),
+    );
+
+    for (const r of results.filter((x) => x.state !== "verified" && x.message)) {
+        console.log(`[${r.state.toUpperCase()}] ${r.key}: ${r.message}`);
+        for (const d of r.diagnostics || []) console.log(`  - ${d.hint}`);
+    }
+
+    const count = (state) => results.filter((r) => r.state === state).length;
+    console.log(`\nverified=${count("verified")} pending=${count("pending")} failed=${count("failed")}`);
+
+    if (count("failed") > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
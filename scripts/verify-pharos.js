@@ -1,26 +1,39 @@
 ﻿require("@chainlink/env-enc").config();
 
 const path = require("path");
+const { ethers } = require("ethers");
 const {
     parseArgv,
     readJsonIfExists,
-    loadHardhatArtifact,
-    findBuildInfoByContractName,
-    encodeConstructorArgs,
     parseJsonArg,
-    fetchJson,
+    parseContractName,
+    encodeConstructorArgs,
 } = require("./lib/pharos-evm-helpers");
+const {
+    DEFAULT_API_BASE,
+    DEFAULT_BROWSER_BASE,
+    DEFAULT_LICENSE_TYPE,
+    explorerCodeUrl,
+    loadVerifySources,
+    compilerSettings,
+    buildVerifyForm,
+    checkVerification,
+    submitVerification,
+    interpretVerifyResponse,
+    waitForVerification,
+    diagnoseVerifyFailure,
+} = require("./lib/pharos-verify");
+const { preflightBytecode } = require("./lib/bytecode-match");
 
-const DEFAULT_API_BASE = "https://api.socialscan.io/pharos-atlantic-testnet";
-const DEFAULT_BROWSER_BASE = "https://atlantic.pharosscan.xyz";
 const DEFAULT_DEPLOYMENT_FILE = path.join(__dirname, "..", "deployments", "pharos_atlantic.latest.json");
 function defaultDeploymentFileForContract(contractName) {
-    return path.join(__dirname, "..", "deployments", `pharos_atlantic.${contractName}.latest.json`);
+    const { contractName: bareName } = parseContractName(contractName);
+    return path.join(__dirname, "..", "deployments", `pharos_atlantic.${bareName}.latest.json`);
 }
 
 function printHelp() {
     console.log(
-        `\nPharos verify via SocialScan-like API (Pharos-friendly; no Hardhat verify)\n\nUsage:\n  node scripts/verify-pharos.js [--deployment <FILE>] [--address <ADDR>] --contract <ContractName>\n\nCommon options:\n  --api            API base (default: ${DEFAULT_API_BASE})\n                  (or env PHAROS_VERIFY_API_BASE)\n  --browser        Explorer base URL (default: ${DEFAULT_BROWSER_BASE})\n                  (or env PHAROS_VERIFY_BROWSER_URL)\n  --deployment     Deployment json file (default: deployments/pharos_atlantic.latest.json)\n  --address        Contract address (if not in deployment file)\n  --contract       Contract name (or env PHAROS_VERIFY_CONTRACT, or deployment.contractName)\n  --artifact       Artifact path override\n  --args           Constructor args JSON array override\n  --license        License type string (default: MIT License (MIT))\n  --libraries      JSON array of {key,value} items (default: [])\n  --auth           Authorization header value (optional)\n\nExamples:\n  node scripts/verify-pharos.js --contract MemeHubToken\n  node scripts/verify-pharos.js --deployment deployments/pharos_atlantic.MemeHubToken.latest.json\n`,
+        `\nPharos verify via SocialScan-like API (Pharos-friendly; no Hardhat verify)\n\nUsage:\n  node scripts/verify-pharos.js [--deployment <FILE>] [--address <ADDR>] --contract <ContractName>\n\nCommon options:\n  --api            API base (default: ${DEFAULT_API_BASE})\n                  (or env PHAROS_VERIFY_API_BASE)\n  --browser        Explorer base URL (default: ${DEFAULT_BROWSER_BASE})\n                  (or env PHAROS_VERIFY_BROWSER_URL)\n  --deployment     Deployment json file (default: deployments/pharos_atlantic.latest.json)\n  --address        Contract address (if not in deployment file)\n  --contract       Contract name, or fully-qualified (contracts/MockCoin.sol:MockERC20) when ambiguous\n                  (or env PHAROS_VERIFY_CONTRACT, or deployment.fullyQualifiedName/contractName)\n  --artifact       Artifact path override\n  --args           Constructor args JSON array override\n  --license        License type string (default: MIT License (MIT))\n  --libraries      JSON array of {key,value} items (default: [])\n  --auth           Authorization header value (optional)\n  --timeout-ms     How long to poll for the verification result (default: 120000)\n  --interval-ms    First delay between polls (default: 5000)\n  --backoff        Multiplier applied to the delay after each poll (default: 1.5)\n  --max-interval-ms Upper bound for the delay between polls (default: 30000)\n  --no-wait        Submit only; do not poll for the result\n  --rpc            RPC url for the bytecode preflight (or env PHAROS_ATLANTIC_URL)\n  --tx             Deploy tx hash for the constructor-args check (default: deployment.deployTxHash)\n  --skip-preflight Submit without comparing on-chain code to the local artifact\n\nBefore submitting, the on-chain runtime code is compared to the artifact (ignoring metadata and\nimmutables) and the constructor args are decoded from the deploy tx; a mismatch aborts with exit code 1.\n\nExit codes: 0 verified (or submitted with --no-wait), 1 rejected/error, 2 still pending at timeout.\n\nExamples:\n  node scripts/verify-pharos.js --contract MemeHubToken\n  node scripts/verify-pharos.js --deployment deployments/pharos_atlantic.MemeHubToken.latest.json\n`,
     );
 }
 
@@ -53,7 +66,7 @@ async function main() {
     const address = args.address || args._[0] || deployment?.address;
     if (!address) throw new Error("Missing --address (or provide --deployment with address)");
 
-    const contractName = contractHint || deployment?.contractName;
+    const contractName = contractHint || deployment?.fullyQualifiedName || deployment?.contractName;
     if (!contractName) {
         throw new Error(
             "Missing --contract <ContractName> (or set env PHAROS_VERIFY_CONTRACT, or provide --deployment with contractName).",
@@ -66,7 +79,7 @@ async function main() {
         throw new Error("Constructor args must be a JSON array.");
     }
 
-    const licenseType = args.license || process.env.PHAROS_VERIFY_LICENSE_TYPE || "MIT License (MIT)";
+    const licenseType = args.license || process.env.PHAROS_VERIFY_LICENSE_TYPE || DEFAULT_LICENSE_TYPE;
 
     const libraries = args.libraries ? parseJsonArg(String(args.libraries), "--libraries") : [];
 
@@ -74,32 +87,11 @@ async function main() {
         throw new Error("--libraries must be a JSON array (e.g. '[]' or '[{" + '"key":"Lib","value":"0x.."' + "}]').");
     }
 
-    let artifact;
-    let artifactPath;
-    let buildInfo;
-
-    try {
-        ({ artifact, artifactPath } = loadHardhatArtifact(contractName, args.artifact || deployment?.artifactPath));
-        buildInfo = findBuildInfoByContractName(contractName);
-    } catch (e) {
-        const msg = String(e?.message || e);
-        throw new Error(
-            `Failed to load Hardhat artifact/build-info for contract '${contractName}'.\n` +
-                `- Ensure you ran: npx hardhat compile\n` +
-                `- Ensure the contract name is correct\n` +
-                `- Or pass --artifact <path/to/<ContractName>.json>\n` +
-                `Original error: ${msg}`,
-        );
-    }
-
-    const compilerVersion = `v${buildInfo.solcLongVersion || buildInfo.solcVersion}`;
-    const input = buildInfo.input;
-
-    const optimizerEnabled = Boolean(input?.settings?.optimizer?.enabled);
-    const optimizerRuns = input?.settings?.optimizer?.runs ?? 200;
-    const evmVersion = input?.settings?.evmVersion ?? "default (compiler defaults)";
-
-    const ctorEncoded = encodeConstructorArgs(artifact.abi, ctorArgs);
+    const { artifact, artifactPath, buildInfo } = loadVerifySources(
+        contractName,
+        args.artifact || deployment?.artifactPath,
+    );
+    const { compilerVersion, optimizerEnabled, optimizerRuns, evmVersion } = compilerSettings(buildInfo);
 
     console.log(`[INFO] API base: ${apiBase}`);
     console.log(`[INFO] Address: ${address}`);
@@ -115,44 +107,92 @@ async function main() {
     const auth = args.auth || process.env.PHAROS_VERIFY_AUTH;
     if (auth) headers.Authorization = String(auth);
 
-    const check = await fetchJson(`${apiBase}/v1/explorer/verify_contract/check`, {
-        method: "POST",
-        headers: { "content-type": "application/json", ...headers },
-        body: JSON.stringify({ address }),
-    });
+    const rpcUrl = args.rpc || process.env.PHAROS_ATLANTIC_URL;
+    if (args["skip-preflight"]) {
+        console.log("[INFO] Preflight: skipped (--skip-preflight)");
+    } else if (!rpcUrl) {
+        console.log("[WARN] Preflight: skipped (no --rpc / PHAROS_ATLANTIC_URL)");
+    } else {
+        const preflight = await preflightBytecode({
+            provider: new ethers.JsonRpcProvider(rpcUrl),
+            address,
+            artifact,
+            buildInfo,
+            ctorArgs,
+            deployTxHash: args.tx || deployment?.deployTxHash,
+        });
+
+        for (const note of preflight.notes) console.log(`[INFO] Preflight: ${note}`);
+        for (const [name, value] of Object.entries(preflight.immutables)) {
+            console.log(`[INFO] Immutable ${name}=${value}`);
+        }
+        if (preflight.decodedArgs) console.log(`[INFO] Deploy tx args: ${JSON.stringify(preflight.decodedArgs.args)}`);
+
+        if (!preflight.ok) {
+            for (const problem of preflight.problems) console.error(`[FAIL] Preflight: ${problem}`);
+            console.error("[FAIL] Not submitting: this build does not match the deployed contract.");
+            process.exitCode = 1;
+            return;
+        }
+        console.log("[OK] Preflight: on-chain code matches the artifact");
+    }
+
+    const check = interpretVerifyResponse(await checkVerification({ apiBase, address, headers }));
 
-    if (check?.already_verified) {
+    if (check.state === "verified") {
         console.log("Already verified (per API). Done.");
-        console.log(`[OK] Open: ${browserBase}/address/${address}#code`);
+        console.log(`[OK] Open: ${explorerCodeUrl(browserBase, address)}`);
         return;
     }
 
-    const form = new FormData();
-    form.append("address", address);
-    form.append("compiler_type", "Solidity (Standard-Json-Input)");
-    form.append("license_type", licenseType);
-    form.append("evm_version", evmVersion);
-    form.append("compiler_version", compilerVersion);
-    form.append("libraries", JSON.stringify(libraries));
-    form.append("optimization", optimizerEnabled ? "yes" : "no");
-    form.append("constructor_arguments", ctorEncoded);
-    form.append("optimization_runs", String(optimizerRuns));
-
-    const inputJson = JSON.stringify(input);
-    const inputBlob = new Blob([inputJson], { type: "application/json" });
-    form.append("files", inputBlob, "standard-json-input.json");
+    const form = buildVerifyForm({ address, artifact, buildInfo, ctorArgs, licenseType, libraries });
 
     console.log("[INFO] Submitting verification request...");
 
-    const result = await fetchJson(`${apiBase}/v1/explorer/verify_contract/verify`, {
-        method: "POST",
-        headers,
-        body: form,
-    });
+    // Read like verify-all reads it: only a rejection here is final, anything else is settled by polling.
+    let result = interpretVerifyResponse(await submitVerification({ apiBase, form, headers }));
+    console.log(`[INFO] Submitted: ${result.state}${result.message ? ` (${result.message})` : ""}`);
+    if (result.state !== "failed") {
+        if (args["no-wait"]) {
+            console.log(`[INFO] --no-wait: not polling. Check: ${explorerCodeUrl(browserBase, address)}`);
+            return;
+        }
+
+        const timeoutMs = args["timeout-ms"] ? Number(args["timeout-ms"]) : 120000;
+        console.log(`[INFO] Waiting for verification result (timeout ${timeoutMs}ms)...`);
+        result = await waitForVerification({
+            apiBase,
+            address,
+            headers,
+            timeoutMs,
+            intervalMs: args["interval-ms"] ? Number(args["interval-ms"]) : undefined,
+            backoff: args.backoff ? Number(args.backoff) : undefined,
+            maxIntervalMs: args["max-interval-ms"] ? Number(args["max-interval-ms"]) : undefined,
+            onPoll: ({ attempt, state }) => console.log(`[INFO] Poll #${attempt}: ${state}`),
+        });
+    }
+
+    if (result.state === "verified") {
+        console.log(`[OK] Verified. Open: ${explorerCodeUrl(browserBase, address)}`);
+        return;
+    }
+
+    if (result.state === "pending") {
+        console.error(`[WARN] Verification still pending: ${result.message}`);
+        console.error(`[WARN] Check later: ${explorerCodeUrl(browserBase, address)}`);
+        process.exitCode = 2;
+        return;
+    }
 
-    console.log("Verification submitted.");
-    console.log(typeof result === "string" ? result : JSON.stringify(result));
-    console.log(`[OK] Open: ${browserBase}/address/${address}#code`);
+    console.error(`[FAIL] Verification rejected: ${result.message}`);
+    const diagnostics = diagnoseVerifyFailure(result.message, {
+        compilerVersion,
+        optimizerEnabled,
+        optimizerRuns,
+        constructorArgs: encodeConstructorArgs(artifact.abi, ctorArgs),
+    });
+    for (const d of diagnostics) console.error(`  - ${d.hint}`);
+    process.exitCode = 1;
 }
 
 main().catch((err) => {
@@ -0,0 +1,12 @@
+// PharosDex JavaScript SDK.
+//   const { connectSpotMarket } = require("./sdk");
+//   const market = await connectSpotMarket({ address, runner: signer });
+//   await market.placeLimitOrder({ side: "buy", price: "60000", amount: "0.5" });
+//   const doge = await connectLevelsMarket({ address: dexAddress, base: dogeAddress, runner: signer });
+//   const engine = createLevelsEngine({ quoteDecimals: 6 }); // off-chain MultiBaseOrderBookDEXVaultLevels
+
+module.exports = {
+    ...require("./spot-market"),
+    ...require("./levels-market"),
+    ...require("./levels-engine"),
+};
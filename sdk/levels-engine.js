@@ -0,0 +1,908 @@
+const { ethers } = require("ethers");
+
+const { Side } = require("./spot-market");
+
+// In-memory MultiBaseOrderBookDEXVaultLevels: the same state, matching loops, rounding and events as the
+// contract, in plain JavaScript. Use it to preview fills and costs off-chain, as a test oracle for the
+// contract, or to run simulations without a node.
+//
+// Calls take the sender first (msg.sender) and otherwise mirror the contract's functions and views,
+// with raw bigint amounts and prices (human quote per human base * 1e18). Order ids are derived exactly like
+// the contract's when `chainId` and `address` are those of a deployed book. A call that would revert throws
+// an Error shaped like an ethers call exception (`err.revert.name` is the custom error, so revertErrorName
+// works on it) and leaves the engine untouched; a call that succeeds returns its events, in emission order,
+// as { name, args } with the contract's event argument names.
+//
+// Not modelled: token transfers (deposits credit and withdrawals debit the internal balances only),
+// ownership (owner calls such as supportBaseToken and setFees take no sender; supportBaseToken takes the
+// decimals directly; the pause calls take the owner or guardian only for their events) and uint256 overflow.
+
+const PRICE_SCALE = 10n ** 18n;
+const FEE_BPS_DENOMINATOR = 10_000n;
+const MAX_FEE_BPS = 1_000n;
+// Sender of preview orders; it never holds balances or orders of its own.
+const PREVIEW_SENDER = "0x000000000000000000000000000000000000dEaD";
+
+// `address` arguments only, the one kind the mirrored errors take.
+function revert(name, ...args) {
+    const signature = `${name}(${args.map(() => "address").join(",")})`;
+    const err = new Error(`execution reverted: ${name}(${args.join(", ")})`);
+    err.code = "CALL_EXCEPTION";
+    err.revert = { name, signature, args };
+    return err;
+}
+
+function emptyState() {
+    return {
+        supportedBases: [],
+        baseDecimals: new Map(), // base -> decimals; kept when the base is delisted, like the contract's
+        quoteBalance: new Map(), // user -> bigint
+        baseBalance: new Map(), // `${user}:${base}` -> bigint
+        orders: new Map(), // order id -> Order (the contract struct without the linked-list pointers)
+        nonces: new Map(), // `${user}:${base}` -> next nonce
+        history: new Map(), // `${user}:${base}` -> order ids, oldest first
+        // base -> { bids, asks }; each side keeps its prices best first and a FIFO of order ids per price
+        books: new Map(),
+        lastTradePrice: new Map(), // base -> bigint
+        feeRecipient: null, // set from the options on first use
+        makerFeeBps: 0n,
+        takerFeeBps: 0n,
+        baseFeeRates: new Map(), // base -> { makerBps, takerBps } overriding the defaults
+        orderLimits: new Map(), // base -> { minAmountBase, minNotional }
+        marketGrid: new Map(), // base -> { tickSize, lotSize }
+        guardian: ethers.ZeroAddress,
+        paused: false,
+        pausedBases: new Set(),
+        delistedBases: new Set(), // from delistBase until supportBaseToken lists the base again
+    };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.quoteToken] Quote token address (only used in Deposited / Withdrawn events)
+ * @param {number} [opts.quoteDecimals] Default 18
+ * @param {bigint} [opts.chainId] block.chainid for order ids (default 31337, the Hardhat network)
+ * @param {string} [opts.address] Order book address for order ids
+ * @param {() => bigint} [opts.now] block.timestamp of the next call (default: the wall clock)
+ * @param {string} [opts.feeRecipient] The deployer, who receives fees until setFeeRecipient (default: zero address)
+ */
+function createLevelsEngine(opts = {}, state = emptyState()) {
+    const {
+        quoteToken = ethers.ZeroAddress,
+        quoteDecimals = 18,
+        chainId = 31337n,
+        address = ethers.ZeroAddress,
+        now = () => BigInt(Math.floor(Date.now() / 1000)),
+        feeRecipient = ethers.ZeroAddress,
+    } = opts;
+    if (state.feeRecipient === null) state.feeRecipient = ethers.getAddress(feeRecipient);
+    const qUnit = 10n ** BigInt(quoteDecimals);
+    const addr = (a) => ethers.getAddress(a);
+    const key = (user, base) => `${addr(user)}:${addr(base)}`;
+
+    function bUnit(base) {
+        return 10n ** BigInt(state.baseDecimals.get(addr(base)) ?? 0);
+    }
+
+    function quoteForBase(base, amountBase, price) {
+        return (BigInt(amountBase) * BigInt(price) * qUnit) / (PRICE_SCALE * bUnit(base));
+    }
+
+    function baseForQuote(base, amountQuote, price) {
+        return (BigInt(amountQuote) * PRICE_SCALE * bUnit(base)) / (BigInt(price) * qUnit);
+    }
+
+    const isSupported = (base) => state.supportedBases.includes(addr(base));
+
+    function requireSupportedBase(base) {
+        if (!isSupported(base)) throw revert("UnsupportedBaseToken");
+    }
+
+    function requireNotPaused() {
+        if (state.paused) throw revert("EnforcedPause");
+    }
+
+    function requireTradable(base) {
+        requireSupportedBase(base);
+        if (state.delistedBases.has(addr(base))) throw revert("DelistedBase", addr(base));
+        requireNotPaused();
+        if (state.pausedBases.has(addr(base))) throw revert("EnforcedBasePause", addr(base));
+    }
+
+    const quoteBalanceOf = (user) => state.quoteBalance.get(addr(user)) ?? 0n;
+    const baseBalanceOf = (user, base) => state.baseBalance.get(key(user, base)) ?? 0n;
+    const creditQuote = (user, amount) => state.quoteBalance.set(addr(user), quoteBalanceOf(user) + amount);
+    const creditBase = (user, base, amount) =>
+        state.baseBalance.set(key(user, base), baseBalanceOf(user, base) + amount);
+
+    function sideOf(base, side) {
+        const book = state.books.get(base);
+        return side === Side.Buy ? book.bids : book.asks;
+    }
+
+    const bestPrice = (base, side) => (state.books.has(base) ? sideOf(base, side).prices[0] ?? 0n : 0n);
+
+    // _ensureBidLevel / _ensureAskLevel: bids sorted high to low, asks low to high.
+    function ensureLevel(base, side, price) {
+        const s = sideOf(base, side);
+        if (s.levels.has(price)) return s.levels.get(price);
+        const better = (p) => (side === Side.Buy ? p > price : p < price);
+        let i = 0;
+        while (i < s.prices.length && better(s.prices[i])) i++;
+        s.prices.splice(i, 0, price);
+        const level = { ids: [], totalRemainingBase: 0n };
+        s.levels.set(price, level);
+        return level;
+    }
+
+    function removePriceLevelIfEmpty(base, side, price) {
+        const s = sideOf(base, side);
+        const level = s.levels.get(price);
+        if (!level || level.ids.length !== 0 || level.totalRemainingBase !== 0n) return;
+        s.levels.delete(price);
+        s.prices.splice(s.prices.indexOf(price), 1);
+    }
+
+    function addOrderToLevel(base, side, price, id) {
+        const level = ensureLevel(base, side, price);
+        const o = state.orders.get(id);
+        level.ids.push(id);
+        level.totalRemainingBase += o.amountBase - o.filledBase;
+    }
+
+    function removeOrderFromLevel(base, side, price, id) {
+        const level = sideOf(base, side).levels.get(price);
+        if (!level) return;
+        const o = state.orders.get(id);
+        const remaining = o.amountBase - o.filledBase;
+        level.totalRemainingBase = level.totalRemainingBase >= remaining ? level.totalRemainingBase - remaining : 0n;
+        level.ids.splice(level.ids.indexOf(id), 1);
+        if (o.filledBase >= o.amountBase) o.active = false;
+        removePriceLevelIfEmpty(base, side, price);
+    }
+
+    function createOrder(sender, base, side, price, amountBase, lockedQuote) {
+        const k = key(sender, base);
+        const nonce = state.nonces.get(k) ?? 0n;
+        state.nonces.set(k, nonce + 1n);
+        const timestamp = BigInt(now());
+        let id = BigInt(
+            ethers.solidityPackedKeccak256(
+                ["uint256", "address", "address", "address", "uint64", "uint8", "uint256", "uint256"],
+                [chainId, address, sender, base, nonce, side, price, amountBase],
+            ),
+        );
+        if (id === 0n || state.orders.has(id)) {
+            id = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256", "uint64"], [id, timestamp, nonce]));
+            if (id === 0n) {
+                id = BigInt(
+                    ethers.solidityPackedKeccak256(["uint256", "address", "uint64"], [timestamp, sender, nonce]),
+                );
+            }
+        }
+        state.orders.set(id, {
+            id,
+            trader: sender,
+            baseToken: base,
+            side,
+            price,
+            amountBase,
+            filledBase: 0n,
+            lockedQuote,
+            timestamp,
+            active: true,
+        });
+        if (!state.history.has(k)) state.history.set(k, []);
+        state.history.get(k).push(id);
+        return id;
+    }
+
+    function feeRatesFor(base) {
+        const custom = state.baseFeeRates.get(addr(base));
+        if (custom) return { makerBps: custom.makerBps, takerBps: custom.takerBps };
+        return { makerBps: state.makerFeeBps, takerBps: state.takerFeeBps };
+    }
+
+    function fee(base, amount, isMaker) {
+        const { makerBps, takerBps } = feeRatesFor(base);
+        return (amount * (isMaker ? makerBps : takerBps)) / FEE_BPS_DENOMINATOR;
+    }
+
+    // _settleTrade: credits the buyer and the seller less their fees and emits the Trade against `maker`.
+    function settleTrade(events, base, maker, taker, takerSide, tradeBase, tradeQuote, bidTakes) {
+        const makerBuys = takerSide === Side.Sell;
+        const buyerFee = fee(base, tradeBase, !bidTakes);
+        creditBase(makerBuys ? maker.trader : taker, base, tradeBase - buyerFee);
+        if (buyerFee > 0n) creditBase(state.feeRecipient, base, buyerFee);
+        const sellerFee = fee(base, tradeQuote, bidTakes);
+        creditQuote(makerBuys ? taker : maker.trader, tradeQuote - sellerFee);
+        if (sellerFee > 0n) creditQuote(state.feeRecipient, sellerFee);
+        events.push({
+            name: "Trade",
+            args: {
+                makerOrderId: maker.id,
+                maker: maker.trader,
+                taker,
+                takerSide,
+                price: maker.price,
+                amountBase: tradeBase,
+                makerFee: makerBuys ? buyerFee : sellerFee,
+                takerFee: makerBuys ? sellerFee : buyerFee,
+            },
+        });
+    }
+
+    function requireFeeRates(makerBps, takerBps) {
+        if (BigInt(makerBps) > MAX_FEE_BPS || BigInt(takerBps) > MAX_FEE_BPS) throw revert("FeeTooHigh");
+        return [BigInt(makerBps), BigInt(takerBps)];
+    }
+
+    function requireOrderSize(base, amountBase, notional) {
+        const limits = state.orderLimits.get(base);
+        if (!limits) return;
+        if (amountBase < limits.minAmountBase) throw revert("OrderTooSmall");
+        if (notional < limits.minNotional) throw revert("NotionalTooSmall");
+    }
+
+    // _roundToLot: `amountBase` rounded down to a multiple of the lot size of `base`.
+    function roundToLot(base, amountBase) {
+        const lot = state.marketGrid.get(base)?.lotSize ?? 0n;
+        return lot === 0n ? amountBase : amountBase - (amountBase % lot);
+    }
+
+    function requireOnGrid(base, price, amountBase) {
+        const tick = state.marketGrid.get(base)?.tickSize ?? 0n;
+        if (tick !== 0n && price % tick !== 0n) throw revert("PriceNotOnTick");
+        if (roundToLot(base, amountBase) !== amountBase) throw revert("AmountNotOnLot");
+    }
+
+    // _cancel: deactivates `o`, refunds what it still holds and takes it off its level.
+    function cancel(o, events) {
+        o.active = false;
+        if (o.side === Side.Buy) {
+            if (o.lockedQuote > 0n) {
+                creditQuote(o.trader, o.lockedQuote);
+                o.lockedQuote = 0n;
+            }
+        } else if (o.amountBase > o.filledBase) {
+            creditBase(o.trader, o.baseToken, o.amountBase - o.filledBase);
+        }
+        removeOrderFromLevel(o.baseToken, o.side, o.price, o.id);
+        events.push({ name: "OrderCancelled", args: { orderId: o.id, trader: o.trader } });
+    }
+
+    function matchOnce(base, bidP, askP, takerSide, events) {
+        const bidLevel = sideOf(base, Side.Buy).levels.get(bidP);
+        const askLevel = sideOf(base, Side.Sell).levels.get(askP);
+        if (bidLevel.ids.length === 0) {
+            removePriceLevelIfEmpty(base, Side.Buy, bidP);
+            return;
+        }
+        if (askLevel.ids.length === 0) {
+            removePriceLevelIfEmpty(base, Side.Sell, askP);
+            return;
+        }
+        const bid = state.orders.get(bidLevel.ids[0]);
+        if (!bid.active || bid.filledBase >= bid.amountBase) {
+            removeOrderFromLevel(base, Side.Buy, bidP, bid.id);
+            return;
+        }
+        const ask = state.orders.get(askLevel.ids[0]);
+        if (!ask.active || ask.filledBase >= ask.amountBase) {
+            removeOrderFromLevel(base, Side.Sell, askP, ask.id);
+            return;
+        }
+
+        const bidRemain = bid.amountBase - bid.filledBase;
+        const askRemain = ask.amountBase - ask.filledBase;
+        const tradeBase = bidRemain < askRemain ? bidRemain : askRemain;
+        const tradePrice = ask.price;
+        const tradeQuote = quoteForBase(base, tradeBase, tradePrice);
+        // High-01: the smaller order is worth less than one quote unit here; cancel it rather than stall.
+        if (tradeQuote === 0n) {
+            cancel(askRemain === tradeBase ? ask : bid, events);
+            return;
+        }
+        if (bid.lockedQuote < tradeQuote) throw revert("InsufficientBalance");
+
+        bid.filledBase += tradeBase;
+        bid.lockedQuote -= tradeQuote;
+        ask.filledBase += tradeBase;
+        bidLevel.totalRemainingBase -= tradeBase;
+        askLevel.totalRemainingBase -= tradeBase;
+
+        state.lastTradePrice.set(base, tradePrice);
+        // The order just placed pays the taker rate, but the ask is reported as the maker either way.
+        settleTrade(events, base, ask, bid.trader, Side.Buy, tradeBase, tradeQuote, takerSide === Side.Buy);
+
+        if (bid.filledBase === bid.amountBase) {
+            if (bid.lockedQuote > 0n) {
+                creditQuote(bid.trader, bid.lockedQuote);
+                bid.lockedQuote = 0n;
+            }
+            removeOrderFromLevel(base, Side.Buy, bidP, bid.id);
+        }
+        if (ask.filledBase === ask.amountBase) removeOrderFromLevel(base, Side.Sell, askP, ask.id);
+    }
+
+    function tryMatch(base, takerSide, events) {
+        for (;;) {
+            const bidP = bestPrice(base, Side.Buy);
+            const askP = bestPrice(base, Side.Sell);
+            if (bidP === 0n || askP === 0n || bidP < askP) break;
+            matchOnce(base, bidP, askP, takerSide, events);
+        }
+    }
+
+    // maxPrice / minPrice: the bound of marketBuyWithMaxPriceFor / marketSellWithMinPriceFor, if any.
+    function marketBuy(sender, base, maxQuoteIn, maxPrice, events) {
+        let remainingQuote = maxQuoteIn;
+        let price = bestPrice(base, Side.Sell);
+        while (price !== 0n && (maxPrice === undefined || price <= maxPrice) && remainingQuote > 0n) {
+            const level = sideOf(base, Side.Sell).levels.get(price);
+            let i = 0;
+            while (i < level.ids.length && remainingQuote > 0n) {
+                const ask = state.orders.get(level.ids[i]);
+                const remainingBaseInOrder = ask.amountBase - ask.filledBase;
+                if (!ask.active || remainingBaseInOrder === 0n) {
+                    removeOrderFromLevel(base, Side.Sell, price, ask.id);
+                    continue;
+                }
+                const buyableBase = roundToLot(base, baseForQuote(base, remainingQuote, ask.price));
+                if (buyableBase === 0n) return;
+                const tradeBase = buyableBase < remainingBaseInOrder ? buyableBase : remainingBaseInOrder;
+                const tradeQuote = quoteForBase(base, tradeBase, ask.price);
+                if (tradeQuote === 0n) {
+                    // Out of quote, or a dust ask that can never fill: cancel it and go on.
+                    if (tradeBase < remainingBaseInOrder) return;
+                    cancel(ask, events);
+                    continue;
+                }
+
+                ask.filledBase += tradeBase;
+                remainingQuote -= tradeQuote;
+                creditQuote(sender, -tradeQuote);
+                level.totalRemainingBase -= tradeBase;
+                state.lastTradePrice.set(base, ask.price);
+                settleTrade(events, base, ask, sender, Side.Buy, tradeBase, tradeQuote, true);
+
+                if (ask.filledBase === ask.amountBase) removeOrderFromLevel(base, Side.Sell, price, ask.id);
+                else i++;
+            }
+            price = bestPrice(base, Side.Sell);
+        }
+    }
+
+    function marketSell(sender, base, amountBase, minPrice, events) {
+        let remainingBase = amountBase;
+        let price = bestPrice(base, Side.Buy);
+        while (price !== 0n && price >= minPrice && remainingBase > 0n) {
+            const level = sideOf(base, Side.Buy).levels.get(price);
+            let i = 0;
+            while (i < level.ids.length && remainingBase > 0n) {
+                const bid = state.orders.get(level.ids[i]);
+                const remainingBaseInOrder = bid.amountBase - bid.filledBase;
+                if (!bid.active || remainingBaseInOrder === 0n) {
+                    removeOrderFromLevel(base, Side.Buy, price, bid.id);
+                    continue;
+                }
+                const tradeBase = remainingBase < remainingBaseInOrder ? remainingBase : remainingBaseInOrder;
+                const tradeQuote = quoteForBase(base, tradeBase, bid.price);
+                if (tradeQuote === 0n) {
+                    // Out of base, or a dust bid that can never fill: cancel it and go on.
+                    if (tradeBase < remainingBaseInOrder) return;
+                    cancel(bid, events);
+                    continue;
+                }
+                if (bid.lockedQuote < tradeQuote) throw revert("InsufficientBalance");
+
+                bid.filledBase += tradeBase;
+                bid.lockedQuote -= tradeQuote;
+                remainingBase -= tradeBase;
+                creditBase(sender, base, -tradeBase);
+                level.totalRemainingBase -= tradeBase;
+                state.lastTradePrice.set(base, bid.price);
+                settleTrade(events, base, bid, sender, Side.Sell, tradeBase, tradeQuote, false);
+
+                if (bid.filledBase === bid.amountBase) {
+                    if (bid.lockedQuote > 0n) {
+                        creditQuote(bid.trader, bid.lockedQuote);
+                        bid.lockedQuote = 0n;
+                    }
+                    removeOrderFromLevel(base, Side.Buy, price, bid.id);
+                } else {
+                    i++;
+                }
+            }
+            price = bestPrice(base, Side.Buy);
+        }
+    }
+
+    // Runs one call like a transaction: all of its effects, or none of them when it throws.
+    function transact(fn) {
+        const backup = structuredClone(state);
+        const events = [];
+        try {
+            const result = fn(events);
+            return { ...result, events };
+        } catch (err) {
+            Object.assign(state, backup);
+            throw err;
+        }
+    }
+
+    function limit(sender, base, side, price, amountBase) {
+        return transact((events) => {
+            [sender, base, price, amountBase] = [addr(sender), addr(base), BigInt(price), BigInt(amountBase)];
+            requireTradable(base);
+            if (price === 0n) throw revert("InvalidPrice");
+            if (amountBase === 0n) throw revert("InvalidAmount");
+            requireOnGrid(base, price, amountBase);
+            let lockedQuote = 0n;
+            if (side === Side.Buy) {
+                lockedQuote = quoteForBase(base, amountBase, price);
+                if (lockedQuote === 0n) throw revert("InvalidAmount");
+                requireOrderSize(base, amountBase, lockedQuote);
+                if (quoteBalanceOf(sender) < lockedQuote) throw revert("InsufficientBalance");
+                creditQuote(sender, -lockedQuote);
+            } else {
+                requireOrderSize(base, amountBase, quoteForBase(base, amountBase, price));
+                if (baseBalanceOf(sender, base) < amountBase) throw revert("InsufficientBalance");
+                creditBase(sender, base, -amountBase);
+            }
+
+            const orderId = createOrder(sender, base, side, price, amountBase, lockedQuote);
+            addOrderToLevel(base, side, price, orderId);
+            events.push({ name: "LimitOrderPlaced", args: { orderId, trader: sender, side, price, amountBase } });
+            tryMatch(base, side, events);
+            return { orderId };
+        });
+    }
+
+    // marketBuyFor (amount = maxQuoteIn) or marketSellFor (amount = amountBase), optionally price bounded.
+    function market(sender, base, side, amount, limitPrice) {
+        return transact((events) => {
+            [sender, base, amount] = [addr(sender), addr(base), BigInt(amount)];
+            requireTradable(base);
+            if (amount === 0n) throw revert("InvalidAmount");
+            if (side === Side.Buy) {
+                if (quoteBalanceOf(sender) < amount) throw revert("InsufficientBalance");
+                marketBuy(sender, base, amount, limitPrice, events);
+            } else {
+                if (roundToLot(base, amount) !== amount) throw revert("AmountNotOnLot");
+                if (baseBalanceOf(sender, base) < amount) throw revert("InsufficientBalance");
+                marketSell(sender, base, amount, limitPrice ?? 0n, events);
+            }
+            return {};
+        });
+    }
+
+    const engine = {
+        PRICE_SCALE,
+        FEE_BPS_DENOMINATOR,
+        MAX_FEE_BPS,
+        quoteToken: addr(quoteToken),
+        quoteDecimals,
+
+        /** Owner call; `decimals` stands in for the token's decimals(). */
+        supportBaseToken(base, decimals) {
+            return transact((events) => {
+                base = addr(base);
+                if (base === ethers.ZeroAddress) throw revert("UnsupportedBaseToken");
+                if (isSupported(base)) return {};
+                state.baseDecimals.set(base, Number(decimals));
+                state.delistedBases.delete(base);
+                state.supportedBases.push(base);
+                state.books.set(base, {
+                    bids: { prices: [], levels: new Map() },
+                    asks: { prices: [], levels: new Map() },
+                });
+                events.push({ name: "BaseTokenSupported", args: { baseToken: base, decimals: Number(decimals) } });
+                return {};
+            });
+        },
+
+        /** Owner call. */
+        setFeeRecipient(recipient) {
+            return transact((events) => {
+                recipient = addr(recipient);
+                if (recipient === ethers.ZeroAddress) throw revert("InvalidFeeRecipient");
+                state.feeRecipient = recipient;
+                events.push({ name: "FeeRecipientUpdated", args: { feeRecipient: recipient } });
+                return {};
+            });
+        },
+
+        /** Owner call: the default maker / taker rates in basis points. */
+        setFees(makerBps, takerBps) {
+            return transact((events) => {
+                [state.makerFeeBps, state.takerFeeBps] = requireFeeRates(makerBps, takerBps);
+                events.push({
+                    name: "FeesUpdated",
+                    args: { makerFeeBps: state.makerFeeBps, takerFeeBps: state.takerFeeBps },
+                });
+                return {};
+            });
+        },
+
+        /** Owner call: rates for one base that override the defaults until clearBaseFees. */
+        setBaseFees(base, makerBps, takerBps) {
+            return transact((events) => {
+                base = addr(base);
+                requireSupportedBase(base);
+                const [m, t] = requireFeeRates(makerBps, takerBps);
+                state.baseFeeRates.set(base, { makerBps: m, takerBps: t });
+                events.push({
+                    name: "BaseFeesUpdated",
+                    args: { baseToken: base, makerFeeBps: m, takerFeeBps: t, custom: true },
+                });
+                return {};
+            });
+        },
+
+        /** Owner call. */
+        clearBaseFees(base) {
+            return transact((events) => {
+                base = addr(base);
+                state.baseFeeRates.delete(base);
+                events.push({
+                    name: "BaseFeesUpdated",
+                    args: { baseToken: base, makerFeeBps: 0n, takerFeeBps: 0n, custom: false },
+                });
+                return {};
+            });
+        },
+
+        /** Owner call: the smallest limit order accepted in `base` (0 = no minimum). */
+        setOrderLimits(base, minAmountBase, minNotional) {
+            return transact((events) => {
+                [base, minAmountBase, minNotional] = [addr(base), BigInt(minAmountBase), BigInt(minNotional)];
+                requireSupportedBase(base);
+                state.orderLimits.set(base, { minAmountBase, minNotional });
+                events.push({ name: "OrderLimitsUpdated", args: { baseToken: base, minAmountBase, minNotional } });
+                return {};
+            });
+        },
+
+        /** Owner call: the price and amount increments of `base` (0 = none). */
+        setMarketGrid(base, tickSize, lotSize) {
+            return transact((events) => {
+                [base, tickSize, lotSize] = [addr(base), BigInt(tickSize), BigInt(lotSize)];
+                requireSupportedBase(base);
+                state.marketGrid.set(base, { tickSize, lotSize });
+                events.push({ name: "MarketGridUpdated", args: { baseToken: base, tickSize, lotSize } });
+                return {};
+            });
+        },
+
+        /** Owner call; the zero address leaves pausing to the owner alone. */
+        setGuardian(guardian) {
+            return transact((events) => {
+                state.guardian = addr(guardian);
+                events.push({ name: "GuardianUpdated", args: { guardian: state.guardian } });
+                return {};
+            });
+        },
+
+        /** Owner or guardian call: halts orders and deposits in every base. */
+        pause(sender) {
+            return transact((events) => {
+                requireNotPaused();
+                state.paused = true;
+                events.push({ name: "Paused", args: { account: addr(sender) } });
+                return {};
+            });
+        },
+
+        /** Owner call. */
+        unpause(sender) {
+            return transact((events) => {
+                if (!state.paused) throw revert("ExpectedPause");
+                state.paused = false;
+                events.push({ name: "Unpaused", args: { account: addr(sender) } });
+                return {};
+            });
+        },
+
+        /** Owner or guardian call: pause() for one base. */
+        pauseBase(sender, base) {
+            return transact((events) => {
+                base = addr(base);
+                requireSupportedBase(base);
+                if (state.pausedBases.has(base)) throw revert("EnforcedBasePause", base);
+                state.pausedBases.add(base);
+                events.push({ name: "BasePaused", args: { baseToken: base, account: addr(sender) } });
+                return {};
+            });
+        },
+
+        /** Owner call. */
+        unpauseBase(sender, base) {
+            return transact((events) => {
+                base = addr(base);
+                if (!state.pausedBases.has(base)) throw revert("ExpectedBasePause", base);
+                state.pausedBases.delete(base);
+                events.push({ name: "BaseUnpaused", args: { baseToken: base, account: addr(sender) } });
+                return {};
+            });
+        },
+
+        /** Owner call: stops new orders and base deposits in `base` until cancelDelistedOrders removes it. */
+        delistBase(base) {
+            return transact((events) => {
+                base = addr(base);
+                requireSupportedBase(base);
+                if (state.delistedBases.has(base)) throw revert("DelistedBase", base);
+                state.delistedBases.add(base);
+                events.push({ name: "BaseDelistingStarted", args: { baseToken: base } });
+                return {};
+            });
+        },
+
+        /**
+         * Cancels up to `maxOrders` resting orders of a base being delisted, best bids first and then best asks;
+         * `removed` is true when the book was left empty and the base taken off the supported list.
+         * @returns {{removed: boolean, events: {name: string, args: object}[]}}
+         */
+        cancelDelistedOrders(sender, base, maxOrders) {
+            return transact((events) => {
+                base = addr(base);
+                requireSupportedBase(base);
+                if (!state.delistedBases.has(base)) throw revert("NotDelisting", base);
+                for (let i = 0n; i < BigInt(maxOrders); i++) {
+                    const side = bestPrice(base, Side.Buy) !== 0n ? Side.Buy : Side.Sell;
+                    const price = bestPrice(base, side);
+                    if (price === 0n) break;
+                    const o = state.orders.get(sideOf(base, side).levels.get(price).ids[0]);
+                    if (o.active) cancel(o, events);
+                    else removeOrderFromLevel(base, side, price, o.id);
+                }
+                if (bestPrice(base, Side.Buy) !== 0n || bestPrice(base, Side.Sell) !== 0n) return { removed: false };
+
+                // _removeSupportedBase: the last base takes the removed one's slot.
+                const i = state.supportedBases.indexOf(base);
+                state.supportedBases[i] = state.supportedBases[state.supportedBases.length - 1];
+                state.supportedBases.pop();
+                for (const settings of [state.marketGrid, state.orderLimits, state.baseFeeRates]) {
+                    settings.delete(base);
+                }
+                state.pausedBases.delete(base);
+                events.push({ name: "BaseDelisted", args: { baseToken: base } });
+                return { removed: true };
+            });
+        },
+
+        depositBaseFor(sender, base, amount) {
+            return transact((events) => {
+                [sender, base, amount] = [addr(sender), addr(base), BigInt(amount)];
+                requireTradable(base);
+                if (amount === 0n) throw revert("InvalidAmount");
+                creditBase(sender, base, amount);
+                events.push({ name: "Deposited", args: { trader: sender, token: base, amount } });
+                return {};
+            });
+        },
+
+        withdrawBaseFor(sender, base, amount) {
+            return transact((events) => {
+                [sender, base, amount] = [addr(sender), addr(base), BigInt(amount)];
+                if (!state.delistedBases.has(base)) requireSupportedBase(base);
+                if (amount === 0n) throw revert("InvalidAmount");
+                if (baseBalanceOf(sender, base) < amount) throw revert("InsufficientBalance");
+                creditBase(sender, base, -amount);
+                events.push({ name: "Withdrawn", args: { trader: sender, token: base, amount } });
+                return {};
+            });
+        },
+
+        depositQuote(sender, amount) {
+            return transact((events) => {
+                [sender, amount] = [addr(sender), BigInt(amount)];
+                requireNotPaused();
+                if (amount === 0n) throw revert("InvalidAmount");
+                creditQuote(sender, amount);
+                events.push({ name: "Deposited", args: { trader: sender, token: engine.quoteToken, amount } });
+                return {};
+            });
+        },
+
+        withdrawQuote(sender, amount) {
+            return transact((events) => {
+                [sender, amount] = [addr(sender), BigInt(amount)];
+                if (amount === 0n) throw revert("InvalidAmount");
+                if (quoteBalanceOf(sender) < amount) throw revert("InsufficientBalance");
+                creditQuote(sender, -amount);
+                events.push({ name: "Withdrawn", args: { trader: sender, token: engine.quoteToken, amount } });
+                return {};
+            });
+        },
+
+        /** @returns {{orderId: bigint, events: {name: string, args: object}[]}} */
+        limitBuyFor: (sender, base, price, amountBase) => limit(sender, base, Side.Buy, price, amountBase),
+        limitSellFor: (sender, base, price, amountBase) => limit(sender, base, Side.Sell, price, amountBase),
+
+        marketBuyFor: (sender, base, maxQuoteIn) => market(sender, base, Side.Buy, maxQuoteIn),
+        marketSellFor: (sender, base, amountBase) => market(sender, base, Side.Sell, amountBase),
+
+        marketBuyWithMaxPriceFor(sender, base, maxQuoteIn, maxPrice) {
+            if (BigInt(maxPrice) === 0n) throw revert("InvalidPrice");
+            return market(sender, base, Side.Buy, maxQuoteIn, BigInt(maxPrice));
+        },
+
+        marketSellWithMinPriceFor(sender, base, amountBase, minPrice) {
+            if (BigInt(minPrice) === 0n) throw revert("InvalidPrice");
+            return market(sender, base, Side.Sell, amountBase, BigInt(minPrice));
+        },
+
+        cancelOrder(sender, orderId) {
+            return transact((events) => {
+                sender = addr(sender);
+                const o = state.orders.get(BigInt(orderId));
+                if (!o || !o.active) throw revert("NotActive");
+                if (o.trader !== sender) throw revert("NotOwner");
+                cancel(o, events);
+                return {};
+            });
+        },
+
+        // ---- views ----
+
+        isBaseSupported: (base) => isSupported(base),
+        isBaseDelisted: (base) => state.delistedBases.has(addr(base)),
+        baseDecimals: (base) => state.baseDecimals.get(addr(base)) ?? 0,
+        getSupportedBases: () => [...state.supportedBases],
+        supportedBasesLength: () => BigInt(state.supportedBases.length),
+        quoteBalance: (user) => quoteBalanceOf(user),
+        baseBalance: (user, base) => baseBalanceOf(user, base),
+        userOrderNonce: (user, base) => state.nonces.get(key(user, base)) ?? 0n,
+        bestBidPrice: (base) => bestPrice(addr(base), Side.Buy),
+        bestAskPrice: (base) => bestPrice(addr(base), Side.Sell),
+        lastTradePriceForBase: (base) => state.lastTradePrice.get(addr(base)) ?? 0n,
+        feeRecipient: () => state.feeRecipient,
+        makerFeeBps: () => state.makerFeeBps,
+        takerFeeBps: () => state.takerFeeBps,
+        /** { makerBps, takerBps } that trades in `base` pay. */
+        feeRatesFor: (base) => feeRatesFor(base),
+
+        /** { minAmountBase, minNotional } of `base`. */
+        orderLimits: (base) => ({ minAmountBase: 0n, minNotional: 0n, ...state.orderLimits.get(addr(base)) }),
+
+        /** { tickSize, lotSize } of `base`. */
+        marketGrid: (base) => ({ tickSize: 0n, lotSize: 0n, ...state.marketGrid.get(addr(base)) }),
+
+        guardian: () => state.guardian,
+        paused: () => state.paused,
+        basePaused: (base) => state.pausedBases.has(addr(base)),
+
+        baseFeeRates(base) {
+            const custom = state.baseFeeRates.get(addr(base));
+            return custom ? { ...custom, custom: true } : { makerBps: 0n, takerBps: 0n, custom: false };
+        },
+
+        getLastPriceFor(base) {
+            requireSupportedBase(base);
+            return engine.lastTradePriceForBase(base);
+        },
+
+        /** The contract's Order struct (all zero for unknown ids); prev / next are the FIFO neighbours. */
+        orders(orderId) {
+            const o = state.orders.get(BigInt(orderId));
+            if (!o) {
+                return {
+                    id: 0n,
+                    trader: ethers.ZeroAddress,
+                    baseToken: ethers.ZeroAddress,
+                    side: Side.Buy,
+                    price: 0n,
+                    amountBase: 0n,
+                    filledBase: 0n,
+                    lockedQuote: 0n,
+                    timestamp: 0n,
+                    active: false,
+                    prev: 0n,
+                    next: 0n,
+                };
+            }
+            const ids = sideOf(o.baseToken, o.side).levels.get(o.price)?.ids ?? [];
+            const i = ids.indexOf(o.id);
+            return { ...o, prev: i > 0 ? ids[i - 1] : 0n, next: i >= 0 && i + 1 < ids.length ? ids[i + 1] : 0n };
+        },
+
+        /** [bidPrices, bidSizes, askPrices, askSizes], each `topN` long (10 when 0) and zero padded. */
+        getOrderBookDepthFor(base, topN = 10) {
+            base = addr(base);
+            requireSupportedBase(base);
+            const n = Number(topN) || 10;
+            const side = (s) => {
+                const prices = Array(n).fill(0n);
+                const sizes = Array(n).fill(0n);
+                s.prices.slice(0, n).forEach((p, i) => {
+                    prices[i] = p;
+                    sizes[i] = s.levels.get(p).totalRemainingBase;
+                });
+                return [prices, sizes];
+            };
+            const book = state.books.get(base);
+            return [...side(book.bids), ...side(book.asks)];
+        },
+
+        /** OrderViewMulti[] of `trader`'s resting orders in `base`, oldest first. */
+        getOpenOrdersOfFor(trader, base) {
+            requireSupportedBase(base);
+            return (state.history.get(key(trader, base)) ?? [])
+                .map((id) => state.orders.get(id))
+                .filter((o) => o.active && o.filledBase < o.amountBase)
+                .map((o) => ({
+                    id: o.id,
+                    baseToken: o.baseToken,
+                    side: o.side,
+                    price: o.price,
+                    amountBase: o.amountBase,
+                    filledBase: o.filledBase,
+                    remainingBase: o.amountBase - o.filledBase,
+                    timestamp: o.timestamp,
+                    active: o.active,
+                }));
+        },
+
+        /** quoteMarketBuyFor / quoteMarketSellFor: { filledBase, filledQuote, avgPrice, levels }. */
+        quoteMarketBuyFor: (base, maxQuoteIn) => quoteView(base, "buy", maxQuoteIn),
+        quoteMarketSellFor: (base, amountBase) => quoteView(base, "sell", amountBase),
+
+        // ---- off-chain helpers ----
+
+        /** The contract's _quoteForBase / _baseForQuote for `base` (floored). */
+        quoteForBase,
+        baseForQuote,
+
+        /** Independent copy of the engine and its whole state. */
+        clone: () => createLevelsEngine(opts, structuredClone(state)),
+
+        /**
+         * What marketBuyFor(base, maxQuoteIn) would fill right now, without changing the book.
+         *
+         * @returns {{filledBase: bigint, quote: bigint, averagePrice: bigint, levels: number, trades: object[]}}
+         */
+        previewMarketBuyFor: (base, maxQuoteIn) => preview(base, "buy", maxQuoteIn),
+        /** What marketSellFor(base, amountBase) would fill right now; `quote` is what it trades for, before fees. */
+        previewMarketSellFor: (base, amountBase) => preview(base, "sell", amountBase),
+    };
+
+    function quoteView(base, side, amount) {
+        requireSupportedBase(base);
+        if (BigInt(amount) === 0n) return { filledBase: 0n, filledQuote: 0n, avgPrice: 0n, levels: 0n };
+        const { filledBase, quote, averagePrice, levels } = preview(base, side, amount);
+        return { filledBase, filledQuote: quote, avgPrice: averagePrice, levels: BigInt(levels) };
+    }
+
+    function preview(base, side, amount) {
+        const copy = engine.clone();
+        if (side === "buy") {
+            copy.depositQuote(PREVIEW_SENDER, amount);
+        } else {
+            copy.depositBaseFor(PREVIEW_SENDER, base, amount);
+        }
+        const { events } =
+            side === "buy"
+                ? copy.marketBuyFor(PREVIEW_SENDER, base, amount)
+                : copy.marketSellFor(PREVIEW_SENDER, base, amount);
+        // Dust orders the market order cancels on its way show up as OrderCancelled; only trades count.
+        const trades = events.filter((e) => e.name === "Trade").map((e) => e.args);
+        const filledBase = trades.reduce((sum, t) => sum + t.amountBase, 0n);
+        const quote = trades.reduce((sum, t) => sum + quoteForBase(base, t.amountBase, t.price), 0n);
+        return {
+            filledBase,
+            quote,
+            // Quote per base * 1e18, like prices; 0 when nothing fills.
+            averagePrice: filledBase === 0n ? 0n : (quote * PRICE_SCALE * bUnit(base)) / (filledBase * qUnit),
+            levels: new Set(trades.map((t) => t.price)).size,
+            trades,
+        };
+    }
+
+    return engine;
+}
+
+module.exports = {
+    createLevelsEngine,
+};
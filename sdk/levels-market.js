@@ -0,0 +1,452 @@
+const { ethers } = require("ethers");
+
+const {
+    Side,
+    ERC20_ABI,
+    parseSide,
+    parseAmount,
+    parseSlippageBps,
+    slippageCeiling,
+    slippageFloor,
+    roundPriceToTick,
+    roundAmountToLot,
+} = require("./spot-market");
+const { quoteForBase } = require("../scripts/lib/orderbook-bootstrap");
+
+// Client for one base market of a MultiBaseOrderBookDEXVaultLevels (many bases sharing one quote token).
+// Same surface as connectSpotMarket where the contract allows it, so callers can treat both alike.
+// Amounts and prices are human-readable decimal strings; unlike PharosSpotMarket, on-chain prices here are
+// already human quote per human base, scaled by 1e18.
+
+/** @typedef {import("../typechain-types").MultiBaseOrderBookDEXVaultLevels} MultiBaseOrderBookDEXVaultLevels */
+/** @typedef {import("./spot-market").SideInput} SideInput */
+
+const PRICE_DECIMALS = 18;
+
+function loadLevelsMarketAbi() {
+    try {
+        return require("../artifacts/contracts/MultiBaseOrderBookDEXVaultLevels.sol/MultiBaseOrderBookDEXVaultLevels.json")
+            .abi;
+    } catch (e) {
+        throw new Error(
+            `MultiBaseOrderBookDEXVaultLevels artifact not found; run \`npm run compile\` first (${e.message})`,
+        );
+    }
+}
+
+/**
+ * Connects to one base market of a deployed MultiBaseOrderBookDEXVaultLevels.
+ *
+ * @param {object} opts
+ * @param {string} opts.address order book address
+ * @param {string} opts.base base token address; must be supported by the order book
+ * @param {import("ethers").ContractRunner} opts.runner signer for transactions, or a provider for read-only use
+ * @param {import("ethers").InterfaceAbi} [opts.abi] defaults to the Hardhat artifact ABI
+ */
+async function connectLevelsMarket({ address, base, runner, abi }) {
+    /** @type {MultiBaseOrderBookDEXVaultLevels} */
+    const dex = /** @type {any} */ (new ethers.Contract(address, abi || loadLevelsMarketAbi(), runner));
+
+    const baseToken = ethers.getAddress(base);
+    const supported = (await dex.getSupportedBases()).map((a) => ethers.getAddress(a));
+    if (!supported.includes(baseToken)) {
+        throw new Error(`Base ${baseToken} is not supported by ${address} (supported: ${supported.join(", ")})`);
+    }
+    const [quoteToken, qdRaw, bdRaw] = await Promise.all([
+        dex.quoteToken(),
+        dex.quoteDecimals(),
+        dex.baseDecimals(baseToken),
+    ]);
+    const [bd, qd] = [Number(bdRaw), Number(qdRaw)];
+
+    const fmtBase = (v) => ethers.formatUnits(v, bd);
+    const fmtQuote = (v) => ethers.formatUnits(v, qd);
+    const fmtPrice = (v) => ethers.formatUnits(v, PRICE_DECIMALS);
+    const parsePrice = (price) => parseAmount(price, PRICE_DECIMALS, "price");
+    const quoteOf = (amountBase, price) => quoteForBase(amountBase, price, bd, qd);
+    const sideName = (s) => (Number(s) === Side.Buy ? "buy" : "sell");
+
+    function resolveToken(token) {
+        if (token === "base") return { address: baseToken, decimals: bd };
+        if (token === "quote") return { address: quoteToken, decimals: qd };
+        const a = ethers.getAddress(token);
+        if (a === baseToken) return { address: baseToken, decimals: bd };
+        if (a === ethers.getAddress(quoteToken)) return { address: quoteToken, decimals: qd };
+        throw new Error(`Token ${token} is neither the base nor the quote token of market ${address}:${baseToken}`);
+    }
+
+    async function signerAddress() {
+        if (!runner || typeof runner.getAddress !== "function") throw new Error("This call needs a signer runner");
+        return runner.getAddress();
+    }
+
+    // Trade events carry neither the base token nor the quote amount; the quote is recomputed like the contract.
+    // Fees are in what each side receives: the buyer's in base, the seller's in quote.
+    function parseTrade(log) {
+        const { makerOrderId, maker, taker, takerSide, price, amountBase, makerFee, takerFee } = log.args;
+        const amountQuote = quoteOf(amountBase, price);
+        const makerBuys = Number(takerSide) === Side.Sell;
+        return {
+            makerOrderId,
+            maker,
+            taker,
+            makerSide: makerBuys ? "buy" : "sell",
+            price: fmtPrice(price),
+            amount: fmtBase(amountBase),
+            quoteAmount: fmtQuote(amountQuote),
+            makerFee: makerBuys ? fmtBase(makerFee) : fmtQuote(makerFee),
+            takerFee: makerBuys ? fmtQuote(takerFee) : fmtBase(takerFee),
+            priceE18: price,
+            amountBase,
+            amountQuote,
+            makerFeeAmount: makerFee,
+            takerFeeAmount: takerFee,
+        };
+    }
+
+    function parseReceipt(receipt) {
+        const dexAddress = ethers.getAddress(address);
+        const events = [];
+        for (const log of receipt.logs) {
+            if (ethers.getAddress(log.address) !== dexAddress) continue;
+            const parsed = dex.interface.parseLog(log);
+            if (parsed) events.push(parsed);
+        }
+        return {
+            placed: events.find((e) => e.name === "LimitOrderPlaced"),
+            canceled: events.find((e) => e.name === "OrderCancelled"),
+            trades: events.filter((e) => e.name === "Trade").map(parseTrade),
+        };
+    }
+
+    async function send(txPromise) {
+        const tx = await txPromise;
+        const receipt = await tx.wait();
+        return { hash: tx.hash, receipt, ...parseReceipt(receipt) };
+    }
+
+    // Tick and lot size of this base, read for every order since the owner can change them.
+    async function readGrid() {
+        const [tickSize, lotSize] = await dex.marketGrid(baseToken);
+        return { tickSize, lotSize };
+    }
+
+    function onTick(s, priceE18, tickSize) {
+        const rounded = roundPriceToTick(s, priceE18, tickSize);
+        if (rounded === 0n) throw new Error(`Price ${fmtPrice(priceE18)} is below the tick size ${fmtPrice(tickSize)}`);
+        return rounded;
+    }
+
+    function onLot(amountBase, lotSize) {
+        const rounded = roundAmountToLot(amountBase, lotSize);
+        if (rounded === 0n) throw new Error(`Amount ${fmtBase(amountBase)} is below the lot size ${fmtBase(lotSize)}`);
+        return rounded;
+    }
+
+    // Market buys are sized by the quote they spend, market sells by the base they sell (in whole lots).
+    async function marketSize(s, amount, maxQuoteIn) {
+        if (s === Side.Sell) return onLot(parseAmount(amount, bd, "amount"), (await readGrid()).lotSize);
+        if (Number(maxQuoteIn) === 0) throw new Error("Market buy needs maxQuoteIn");
+        if (Number(amount) !== 0) {
+            throw new Error("MultiBaseOrderBookDEXVaultLevels market buys spend maxQuoteIn; omit amount");
+        }
+        return parseAmount(maxQuoteIn, qd, "maxQuoteIn");
+    }
+
+    /**
+     * What a market order would fill right now (quoteMarketBuyFor / quoteMarketSellFor), without sending it.
+     *
+     * @param {object} order
+     * @param {SideInput} order.side
+     * @param {string | number} [order.amount] sell: base amount, rounded down to whole lots
+     * @param {string | number} [order.maxQuoteIn] buy: quote to spend at most
+     */
+    async function quoteMarketOrder({ side, amount = 0, maxQuoteIn = 0 }) {
+        const s = parseSide(side);
+        const size = await marketSize(s, amount, maxQuoteIn);
+        const [filledBase, filledQuote, avgPriceE18, levels] =
+            s === Side.Buy
+                ? await dex.quoteMarketBuyFor(baseToken, size)
+                : await dex.quoteMarketSellFor(baseToken, size);
+        return {
+            side: sideName(s),
+            filledBase: fmtBase(filledBase),
+            filledQuote: fmtQuote(filledQuote),
+            averagePrice: fmtPrice(avgPriceE18),
+            levels: Number(levels),
+            amountBase: filledBase,
+            amountQuote: filledQuote,
+            avgPriceE18,
+        };
+    }
+
+    return {
+        contract: dex,
+        address,
+        baseToken,
+        quoteToken,
+        baseDecimals: bd,
+        quoteDecimals: qd,
+
+        parsePrice,
+        formatPrice: fmtPrice,
+        parseReceipt,
+
+        // Approves the order book if needed, then deposits. `token` is "base", "quote" or a token address.
+        async deposit(token, amount, { approve = true } = {}) {
+            const t = resolveToken(token);
+            const raw = parseAmount(amount, t.decimals, "amount");
+            if (approve) {
+                const erc20 = new ethers.Contract(t.address, ERC20_ABI, runner);
+                if ((await erc20.allowance(await signerAddress(), address)) < raw) {
+                    await (await erc20.approve(address, raw)).wait();
+                }
+            }
+            const { hash } = await send(
+                t.address === baseToken ? dex.depositBaseFor(baseToken, raw) : dex.depositQuote(raw),
+            );
+            return { hash, token: t.address, amount: ethers.formatUnits(raw, t.decimals) };
+        },
+
+        async withdraw(token, amount) {
+            const t = resolveToken(token);
+            const raw = parseAmount(amount, t.decimals, "amount");
+            const { hash } = await send(
+                t.address === baseToken ? dex.withdrawBaseFor(baseToken, raw) : dex.withdrawQuote(raw),
+            );
+            return { hash, token: t.address, amount: ethers.formatUnits(raw, t.decimals) };
+        },
+
+        // Vault balances (not wallet balances) of `user`, default the signer.
+        async balances(user) {
+            const owner = user || (await signerAddress());
+            const [baseBal, quoteBal] = await Promise.all([dex.baseBalance(owner, baseToken), dex.quoteBalance(owner)]);
+            return { base: fmtBase(baseBal), quote: fmtQuote(quoteBal) };
+        },
+
+        /**
+         * Limit orders match immediately against the opposite side and rest the remainder.
+         *
+         * @param {object} order
+         * @param {SideInput} order.side
+         * @param {string | number} order.price quote per base, moved onto the tick size (buys down, sells up)
+         * @param {string | number} order.amount base amount, rounded down to whole lots
+         */
+        async placeLimitOrder({ side, price, amount }) {
+            const s = parseSide(side);
+            const { tickSize, lotSize } = await readGrid();
+            const priceE18 = onTick(s, parsePrice(price), tickSize);
+            const amountBase = onLot(parseAmount(amount, bd, "amount"), lotSize);
+            const result = await send(
+                s === Side.Buy
+                    ? dex.limitBuyFor(baseToken, priceE18, amountBase)
+                    : dex.limitSellFor(baseToken, priceE18, amountBase),
+            );
+
+            const { orderId } = result.placed.args;
+            // Trade events do not name the taker order; the order's own storage says how much of it filled.
+            const { filledBase } = await dex.orders(orderId, { blockTag: result.receipt.blockNumber });
+            return {
+                hash: result.hash,
+                orderId,
+                side: sideName(s),
+                price: fmtPrice(priceE18),
+                amount: fmtBase(amountBase),
+                reserved: s === Side.Buy ? fmtQuote(quoteOf(amountBase, priceE18)) : fmtBase(amountBase),
+                filled: fmtBase(filledBase),
+                trades: result.trades,
+            };
+        },
+
+        quoteMarketOrder,
+
+        /**
+         * Market buys spend up to `maxQuoteIn`; market sells sell exactly `amount` base. The contract has
+         * no base cap for buys and no minQuoteOut for sells; its slippage bound is a price: buys skip asks
+         * above `maxPrice`, sells skip bids below `minPrice`, and what cannot fill stays in the vault.
+         *
+         * @param {object} order
+         * @param {SideInput} order.side
+         * @param {string | number} [order.amount] sell: base amount, rounded down to whole lots
+         * @param {string | number} [order.maxQuoteIn] buy: quote to spend at most
+         * @param {string | number} [order.maxPrice] buy: worst ask price to trade at
+         * @param {string | number} [order.minPrice] sell: worst bid price to trade at
+         * @param {number} [order.slippageBps] quote the order first and bound it to the worst quoted level's
+         *        price plus (buys) or minus (sells) this many basis points, or to maxPrice / minPrice if tighter
+         * @param {string | number} [order.minQuoteOut] not supported
+         */
+        async placeMarketOrder({
+            side,
+            amount = 0,
+            maxQuoteIn = 0,
+            maxPrice = 0,
+            minPrice = 0,
+            slippageBps,
+            minQuoteOut = 0,
+        }) {
+            const s = parseSide(side);
+            if (Number(minQuoteOut) !== 0) {
+                throw new Error("MultiBaseOrderBookDEXVaultLevels has no minQuoteOut; use minPrice or slippageBps");
+            }
+            if (Number(s === Side.Buy ? minPrice : maxPrice) !== 0) {
+                throw new Error("maxPrice bounds market buys and minPrice market sells");
+            }
+            const size = await marketSize(s, amount, maxQuoteIn);
+            let limit = parsePrice(s === Side.Buy ? maxPrice : minPrice);
+
+            let quoted;
+            if (slippageBps !== undefined) {
+                parseSlippageBps(slippageBps);
+                quoted = await quoteMarketOrder({ side: s, amount, maxQuoteIn });
+                if (quoted.levels === 0) throw new Error("Nothing to fill: the order book quote is empty");
+                const [bidPrices, , askPrices] = await dex.getOrderBookDepthFor(baseToken, quoted.levels);
+                const worst = (s === Side.Buy ? askPrices : bidPrices)[quoted.levels - 1];
+                if (s === Side.Buy) {
+                    const bound = slippageCeiling(worst, slippageBps);
+                    if (limit === 0n || bound < limit) limit = bound;
+                } else {
+                    const bound = slippageFloor(worst, slippageBps);
+                    if (bound > limit) limit = bound;
+                }
+            }
+
+            let tx;
+            if (s === Side.Buy) {
+                tx =
+                    limit === 0n
+                        ? dex.marketBuyFor(baseToken, size)
+                        : dex.marketBuyWithMaxPriceFor(baseToken, size, limit);
+            } else {
+                tx =
+                    limit === 0n
+                        ? dex.marketSellFor(baseToken, size)
+                        : dex.marketSellWithMinPriceFor(baseToken, size, limit);
+            }
+
+            const result = await send(tx);
+            const filledBase = result.trades.reduce((sum, t) => sum + t.amountBase, 0n);
+            const filledQuote = result.trades.reduce((sum, t) => sum + t.amountQuote, 0n);
+            return {
+                hash: result.hash,
+                side: sideName(s),
+                filledBase: fmtBase(filledBase),
+                filledQuote: fmtQuote(filledQuote),
+                ...(quoted && { quotedBase: quoted.filledBase, quotedQuote: quoted.filledQuote }),
+                ...(limit !== 0n && (s === Side.Buy ? { maxPrice: fmtPrice(limit) } : { minPrice: fmtPrice(limit) })),
+                trades: result.trades,
+            };
+        },
+
+        async cancelOrder(orderId) {
+            const order = await dex.orders(orderId);
+            if (ethers.getAddress(order.baseToken) !== baseToken) {
+                throw new Error(`Order ${orderId} is not in the ${baseToken} market`);
+            }
+            const result = await send(dex.cancelOrder(orderId));
+            const isBuy = Number(order.side) === Side.Buy;
+            return {
+                hash: result.hash,
+                orderId: BigInt(orderId),
+                refund: isBuy ? fmtQuote(order.lockedQuote) : fmtBase(order.amountBase - order.filledBase),
+                refundToken: isBuy ? quoteToken : baseToken,
+            };
+        },
+
+        // Resting orders of `user` (default the signer), oldest first.
+        async openOrders(user) {
+            const owner = user || (await signerAddress());
+            const orders = await dex.getOpenOrdersOfFor(owner, baseToken);
+            return orders.map((o) => ({
+                orderId: o.id,
+                side: sideName(o.side),
+                price: fmtPrice(o.price),
+                amount: fmtBase(o.amountBase),
+                filled: fmtBase(o.filledBase),
+                remaining: fmtBase(o.remainingBase),
+            }));
+        },
+
+        // One order's current state; `remaining` is what is still resting.
+        async getOrder(orderId) {
+            const o = await dex.orders(orderId);
+            return {
+                orderId: BigInt(orderId),
+                owner: o.trader,
+                side: sideName(o.side),
+                price: fmtPrice(o.price),
+                remaining: fmtBase(o.amountBase - o.filledBase),
+                remainingBase: o.amountBase - o.filledBase,
+                active: o.active,
+            };
+        },
+
+        // Top `levels` price levels per side, best first.
+        async getDepth(levels = 10) {
+            const [bidPrices, bidSizes, askPrices, askSizes] = await dex.getOrderBookDepthFor(baseToken, levels);
+            // The view pads both sides with zero prices up to `levels`.
+            const side = (prices, sizes) =>
+                prices
+                    .map((p, i) => ({
+                        price: fmtPrice(p),
+                        amount: fmtBase(sizes[i]),
+                        priceE18: p,
+                        amountBase: sizes[i],
+                    }))
+                    .filter((l) => l.priceE18 !== 0n);
+            return { bids: side(bidPrices, bidSizes), asks: side(askPrices, askSizes) };
+        },
+
+        // null before the first trade in this base.
+        async getLastPrice() {
+            const priceE18 = await dex.getLastPriceFor(baseToken);
+            return priceE18 === 0n ? null : fmtPrice(priceE18);
+        },
+
+        // null when that side of the book is empty.
+        async getBestPrices() {
+            const [bidE18, askE18] = await Promise.all([dex.bestBidPrice(baseToken), dex.bestAskPrice(baseToken)]);
+            return {
+                bid: bidE18 === 0n ? null : fmtPrice(bidE18),
+                ask: askE18 === 0n ? null : fmtPrice(askE18),
+                bidE18,
+                askE18,
+            };
+        },
+
+        // Maker / taker rates of this base in basis points of what each side receives, and who collects them.
+        async getFees() {
+            const [[makerBps, takerBps], recipient] = await Promise.all([
+                dex.feeRatesFor(baseToken),
+                dex.feeRecipient(),
+            ]);
+            return { makerBps: Number(makerBps), takerBps: Number(takerBps), recipient };
+        },
+
+        // Price and amount increments orders in this base are rounded to ("0.0" = none).
+        async getMarketGrid() {
+            const { tickSize, lotSize } = await readGrid();
+            return {
+                tickSize: fmtPrice(tickSize),
+                lotSize: fmtBase(lotSize),
+                tickSizeE18: tickSize,
+                lotSizeBase: lotSize,
+            };
+        },
+
+        // Smallest limit order accepted in this base: base amount and quote notional at the limit price (zero = none).
+        async getOrderLimits() {
+            const [minAmountBase, minNotionalQuote] = await dex.orderLimits(baseToken);
+            return {
+                minAmount: fmtBase(minAmountBase),
+                minNotional: fmtQuote(minNotionalQuote),
+                minAmountBase,
+                minNotionalQuote,
+            };
+        },
+    };
+}
+
+module.exports = {
+    loadLevelsMarketAbi,
+    connectLevelsMarket,
+};
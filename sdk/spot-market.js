@@ -0,0 +1,597 @@
+const { ethers } = require("ethers");
+
+// Client for one PharosSpotMarket (one contract per base/quote pair).
+// Amounts and prices are human-readable decimal strings; conversion uses the tokens' decimals.
+//
+// Typings come from Typechain (npm run compile -> typechain-types/); the ABI from the Hardhat artifact.
+
+/** @typedef {import("../typechain-types").PharosSpotMarket} PharosSpotMarket */
+/** @typedef {"buy" | "sell" | 0 | 1} SideInput */
+
+const Side = Object.freeze({ Buy: 0, Sell: 1 });
+
+const ERC20_ABI = [
+    "function decimals() view returns (uint8)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const DEFAULT_MAX_MATCHES = 32;
+const DEFAULT_HINT_PAGE_SIZE = 32;
+const DEFAULT_HINT_RETRIES = 3;
+const BPS = 10_000n;
+
+function loadSpotMarketAbi() {
+    try {
+        return require("../artifacts/contracts/PharosSpotMarket.sol/PharosSpotMarket.json").abi;
+    } catch (e) {
+        throw new Error(`PharosSpotMarket artifact not found; run \`npm run compile\` first (${e.message})`);
+    }
+}
+
+// PharosSpotMarket prices are raw quote units per raw base unit, scaled by 1e18:
+// quote = base * priceE18 / 1e18. A human price P (quote per base) is P * 10^(18 + quoteDecimals - baseDecimals).
+function priceScaleDecimals(baseDecimals, quoteDecimals) {
+    const decimals = 18 + Number(quoteDecimals) - Number(baseDecimals);
+    if (decimals < 0) throw new Error(`Unsupported decimals: base=${baseDecimals} quote=${quoteDecimals}`);
+    return decimals;
+}
+
+function parsePrice(price, baseDecimals, quoteDecimals) {
+    const decimals = priceScaleDecimals(baseDecimals, quoteDecimals);
+    try {
+        return ethers.parseUnits(String(price), decimals);
+    } catch (e) {
+        throw new Error(`Invalid price '${price}' (at most ${decimals} decimals): ${e.shortMessage || e.message}`);
+    }
+}
+
+function formatPrice(priceE18, baseDecimals, quoteDecimals) {
+    return ethers.formatUnits(priceE18, priceScaleDecimals(baseDecimals, quoteDecimals));
+}
+
+function parseAmount(amount, decimals, what) {
+    try {
+        return ethers.parseUnits(String(amount), decimals);
+    } catch (e) {
+        throw new Error(`Invalid ${what} '${amount}' (at most ${decimals} decimals): ${e.shortMessage || e.message}`);
+    }
+}
+
+function parseSide(side) {
+    if (side === Side.Buy || side === Side.Sell) return side;
+    const s = String(side).toLowerCase();
+    if (s === "buy" || s === "bid") return Side.Buy;
+    if (s === "sell" || s === "ask") return Side.Sell;
+    throw new Error(`Invalid side '${side}' (expected "buy" or "sell")`);
+}
+
+function parseSlippageBps(slippageBps) {
+    const n = Number(slippageBps);
+    if (!Number.isInteger(n) || n < 0 || n >= Number(BPS)) {
+        throw new Error(`Invalid slippage '${slippageBps}' (expected basis points, an integer in [0, 10000))`);
+    }
+    return BigInt(n);
+}
+
+// `value` (an amount or a price) moved `slippageBps` basis points against the trader: up for what they pay
+// (rounded up), down for what they receive (rounded down).
+function slippageCeiling(value, slippageBps) {
+    const bps = parseSlippageBps(slippageBps);
+    return (value * (BPS + bps) + BPS - 1n) / BPS;
+}
+
+function slippageFloor(value, slippageBps) {
+    const bps = parseSlippageBps(slippageBps);
+    return (value * (BPS - bps)) / BPS;
+}
+
+// A limit price moved onto the market's tick (tickSize 0 = no grid): buys round down and sells up, so the
+// order never trades at a worse price than asked.
+function roundPriceToTick(side, priceE18, tickSize) {
+    if (tickSize === 0n || priceE18 % tickSize === 0n) return priceE18;
+    const down = priceE18 - (priceE18 % tickSize);
+    return side === Side.Sell ? down + tickSize : down;
+}
+
+// A base amount rounded down to whole lots (lotSize 0 = no grid).
+function roundAmountToLot(amountBase, lotSize) {
+    return lotSize === 0n ? amountBase : amountBase - (amountBase % lotSize);
+}
+
+// Name of the custom error a contract call reverted with, if the ABI knows it.
+function revertErrorName(contract, error) {
+    if (error?.revert?.name) return error.revert.name;
+    const data = error?.data ?? error?.error?.data ?? error?.info?.error?.data;
+    if (typeof data !== "string") return undefined;
+    try {
+        return contract.interface.parseError(data)?.name;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Predecessor level for inserting a new `priceE18` level on `side`: the worst existing level that is
+ * still strictly better than priceE18 (bids: higher, asks: lower). 0n when the price would become the
+ * new best or the side is empty, which the contract handles without a hint.
+ *
+ * Reads the top `pageSize` levels with getDepth and pages further with getLevels.
+ *
+ * @param {object} opts
+ * @param {PharosSpotMarket} opts.market
+ * @param {number} opts.side Side.Buy or Side.Sell
+ * @param {bigint} opts.priceE18
+ * @param {number} [opts.pageSize]
+ */
+async function findHintPriceE18({ market, side, priceE18, pageSize = DEFAULT_HINT_PAGE_SIZE }) {
+    const better = side === Side.Buy ? (a, b) => a > b : (a, b) => a < b;
+
+    const depth = await market.getDepth(pageSize);
+    let page = side === Side.Buy ? depth[0] : depth[2];
+    let prev = 0n;
+
+    for (;;) {
+        for (const p of page) {
+            if (!better(p, priceE18)) return prev;
+            prev = p;
+        }
+        if (page.length < pageSize) return prev;
+        [page] = await market.getLevels(side, prev, pageSize);
+    }
+}
+
+/**
+ * Connects to a deployed PharosSpotMarket.
+ *
+ * @param {object} opts
+ * @param {string} opts.address market address
+ * @param {import("ethers").ContractRunner} opts.runner signer for transactions, or a provider for read-only use
+ * @param {number} [opts.baseDecimals] skip the decimals() lookup when known
+ * @param {number} [opts.quoteDecimals]
+ * @param {import("ethers").InterfaceAbi} [opts.abi] defaults to the Hardhat artifact ABI
+ */
+async function connectSpotMarket({ address, runner, baseDecimals, quoteDecimals, abi }) {
+    /** @type {PharosSpotMarket} */
+    const market = /** @type {any} */ (new ethers.Contract(address, abi || loadSpotMarketAbi(), runner));
+
+    const [baseToken, quoteToken] = await Promise.all([market.baseToken(), market.quoteToken()]);
+    const decimalsOf = async (token, known) =>
+        known ?? Number(await new ethers.Contract(token, ERC20_ABI, runner).decimals());
+    const [bd, qd] = await Promise.all([decimalsOf(baseToken, baseDecimals), decimalsOf(quoteToken, quoteDecimals)]);
+
+    const fmtBase = (v) => ethers.formatUnits(v, bd);
+    const fmtQuote = (v) => ethers.formatUnits(v, qd);
+    const fmtPrice = (v) => formatPrice(v, bd, qd);
+
+    // Tick and lot size, read for every order since the owner can change them.
+    async function readGrid() {
+        const [tickSize, lotSize] = await Promise.all([market.tickSize(), market.lotSize()]);
+        return { tickSize, lotSize };
+    }
+
+    function onTick(s, priceE18, tickSize) {
+        const rounded = roundPriceToTick(s, priceE18, tickSize);
+        if (rounded === 0n) throw new Error(`Price ${fmtPrice(priceE18)} is below the tick size ${fmtPrice(tickSize)}`);
+        return rounded;
+    }
+
+    function onLot(amountBase, lotSize) {
+        const rounded = roundAmountToLot(amountBase, lotSize);
+        if (rounded === 0n) throw new Error(`Amount ${fmtBase(amountBase)} is below the lot size ${fmtBase(lotSize)}`);
+        return rounded;
+    }
+
+    function resolveToken(token) {
+        if (token === "base") return { address: baseToken, decimals: bd };
+        if (token === "quote") return { address: quoteToken, decimals: qd };
+        const a = ethers.getAddress(token);
+        if (a === ethers.getAddress(baseToken)) return { address: baseToken, decimals: bd };
+        if (a === ethers.getAddress(quoteToken)) return { address: quoteToken, decimals: qd };
+        throw new Error(`Token ${token} is neither the base nor the quote token of market ${address}`);
+    }
+
+    async function signerAddress() {
+        if (!runner || typeof runner.getAddress !== "function") throw new Error("This call needs a signer runner");
+        return runner.getAddress();
+    }
+
+    // Fees are in what each side receives: the buyer's in base, the seller's in quote.
+    function parseTrade(log) {
+        const { makerOrderId, takerOrderId, maker, taker, makerSide, priceE18, amountBase, amountQuote } = log.args;
+        const { makerFee, takerFee } = log.args;
+        const makerBuys = Number(makerSide) === Side.Buy;
+        return {
+            makerOrderId,
+            takerOrderId,
+            maker,
+            taker,
+            makerSide: makerBuys ? "buy" : "sell",
+            price: fmtPrice(priceE18),
+            amount: fmtBase(amountBase),
+            quoteAmount: fmtQuote(amountQuote),
+            makerFee: makerBuys ? fmtBase(makerFee) : fmtQuote(makerFee),
+            takerFee: makerBuys ? fmtQuote(takerFee) : fmtBase(takerFee),
+            priceE18,
+            amountBase,
+            amountQuote,
+            makerFeeAmount: makerFee,
+            takerFeeAmount: takerFee,
+        };
+    }
+
+    // Decodes this market's events from a receipt.
+    function parseReceipt(receipt) {
+        const marketAddress = ethers.getAddress(address);
+        const events = [];
+        for (const log of receipt.logs) {
+            if (ethers.getAddress(log.address) !== marketAddress) continue;
+            const parsed = market.interface.parseLog(log);
+            if (parsed) events.push(parsed);
+        }
+        return {
+            placed: events.find((e) => e.name === "OrderPlaced"),
+            canceled: events.find((e) => e.name === "OrderCanceled"),
+            trades: events.filter((e) => e.name === "Trade").map(parseTrade),
+        };
+    }
+
+    async function send(txPromise) {
+        const tx = await txPromise;
+        const receipt = await tx.wait();
+        return { hash: tx.hash, receipt, ...parseReceipt(receipt) };
+    }
+
+    /**
+     * What a market order would fill right now (quoteMarketBuy / quoteMarketSell), without sending it.
+     *
+     * @param {object} order
+     * @param {SideInput} order.side
+     * @param {string | number} order.amount base amount to buy (upper bound) or sell (exact), rounded down to lots
+     * @param {string | number} [order.maxQuoteIn] buy: quote to spend at most (0 = no limit)
+     * @param {number} [order.maxMatches] 0 = the contract default (64)
+     */
+    async function quoteMarketOrder({ side, amount, maxQuoteIn = 0, maxMatches = 0 }) {
+        const s = parseSide(side);
+        const amountBase = onLot(parseAmount(amount, bd, "amount"), (await readGrid()).lotSize);
+        const [filledBase, filledQuote, avgPriceE18, levels] =
+            s === Side.Buy
+                ? await market.quoteMarketBuy(amountBase, parseAmount(maxQuoteIn, qd, "maxQuoteIn"), maxMatches)
+                : await market.quoteMarketSell(amountBase, maxMatches);
+        return {
+            side: s === Side.Buy ? "buy" : "sell",
+            filledBase: fmtBase(filledBase),
+            filledQuote: fmtQuote(filledQuote),
+            averagePrice: fmtPrice(avgPriceE18),
+            levels: Number(levels),
+            amountBase: filledBase,
+            amountQuote: filledQuote,
+            avgPriceE18,
+        };
+    }
+
+    return {
+        contract: market,
+        address,
+        baseToken,
+        quoteToken,
+        baseDecimals: bd,
+        quoteDecimals: qd,
+
+        parsePrice: (price) => parsePrice(price, bd, qd),
+        formatPrice: fmtPrice,
+        parseReceipt,
+
+        // Approves the market if needed, then deposits. `token` is "base", "quote" or a token address.
+        async deposit(token, amount, { approve = true } = {}) {
+            const t = resolveToken(token);
+            const raw = parseAmount(amount, t.decimals, "amount");
+            if (approve) {
+                const erc20 = new ethers.Contract(t.address, ERC20_ABI, runner);
+                if ((await erc20.allowance(await signerAddress(), address)) < raw) {
+                    await (await erc20.approve(address, raw)).wait();
+                }
+            }
+            const { hash } = await send(market.deposit(t.address, raw));
+            return { hash, token: t.address, amount: ethers.formatUnits(raw, t.decimals) };
+        },
+
+        async withdraw(token, amount) {
+            const t = resolveToken(token);
+            const raw = parseAmount(amount, t.decimals, "amount");
+            const { hash } = await send(market.withdraw(t.address, raw));
+            return { hash, token: t.address, amount: ethers.formatUnits(raw, t.decimals) };
+        },
+
+        // Vault balances (not wallet balances) of `user`, default the signer.
+        async balances(user) {
+            const owner = user || (await signerAddress());
+            const [base, quote] = await Promise.all([
+                market.balances(baseToken, owner),
+                market.balances(quoteToken, owner),
+            ]);
+            return { base: fmtBase(base), quote: fmtQuote(quote) };
+        },
+
+        // One side of the book past the top N: levels after `afterPrice` (0 = from the best).
+        async getLevels(side, afterPrice = 0, maxLevels = DEFAULT_HINT_PAGE_SIZE) {
+            const after = Number(afterPrice) === 0 ? 0n : parsePrice(afterPrice, bd, qd);
+            const [prices, totals] = await market.getLevels(parseSide(side), after, maxLevels);
+            return prices.map((p, i) => ({
+                price: fmtPrice(p),
+                amount: fmtBase(totals[i]),
+                priceE18: p,
+                amountBase: totals[i],
+            }));
+        },
+
+        // hintPrice for placing a limit order at `price` ("0.0" when no hint is needed).
+        async findHintPrice({ side, price, pageSize }) {
+            const priceE18 = parsePrice(price, bd, qd);
+            return fmtPrice(await findHintPriceE18({ market, side: parseSide(side), priceE18, pageSize }));
+        },
+
+        /**
+         * @param {object} order
+         * @param {SideInput} order.side
+         * @param {string | number} order.price quote per base, moved onto the tick size (buys down, sells up)
+         * @param {string | number} order.amount base amount, rounded down to whole lots
+         * @param {string | number} [order.hintPrice] "auto" (default) computes it from the book; otherwise an
+         *        existing level price to insert after, or 0 to walk from the best price
+         * @param {number} [order.hintRetries] on BadHint, recompute the hint and resend this many times
+         * @param {number} [order.maxHops] traversal bound when no hint is given (0 = unbounded)
+         * @param {boolean} [order.postOnly]
+         * @param {number} [order.maxMatches] 0 only posts to the book
+         */
+        async placeLimitOrder({
+            side,
+            price,
+            amount,
+            hintPrice = "auto",
+            hintRetries = DEFAULT_HINT_RETRIES,
+            maxHops = 0,
+            postOnly = false,
+            maxMatches = DEFAULT_MAX_MATCHES,
+        }) {
+            const s = parseSide(side);
+            const { tickSize, lotSize } = await readGrid();
+            const priceE18 = onTick(s, parsePrice(price, bd, qd), tickSize);
+            const amountBase = onLot(parseAmount(amount, bd, "amount"), lotSize);
+            const autoHint = () => findHintPriceE18({ market, side: s, priceE18 });
+
+            let hintE18;
+            if (hintPrice === "auto") hintE18 = await autoHint();
+            else hintE18 = Number(hintPrice) === 0 ? 0n : parsePrice(hintPrice, bd, qd);
+
+            // The book can move between reading it and the tx executing; BadHint then means "recompute".
+            let result;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    result = await send(
+                        market.placeLimitOrder(s, priceE18, amountBase, hintE18, maxHops, postOnly, maxMatches),
+                    );
+                    break;
+                } catch (e) {
+                    if (attempt >= hintRetries || revertErrorName(market, e) !== "BadHint") throw e;
+                    hintE18 = await autoHint();
+                }
+            }
+
+            const { orderId, amountBase: placedBase, reserved } = result.placed.args;
+            const filled = result.trades.reduce((sum, t) => sum + t.amountBase, 0n);
+            return {
+                hash: result.hash,
+                orderId,
+                side: s === Side.Buy ? "buy" : "sell",
+                price: fmtPrice(priceE18),
+                amount: fmtBase(placedBase),
+                reserved: s === Side.Buy ? fmtQuote(reserved) : fmtBase(reserved),
+                filled: fmtBase(filled),
+                hintPrice: fmtPrice(hintE18),
+                trades: result.trades,
+            };
+        },
+
+        quoteMarketOrder,
+
+        /**
+         * @param {object} order
+         * @param {SideInput} order.side
+         * @param {string | number} order.amount base amount to buy (upper bound) or sell (exact), rounded down to lots
+         * @param {string | number} [order.maxQuoteIn] buy: quote to lock and spend at most (required without
+         *        slippageBps)
+         * @param {string | number} [order.minQuoteOut] sell: revert with Slippage when less quote comes back
+         * @param {string | number} [order.minBaseOut] buy: revert with Slippage when less base is bought
+         * @param {number} [order.slippageBps] quote the order first, then bound it this many basis points worse
+         *        than the quote. Buys spend at most the quoted cost plus slippage (capped by maxQuoteIn) and
+         *        revert when they get less than the quoted base minus slippage (or minBaseOut, if higher), so a
+         *        book that moved after the quote cannot fill them at a worse average price; sells revert below
+         *        the quoted proceeds minus slippage (or minQuoteOut, if higher)
+         * @param {number} [order.maxMatches] 0 lets the contract use its default (64)
+         */
+        async placeMarketOrder({
+            side,
+            amount,
+            maxQuoteIn = 0,
+            minQuoteOut = 0,
+            minBaseOut = 0,
+            slippageBps,
+            maxMatches = 0,
+        }) {
+            const s = parseSide(side);
+            const amountBase = onLot(parseAmount(amount, bd, "amount"), (await readGrid()).lotSize);
+            let maxIn = parseAmount(maxQuoteIn, qd, "maxQuoteIn");
+            // The contract's minOut is base on a buy and quote on a sell.
+            let minOut =
+                s === Side.Buy
+                    ? parseAmount(minBaseOut, bd, "minBaseOut")
+                    : parseAmount(minQuoteOut, qd, "minQuoteOut");
+
+            let quoted;
+            if (slippageBps !== undefined) {
+                parseSlippageBps(slippageBps);
+                quoted = await quoteMarketOrder({ side: s, amount, maxQuoteIn, maxMatches });
+                if (quoted.amountBase === 0n) throw new Error("Nothing to fill: the order book quote is empty");
+                if (s === Side.Buy) {
+                    const bound = slippageCeiling(quoted.amountQuote, slippageBps);
+                    if (maxIn === 0n || bound < maxIn) maxIn = bound;
+                    const baseBound = slippageFloor(quoted.amountBase, slippageBps);
+                    if (baseBound > minOut) minOut = baseBound;
+                } else {
+                    const bound = slippageFloor(quoted.amountQuote, slippageBps);
+                    if (bound > minOut) minOut = bound;
+                }
+            }
+            if (s === Side.Buy && maxIn === 0n) throw new Error("Market buy needs maxQuoteIn or slippageBps");
+
+            const result = await send(market.placeMarketOrder(s, amountBase, maxIn, minOut, maxMatches));
+            const filledBase = result.trades.reduce((sum, t) => sum + t.amountBase, 0n);
+            const filledQuote = result.trades.reduce((sum, t) => sum + t.amountQuote, 0n);
+            return {
+                hash: result.hash,
+                orderId: result.placed.args.orderId,
+                side: s === Side.Buy ? "buy" : "sell",
+                filledBase: fmtBase(filledBase),
+                filledQuote: fmtQuote(filledQuote),
+                ...(quoted && {
+                    quotedBase: quoted.filledBase,
+                    quotedQuote: quoted.filledQuote,
+                    ...(s === Side.Buy
+                        ? { maxQuoteIn: fmtQuote(maxIn), minBaseOut: fmtBase(minOut) }
+                        : { minQuoteOut: fmtQuote(minOut) }),
+                }),
+                trades: result.trades,
+            };
+        },
+
+        async cancelOrder(orderId) {
+            const order = await market.orders(orderId);
+            const result = await send(market.cancelOrder(orderId));
+            const refund = result.canceled.args.refundAmount;
+            return {
+                hash: result.hash,
+                orderId: BigInt(orderId),
+                refund: Number(order.side) === Side.Buy ? fmtQuote(refund) : fmtBase(refund),
+                refundToken: Number(order.side) === Side.Buy ? quoteToken : baseToken,
+            };
+        },
+
+        // Resting limit orders of `user` (default the signer), oldest first. The contract has no per-user
+        // index, so the ids come from the user's OrderPlaced logs since `fromBlock` (the market's deploy block
+        // keeps the scan short).
+        async openOrders(user, { fromBlock = 0 } = {}) {
+            const owner = user || (await signerAddress());
+            const logs = await market.queryFilter(market.filters.OrderPlaced(null, owner), fromBlock);
+            const open = [];
+            for (const log of logs) {
+                const { orderId, side, isMarket, priceE18, amountBase } = log.args;
+                if (isMarket) continue;
+                const order = await market.orders(orderId);
+                if (!order.active) continue;
+                open.push({
+                    orderId,
+                    side: Number(side) === Side.Buy ? "buy" : "sell",
+                    price: fmtPrice(priceE18),
+                    amount: fmtBase(amountBase),
+                    filled: fmtBase(amountBase - order.amountBaseRemaining),
+                    remaining: fmtBase(order.amountBaseRemaining),
+                });
+            }
+            return open;
+        },
+
+        // One order's current state; `remaining` is what is still resting (or unfilled for a market order).
+        async getOrder(orderId) {
+            const o = await market.orders(orderId);
+            return {
+                orderId: BigInt(orderId),
+                owner: o.owner,
+                side: Number(o.side) === Side.Buy ? "buy" : "sell",
+                price: fmtPrice(o.priceE18),
+                remaining: fmtBase(o.amountBaseRemaining),
+                remainingBase: o.amountBaseRemaining,
+                active: o.active,
+            };
+        },
+
+        // Top `levels` price levels per side, best first.
+        async getDepth(levels = 10) {
+            const [bidPrices, bidTotals, askPrices, askTotals] = await market.getDepth(levels);
+            const side = (prices, totals) =>
+                prices.map((p, i) => ({
+                    price: fmtPrice(p),
+                    amount: fmtBase(totals[i]),
+                    priceE18: p,
+                    amountBase: totals[i],
+                }));
+            return { bids: side(bidPrices, bidTotals), asks: side(askPrices, askTotals) };
+        },
+
+        // null before the first trade.
+        async getLastPrice() {
+            const priceE18 = await market.lastTradePriceE18();
+            return priceE18 === 0n ? null : fmtPrice(priceE18);
+        },
+
+        // null when that side of the book is empty.
+        async getBestPrices() {
+            const [bidE18, askE18] = await market.getBestPrices();
+            return {
+                bid: bidE18 === 0n ? null : fmtPrice(bidE18),
+                ask: askE18 === 0n ? null : fmtPrice(askE18),
+                bidE18,
+                askE18,
+            };
+        },
+
+        // Maker / taker rates in basis points of what each side receives, and who collects them.
+        async getFees() {
+            const [makerBps, takerBps, recipient] = await Promise.all([
+                market.makerFeeBps(),
+                market.takerFeeBps(),
+                market.feeRecipient(),
+            ]);
+            return { makerBps: Number(makerBps), takerBps: Number(takerBps), recipient };
+        },
+
+        // Price and amount increments orders are rounded to ("0.0" = none).
+        async getMarketGrid() {
+            const { tickSize, lotSize } = await readGrid();
+            return {
+                tickSize: fmtPrice(tickSize),
+                lotSize: fmtBase(lotSize),
+                tickSizeE18: tickSize,
+                lotSizeBase: lotSize,
+            };
+        },
+
+        // Smallest limit order the market accepts: base amount and quote notional at the limit price (zero = none).
+        async getOrderLimits() {
+            const [minAmountBase, minNotionalQuote] = await Promise.all([market.minAmountBase(), market.minNotional()]);
+            return {
+                minAmount: fmtBase(minAmountBase),
+                minNotional: fmtQuote(minNotionalQuote),
+                minAmountBase,
+                minNotionalQuote,
+            };
+        },
+    };
+}
+
+module.exports = {
+    Side,
+    parseSide,
+    parsePrice,
+    formatPrice,
+    parseAmount,
+    ERC20_ABI,
+    loadSpotMarketAbi,
+    revertErrorName,
+    parseSlippageBps,
+    slippageCeiling,
+    slippageFloor,
+    roundPriceToTick,
+    roundAmountToLot,
+    findHintPriceE18,
+    connectSpotMarket,
+};
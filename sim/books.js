@@ -0,0 +1,362 @@
+const { revertErrorName } = require("../sdk");
+const { quoteForBase } = require("../scripts/lib/orderbook-bootstrap");
+
+// One adapter per order-book contract, so the order-flow simulator (sim/order-flow.js) can drive all of
+// them with the same deposit / withdraw / limit / market / cancel calls and read their state the same way.
+// Every book is deployed with fresh MockERC20 base and quote tokens. Prices are human quote per base * 1e18
+// throughout; the PharosSpotMarket adapter converts them to and from its raw priceE18.
+//
+// `drivers` names the book statistic each call's gas is expected to grow with (see sim/gas-report.js):
+// fills for matching, resting orders for the sorted-array books, price levels for the linked-list books,
+// and the trader's order history for MultiBaseOrderBookDEXVaultLevels.getOpenOrdersOfFor.
+//
+// `knownViolations` lists invariants of sim/invariants.js the contract is known to break. The sorted-array
+// books lock quote for a whole buy at its own price and settle the price improvement only when the buy
+// fills completely, against the last fill's price for the whole amount: a buy filled at several prices is
+// over- or under-refunded (the contract can end up owing more quote than it holds), and cancels and
+// per-fill rounding leave quote behind (see test/OrderBookInvariants.js). The two vault versions also stop
+// matching at a resting order whose fill rounds to zero quote, so an incoming order at the same price rests
+// against it and the book stays crossed.
+
+const SIDES = { buy: 0, sell: 1 };
+
+const BOOKS = Object.freeze({
+    spot: {
+        contractName: "PharosSpotMarket",
+        functions: {
+            limit: "placeLimitOrder",
+            match: "placeLimitOrder (_match)",
+            marketBuy: "placeMarketOrder(Buy)",
+            marketSell: "placeMarketOrder(Sell)",
+            cancel: "cancelOrder",
+        },
+        drivers: { limit: "levels", cancel: "levels" },
+    },
+    levels: {
+        contractName: "MultiBaseOrderBookDEXVaultLevels",
+        functions: {
+            limit: "limitBuyFor / limitSellFor",
+            match: "_tryMatch",
+            marketBuy: "marketBuyFor",
+            marketSell: "marketSellFor",
+            cancel: "cancelOrder",
+            openOrders: "getOpenOrdersOfFor",
+        },
+        drivers: { limit: "levels", cancel: "levels", openOrders: "history" },
+    },
+    multi: {
+        contractName: "MultiBaseOrderBookDEXVault",
+        knownViolations: ["solvency", "conservation", "uncrossed"],
+        functions: {
+            limit: "limitBuyFor / limitSellFor",
+            match: "_tryMatch",
+            marketBuy: "marketBuyFor",
+            marketSell: "marketSellFor",
+            cancel: "cancelOrder",
+            openOrders: "getOpenOrdersOfFor",
+        },
+        drivers: { limit: "orders", cancel: "orders", openOrders: "orders" },
+    },
+    singleVault: {
+        contractName: "SinglePairOrderBookDEXVault",
+        knownViolations: ["solvency", "conservation", "uncrossed"],
+        functions: {
+            limit: "limitBuy / limitSell",
+            match: "_tryMatch",
+            marketBuy: "marketBuy",
+            marketSell: "marketSell",
+            cancel: "cancelOrder",
+            openOrders: "getOpenOrdersOf",
+        },
+        drivers: { limit: "orders", cancel: "orders", openOrders: "orders" },
+    },
+    single: {
+        contractName: "SinglePairOrderBookDEX",
+        knownViolations: ["solvency", "conservation"],
+        functions: {
+            limit: "limitBuy / limitSell",
+            match: "_tryMatch",
+            marketBuy: "marketBuy",
+            marketSell: "marketSell",
+            cancel: "cancelOrder",
+            openOrders: "getOpenOrdersOf",
+        },
+        drivers: { limit: "orders", cancel: "orders", openOrders: "orders" },
+    },
+});
+
+const BOOK_KINDS = Object.keys(BOOKS);
+
+// Per-kind contract calls. `c` is the book (connected to the trader for writes), `k` the deployment:
+// token addresses, `maxMatches` and the price conversion. Prices passed in and read back are human
+// quote per base * 1e18; `k.raw` / `k.human` convert them for PharosSpotMarket's raw priceE18.
+const CALLS = {
+    spot: {
+        deposit: (c, k, asset, amount) => c.deposit(k[asset], amount),
+        withdraw: (c, k, asset, amount) => c.withdraw(k[asset], amount),
+        limit: (c, k, side, price, amount) =>
+            c.placeLimitOrder(SIDES[side], k.raw(price), amount, 0, 0, false, k.maxMatches),
+        marketBuy: (c, k, amount, maxQuoteIn) => c.placeMarketOrder(SIDES.buy, amount, maxQuoteIn, 0, k.maxMatches),
+        marketSell: (c, k, amount) => c.placeMarketOrder(SIDES.sell, amount, 0, 0, k.maxMatches),
+        openOrders: null,
+        balances: async (c, k, user) => ({
+            base: await c.balances(k.base, user),
+            quote: await c.balances(k.quote, user),
+        }),
+        order: async (c, k, id) => {
+            const o = await c.orders(id);
+            const side = Number(o.side) === SIDES.buy ? "buy" : "sell";
+            return {
+                active: o.active && !o.isMarket,
+                side,
+                price: k.human(o.priceE18),
+                remaining: o.amountBaseRemaining,
+                locked: side === "buy" ? { base: 0n, quote: o.reserved } : { base: o.reserved, quote: 0n },
+            };
+        },
+        depth: async (c, k, levels) => {
+            const [bp, bs, ap, as] = await c.getDepth(levels);
+            return { bids: [bp.map(k.human), bs], asks: [ap.map(k.human), as] };
+        },
+        best: async (c, k) => ({ bid: k.human(await c.bestBidPrice()), ask: k.human(await c.bestAskPrice()) }),
+    },
+    levels: {
+        deposit: (c, k, asset, amount) =>
+            asset === "base" ? c.depositBaseFor(k.base, amount) : c.depositQuote(amount),
+        withdraw: (c, k, asset, amount) =>
+            asset === "base" ? c.withdrawBaseFor(k.base, amount) : c.withdrawQuote(amount),
+        limit: (c, k, side, price, amount) =>
+            side === "buy" ? c.limitBuyFor(k.base, price, amount) : c.limitSellFor(k.base, price, amount),
+        marketBuy: (c, k, amount, maxQuoteIn) => c.marketBuyFor(k.base, maxQuoteIn),
+        marketSell: (c, k, amount) => c.marketSellFor(k.base, amount),
+        openOrders: (c, k, trader) => c.getOpenOrdersOfFor.estimateGas(trader, k.base),
+        balances: async (c, k, user) => ({
+            base: await c.baseBalance(user, k.base),
+            quote: await c.quoteBalance(user),
+        }),
+        order: async (c, k, id) => {
+            const o = await c.orders(id);
+            const side = Number(o.side) === SIDES.buy ? "buy" : "sell";
+            const remaining = o.amountBase - o.filledBase;
+            return {
+                active: o.active,
+                side,
+                price: o.price,
+                remaining,
+                // Buys carry their locked quote; the array books recompute it at the order price.
+                locked:
+                    side === "buy"
+                        ? { base: 0n, quote: o.lockedQuote ?? k.quoteFor(remaining, o.price) }
+                        : { base: remaining, quote: 0n },
+            };
+        },
+        depth: async (c, k, levels) => {
+            const [bp, bs, ap, as] = await c.getOrderBookDepthFor(k.base, levels);
+            return { bids: [bp, bs], asks: [ap, as] };
+        },
+        best: async (c, k) => ({ bid: await c.bestBidPrice(k.base), ask: await c.bestAskPrice(k.base) }),
+    },
+    singleVault: {
+        deposit: (c, k, asset, amount) => (asset === "base" ? c.depositBase(amount) : c.depositQuote(amount)),
+        withdraw: (c, k, asset, amount) => (asset === "base" ? c.withdrawBase(amount) : c.withdrawQuote(amount)),
+        limit: (c, k, side, price, amount) => (side === "buy" ? c.limitBuy(price, amount) : c.limitSell(price, amount)),
+        marketBuy: (c, k, amount, maxQuoteIn) => c.marketBuy(maxQuoteIn),
+        marketSell: (c, k, amount) => c.marketSell(amount),
+        openOrders: (c, k, trader) => c.getOpenOrdersOf.estimateGas(trader),
+        balances: async (c, k, user) => ({ base: await c.baseBalance(user), quote: await c.quoteBalance(user) }),
+        depth: async (c, k, levels) => {
+            const [bp, bs, ap, as] = await c.getOrderBookDepth(levels);
+            return { bids: [bp, bs], asks: [ap, as] };
+        },
+        best: null,
+    },
+};
+CALLS.singleVault.order = CALLS.levels.order;
+// The sorted-array books keep no best-price pointers; the best prices are the first depth levels.
+CALLS.multi = { ...CALLS.levels, best: null };
+// No vault: orders pull tokens with transferFrom and pay out directly, so there are no internal balances.
+CALLS.single = {
+    ...CALLS.singleVault,
+    deposit: null,
+    withdraw: null,
+    balances: async () => ({ base: 0n, quote: 0n }),
+};
+
+function trimDepth([prices, sizes]) {
+    const levels = [];
+    for (let i = 0; i < prices.length && prices[i] !== 0n; i++) levels.push({ price: prices[i], amount: sizes[i] });
+    return levels;
+}
+
+/**
+ * `count` trader signers: the node's unlocked accounts after the deployer, then random wallets given
+ * 1000 ETH with hardhat_setBalance.
+ *
+ * @param {object} ethers hardhat-ethers (hre.ethers)
+ * @param {number} count
+ */
+async function createTraders(ethers, count) {
+    const [, ...signers] = await ethers.getSigners();
+    const traders = signers.slice(0, count);
+    while (traders.length < count) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await ethers.provider.send("hardhat_setBalance", [
+            wallet.address,
+            ethers.toQuantity(ethers.parseEther("1000")),
+        ]);
+        traders.push(wallet);
+    }
+    return traders;
+}
+
+/**
+ * Deploy one order book of `kind` with fresh tokens and fund every trader.
+ *
+ * @param {object} opts
+ * @param {object} opts.ethers hardhat-ethers (hre.ethers)
+ * @param {string} opts.kind One of BOOK_KINDS
+ * @param {import("ethers").Signer[]} opts.traders
+ * @param {bigint} opts.funding Raw base and quote minted to each trader
+ * @param {bigint} [opts.deposit] Raw base and quote each trader deposits into the vault (default: all of it)
+ * @param {{base: number, quote: number}} [opts.decimals] Token decimals (default: 18 / 18)
+ * @param {number} [opts.maxMatches] PharosSpotMarket matching bound for limit and market orders
+ */
+async function deployBook({
+    ethers,
+    kind,
+    traders,
+    funding,
+    deposit = funding,
+    decimals = { base: 18, quote: 18 },
+    maxMatches = 64,
+}) {
+    const spec = BOOKS[kind];
+    const calls = CALLS[kind];
+    if (!spec) throw new Error(`Unknown book '${kind}'; expected one of: ${BOOK_KINDS.join(", ")}`);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const baseToken = await MockERC20.deploy("Simulated Base", "SBASE", decimals.base);
+    const quoteToken = await MockERC20.deploy("Simulated Quote", "SQUOTE", decimals.quote);
+    const base = await baseToken.getAddress();
+    const quote = await quoteToken.getAddress();
+
+    const factory = await ethers.getContractFactory(spec.contractName);
+    const book =
+        kind === "levels" || kind === "multi" ? await factory.deploy(quote) : await factory.deploy(base, quote);
+    await book.waitForDeployment();
+    if (kind === "levels" || kind === "multi") await (await book.supportBaseToken(base)).wait();
+    const address = await book.getAddress();
+
+    const baseUnit = 10n ** BigInt(decimals.base);
+    const quoteUnit = 10n ** BigInt(decimals.quote);
+    const k = {
+        base,
+        quote,
+        maxMatches,
+        raw: (price) => (price * quoteUnit) / baseUnit,
+        human: (priceE18) => (priceE18 * baseUnit) / quoteUnit,
+        quoteFor: (amountBase, price) => quoteForBase(amountBase, price, decimals.base, decimals.quote),
+    };
+
+    for (const trader of traders) {
+        for (const token of [baseToken, quoteToken]) {
+            await (await token.mint(await trader.getAddress(), funding)).wait();
+            await (await token.connect(trader).approve(address, ethers.MaxUint256)).wait();
+        }
+        if (calls.deposit && deposit > 0n) {
+            await (await calls.deposit(book.connect(trader), k, "base", deposit)).wait();
+            await (await calls.deposit(book.connect(trader), k, "quote", deposit)).wait();
+        }
+    }
+
+    return {
+        kind,
+        contractName: spec.contractName,
+        functions: spec.functions,
+        drivers: spec.drivers,
+        knownViolations: spec.knownViolations || [],
+        contract: book,
+        address,
+        base,
+        quote,
+        tokens: { base: baseToken, quote: quoteToken },
+        decimals,
+        hasVault: calls.deposit !== null,
+        hasOpenOrdersView: calls.openOrders !== null,
+        /** Quote paid for `amountBase` at `price`, floored like the contracts' _quoteForBase. */
+        quoteFor: k.quoteFor,
+
+        deposit: (trader, asset, amount) => calls.deposit(book.connect(trader), k, asset, amount),
+        withdraw: (trader, asset, amount) => calls.withdraw(book.connect(trader), k, asset, amount),
+        limit: (trader, side, price, amount) => calls.limit(book.connect(trader), k, side, price, amount),
+        market: (trader, side, amount, maxQuoteIn) =>
+            side === "buy"
+                ? calls.marketBuy(book.connect(trader), k, amount, maxQuoteIn)
+                : calls.marketSell(book.connect(trader), k, amount),
+        cancel: (trader, orderId) => book.connect(trader).cancelOrder(orderId),
+        /** Gas of the open-orders view for `trader` (eth_estimateGas), or null for books without one. */
+        openOrdersGas: (trader) => (calls.openOrders ? calls.openOrders(book, k, trader) : null),
+
+        /** Internal (vault) balances of `user`; always zero for SinglePairOrderBookDEX. */
+        readBalances: (user) => calls.balances(book, k, user),
+        /**
+         * @returns {Promise<{active: boolean, side: string, price: bigint, remaining: bigint,
+         *   locked: {base: bigint, quote: bigint}}>}
+         */
+        readOrder: (orderId) => calls.order(book, k, orderId),
+        /** Top `levels` price levels per side, best first, without the zero padding. */
+        async readDepth(levels) {
+            const depth = await calls.depth(book, k, levels);
+            return { bids: trimDepth(depth.bids), asks: trimDepth(depth.asks) };
+        },
+        /** Stored best bid / ask (0n when empty); the first depth levels for the sorted-array books. */
+        async readBest() {
+            if (calls.best) return calls.best(book, k);
+            const { bids, asks } = await this.readDepth(1);
+            return { bid: bids[0]?.price ?? 0n, ask: asks[0]?.price ?? 0n };
+        },
+
+        /**
+         * Resting order placed by the transaction (if any) and its trades, from the book's own logs.
+         *
+         * @returns {{placedId: bigint|null, trades: {makerOrderId: bigint, takerOrderId: bigint|null, taker: string,
+         *   price: bigint, amount: bigint}[]}}
+         */
+        parseReceipt(receipt) {
+            let placedId = null;
+            const trades = [];
+            for (const log of receipt.logs) {
+                if (log.address.toLowerCase() !== address.toLowerCase()) continue;
+                let parsed;
+                try {
+                    parsed = book.interface.parseLog(log);
+                } catch {
+                    continue;
+                }
+                if (!parsed) continue;
+                const a = parsed.args;
+                if (parsed.name === "LimitOrderPlaced" || (parsed.name === "OrderPlaced" && !a.isMarket)) {
+                    placedId = a.orderId;
+                } else if (parsed.name === "Trade") {
+                    trades.push({
+                        makerOrderId: a.makerOrderId,
+                        takerOrderId: kind === "spot" ? a.takerOrderId : null,
+                        taker: a.taker,
+                        price: kind === "spot" ? k.human(a.priceE18) : a.price,
+                        amount: a.amountBase,
+                    });
+                }
+            }
+            return { placedId, trades };
+        },
+
+        errorName: (err) => revertErrorName(book, err),
+    };
+}
+
+module.exports = {
+    BOOKS,
+    BOOK_KINDS,
+    createTraders,
+    deployBook,
+};
@@ -0,0 +1,360 @@
+const { createRandom } = require("./order-flow");
+const { BOOKS, deployBook } = require("./books");
+const { Side, createLevelsEngine } = require("../sdk");
+
+// Differential replay: one seeded sequence of limit, market and cancel orders is replayed against each
+// order-book contract (fresh deployment, same funding) and against the in-memory reference engine, and
+// every contract's trace is diffed against the reference.
+//
+// The reference is sdk/levels-engine.js, an exact model of MultiBaseOrderBookDEXVaultLevels: price-time
+// priority, fills at the ask's price with the quote floored per fill, buys locking their quote at their own
+// price and getting back whatever is left of the lock once complete or cancelled.
+//
+// A trace records, per command, whether it reverted, its fills (maker order, taker, price, amount, in
+// execution order) and how each trader's free funds changed (vault balance plus wallet, so the vault-less
+// SinglePairOrderBookDEX compares like the others); after the last command, the remaining amount of every
+// order still resting. Orders are named by the index of the command that placed them, so ids never matter.
+//
+// Difference categories, per command:
+//   revert  one side reverted, the other did not
+//   fifo    the same fills (price, amount) in another order or against other makers: time priority differs
+//   fills   different fills
+//   refund  same fills but a different quote refund: the price improvement of a filled buy, or a cancel
+//   funds   any other difference in how the traders' funds moved
+// and `book` for the resting orders after the last command. Once fills diverge the books differ and later
+// commands usually diverge too; the first difference is the one to read.
+
+const DIFF_KINDS = ["single", "singleVault", "multi", "levels"];
+const CATEGORIES = ["revert", "fifo", "fills", "refund", "funds", "book"];
+const TICKS = 6;
+// Base token of the reference engine's only market; it never touches a chain.
+const REFERENCE_BASE = "0x000000000000000000000000000000000000ba5e";
+
+const DEFAULT_DIFF_FLOW = Object.freeze({
+    steps: 60,
+    mid: 10n ** 18n,
+    tick: 37n * 10n ** 14n,
+    decimals: { base: 18, quote: 6 },
+});
+
+/**
+ * Random commands for `traders` traders: limit orders within TICKS ticks of the mid, market orders, and
+ * cancels of one of the trader's earlier limit orders (`ref`, a command index).
+ */
+function generateDifferentialFlow(random, { steps, traders, decimals }) {
+    const randInt = (lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+    const baseUnit = 10n ** BigInt(decimals.base);
+    // Whole tenths plus, now and then, odd dust to exercise the rounding paths.
+    const amount = () => (BigInt(randInt(1, 200)) * baseUnit) / 10n + (random() < 0.3 ? BigInt(randInt(1, 999)) : 0n);
+
+    const commands = [];
+    const limits = Array.from({ length: traders }, () => []);
+    for (let i = 0; i < steps; i++) {
+        const t = randInt(0, traders - 1);
+        const side = random() < 0.5 ? "buy" : "sell";
+        const r = random();
+        if (r < 0.2 && limits[t].length > 0) {
+            commands.push({ op: "cancel", t, ref: limits[t][randInt(0, limits[t].length - 1)] });
+        } else if (r < 0.4) {
+            commands.push({ op: "market", t, side, amount: amount() });
+        } else {
+            limits[t].push(i);
+            commands.push({ op: "limit", t, side, k: randInt(-TICKS, TICKS), amount: amount() });
+        }
+    }
+    return commands;
+}
+
+function describeCommand(c) {
+    const who = `trader${c.t}`;
+    if (c.op === "limit") {
+        return `${who} limit ${c.side} ${c.amount} raw base at mid ${c.k >= 0 ? "+" : "-"} ${Math.abs(c.k)} ticks`;
+    }
+    if (c.op === "market") return `${who} market ${c.side} ${c.amount} raw base`;
+    return `${who} cancel the order of command ${c.ref}`;
+}
+
+// The order-book calls replayFlow needs, over a deployBook adapter.
+function contractEngine(book, traders, users) {
+    return {
+        async send(c, price, maxQuoteIn, orderId) {
+            const trader = traders[c.t];
+            const tx =
+                c.op === "limit"
+                    ? book.limit(trader, c.side, price, c.amount)
+                    : c.op === "market"
+                    ? book.market(trader, c.side, c.amount, maxQuoteIn)
+                    : book.cancel(trader, orderId);
+            return book.parseReceipt(await (await tx).wait());
+        },
+        async free(t) {
+            const vault = await book.readBalances(users[t]);
+            return {
+                base: vault.base + (await book.tokens.base.balanceOf(users[t])),
+                quote: vault.quote + (await book.tokens.quote.balanceOf(users[t])),
+            };
+        },
+        readOrder: (id) => book.readOrder(id),
+        errorName: (err) => book.errorName(err) || err.shortMessage || err.message,
+    };
+}
+
+function referenceEngine(engine, users) {
+    return {
+        async send(c, price, maxQuoteIn, orderId) {
+            const trader = users[c.t];
+            let result;
+            if (c.op === "limit") {
+                result =
+                    c.side === "buy"
+                        ? engine.limitBuyFor(trader, REFERENCE_BASE, price, c.amount)
+                        : engine.limitSellFor(trader, REFERENCE_BASE, price, c.amount);
+            } else if (c.op === "market") {
+                result =
+                    c.side === "buy"
+                        ? engine.marketBuyFor(trader, REFERENCE_BASE, maxQuoteIn)
+                        : engine.marketSellFor(trader, REFERENCE_BASE, c.amount);
+            } else {
+                result = engine.cancelOrder(trader, orderId);
+            }
+            const trades = result.events
+                .filter((e) => e.name === "Trade")
+                .map(({ args }) => ({
+                    makerOrderId: args.makerOrderId,
+                    taker: args.taker,
+                    price: args.price,
+                    amount: args.amountBase,
+                }));
+            return { placedId: result.orderId ?? null, trades };
+        },
+        free: async (t) => ({
+            base: engine.baseBalance(users[t], REFERENCE_BASE),
+            quote: engine.quoteBalance(users[t]),
+        }),
+        async readOrder(id) {
+            const o = engine.orders(id);
+            return {
+                active: o.active,
+                remaining: o.amountBase - o.filledBase,
+                side: o.side === Side.Buy ? "buy" : "sell",
+            };
+        },
+        errorName: (err) => err.revert?.name || err.message,
+    };
+}
+
+/**
+ * Replay `commands` through one engine and record its trace.
+ *
+ * @returns {Promise<{steps: {error: string|null, fills: object[], deltas: {base: bigint, quote: bigint}[]}[],
+ *   resting: Map<number, bigint>, funds: {base: bigint, quote: bigint}[]}>}
+ */
+async function replayFlow(engine, commands, { users, mid, tick, quoteFor }) {
+    const placed = new Map(); // order id -> command index
+    const ids = new Map(); // command index -> order id
+    const trader = new Map(users.map((u, t) => [u.toLowerCase(), t]));
+    let funds = await Promise.all(users.map((u, t) => engine.free(t)));
+    const steps = [];
+
+    for (let i = 0; i < commands.length; i++) {
+        const c = commands[i];
+        const price = c.op === "limit" ? mid + BigInt(c.k) * tick : 0n;
+        const maxQuoteIn = c.op === "market" ? quoteFor(c.amount, mid + BigInt(TICKS) * tick) : 0n;
+        let error = null;
+        let fills = [];
+        if (c.op === "cancel" && !ids.has(c.ref)) {
+            error = "not placed";
+        } else {
+            try {
+                const { placedId, trades } = await engine.send(c, price, maxQuoteIn, ids.get(c.ref));
+                if (placedId !== null) {
+                    placed.set(String(placedId), i);
+                    ids.set(i, placedId);
+                }
+                fills = trades.map((tr) => ({
+                    maker: placed.get(String(tr.makerOrderId)) ?? null,
+                    taker: trader.get(tr.taker.toLowerCase()) ?? null,
+                    price: tr.price,
+                    amount: tr.amount,
+                }));
+            } catch (err) {
+                error = engine.errorName(err);
+            }
+        }
+
+        const after = await Promise.all(users.map((u, t) => engine.free(t)));
+        const deltas = after.map((f, t) => ({ base: f.base - funds[t].base, quote: f.quote - funds[t].quote }));
+        funds = after;
+        steps.push({ error, fills, deltas });
+    }
+
+    const resting = new Map();
+    for (const [i, id] of ids) {
+        const o = await engine.readOrder(id);
+        if (o.active) resting.set(i, o.remaining);
+    }
+    return { steps, resting, funds };
+}
+
+const fillKey = (f) => `${f.price}:${f.amount}`;
+const fillsText = (fills) =>
+    fills.length === 0
+        ? "no fills"
+        : fills.map((f) => `${f.amount} @ ${f.price} (maker #${f.maker}, taker trader${f.taker})`).join(", ");
+
+/**
+ * Differences of `trace` from the `reference` trace of the same commands.
+ *
+ * @returns {{step: number|null, category: string, message: string}[]}
+ */
+function diffTraces(commands, reference, trace) {
+    const differences = [];
+    for (let i = 0; i < commands.length; i++) {
+        const r = reference.steps[i];
+        const s = trace.steps[i];
+        const add = (category, message) => differences.push({ step: i, category, message });
+
+        if ((r.error === null) !== (s.error === null)) {
+            add("revert", `reverted ${s.error ?? "nothing"}, reference ${r.error ?? "succeeds"}`);
+            continue;
+        }
+        const exact = (fills) => fills.map((f) => `${fillKey(f)}:${f.maker}:${f.taker}`).join(" ");
+        if (exact(r.fills) !== exact(s.fills)) {
+            const sorted = (fills) => fills.map(fillKey).sort().join(" ");
+            const category = sorted(r.fills) === sorted(s.fills) ? "fifo" : "fills";
+            add(category, `${fillsText(s.fills)}; reference ${fillsText(r.fills)}`);
+            continue;
+        }
+
+        const moved = [];
+        for (let t = 0; t < r.deltas.length; t++) {
+            for (const asset of ["base", "quote"]) {
+                const got = s.deltas[t][asset];
+                const want = r.deltas[t][asset];
+                if (got !== want) moved.push({ asset, text: `trader${t} ${asset} ${got} (reference ${want})` });
+            }
+        }
+        if (moved.length > 0) {
+            const refund = moved.every((m) => m.asset === "quote");
+            const what = commands[i].op === "cancel" ? "cancel refund" : "price-improvement refund";
+            add(refund ? "refund" : "funds", `${refund ? `${what}: ` : ""}${moved.map((m) => m.text).join(", ")}`);
+        }
+    }
+
+    const resting = new Set([...reference.resting.keys(), ...trace.resting.keys()]);
+    for (const i of [...resting].sort((a, b) => a - b)) {
+        const got = trace.resting.get(i) ?? 0n;
+        const want = reference.resting.get(i) ?? 0n;
+        if (got !== want) {
+            differences.push({
+                step: null,
+                category: "book",
+                message: `order of command ${i} rests with ${got} (reference ${want})`,
+            });
+        }
+    }
+    return differences;
+}
+
+/**
+ * Replay one seeded flow against the reference engine and every book in `kinds`.
+ *
+ * @param {object} opts
+ * @param {object} opts.ethers hardhat-ethers (hre.ethers)
+ * @param {import("ethers").Signer[]} opts.traders
+ * @param {string[]} [opts.kinds] Books to compare (default: DIFF_KINDS)
+ * @param {number} [opts.seed]
+ * @param {object[]} [opts.commands] Replay these instead of generating a flow from the seed
+ * @param {object} [opts.flow] Overrides of DEFAULT_DIFF_FLOW
+ * @param {bigint} [opts.funding] Raw base and quote each trader starts with
+ */
+async function runDifferential({
+    ethers,
+    traders,
+    kinds = DIFF_KINDS,
+    seed = 1,
+    commands,
+    flow = {},
+    funding = 10n ** 24n,
+}) {
+    const f = { ...DEFAULT_DIFF_FLOW, ...flow };
+    const users = await Promise.all(traders.map((t) => t.getAddress()));
+    const flowCommands = commands || generateDifferentialFlow(createRandom(seed), { ...f, traders: traders.length });
+
+    const reference = createLevelsEngine({ quoteDecimals: f.decimals.quote });
+    reference.supportBaseToken(REFERENCE_BASE, f.decimals.base);
+    for (const user of users) {
+        reference.depositBaseFor(user, REFERENCE_BASE, funding);
+        reference.depositQuote(user, funding);
+    }
+    const quoteFor = (amount, price) => reference.quoteForBase(REFERENCE_BASE, amount, price);
+    const options = { users, mid: f.mid, tick: f.tick, quoteFor };
+    const referenceTrace = await replayFlow(referenceEngine(reference, users), flowCommands, options);
+
+    const books = [];
+    for (const kind of kinds) {
+        const book = await deployBook({ ethers, kind, traders, funding, decimals: f.decimals });
+        const trace = await replayFlow(contractEngine(book, traders, users), flowCommands, options);
+        const drift = { base: 0n, quote: 0n };
+        for (let t = 0; t < users.length; t++) {
+            drift.base += trace.funds[t].base - referenceTrace.funds[t].base;
+            drift.quote += trace.funds[t].quote - referenceTrace.funds[t].quote;
+        }
+        books.push({
+            kind,
+            contractName: BOOKS[kind].contractName,
+            trace,
+            differences: diffTraces(flowCommands, referenceTrace, trace),
+            drift,
+        });
+    }
+    return { seed, commands: flowCommands, reference: referenceTrace, books };
+}
+
+/** Per-category difference counts of one book. */
+function countDifferences(differences) {
+    const counts = {};
+    for (const d of differences) counts[d.category] = (counts[d.category] || 0) + 1;
+    return counts;
+}
+
+/** Plain-text report: one block per book, its first `limit` differences and the traders' total drift. */
+function formatDifferentialReport(result, { limit = 10 } = {}) {
+    const out = [
+        `Differential replay: ${result.commands.length} commands, seed ${result.seed}, ` +
+            `${result.reference.funds.length} traders, reference sdk/levels-engine.js`,
+    ];
+    for (const b of result.books) {
+        out.push("");
+        if (b.differences.length === 0) {
+            out.push(`${b.contractName}: identical to the reference`);
+            continue;
+        }
+        const counts = countDifferences(b.differences);
+        const summary = CATEGORIES.filter((c) => counts[c])
+            .map((c) => `${c} ${counts[c]}`)
+            .join(", ");
+        out.push(`${b.contractName}: ${b.differences.length} differences (${summary})`);
+        for (const d of b.differences.slice(0, limit)) {
+            const where =
+                d.step === null
+                    ? "after the last command"
+                    : `command ${d.step} (${describeCommand(result.commands[d.step])})`;
+            out.push(`  [${d.category}] ${where}: ${d.message}`);
+        }
+        if (b.differences.length > limit) out.push(`  ... ${b.differences.length - limit} more`);
+        out.push(`  traders' funds vs reference: base ${b.drift.base}, quote ${b.drift.quote}`);
+    }
+    return out.join("\n");
+}
+
+module.exports = {
+    DIFF_KINDS,
+    DEFAULT_DIFF_FLOW,
+    generateDifferentialFlow,
+    describeCommand,
+    diffTraces,
+    runDifferential,
+    countDifferences,
+    formatDifferentialReport,
+};
@@ -0,0 +1,205 @@
+const { formatTable } = require("../scripts/lib/pharos-evm-helpers");
+
+// Gas report for simulateOrderFlow runs (sim/order-flow.js).
+//
+// Per call type: sample count and gas percentiles, plus a least-squares line of gas against the call's
+// driver (fills for matching calls, otherwise the book's `drivers` entry: resting orders, price levels or
+// trader history). "limit at" extrapolates that line to the driver value at which one call would use the
+// whole block gas limit. It is only as good as the sampled range: bounded loops (PharosSpotMarket
+// maxMatches) flatten out and unbounded ones can grow faster than linearly.
+
+const CALLS = ["limit", "match", "marketBuy", "marketSell", "cancel", "openOrders"];
+// The calls the audit (Medium-02) flags: unbounded matching loops and the open-orders view.
+const AUDITED_CALLS = ["match", "marketBuy", "marketSell", "openOrders"];
+const FILL_DRIVEN = new Set(["match", "marketBuy", "marketSell"]);
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/** Least-squares gas = intercept + slope * x; null when x never varies. */
+function linearFit(points) {
+    const n = points.length;
+    if (n < 2) return null;
+    const mx = points.reduce((s, p) => s + p.x, 0) / n;
+    const my = points.reduce((s, p) => s + p.y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (const { x, y } of points) {
+        sxx += (x - mx) ** 2;
+        sxy += (x - mx) * (y - my);
+        syy += (y - my) ** 2;
+    }
+    if (sxx === 0) return null;
+    const slope = sxy / sxx;
+    return { intercept: my - slope * mx, slope, r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy), n };
+}
+
+function driverOf(run, call) {
+    return FILL_DRIVEN.has(call) ? "fills" : run.drivers[call] || "orders";
+}
+
+/**
+ * Summarize one simulateOrderFlow result against `blockGasLimit`.
+ *
+ * @param {object} run
+ * @param {object} opts
+ * @param {number} opts.blockGasLimit
+ */
+function summarizeRun(run, { blockGasLimit }) {
+    const calls = [];
+    for (const call of CALLS) {
+        const samples = run.samples.filter((s) => s.call === call);
+        if (samples.length === 0) continue;
+        const gas = samples.map((s) => s.gas).sort((a, b) => a - b);
+        const driver = driverOf(run, call);
+        const fit = linearFit(samples.map((s) => ({ x: s[driver], y: s.gas })));
+        const worst = samples.reduce((a, b) => (b.gas > a.gas ? b : a));
+        calls.push({
+            call,
+            function: run.functions[call] || call,
+            count: samples.length,
+            mean: Math.round(gas.reduce((s, g) => s + g, 0) / gas.length),
+            p50: percentile(gas, 50),
+            p95: percentile(gas, 95),
+            max: worst.gas,
+            maxAt: { orders: worst.orders, levels: worst.levels, fills: worst.fills, history: worst.history },
+            driver,
+            maxDriver: Math.max(...samples.map((s) => s[driver])),
+            fit,
+            limitAt: fit && fit.slope > 0 ? Math.ceil((blockGasLimit - fit.intercept) / fit.slope) : null,
+        });
+    }
+
+    const failures = {};
+    for (const f of run.failures) {
+        const key = `${f.call}: ${f.error}`;
+        failures[key] = (failures[key] || 0) + 1;
+    }
+
+    return {
+        kind: run.kind,
+        contractName: run.contractName,
+        steps: run.steps,
+        traders: run.traders,
+        seed: run.seed,
+        blockGasLimit,
+        peak: run.peak,
+        calls,
+        failures,
+    };
+}
+
+function fmt(n, digits = 0) {
+    if (n === null || n === undefined) return "-";
+    return Number(n).toLocaleString("en-US", { maximumFractionDigits: digits });
+}
+
+function callRows(summary) {
+    return summary.calls.map((c) => ({
+        call: c.call,
+        function: c.function,
+        count: c.count,
+        mean: fmt(c.mean),
+        p95: fmt(c.p95),
+        max: fmt(c.max),
+        driver: `${c.driver} <= ${c.maxDriver}`,
+        perUnit: c.fit ? fmt(c.fit.slope) : "-",
+        r2: c.fit ? c.fit.r2.toFixed(2) : "-",
+        limitAt: c.limitAt === null ? "-" : `${c.driver} ~ ${fmt(c.limitAt)}`,
+    }));
+}
+
+const COLUMNS = [
+    { key: "call", title: "CALL" },
+    { key: "function", title: "FUNCTION" },
+    { key: "count", title: "N" },
+    { key: "mean", title: "MEAN" },
+    { key: "p95", title: "P95" },
+    { key: "max", title: "MAX" },
+    { key: "driver", title: "SAMPLED" },
+    { key: "perUnit", title: "GAS/UNIT" },
+    { key: "r2", title: "R2" },
+    { key: "limitAt", title: "BLOCK LIMIT AT" },
+];
+
+function markdownTable(rows, columns) {
+    const line = (values) => `| ${values.join(" | ")} |`;
+    return [
+        line(columns.map((c) => c.title)),
+        line(columns.map(() => "---")),
+        ...rows.map((row) => line(columns.map((c) => String(row[c.key] ?? "")))),
+    ].join("\n");
+}
+
+function headline(s) {
+    return (
+        `${s.contractName}: ${s.steps} steps, ${s.traders} traders, seed ${s.seed}; ` +
+        `peak ${s.peak.orders} resting orders / ${s.peak.levels} levels, longest history ${s.peak.history}`
+    );
+}
+
+/** Plain-text tables for the console. */
+function formatGasReport(summaries) {
+    return summaries
+        .map((s) => {
+            const failures = Object.entries(s.failures).map(([k, n]) => `  failed ${n}x ${k}`);
+            return [headline(s), formatTable(callRows(s), COLUMNS), ...failures].join("\n");
+        })
+        .join("\n\n");
+}
+
+/** Markdown report: the audited calls across all books first, then every book's full table. */
+function formatGasReportMarkdown(summaries, { title = "Order-flow gas report" } = {}) {
+    const blockGasLimit = summaries[0]?.blockGasLimit;
+    const audited = [];
+    for (const s of summaries) {
+        for (const c of s.calls) {
+            if (!AUDITED_CALLS.includes(c.call)) continue;
+            audited.push({
+                contract: s.contractName,
+                function: c.function,
+                max: fmt(c.max),
+                driver: `${c.driver} <= ${c.maxDriver}`,
+                perUnit: c.fit ? fmt(c.fit.slope) : "-",
+                limitAt: !c.fit ? "-" : c.limitAt === null ? "not reached (flat)" : `${c.driver} ~ ${fmt(c.limitAt)}`,
+            });
+        }
+    }
+
+    const out = [
+        `# ${title}`,
+        "",
+        `Block gas limit: ${fmt(blockGasLimit)}. "Block limit at" extrapolates a least-squares fit of gas against ` +
+            "the driver beyond the sampled range (see sim/gas-report.js).",
+        "",
+        "## Matching loops and open-orders views (audit Medium-02)",
+        "",
+        markdownTable(audited, [
+            { key: "contract", title: "Contract" },
+            { key: "function", title: "Function" },
+            { key: "max", title: "Max gas seen" },
+            { key: "driver", title: "Sampled" },
+            { key: "perUnit", title: "Gas per unit" },
+            { key: "limitAt", title: "Block limit at" },
+        ]),
+    ];
+    for (const s of summaries) {
+        out.push("", `## ${s.contractName}`, "", headline(s), "", markdownTable(callRows(s), COLUMNS));
+        const failures = Object.entries(s.failures);
+        if (failures.length > 0) {
+            out.push("", ...failures.map(([k, n]) => `- failed ${n}x ${k}`));
+        }
+    }
+    return out.join("\n") + "\n";
+}
+
+module.exports = {
+    AUDITED_CALLS,
+    linearFit,
+    summarizeRun,
+    formatGasReport,
+    formatGasReportMarkdown,
+};
@@ -0,0 +1,226 @@
+const { revertErrorName } = require("../sdk");
+
+// Randomized stateful checks for the order books in sim/books.js: random deposit, withdraw, limit, market
+// and cancel commands from a few traders, with every invariant re-checked against contract state after
+// each command (sim/property.js generates the sequences and shrinks failures).
+//
+// Invariants:
+//   noPanic          no call fails with a Solidity panic (overflow, division by zero, ...); ordinary
+//                    reverts such as InsufficientBalance are expected and skipped
+//   noZeroRemaining  no order stays active with nothing left to fill
+//   solvency         per token, the contract holds at least what it owes: internal balances plus the funds
+//                    locked in resting orders
+//   conservation     ... and exactly that, with no dust left behind
+//   uncrossed        best bid < best ask whenever both sides rest
+//   bestPrice        the stored best prices are the first depth levels
+//   levelTotals      the depth levels are exactly the active orders grouped by side and price, each level
+//                    total the sum of its orders' remainders
+
+const TICKS = 6;
+
+function sideOrder(side) {
+    return side === "buy" ? (a, b) => (a < b ? 1 : a > b ? -1 : 0) : (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+}
+
+/**
+ * Read the book and check every invariant except noPanic and those in `skip`.
+ *
+ * @param {object} book Adapter from deployBook
+ * @param {object} opts
+ * @param {string[]} opts.users Every address that may hold an internal balance
+ * @param {bigint[]} opts.orderIds Every order id placed so far
+ * @param {string[]} [opts.skip] Invariants not to check
+ * @returns {Promise<{failure: {invariant: string, message: string}|null, orders: Map<string, object>}>}
+ */
+async function checkInvariants(book, { users, orderIds, skip = [] }) {
+    const orders = new Map();
+    for (const id of orderIds) orders.set(String(id), await book.readOrder(id));
+    const violations = [];
+    const violated = (invariant, message) => violations.push({ invariant, message });
+
+    const resting = [...orders.entries()].filter(([, o]) => o.active);
+    for (const [id, o] of resting) {
+        if (o.remaining === 0n) violated("noZeroRemaining", `order ${id} is active with nothing left`);
+    }
+
+    const owed = { base: 0n, quote: 0n };
+    for (const user of users) {
+        const b = await book.readBalances(user);
+        owed.base += b.base;
+        owed.quote += b.quote;
+    }
+    for (const [, o] of resting) {
+        owed.base += o.locked.base;
+        owed.quote += o.locked.quote;
+    }
+    for (const asset of ["base", "quote"]) {
+        const held = await book.tokens[asset].balanceOf(book.address);
+        const message = `${asset}: contract holds ${held}, owes ${owed[asset]} (balances + locked)`;
+        if (held < owed[asset]) violated("solvency", message);
+        if (held !== owed[asset]) violated("conservation", message);
+    }
+
+    const best = await book.readBest();
+    if (best.bid !== 0n && best.ask !== 0n && best.bid >= best.ask) {
+        violated("uncrossed", `best bid ${best.bid} >= best ask ${best.ask}`);
+    }
+
+    const depth = await book.readDepth(resting.length + 1);
+    for (const side of ["buy", "sell"]) {
+        const levels = side === "buy" ? depth.bids : depth.asks;
+        const stored = side === "buy" ? best.bid : best.ask;
+        const first = levels[0]?.price ?? 0n;
+        if (first !== stored) violated("bestPrice", `best ${side} ${stored}, first depth level ${first}`);
+
+        const totals = new Map();
+        for (const [, o] of resting) {
+            if (o.side === side) totals.set(o.price, (totals.get(o.price) || 0n) + o.remaining);
+        }
+        const got = levels.map((l) => `${l.price}:${l.amount}`).join(", ");
+        const want = [...totals.keys()]
+            .sort(sideOrder(side))
+            .map((price) => `${price}:${totals.get(price)}`)
+            .join(", ");
+        if (got !== want) violated("levelTotals", `${side} levels [${got}], orders sum to [${want}]`);
+    }
+
+    return { failure: violations.find((v) => !skip.includes(v.invariant)) || null, orders };
+}
+
+/**
+ * Generator, replayer and shrinker for checkProperty (sim/property.js) over one deployed book.
+ *
+ * @param {object} opts
+ * @param {object} opts.book Adapter from deployBook, already funded
+ * @param {import("ethers").Signer[]} opts.traders
+ * @param {() => Promise<void>} opts.reset Restores the state right after deployment (e.g. an EVM snapshot)
+ * @param {string[]} [opts.skip] Invariants not to check (default: the book's `knownViolations`)
+ * @param {bigint} [opts.mid] Human price * 1e18 that limit prices are spread around (default 1)
+ * @param {bigint} [opts.tick] Price step (default 0.0037)
+ */
+function createOrderBookProperty({
+    book,
+    traders,
+    reset,
+    skip = book.knownViolations,
+    mid = 10n ** 18n,
+    tick = 37n * 10n ** 14n,
+}) {
+    const baseUnit = 10n ** BigInt(book.decimals.base);
+    const quoteUnit = 10n ** BigInt(book.decimals.quote);
+
+    function generate(random, size) {
+        const randInt = (lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+        // Whole tenths plus, now and then, odd dust to exercise the rounding paths.
+        const amountOf = (unit) =>
+            (BigInt(randInt(1, 200)) * unit) / 10n + (random() < 0.3 ? BigInt(randInt(1, 999)) : 0n);
+        const ops = book.hasVault
+            ? [
+                  ["deposit", 0.1],
+                  ["withdraw", 0.1],
+                  ["limit", 0.5],
+                  ["market", 0.15],
+                  ["cancel", 0.15],
+              ]
+            : [
+                  ["limit", 0.6],
+                  ["market", 0.2],
+                  ["cancel", 0.2],
+              ];
+
+        const commands = [];
+        for (let i = 0; i < size; i++) {
+            let r = random();
+            const op = ops.find(([, w]) => (r -= w) < 0)?.[0] ?? "limit";
+            const t = randInt(0, traders.length - 1);
+            const side = random() < 0.5 ? "buy" : "sell";
+            if (op === "deposit" || op === "withdraw") {
+                const asset = random() < 0.5 ? "base" : "quote";
+                commands.push({ op, t, asset, amount: amountOf(asset === "base" ? baseUnit : quoteUnit) });
+            } else if (op === "limit") {
+                commands.push({ op, t, side, k: randInt(-TICKS, TICKS), amount: amountOf(baseUnit) });
+            } else if (op === "market") {
+                commands.push({ op, t, side, amount: amountOf(baseUnit) });
+            } else {
+                commands.push({ op, t, pick: randInt(0, 7) });
+            }
+        }
+        return commands;
+    }
+
+    function shrinkCommand(c) {
+        const variants = [];
+        if (c.t > 0) variants.push({ ...c, t: 0 });
+        if (c.k !== undefined && c.k !== 0) variants.push({ ...c, k: c.k > 0 ? c.k - 1 : c.k + 1 });
+        if (c.pick > 0) variants.push({ ...c, pick: 0 });
+        if (c.amount !== undefined) {
+            const unit = c.asset === "quote" ? quoteUnit : baseUnit;
+            if (c.amount % (unit / 10n) !== 0n && c.amount > unit / 10n) {
+                variants.push({ ...c, amount: c.amount - (c.amount % (unit / 10n)) });
+            }
+            if (c.amount > 1n) variants.push({ ...c, amount: c.amount / 2n });
+        }
+        return variants;
+    }
+
+    function describe(c) {
+        const who = `trader${c.t}`;
+        if (c.op === "deposit" || c.op === "withdraw") return `${who} ${c.op} ${c.amount} raw ${c.asset}`;
+        if (c.op === "limit")
+            return `${who} limit ${c.side} ${c.amount} raw base at mid ${c.k >= 0 ? "+" : "-"} ${Math.abs(c.k)} ticks`;
+        if (c.op === "market") return `${who} market ${c.side} ${c.amount} raw base`;
+        return `${who} cancel open order #${c.pick} (mod open count)`;
+    }
+
+    async function run(commands) {
+        await reset();
+        const users = await Promise.all(traders.map((t) => t.getAddress()));
+        const placed = traders.map(() => []);
+        const orderIds = [];
+        let orders = new Map();
+
+        for (let step = 0; step < commands.length; step++) {
+            const c = commands[step];
+            const trader = traders[c.t % traders.length];
+            let send = null;
+            if ((c.op === "deposit" || c.op === "withdraw") && book.hasVault) {
+                send = () => book[c.op](trader, c.asset, c.amount);
+            } else if (c.op === "limit") {
+                send = () => book.limit(trader, c.side, mid + BigInt(c.k) * tick, c.amount);
+            } else if (c.op === "market") {
+                const maxQuoteIn = book.quoteFor(c.amount, mid + BigInt(TICKS) * tick);
+                send = () => book.market(trader, c.side, c.amount, maxQuoteIn);
+            } else if (c.op === "cancel") {
+                const open = placed[c.t % traders.length].filter((id) => orders.get(String(id))?.active);
+                if (open.length > 0) send = () => book.cancel(trader, open[c.pick % open.length]);
+            }
+
+            if (send) {
+                try {
+                    const receipt = await (await send()).wait();
+                    const { placedId } = book.parseReceipt(receipt);
+                    if (placedId !== null) {
+                        placed[c.t % traders.length].push(placedId);
+                        orderIds.push(placedId);
+                    }
+                } catch (err) {
+                    if (revertErrorName(book.contract, err) === "Panic" || /panic/i.test(err.shortMessage || "")) {
+                        return { step, invariant: "noPanic", message: err.shortMessage || err.message };
+                    }
+                }
+            }
+
+            const checked = await checkInvariants(book, { users, orderIds, skip });
+            if (checked.failure) return { step, ...checked.failure };
+            orders = checked.orders;
+        }
+        return null;
+    }
+
+    return { generate, run, shrinkCommand, describe };
+}
+
+module.exports = {
+    checkInvariants,
+    createOrderBookProperty,
+};
@@ -0,0 +1,242 @@
+const { ethers } = require("ethers");
+
+// Random order flow against one deployed book (sim/books.js): many traders placing limit orders around a
+// fixed mid (some priced through it), market orders that sweep several resting orders, and cancels of
+// their own resting orders. Every call's gas is recorded next to the book state it ran against, for
+// sim/gas-report.js to fit and extrapolate.
+//
+// The simulator keeps its own list of resting orders (id, trader, side, price): orders named in a
+// transaction's logs, and the other resting orders of each trade's taker, are re-read from the contract
+// after every transaction. Book depth is the number of resting orders, level count the number of distinct
+// (side, price) pairs among them, history the number of limit orders the trader has placed so far.
+
+const DEFAULT_FLOW = Object.freeze({
+    steps: 300,
+    mid: "1",
+    tick: "0.001",
+    spreadTicks: 40,
+    crossRate: 0.1,
+    crossTicks: 5,
+    minSize: 1,
+    maxSize: 10,
+    marketMaxSize: 40,
+    mix: { limit: 0.75, market: 0.1, cancel: 0.15 },
+    viewEvery: 10,
+});
+
+function positiveInt(value, name) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid ${name} (expected an integer >= 1)`);
+    return n;
+}
+
+function resolveFlow(flow) {
+    const f = { ...DEFAULT_FLOW, ...flow, mix: { ...DEFAULT_FLOW.mix, ...flow?.mix } };
+    const spreadTicks = positiveInt(f.spreadTicks, "spreadTicks");
+    const mid = ethers.parseUnits(String(f.mid), 18);
+    const tick = ethers.parseUnits(String(f.tick), 18);
+    if (tick <= 0n || mid <= tick * BigInt(Math.max(spreadTicks, Number(f.crossTicks)))) {
+        throw new Error("mid must stay above (spreadTicks and crossTicks) * tick");
+    }
+    const weights = [f.mix.limit, f.mix.market, f.mix.cancel].map(Number);
+    if (weights.some((w) => !(w >= 0)) || weights[0] + weights[1] + weights[2] <= 0) {
+        throw new Error("Invalid mix (expected non-negative limit / market / cancel weights)");
+    }
+    const total = weights[0] + weights[1] + weights[2];
+    return {
+        steps: positiveInt(f.steps, "steps"),
+        mid,
+        tick,
+        spreadTicks,
+        crossRate: Number(f.crossRate),
+        crossTicks: Math.max(0, Math.floor(Number(f.crossTicks))),
+        minSize: positiveInt(f.minSize, "minSize"),
+        maxSize: positiveInt(f.maxSize, "maxSize"),
+        marketMaxSize: positiveInt(f.marketMaxSize, "marketMaxSize"),
+        mix: { limit: weights[0] / total, market: weights[1] / total },
+        viewEvery: positiveInt(f.viewEvery, "viewEvery"),
+    };
+}
+
+/** Deterministic PRNG (mulberry32): the same seed replays the same flow. */
+function createRandom(seed) {
+    let a = Number(seed) >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function bookStats(open) {
+    const levels = new Set();
+    const sides = { buy: 0, sell: 0 };
+    for (const o of open.values()) {
+        levels.add(`${o.side}:${o.price}`);
+        sides[o.side]++;
+    }
+    return { orders: open.size, levels: levels.size, ...sides };
+}
+
+/**
+ * Drive `steps` random limit / market / cancel calls through `book` and record their gas.
+ *
+ * @param {object} opts
+ * @param {object} opts.book Adapter from deployBook (sim/books.js)
+ * @param {import("ethers").Signer[]} opts.traders Funded by deployBook
+ * @param {number} [opts.seed]
+ * @param {object} [opts.flow] Overrides of DEFAULT_FLOW
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<{kind: string, contractName: string, functions: object, drivers: object, steps: number,
+ *   traders: number, seed: number, samples: object[], failures: object[], peak: object,
+ *   final: {orders: number, levels: number, buy: number, sell: number}}>}
+ */
+async function simulateOrderFlow({ book, traders, seed = 1, flow = {}, log = () => {} }) {
+    const f = resolveFlow(flow);
+    const random = createRandom(seed);
+    const randInt = (lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+    const unit = 10n ** 18n;
+
+    const accounts = await Promise.all(traders.map(async (signer) => ({ signer, address: await signer.getAddress() })));
+    const open = new Map(); // String(orderId) => { id, trader, side, price }
+    const history = new Map(); // trader => limit orders placed
+    const samples = [];
+    const failures = [];
+    const peak = { orders: 0, levels: 0, history: 0 };
+
+    async function refresh(ids) {
+        for (const key of ids) {
+            const o = open.get(key);
+            if (!o) continue;
+            const state = await book.readOrder(o.id);
+            if (!state.active || state.remaining === 0n) open.delete(key);
+        }
+    }
+
+    async function sampleOpenOrdersView() {
+        // The trader with the longest history is the worst case for the history-scanning view.
+        let worst = accounts[0];
+        for (const a of accounts) {
+            if ((history.get(a.address) || 0) > (history.get(worst.address) || 0)) worst = a;
+        }
+        const before = { ...bookStats(open), history: history.get(worst.address) || 0 };
+        try {
+            const gas = await book.openOrdersGas(worst.address);
+            samples.push({ call: "openOrders", gas: Number(gas), ...before, fills: 0, levelsTaken: 0 });
+        } catch (err) {
+            failures.push({
+                call: "openOrders",
+                error: book.errorName(err) || err.shortMessage || err.message,
+                ...before,
+            });
+        }
+    }
+
+    for (let step = 0; step < f.steps; step++) {
+        const { signer, address } = accounts[randInt(0, accounts.length - 1)];
+        const stats = bookStats(open);
+        const mine = [...open.values()].filter((o) => o.trader === address);
+
+        const r = random();
+        let action = r < f.mix.limit ? "limit" : r < f.mix.limit + f.mix.market ? "market" : "cancel";
+        const side = random() < 0.5 ? "buy" : "sell";
+        if (action === "cancel" && mine.length === 0) action = "limit";
+        // A market order needs resting liquidity on the other side (PharosSpotMarket reverts on an empty side).
+        if (action === "market" && stats[side === "buy" ? "sell" : "buy"] === 0) action = "limit";
+
+        let call;
+        let send;
+        let order;
+        if (action === "limit") {
+            const crossing = random() < f.crossRate;
+            const k = BigInt(crossing ? randInt(0, f.crossTicks) : randInt(1, f.spreadTicks));
+            const through = (side === "buy") === crossing;
+            const price = through ? f.mid + k * f.tick : f.mid - k * f.tick;
+            const amount = BigInt(randInt(f.minSize, f.maxSize)) * unit;
+            call = "limit";
+            order = { trader: address, side, price };
+            send = () => book.limit(signer, side, price, amount);
+        } else if (action === "market") {
+            const amount = BigInt(randInt(f.minSize, f.marketMaxSize)) * unit;
+            // Enough quote to buy `amount` at the worst passive ask.
+            const maxQuoteIn = (amount * (f.mid + BigInt(f.spreadTicks) * f.tick)) / unit;
+            call = side === "buy" ? "marketBuy" : "marketSell";
+            send = () => book.market(signer, side, amount, maxQuoteIn);
+        } else {
+            order = mine[randInt(0, mine.length - 1)];
+            call = "cancel";
+            send = () => book.cancel(signer, order.id);
+        }
+
+        const before = { ...stats, history: history.get(address) || 0 };
+        let receipt;
+        try {
+            receipt = await (await send()).wait();
+        } catch (err) {
+            failures.push({ step, call, error: book.errorName(err) || err.shortMessage || err.message, ...before });
+            continue;
+        }
+
+        const { placedId, trades } = book.parseReceipt(receipt);
+        if (action === "limit") {
+            if (trades.length > 0) call = "match";
+            history.set(address, before.history + 1);
+        }
+        samples.push({
+            call,
+            gas: Number(receipt.gasUsed),
+            ...before,
+            fills: trades.length,
+            levelsTaken: new Set(trades.map((t) => t.price)).size,
+        });
+
+        const touched = new Set();
+        if (placedId !== null) {
+            open.set(String(placedId), { id: placedId, ...order });
+            touched.add(String(placedId));
+        }
+        if (action === "cancel") touched.add(String(order.id));
+        for (const t of trades) {
+            touched.add(String(t.makerOrderId));
+            if (t.takerOrderId !== null) touched.add(String(t.takerOrderId));
+            // Books without a taker order id in Trade: the taker may be a resting order of that trader.
+            for (const o of open.values()) if (o.trader === t.taker) touched.add(String(o.id));
+        }
+        await refresh(touched);
+
+        const after = bookStats(open);
+        peak.orders = Math.max(peak.orders, after.orders);
+        peak.levels = Math.max(peak.levels, after.levels);
+        peak.history = Math.max(peak.history, history.get(address) || 0);
+
+        if (book.hasOpenOrdersView && (step + 1) % f.viewEvery === 0) await sampleOpenOrdersView();
+        if ((step + 1) % 100 === 0) {
+            log(
+                `[SIM] ${book.contractName}: step ${step + 1}/${f.steps} orders=${after.orders} levels=${after.levels}`,
+            );
+        }
+    }
+
+    return {
+        kind: book.kind,
+        contractName: book.contractName,
+        functions: book.functions,
+        drivers: book.drivers,
+        steps: f.steps,
+        traders: accounts.length,
+        seed: Number(seed),
+        samples,
+        failures,
+        peak,
+        final: bookStats(open),
+    };
+}
+
+module.exports = {
+    DEFAULT_FLOW,
+    resolveFlow,
+    createRandom,
+    simulateOrderFlow,
+};
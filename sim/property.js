@@ -0,0 +1,113 @@
+const { createRandom } = require("./order-flow");
+
+// Minimal stateful property runner: generate random command sequences from a seed, replay each one from
+// a clean state, and when a sequence breaks an invariant shrink it to a minimal reproduction.
+//
+// Shrinking keeps a candidate only when it still fails the same invariant. It first cuts everything after
+// the failing step, then removes chunks of commands (halving the chunk size down to single commands,
+// repeated until nothing more can go), then tries the smaller variants `shrinkCommand` offers for each
+// remaining command. Every candidate costs one replay; `maxShrinks` bounds the total.
+
+/**
+ * @typedef {object} PropertyFailure
+ * @property {number} step Index of the command after which the invariant broke
+ * @property {string} invariant
+ * @property {string} message
+ */
+
+/**
+ * @param {object} opts
+ * @param {(random: () => number, size: number) => object[]} opts.generate
+ * @param {(commands: object[]) => Promise<PropertyFailure|null>} opts.run Replays from a clean state
+ * @param {(command: object) => object[]} [opts.shrinkCommand] Smaller variants of one command
+ * @param {number} [opts.seed] First seed; run i uses seed + i
+ * @param {number} [opts.runs]
+ * @param {number} [opts.size] Commands per sequence
+ * @param {number} [opts.maxShrinks] Replay budget for shrinking
+ * @returns {Promise<null|{seed: number, commands: object[], failure: PropertyFailure,
+ *   shrunk: {commands: object[], failure: PropertyFailure}, replays: number}>}
+ */
+async function checkProperty({
+    generate,
+    run,
+    shrinkCommand = () => [],
+    seed = 1,
+    runs = 10,
+    size = 50,
+    maxShrinks = 300,
+}) {
+    for (let i = 0; i < runs; i++) {
+        const commands = generate(createRandom(seed + i), size);
+        const failure = await run(commands);
+        if (failure) {
+            const shrunk = await shrink(commands, failure, { run, shrinkCommand, maxShrinks });
+            return { seed: seed + i, commands, failure, ...shrunk };
+        }
+    }
+    return null;
+}
+
+async function shrink(commands, failure, { run, shrinkCommand, maxShrinks }) {
+    let best = { commands: commands.slice(0, failure.step + 1), failure };
+    let replays = 0;
+
+    async function attempt(candidate) {
+        if (replays >= maxShrinks) return false;
+        replays++;
+        const f = await run(candidate);
+        if (!f || f.invariant !== failure.invariant) return false;
+        best = { commands: candidate.slice(0, f.step + 1), failure: f };
+        return true;
+    }
+
+    let progress = true;
+    while (progress && replays < maxShrinks) {
+        progress = false;
+        for (let chunk = Math.max(1, Math.floor(best.commands.length / 2)); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+            let start = 0;
+            while (start < best.commands.length && best.commands.length > 1) {
+                const candidate = [...best.commands.slice(0, start), ...best.commands.slice(start + chunk)];
+                if (candidate.length > 0 && (await attempt(candidate))) {
+                    progress = true;
+                } else {
+                    start += chunk;
+                }
+            }
+        }
+    }
+
+    for (let i = 0; i < best.commands.length; i++) {
+        let simpler = true;
+        while (simpler) {
+            simpler = false;
+            for (const variant of shrinkCommand(best.commands[i])) {
+                const candidate = [...best.commands.slice(0, i), variant, ...best.commands.slice(i + 1)];
+                if (await attempt(candidate)) {
+                    simpler = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    return { shrunk: best, replays };
+}
+
+/** Human-readable failure report: the minimal reproduction first, then the original run. */
+function formatPropertyFailure(result, describe = (c) => JSON.stringify(c)) {
+    const { shrunk } = result;
+    return [
+        `Invariant '${shrunk.failure.invariant}' broken after step ${shrunk.failure.step + 1}: ${
+            shrunk.failure.message
+        }`,
+        `Minimal reproduction (${shrunk.commands.length} of ${result.commands.length} commands, seed ${result.seed}, ` +
+            `${result.replays} shrink replays):`,
+        ...shrunk.commands.map((c, i) => `  ${i + 1}. ${describe(c)}`),
+        `Original failure at step ${result.failure.step + 1}: ${result.failure.message}`,
+    ].join("\n");
+}
+
+module.exports = {
+    checkProperty,
+    formatPropertyFailure,
+};
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    parseContractName,
+    loadHardhatArtifact,
+    findBuildInfoByContractName,
+} = require("../scripts/lib/pharos-evm-helpers");
+const { trimStandardJsonInput } = require("../scripts/lib/pharos-verify");
+
+describe("artifact and build-info lookup", function () {
+    // A throwaway artifacts/ tree where "Dup" is declared in two sources.
+    function fakeArtifactsRoot({ withDbg = true, staleCopy = false } = {}) {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), "pharos-artifacts-"));
+        const buildInfo = (sources) => ({
+            input: { sources: Object.fromEntries(sources.map((s) => [s, { content: "" }])) },
+            output: {
+                contracts: Object.fromEntries(sources.map((s) => [s, { Dup: {}, [path.basename(s, ".sol")]: {} }])),
+            },
+        });
+
+        const write = (rel, data) => {
+            const file = path.join(root, rel);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(data));
+        };
+
+        write("build-info/b1.json", buildInfo(["contracts/A.sol", "contracts/B.sol"]));
+        if (staleCopy) write("build-info/b0.json", buildInfo(["contracts/A.sol"]));
+
+        for (const [source, name] of [
+            ["contracts/A.sol", "Dup"],
+            ["contracts/B.sol", "Dup"],
+            ["contracts/A.sol", "A"],
+        ]) {
+            write(`${source}/${name}.json`, { sourceName: source, contractName: name });
+            if (withDbg) write(`${source}/${name}.dbg.json`, { buildInfo: "../../build-info/b1.json" });
+        }
+        return root;
+    }
+
+    it("parses bare and fully-qualified names", function () {
+        expect(parseContractName("MockERC20")).to.deep.equal({ sourceName: null, contractName: "MockERC20" });
+        expect(parseContractName("contracts/MockCoin.sol:MockERC20")).to.deep.equal({
+            sourceName: "contracts/MockCoin.sol",
+            contractName: "MockERC20",
+        });
+    });
+
+    it("resolves the same artifact and build-info by bare and fully-qualified name", function () {
+        const bare = loadHardhatArtifact("MockERC20");
+        const fqn = loadHardhatArtifact("contracts/MockCoin.sol:MockERC20");
+
+        expect(fqn.artifactPath).to.equal(bare.artifactPath);
+        expect(fqn.artifact.sourceName).to.equal("contracts/MockCoin.sol");
+        expect(findBuildInfoByContractName("contracts/MockCoin.sol:MockERC20").id).to.equal(
+            findBuildInfoByContractName("MockERC20").id,
+        );
+    });
+
+    it("rejects ambiguous and unknown names instead of guessing", function () {
+        const root = fakeArtifactsRoot();
+
+        expect(() => findBuildInfoByContractName("Dup", root)).to.throw(
+            /Dup is ambiguous; use a fully-qualified name:\n {2}contracts\/A\.sol:Dup\n {2}contracts\/B\.sol:Dup/,
+        );
+        expect(() => findBuildInfoByContractName("Nope", root)).to.throw(/Cannot find artifact for contract Nope/);
+        expect(() => findBuildInfoByContractName("contracts/C.sol:Dup", root)).to.throw(
+            /Cannot find artifact for contracts\/C\.sol:Dup/,
+        );
+        expect(findBuildInfoByContractName("contracts/B.sol:Dup", root).output.contracts).to.have.property(
+            "contracts/B.sol",
+        );
+    });
+
+    it("falls back to scanning build-info files when there is no .dbg.json", function () {
+        expect(findBuildInfoByContractName("A", fakeArtifactsRoot({ withDbg: false })).input.sources).to.have.property(
+            "contracts/B.sol",
+        );
+        expect(() => findBuildInfoByContractName("A", fakeArtifactsRoot({ withDbg: false, staleCopy: true }))).to.throw(
+            /Several build-info files contain contracts\/A\.sol:A \(b0\.json, b1\.json\)/,
+        );
+    });
+
+    it("trims the verify input to the sources the contract was compiled from", function () {
+        const { artifact } = loadHardhatArtifact("contracts/MockCoin.sol:MockERC20");
+        const buildInfo = findBuildInfoByContractName("contracts/MockCoin.sol:MockERC20");
+
+        const input = trimStandardJsonInput(buildInfo, artifact);
+
+        expect(Object.keys(input.sources).sort()).to.deep.equal([
+            "@openzeppelin/contracts/interfaces/draft-IERC6093.sol",
+            "@openzeppelin/contracts/token/ERC20/ERC20.sol",
+            "@openzeppelin/contracts/token/ERC20/IERC20.sol",
+            "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol",
+            "@openzeppelin/contracts/utils/Context.sol",
+            "contracts/MockCoin.sol",
+        ]);
+        expect(input.settings).to.deep.equal(buildInfo.input.settings);
+        expect(input.sources["contracts/MockCoin.sol"]).to.equal(buildInfo.input.sources["contracts/MockCoin.sol"]);
+    });
+});
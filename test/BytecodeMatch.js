@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+
+const { splitMetadata, compareRuntimeBytecode, preflightBytecode } = require("../scripts/lib/bytecode-match");
+
+describe("bytecode preflight", function () {
+    const FQN = "contracts/MultiBaseOrderBookDEXVaultLevels.sol:MultiBaseOrderBookDEXVaultLevels";
+
+    async function deployFixture() {
+        const artifact = await artifacts.readArtifact(FQN);
+        const buildInfo = await artifacts.getBuildInfo(FQN);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const Dex = await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels");
+        const dex = await Dex.deploy(usdt.target);
+
+        const preflight = (overrides = {}) =>
+            preflightBytecode({
+                provider: ethers.provider,
+                address: dex.target,
+                artifact,
+                buildInfo,
+                ctorArgs: [usdt.target],
+                deployTxHash: dex.deploymentTransaction().hash,
+                ...overrides,
+            });
+
+        return { artifact, buildInfo, usdt, dex, preflight };
+    }
+
+    it("accepts the deployed build and reads its immutables", async function () {
+        const { usdt, preflight } = await deployFixture();
+
+        const result = await preflight();
+
+        expect(result.problems).to.deep.equal([]);
+        expect(result.ok).to.equal(true);
+        expect(result.immutables).to.deep.equal({ quoteToken: usdt.target, quoteDecimals: "6" });
+        expect(result.decodedArgs.args).to.deep.equal([usdt.target]);
+    });
+
+    it("flags constructor args that differ from the deploy tx", async function () {
+        const { preflight } = await deployFixture();
+        const [, other] = await ethers.getSigners();
+
+        const result = await preflight({ ctorArgs: [other.address] });
+
+        expect(result.ok).to.equal(false);
+        expect(result.problems).to.have.length(1);
+        expect(result.problems[0]).to.match(/^Constructor args: deploy tx used/);
+    });
+
+    it("flags a different contract build", async function () {
+        const { preflight } = await deployFixture();
+        const other = "contracts/MultiBaseOrderBookDEXVault.sol:MultiBaseOrderBookDEXVault";
+
+        const result = await preflight({
+            artifact: await artifacts.readArtifact(other),
+            buildInfo: await artifacts.getBuildInfo(other),
+        });
+
+        expect(result.ok).to.equal(false);
+        expect(result.problems[0]).to.match(/^Bytecode: runtime bytecode differs/);
+        expect(result.problems[1]).to.match(/^Constructor args: .* creation code/);
+
+        const empty = await preflight({ address: ethers.Wallet.createRandom().address, deployTxHash: undefined });
+        expect(empty.problems).to.deep.equal(["Bytecode: no code at address"]);
+    });
+
+    it("ignores metadata-only differences but reports them", async function () {
+        const { artifact, buildInfo } = await deployFixture();
+        const { code, metadata } = splitMetadata(artifact.deployedBytecode);
+
+        expect(metadata).to.match(/^a2646970667358221220[0-9a-f]{64}64736f6c6343[0-9a-f]{6}0033$/);
+        expect(`0x${code}${metadata}`).to.equal(artifact.deployedBytecode.toLowerCase());
+
+        const immutableReferences =
+            buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode
+                .immutableReferences;
+        const otherHash = metadata.replace(/1220[0-9a-f]{4}/, "1220ffff");
+
+        const result = compareRuntimeBytecode({
+            onchain: `0x${code}${otherHash}`,
+            deployedBytecode: artifact.deployedBytecode,
+            immutableReferences,
+        });
+
+        expect(result.match).to.equal(true);
+        expect(result.metadataMatches).to.equal(false);
+        expect(result.message).to.contain("metadata hash differs");
+    });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    openIndexerDb,
+    describeSource,
+    createIndexer,
+    createMarketData,
+    createMarketDataServer,
+    createCandles,
+    aggregateCandles,
+    fillCandleGaps,
+    candlesToCsv,
+} = require("../indexer");
+
+function u(amount, decimals) {
+    return ethers.parseUnits(String(amount), decimals);
+}
+
+describe("OHLCV candles", function () {
+    // PharosSpotMarket priceE18 for a BTC/USDT (8/6 decimals) price.
+    const spotPrice = (price) => u(price, 16);
+
+    async function deployFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const doge = await MockERC20.deploy("Dogecoin", "DOGE", 18);
+
+        const Spot = await ethers.getContractFactory("PharosSpotMarket");
+        const spot = await Spot.deploy(btc.target, usdt.target);
+        const Dex = await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels");
+        const dex = await Dex.deploy(usdt.target);
+        await dex.connect(owner).supportBaseToken(doge.target);
+
+        for (const user of [alice, bob]) {
+            await usdt.mint(user.address, u(1000000, 6));
+            await btc.mint(user.address, u(10, 8));
+            await doge.mint(user.address, u(1000, 18));
+            for (const token of [usdt, btc, doge]) {
+                await token.connect(user).approve(spot.target, ethers.MaxUint256);
+                await token.connect(user).approve(dex.target, ethers.MaxUint256);
+            }
+        }
+
+        await spot.connect(alice).deposit(btc.target, u(3, 8));
+        await spot.connect(bob).deposit(usdt.target, u(200000, 6));
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(60000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0);
+        await dex.connect(alice).depositBaseFor(doge.target, u(100, 18));
+        await dex.connect(bob).depositQuote(u(1000, 6));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+
+        // Trades at known offsets from an hour boundary.
+        const t0 = Math.ceil(((await time.latest()) + 60) / 3600) * 3600;
+        await time.setNextBlockTimestamp(t0 + 10);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(60000), u("0.25", 8), 0, 0, false, 8);
+        await time.setNextBlockTimestamp(t0 + 20);
+        await dex.connect(bob).limitBuyFor(doge.target, u("2.1", 18), u(5, 18));
+        await time.setNextBlockTimestamp(t0 + 30);
+        // Fills 0.75 @ 60000, then 0.25 @ 61000.
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(61000), u(1, 8), 0, 0, false, 8);
+        await time.setNextBlockTimestamp(t0 + 200);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(61000), u("0.25", 8), 0, 0, false, 8);
+
+        const sources = [];
+        for (const [contractName, address] of [
+            ["PharosSpotMarket", spot.target],
+            ["MultiBaseOrderBookDEXVaultLevels", dex.target],
+        ]) {
+            sources.push(await describeSource({ provider: ethers.provider, contractName, address, startBlock }));
+        }
+
+        const db = openIndexerDb(":memory:");
+        const indexer = createIndexer({ provider: ethers.provider, db, sources });
+        await indexer.syncOnce();
+
+        return { alice, bob, btc, doge, spot, dex, db, indexer, t0 };
+    }
+
+    const ohlcv = (c) => [c.time, c.open, c.high, c.low, c.close, c.volumeBase, c.volumeQuote, c.trades];
+
+    it("aggregates fills into interval-aligned bars and fills gaps at the previous close", function () {
+        const fills = [
+            { timestamp: 125, price: "10", amount_base: "1", amount_quote: "10" },
+            { timestamp: 130, price: "12", amount_base: "2", amount_quote: "24" },
+            { timestamp: 179, price: "9", amount_base: "1", amount_quote: "9" },
+            { timestamp: 300, price: "11", amount_base: "3", amount_quote: "33" },
+        ];
+        const bars = aggregateCandles(fills, 60);
+        expect(bars.map(ohlcv)).to.deep.equal([
+            [120, 10n, 12n, 9n, 9n, 4n, 43n, 3],
+            [300, 11n, 11n, 11n, 11n, 3n, 33n, 1],
+        ]);
+        expect(fillCandleGaps(bars, 60).map(ohlcv)).to.deep.equal([
+            [120, 10n, 12n, 9n, 9n, 4n, 43n, 3],
+            [180, 9n, 9n, 9n, 9n, 0n, 0n, 0],
+            [240, 9n, 9n, 9n, 9n, 0n, 0n, 0],
+            [300, 11n, 11n, 11n, 11n, 3n, 33n, 1],
+        ]);
+        expect(aggregateCandles(fills, 3600).map(ohlcv)).to.deep.equal([[0, 10n, 12n, 9n, 11n, 7n, 76n, 4]]);
+    });
+
+    it("builds human-readable candles for both price scales from indexed trades", async function () {
+        const { btc, doge, spot, db, t0 } = await loadFixture(deployFixture);
+        const data = createMarketData(db);
+        const candles = createCandles(db);
+        const spotMarket = data.resolveMarket(btc.target);
+        expect(spotMarket.contract).to.equal(spot.target);
+
+        const oneMinute = candles.candles(spotMarket, { interval: "1m", from: t0 });
+        expect(oneMinute.candles.map(ohlcv)).to.deep.equal([
+            [t0, "60000.0", "61000.0", "60000.0", "61000.0", "1.25", "75250.0", 3],
+            [t0 + 180, "61000.0", "61000.0", "61000.0", "61000.0", "0.25", "15250.0", 1],
+        ]);
+        const filled = candles.candles(spotMarket, { interval: "1m", from: t0, fillGaps: true });
+        expect(filled.candles.map((c) => [c.time, c.close, c.trades])).to.deep.equal([
+            [t0, "61000.0", 3],
+            [t0 + 60, "61000.0", 0],
+            [t0 + 120, "61000.0", 0],
+            [t0 + 180, "61000.0", 1],
+        ]);
+
+        for (const interval of ["5m", "1h"]) {
+            expect(candles.candles(spotMarket, { interval }).candles.map(ohlcv)).to.deep.equal([
+                [t0, "60000.0", "61000.0", "60000.0", "61000.0", "1.5", "90500.0", 4],
+            ]);
+        }
+        const daily = candles.candles(spotMarket, { interval: "1d" }).candles;
+        expect(daily).to.have.length(1);
+        expect(daily[0].time % 86400).to.equal(0);
+
+        // The levels DEX does not emit a quote amount; the indexer derives it from price and decimals.
+        const dogeBars = candles.candles(data.resolveMarket(doge.target), { interval: "1h" });
+        expect(dogeBars.candles.map(ohlcv)).to.deep.equal([[t0, "2.0", "2.0", "2.0", "2.0", "5.0", "10.0", 1]]);
+
+        expect(candles.candles(spotMarket, { interval: "1m", from: t0 + 60, to: t0 + 180 }).candles).to.deep.equal([]);
+        expect(() => candles.candles(spotMarket, { interval: "2m" })).to.throw(/Invalid interval 2m/);
+
+        const csv = candlesToCsv(oneMinute.candles).trim().split("\n");
+        expect(csv[0]).to.equal("datetime,time,open,high,low,close,volumeBase,volumeQuote,trades");
+        expect(csv[1]).to.equal(
+            `${new Date(t0 * 1000).toISOString()},${t0},60000.0,61000.0,60000.0,61000.0,1.25,75250.0,3`,
+        );
+    });
+
+    it("serves candles over REST", async function () {
+        const { bob, btc, spot, db, indexer, t0 } = await loadFixture(deployFixture);
+        const service = createMarketDataServer({ db, indexer, now: () => t0 + 300 });
+        const { port } = await service.listen(0);
+        const get = async (path) => {
+            const res = await fetch(`http://127.0.0.1:${port}${path}`);
+            return { status: res.status, body: await res.json() };
+        };
+
+        try {
+            const res = await get(`/candles/${btc.target}?interval=1m&fill=1&from=${t0}&limit=3`);
+            expect(res.status).to.equal(200);
+            expect(res.body).to.include({ market: `${spot.target}:${btc.target}`, interval: "1m" });
+            expect(res.body.candles.map((c) => [c.time, c.close, c.volumeBase])).to.deep.equal([
+                [t0 + 60, "61000.0", "0.0"],
+                [t0 + 120, "61000.0", "0.0"],
+                [t0 + 180, "61000.0", "0.25"],
+            ]);
+
+            const hourly = await get(`/candles/${btc.target}?contract=${spot.target}&interval=1h`);
+            expect(hourly.body.candles.map((c) => [c.time, c.volumeQuote])).to.deep.equal([[t0, "90500.0"]]);
+
+            // New trades show up once indexed.
+            await time.setNextBlockTimestamp(t0 + 3600 + 5);
+            await spot.connect(bob).placeLimitOrder(0, spotPrice(61000), u("0.5", 8), 0, 0, false, 8);
+            await indexer.syncOnce();
+            const next = await get(`/candles/${btc.target}?interval=1h&from=${t0}&to=${t0 + 7200}`);
+            expect(next.body.candles.map((c) => [c.time, c.open, c.volumeBase])).to.deep.equal([
+                [t0, "60000.0", "1.5"],
+                [t0 + 3600, "61000.0", "0.5"],
+            ]);
+
+            expect((await get(`/candles/${btc.target}?interval=4h`)).status).to.equal(400);
+            expect((await get(`/candles/${btc.target}?from=yesterday`)).status).to.equal(400);
+        } finally {
+            await service.close();
+        }
+    });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    DEFAULT_MANIFEST_FILE,
+    loadManifest,
+    resolveRefs,
+    orderEntries,
+    listDeploymentRecords,
+} = require("../scripts/lib/deploy-manifest");
+
+describe("deploy manifest", function () {
+    it("orders entries so referenced contracts deploy first", function () {
+        const contracts = {
+            Market: { contract: "PharosSpotMarket", args: ["${Base.address}", "${Quote.address}"] },
+            Base: { contract: "MockERC20", args: ["Bitcoin", "BTC", 8] },
+            Quote: { contract: "MockERC20", args: ["USDT", "USDT", 18] },
+        };
+
+        expect(orderEntries(contracts)).to.deep.equal(["Base", "Quote", "Market"]);
+    });
+
+    it("rejects unknown references and cycles", function () {
+        expect(() => orderEntries({ A: { contract: "X", args: ["${Missing.address}"] } })).to.throw(
+            /unknown entry 'Missing'/,
+        );
+
+        expect(() =>
+            orderEntries({
+                A: { contract: "X", args: ["${B.address}"] },
+                B: { contract: "X", args: ["${A.address}"] },
+            }),
+        ).to.throw(/Dependency cycle/);
+    });
+
+    it("resolves dotted keys, keeps whole-value types and interpolates embedded references", function () {
+        const records = {
+            "MockERC20.USDT": { address: "0x00000000000000000000000000000000000000aa", chainId: "688689" },
+        };
+        const lookup = (key) => records[key];
+
+        expect(resolveRefs(["${MockERC20.USDT.address}", 6, "chain-${MockERC20.USDT.chainId}"], lookup)).to.deep.equal([
+            "0x00000000000000000000000000000000000000aa",
+            6,
+            "chain-688689",
+        ]);
+
+        expect(() => resolveRefs(["${MockERC20.BTC.address}"], lookup)).to.throw(/no deployment record/);
+        expect(() => resolveRefs(["${MockERC20.USDT.owner}"], lookup)).to.throw(/has no field 'owner'/);
+    });
+
+    it("ships a manifest that covers every mock coin and market", function () {
+        const { network, contracts } = loadManifest(DEFAULT_MANIFEST_FILE);
+        expect(network).to.equal("pharos_atlantic");
+        expect(path.basename(DEFAULT_MANIFEST_FILE)).to.equal("deployments.config.json");
+
+        const ordered = orderEntries(contracts);
+        expect(ordered.indexOf("MockERC20.USDT")).to.be.lessThan(ordered.indexOf("MultiBaseOrderBookDEXVaultLevels"));
+        expect(contracts["MultiBaseOrderBookDEXVaultLevels"].args).to.deep.equal(["${MockERC20.USDT.address}"]);
+    });
+
+    it("lists the records of a network and skips files without a contract name", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pharos-records-"));
+        const write = (name, record) => fs.writeFileSync(path.join(dir, name), JSON.stringify(record));
+        write("pharos_atlantic.latest.json", { contractName: "MockERC20" });
+        write("pharos_atlantic..latest.json", { contractName: "MockERC20" });
+        write("pharos_atlantic.MockERC20.USDT.latest.json", { contractName: "MockERC20" });
+        write("pharos_atlantic.PharosSpotMarket.latest.json", { contractName: "PharosSpotMarket" });
+        write("pharos_atlantic.PharosSpotMarket.history.json", []);
+        write("other.PharosSpotMarket.latest.json", { contractName: "PharosSpotMarket" });
+
+        expect(listDeploymentRecords({ dir }).map((r) => r.key)).to.deep.equal(["MockERC20.USDT", "PharosSpotMarket"]);
+        expect(listDeploymentRecords({ dir, contractName: "MockERC20" }).map((r) => r.key)).to.deep.equal([
+            "MockERC20.USDT",
+        ]);
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
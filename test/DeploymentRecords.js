@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    artifactBytecodeHash,
+    historyFileFor,
+    checkExistingDeployment,
+    appendDeploymentHistory,
+    readJsonIfExists,
+} = require("../scripts/lib/pharos-evm-helpers");
+
+describe("deployment records", function () {
+    async function deployFixture() {
+        const artifact = await artifacts.readArtifact("MockERC20");
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("USDT", "USDT", 18);
+        const { chainId } = await ethers.provider.getNetwork();
+
+        const ctorArgs = ["USDT", "USDT", 18];
+        const record = {
+            contractName: "MockERC20",
+            address: token.target,
+            chainId: chainId.toString(),
+            constructorArgs: ctorArgs,
+            bytecodeHash: artifactBytecodeHash(artifact),
+        };
+
+        const check = (overrides = {}) =>
+            checkExistingDeployment({
+                provider: ethers.provider,
+                record,
+                chainId,
+                bytecodeHash: artifactBytecodeHash(artifact),
+                abi: artifact.abi,
+                ctorArgs,
+                ...overrides,
+            });
+
+        return { artifact, record, chainId, check };
+    }
+
+    it("reuses a record when bytecode, args, chain and code all match", async function () {
+        const { check } = await deployFixture();
+        expect(await check()).to.deep.equal({ upToDate: true });
+
+        // numeric args recorded as strings still encode identically
+        expect(await check({ ctorArgs: ["USDT", "USDT", "18"] })).to.deep.equal({ upToDate: true });
+    });
+
+    it("reports why a record cannot be reused", async function () {
+        const { record, check } = await deployFixture();
+
+        expect((await check({ record: null })).reason).to.match(/no previous deployment record/);
+        expect((await check({ chainId: 1n })).reason).to.match(/chainId changed/);
+        expect((await check({ bytecodeHash: ethers.ZeroHash })).reason).to.match(/bytecode changed/);
+        expect((await check({ ctorArgs: ["USDT", "USDT", 6] })).reason).to.match(/constructor args changed/);
+        expect((await check({ record: { ...record, bytecodeHash: undefined } })).reason).to.match(/no bytecodeHash/);
+
+        const empty = ethers.Wallet.createRandom().address;
+        expect((await check({ record: { ...record, address: empty } })).reason).to.match(/no code at recorded address/);
+    });
+
+    it("appends replaced records to the history file", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pharos-deploy-"));
+        const outFile = path.join(dir, "pharos_atlantic.MockERC20.USDT.latest.json");
+
+        expect(historyFileFor(outFile)).to.equal(path.join(dir, "pharos_atlantic.MockERC20.USDT.history.json"));
+
+        appendDeploymentHistory(outFile, { address: "0x01" }, "artifact bytecode changed");
+        appendDeploymentHistory(outFile, { address: "0x02" }, "forced redeploy");
+
+        const history = readJsonIfExists(historyFileFor(outFile));
+        expect(history.map((h) => h.address)).to.deep.equal(["0x01", "0x02"]);
+        expect(history[0].supersededReason).to.equal("artifact bytecode changed");
+        expect(history[1].supersededAt).to.be.a("string");
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
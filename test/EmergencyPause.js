@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+
+const { readPauseState, selectPausableRecord, setGuardian, setPaused } = require("../scripts/lib/emergency-pause");
+
+describe("emergency pause script", function () {
+    const one = 10n ** 18n;
+
+    async function deployFixture() {
+        const [owner, guardian, trader] = await ethers.getSigners();
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const quote = await MockERC20.deploy("USDT", "USDT", 18);
+        const base = await MockERC20.deploy("Bitcoin", "BTC", 18);
+        await base.mint(trader.address, 10n * one);
+        await quote.mint(trader.address, 10n * one);
+
+        const deploy = (name, ...args) => ethers.deployContract(name, args);
+        const books = {
+            PharosSpotMarket: await deploy("PharosSpotMarket", base.target, quote.target),
+            SinglePairOrderBookDEXVault: await deploy("SinglePairOrderBookDEXVault", base.target, quote.target),
+            MultiBaseOrderBookDEXVault: await deploy("MultiBaseOrderBookDEXVault", quote.target),
+            MultiBaseOrderBookDEXVaultLevels: await deploy("MultiBaseOrderBookDEXVaultLevels", quote.target),
+        };
+        await books.MultiBaseOrderBookDEXVault.supportBaseToken(base.target);
+        await books.MultiBaseOrderBookDEXVaultLevels.supportBaseToken(base.target);
+        return { owner, guardian, trader, quote, base, books };
+    }
+
+    // Places a 1 BTC ask from `trader` and returns how to cancel it.
+    async function restAsk(contractName, book, trader, base) {
+        await base.connect(trader).approve(book.target, one);
+        if (contractName === "PharosSpotMarket") {
+            await book.connect(trader).deposit(base.target, one);
+            await book.connect(trader).placeLimitOrder(1, one, one, 0, 0, false, 0);
+            return () => book.connect(trader).cancelOrder(1);
+        }
+        const multi = contractName.startsWith("MultiBase");
+        await (multi ? book.connect(trader).depositBaseFor(base.target, one) : book.connect(trader).depositBase(one));
+        const tx = multi
+            ? await book.connect(trader).limitSellFor(base.target, one, one)
+            : await book.connect(trader).limitSell(one, one);
+        const placed = (await tx.wait()).logs
+            .map((l) => book.interface.parseLog(l))
+            .find((p) => p?.name === "LimitOrderPlaced");
+        return () => book.connect(trader).cancelOrder(placed.args.orderId);
+    }
+
+    it("lets the guardian pause every order book kind and the owner resume it", async function () {
+        const { owner, guardian, trader, base, books } = await deployFixture();
+        const log = () => {};
+
+        for (const [contractName, book] of Object.entries(books)) {
+            const target = { address: book.target, contractName };
+            const cancel = await restAsk(contractName, book, trader, base);
+
+            await setGuardian({ ...target, runner: owner, guardian: guardian.address, log });
+            expect(await setPaused({ ...target, runner: guardian, paused: true, log })).to.include({ changed: true });
+            expect(await setPaused({ ...target, runner: guardian, paused: true, log })).to.deep.equal({
+                changed: false,
+            });
+            expect(await readPauseState({ ...target, runner: owner })).to.include({
+                owner: owner.address,
+                guardian: guardian.address,
+                paused: true,
+            });
+
+            // Halted: no new deposits, but the resting order can still be cancelled.
+            await base.connect(trader).approve(book.target, one);
+            const deposit =
+                contractName === "PharosSpotMarket"
+                    ? book.connect(trader).deposit(base.target, one)
+                    : contractName === "SinglePairOrderBookDEXVault"
+                    ? book.connect(trader).depositBase(one)
+                    : book.connect(trader).depositBaseFor(base.target, one);
+            await expect(deposit, contractName).to.be.revertedWithCustomError(book, "EnforcedPause");
+            await cancel();
+
+            await expect(setPaused({ ...target, runner: guardian, paused: false, log })).to.be.rejected;
+            await setPaused({ ...target, runner: owner, paused: false, log });
+            expect((await readPauseState({ ...target, runner: owner })).paused, contractName).to.equal(false);
+        }
+    });
+
+    it("rejects orders on the vault books while paused and keeps withdrawals open", async function () {
+        const { owner, guardian, trader, quote, base, books } = await deployFixture();
+
+        const single = books.SinglePairOrderBookDEXVault.connect(trader);
+        await base.connect(trader).approve(single.target, one);
+        await quote.connect(trader).approve(single.target, one);
+        await single.depositBase(one);
+        await single.depositQuote(one);
+        await single.connect(owner).setGuardian(guardian.address);
+        await single.connect(guardian).pause();
+        for (const call of [
+            () => single.limitBuy(one, one),
+            () => single.limitSell(one, one),
+            () => single.marketBuy(one),
+            () => single.marketSell(one),
+        ]) {
+            await expect(call()).to.be.revertedWithCustomError(single, "EnforcedPause");
+        }
+        await expect(single.withdrawBase(one)).to.changeTokenBalance(base, trader, one);
+        await expect(single.withdrawQuote(one)).to.changeTokenBalance(quote, trader, one);
+
+        const multi = books.MultiBaseOrderBookDEXVault.connect(trader);
+        await base.connect(trader).approve(multi.target, 2n * one);
+        await quote.connect(trader).approve(multi.target, one);
+        await multi.depositBaseFor(base.target, 2n * one);
+        await multi.depositQuote(one);
+        await multi.connect(owner).setGuardian(guardian.address);
+        const orders = [
+            () => multi.limitBuyFor(base.target, one, one),
+            () => multi.limitSellFor(base.target, one, one),
+            () => multi.marketBuyFor(base.target, one),
+            () => multi.marketSellFor(base.target, one),
+        ];
+
+        await multi.connect(guardian).pauseBase(base.target);
+        for (const call of orders) {
+            await expect(call()).to.be.revertedWithCustomError(multi, "EnforcedBasePause").withArgs(base.target);
+        }
+        await expect(multi.withdrawBaseFor(base.target, one)).to.changeTokenBalance(base, trader, one);
+        await multi.connect(owner).unpauseBase(base.target);
+
+        await multi.connect(guardian).pause();
+        for (const call of orders) {
+            await expect(call()).to.be.revertedWithCustomError(multi, "EnforcedPause");
+        }
+        await expect(multi.withdrawBaseFor(base.target, one)).to.changeTokenBalance(base, trader, one);
+        await expect(multi.withdrawQuote(one)).to.changeTokenBalance(quote, trader, one);
+    });
+
+    it("pauses a single base of a multi-base book", async function () {
+        const { owner, base, books } = await deployFixture();
+        const target = {
+            address: books.MultiBaseOrderBookDEXVaultLevels.target,
+            contractName: "MultiBaseOrderBookDEXVaultLevels",
+        };
+
+        await setPaused({ ...target, runner: owner, paused: true, base: base.target, log: () => {} });
+        expect(await readPauseState({ ...target, runner: owner })).to.deep.include({
+            paused: false,
+            bases: [{ baseToken: base.target, paused: true }],
+        });
+        await expect(
+            setPaused({
+                address: books.PharosSpotMarket.target,
+                contractName: "PharosSpotMarket",
+                runner: owner,
+                paused: true,
+                base: base.target,
+            }),
+        ).to.be.rejectedWith(/trades a single pair/);
+    });
+
+    it("selects the pausable deployment record", function () {
+        const records = [
+            { key: "MockERC20.BTC", record: { contractName: "MockERC20", address: ethers.ZeroAddress } },
+            {
+                key: "PharosSpotMarket.BTC-USDT",
+                record: { contractName: "PharosSpotMarket", address: ethers.ZeroAddress },
+            },
+        ];
+        expect(selectPausableRecord(records).key).to.equal("PharosSpotMarket.BTC-USDT");
+        expect(() => selectPausableRecord(records, "MockERC20.BTC")).to.throw(
+            /pausable records: PharosSpotMarket.BTC-USDT/,
+        );
+    });
+});
@@ -0,0 +1,432 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { openIndexerDb, describeSource, createIndexer, createMarketData } = require("../indexer");
+
+function u(amount, decimals) {
+    return ethers.parseUnits(String(amount), decimals);
+}
+
+describe("event indexer", function () {
+    async function deployFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const doge = await MockERC20.deploy("Dogecoin", "DOGE", 18);
+
+        const Spot = await ethers.getContractFactory("PharosSpotMarket");
+        const spot = await Spot.deploy(btc.target, usdt.target);
+        const Dex = await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels");
+        const dex = await Dex.deploy(usdt.target);
+
+        for (const user of [alice, bob]) {
+            await usdt.mint(user.address, u(1000000, 6));
+            await btc.mint(user.address, u(10, 8));
+            await doge.mint(user.address, u(1000, 18));
+            for (const token of [usdt, btc, doge]) {
+                await token.connect(user).approve(spot.target, ethers.MaxUint256);
+                await token.connect(user).approve(dex.target, ethers.MaxUint256);
+            }
+        }
+        await spot.connect(alice).deposit(btc.target, u(2, 8));
+        await spot.connect(bob).deposit(usdt.target, u(200000, 6));
+
+        const sources = [
+            await describeSource({
+                provider: ethers.provider,
+                contractName: "PharosSpotMarket",
+                address: spot.target,
+                startBlock,
+            }),
+            await describeSource({
+                provider: ethers.provider,
+                contractName: "MultiBaseOrderBookDEXVaultLevels",
+                address: dex.target,
+                startBlock,
+            }),
+        ];
+
+        return { owner, alice, bob, usdt, btc, doge, spot, dex, sources };
+    }
+
+    // PharosSpotMarket priceE18 for a BTC/USDT (8/6 decimals) price.
+    const spotPrice = (price) => u(price, 16);
+
+    function openIndexer({ sources }, { file = ":memory:", ...opts } = {}) {
+        return createIndexer({ provider: ethers.provider, db: openIndexerDb(file), sources, ...opts });
+    }
+
+    function query(indexer, sql, ...params) {
+        return indexer.store.db.prepare(sql).all(...params);
+    }
+
+    async function expectBalancesMatchChain(indexer, { spot, dex }) {
+        const balances = query(indexer, "SELECT contract, token, user, amount FROM balances");
+        expect(balances).to.not.be.empty;
+        for (const { contract, token, user, amount } of balances) {
+            let onchain;
+            if (contract === spot.target) onchain = await spot.balances(token, user);
+            else if (token === (await dex.quoteToken())) onchain = await dex.quoteBalance(user);
+            else onchain = await dex.baseBalance(user, token);
+            expect(amount, `${contract} ${token} ${user}`).to.equal(onchain.toString());
+        }
+    }
+
+    it("indexes PharosSpotMarket orders, fills and balances", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { alice, bob, spot } = fx;
+
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0); // 1
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(60000), u("0.5", 8), 0, 0, false, 0); // 2
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(59000), u(1, 8), 0, 0, false, 0); // 3
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(61000), u("0.75", 8), 0, 0, false, 8); // 4
+        await spot.connect(bob).placeMarketOrder(0, u(1, 8), u(50000, 6), 0, 8); // 5
+        await spot.connect(bob).cancelOrder(3);
+
+        const indexer = openIndexer(fx);
+        const result = await indexer.syncOnce();
+        expect(result.to).to.equal(await ethers.provider.getBlockNumber());
+
+        expect(
+            query(
+                indexer,
+                "SELECT order_id, owner, side, is_market, remaining, status FROM orders WHERE contract = ? ORDER BY CAST(order_id AS INTEGER)",
+                spot.target,
+            ),
+        ).to.deep.equal([
+            { order_id: "1", owner: alice.address, side: "sell", is_market: 0, remaining: "0", status: "filled" },
+            { order_id: "2", owner: alice.address, side: "sell", is_market: 0, remaining: "0", status: "filled" },
+            {
+                order_id: "3",
+                owner: bob.address,
+                side: "buy",
+                is_market: 0,
+                remaining: "100000000",
+                status: "canceled",
+            },
+            { order_id: "4", owner: bob.address, side: "buy", is_market: 0, remaining: "0", status: "filled" },
+            // Only 0.75 BTC was left on the book.
+            { order_id: "5", owner: bob.address, side: "buy", is_market: 1, remaining: "25000000", status: "closed" },
+        ]);
+
+        expect(
+            query(
+                indexer,
+                "SELECT maker_order_id, taker_order_id, taker_side, amount_base, amount_quote FROM fills ORDER BY block_number, log_index",
+            ),
+        ).to.deep.equal([
+            {
+                maker_order_id: "2",
+                taker_order_id: "4",
+                taker_side: "buy",
+                amount_base: "50000000",
+                amount_quote: "30000000000",
+            },
+            {
+                maker_order_id: "1",
+                taker_order_id: "4",
+                taker_side: "buy",
+                amount_base: "25000000",
+                amount_quote: "15250000000",
+            },
+            {
+                maker_order_id: "1",
+                taker_order_id: "5",
+                taker_side: "buy",
+                amount_base: "75000000",
+                amount_quote: "45750000000",
+            },
+        ]);
+
+        const [placed] = query(indexer, "SELECT name, args FROM events WHERE name = 'OrderPlaced' LIMIT 1");
+        expect(JSON.parse(placed.args)).to.include({ orderId: "1", user: alice.address, isMarket: false });
+
+        await expectBalancesMatchChain(indexer, fx);
+    });
+
+    it("indexes MultiBaseOrderBookDEXVaultLevels orders from contract state", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { owner, alice, bob, usdt, doge, dex } = fx;
+
+        await dex.connect(owner).supportBaseToken(doge.target);
+        await dex.connect(alice).depositBaseFor(doge.target, u(100, 18));
+        await dex.connect(bob).depositQuote(u(1000, 6));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+        await dex.connect(bob).limitBuyFor(doge.target, u("2.1", 18), u(5, 18)); // crosses the ask
+        await dex.connect(bob).limitBuyFor(doge.target, u("1.5", 18), u(4, 18));
+        await dex.connect(bob).marketBuyFor(doge.target, u(4, 6)); // 2 DOGE at 2
+        const bobBids = await dex.getOpenOrdersOfFor(bob.address, doge.target);
+        await dex.connect(bob).cancelOrder(bobBids[0].id);
+
+        const indexer = openIndexer(fx);
+        await indexer.syncOnce();
+
+        expect(
+            query(
+                indexer,
+                "SELECT base_token, kind, base_decimals, quote_decimals FROM markets WHERE contract = ?",
+                dex.target,
+            ),
+        ).to.deep.equal([{ base_token: doge.target, kind: "levels", base_decimals: 18, quote_decimals: 6 }]);
+
+        const orders = query(
+            indexer,
+            "SELECT owner, side, price, remaining, status FROM orders WHERE contract = ? ORDER BY created_block",
+            dex.target,
+        );
+        expect(orders).to.deep.equal([
+            {
+                owner: alice.address,
+                side: "sell",
+                price: u(2, 18).toString(),
+                remaining: u(3, 18).toString(),
+                status: "open",
+            },
+            { owner: bob.address, side: "buy", price: u("2.1", 18).toString(), remaining: "0", status: "filled" },
+            {
+                owner: bob.address,
+                side: "buy",
+                price: u("1.5", 18).toString(),
+                remaining: u(4, 18).toString(),
+                status: "canceled",
+            },
+        ]);
+
+        const fills = query(
+            indexer,
+            "SELECT base_token, maker, taker, amount_base, amount_quote, taker_order_id FROM fills",
+        );
+        expect(fills.map((f) => [f.amount_base, f.amount_quote])).to.deep.equal([
+            [u(5, 18).toString(), u(10, 6).toString()],
+            [u(2, 18).toString(), u(4, 6).toString()],
+        ]);
+        expect(fills[0]).to.include({
+            base_token: doge.target,
+            maker: alice.address,
+            taker: bob.address,
+            taker_order_id: null,
+        });
+
+        const [quote] = query(
+            indexer,
+            "SELECT amount FROM balances WHERE contract = ? AND token = ? AND user = ?",
+            dex.target,
+            usdt.target,
+            alice.address,
+        );
+        expect(quote.amount).to.equal(u(14, 6).toString());
+        await expectBalancesMatchChain(indexer, fx);
+    });
+
+    it("marks a delisted levels market and closes its orders", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { owner, alice, bob, doge, dex } = fx;
+
+        await dex.connect(owner).supportBaseToken(doge.target);
+        await dex.connect(alice).depositBaseFor(doge.target, u(100, 18));
+        await dex.connect(bob).depositQuote(u(1000, 6));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+        await dex.connect(bob).limitBuyFor(doge.target, u("1.5", 18), u(4, 18));
+
+        const indexer = openIndexer(fx);
+        const data = createMarketData(indexer.store.db);
+        const market = () => data.resolveMarket(doge.target, dex.target);
+        await indexer.syncOnce();
+        expect(market().status).to.equal("trading");
+        const listedBlock = indexer.store.getCursor();
+
+        await dex.connect(owner).delistBase(doge.target);
+        await indexer.syncOnce();
+        expect(data.markets().find((m) => m.baseToken === doge.target).status).to.equal("delisting");
+
+        // A reorg that drops the delisting restores the previous status.
+        indexer.store.rollbackTo(listedBlock);
+        expect(market().status).to.equal("trading");
+        await indexer.syncOnce();
+        expect(market().status).to.equal("delisting");
+
+        await dex.cancelDelistedOrders(doge.target, 10);
+        await indexer.syncOnce();
+        expect(market().status).to.equal("delisted");
+        expect(
+            query(indexer, "SELECT status FROM orders WHERE contract = ?", dex.target).map((o) => o.status),
+        ).to.deep.equal(["canceled", "canceled"]);
+        expect(data.depth(market())).to.deep.include({ bids: [], asks: [] });
+        expect(data.ticker(market())).to.include({ status: "delisted", bestBid: null, bestAsk: null });
+        await expectBalancesMatchChain(indexer, fx);
+
+        await dex.connect(owner).supportBaseToken(doge.target);
+        await indexer.syncOnce();
+        expect(market().status).to.equal("trading");
+    });
+
+    it("records trading fees on fills and follows the fee recipient's balances", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { owner, alice, bob, btc, usdt, doge, spot, dex } = fx;
+        const feeDesk = ethers.Wallet.createRandom().address;
+
+        await spot.setFees(10, 30);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(60000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(60000), u("0.5", 8), 0, 0, false, 8);
+        await spot.setFeeRecipient(feeDesk);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(60000), u("0.5", 8), 0, 0, false, 8);
+
+        await dex.supportBaseToken(doge.target);
+        await dex.setFees(10, 30);
+        await dex.connect(alice).depositBaseFor(doge.target, u(100, 18));
+        await dex.connect(bob).depositQuote(u(1000, 6));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+        await dex.connect(bob).marketBuyFor(doge.target, u(10, 6));
+
+        const indexer = openIndexer(fx);
+        await indexer.syncOnce();
+
+        // Taker buys: the maker (seller) pays in quote, the taker (buyer) in base.
+        expect(
+            query(indexer, "SELECT contract, maker_fee, taker_fee FROM fills ORDER BY block_number, log_index"),
+        ).to.deep.equal([
+            { contract: spot.target, maker_fee: u(30, 6).toString(), taker_fee: u("0.0015", 8).toString() },
+            { contract: spot.target, maker_fee: u(30, 6).toString(), taker_fee: u("0.0015", 8).toString() },
+            { contract: dex.target, maker_fee: u("0.01", 6).toString(), taker_fee: u("0.015", 18).toString() },
+        ]);
+
+        const balance = (contract, token, user) =>
+            query(
+                indexer,
+                "SELECT amount FROM balances WHERE contract = ? AND token = ? AND user = ?",
+                contract,
+                token,
+                user,
+            )[0]?.amount;
+        for (const recipient of [owner.address, feeDesk]) {
+            expect(balance(spot.target, btc.target, recipient)).to.equal(u("0.0015", 8).toString());
+            expect(balance(spot.target, usdt.target, recipient)).to.equal(u(30, 6).toString());
+        }
+        expect(balance(dex.target, doge.target, owner.address)).to.equal(u("0.015", 18).toString());
+        expect(balance(dex.target, usdt.target, owner.address)).to.equal(u("0.01", 6).toString());
+        await expectBalancesMatchChain(indexer, fx);
+    });
+
+    it("backfills in batches, resumes from the stored cursor and follows new blocks", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { alice, spot } = fx;
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "pharos-indexer-")), "index.sqlite");
+
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0);
+        const first = openIndexer(fx, { file, batchSize: 3 });
+        const synced = await first.syncOnce();
+        expect(synced.from).to.equal(fx.sources[0].startBlock);
+        first.store.db.close();
+
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(62000), u(1, 8), 0, 0, false, 0);
+        const second = openIndexer(fx, { file, batchSize: 3 });
+        expect(second.store.getCursor()).to.equal(synced.to);
+
+        const running = second.run({ pollMs: 10 });
+        await spot.connect(alice).cancelOrder(1);
+        for (let i = 0; i < 100; i++) {
+            if (second.store.getOrder(spot.target, "1")?.status === "canceled") break;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        second.stop();
+        await running;
+
+        expect(
+            query(second, "SELECT order_id, status FROM orders WHERE contract = ? ORDER BY order_id", spot.target),
+        ).to.deep.equal([
+            { order_id: "1", status: "canceled" },
+            { order_id: "2", status: "open" },
+        ]);
+        expect(second.store.getCursor()).to.equal(await ethers.provider.getBlockNumber());
+        second.store.db.close();
+    });
+
+    it("keeps following after a failed sync and retries on the next poll", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { alice, spot } = fx;
+
+        // Fails the first head lookup like a dropped RPC connection.
+        let failures = 1;
+        const provider = new Proxy(ethers.provider, {
+            get(target, prop) {
+                if (prop === "getBlockNumber" && failures > 0) {
+                    failures -= 1;
+                    return async () => {
+                        throw new Error("connection reset");
+                    };
+                }
+                const value = Reflect.get(target, prop, target);
+                return typeof value === "function" ? value.bind(target) : value;
+            },
+        });
+        const logs = [];
+        const indexer = openIndexer(fx, { provider, log: (msg) => logs.push(msg) });
+
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0);
+        const running = indexer.run({ pollMs: 10, maxBackoffMs: 20 });
+        for (let i = 0; i < 100; i++) {
+            if (indexer.store.getOrder(spot.target, "1")) break;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        indexer.stop();
+        await running;
+
+        expect(failures).to.equal(0);
+        expect(logs.filter((msg) => msg.startsWith("[WARN]"))).to.deep.equal([
+            "[WARN] sync failed (1 in a row), retrying in 20ms: connection reset",
+        ]);
+        expect(indexer.store.getOrder(spot.target, "1")?.status).to.equal("open");
+        expect(indexer.store.getCursor()).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("rolls back to a confirmed block and re-indexes after a reorg", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { alice, bob, usdt, spot } = fx;
+        const indexer = openIndexer(fx, { confirmations: 2 });
+        await indexer.syncOnce();
+        const forkBlock = await ethers.provider.getBlockNumber();
+
+        // The branch that gets replaced: a trade that moves balances.
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(bob).placeMarketOrder(0, u(1, 8), u(61000, 6), 0, 8);
+        await mine(3);
+        await indexer.syncOnce();
+        expect(query(indexer, "SELECT COUNT(*) AS n FROM fills")[0].n).to.equal(1);
+        const replacedHead = indexer.store.getCursor();
+
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(62000), u("0.5", 8), 0, 0, false, 0);
+        await mine(replacedHead - (await ethers.provider.getBlockNumber()) + 1);
+
+        const result = await indexer.syncOnce();
+        expect(result.rolledBackTo).to.be.at.most(forkBlock);
+        expect(result.to).to.equal(replacedHead + 1);
+
+        expect(query(indexer, "SELECT COUNT(*) AS n FROM fills")[0].n).to.equal(0);
+        expect(
+            query(indexer, "SELECT order_id, price, remaining, status FROM orders WHERE contract = ?", spot.target),
+        ).to.deep.equal([
+            { order_id: "1", price: spotPrice(62000).toString(), remaining: u("0.5", 8).toString(), status: "open" },
+        ]);
+        expect(
+            query(indexer, "SELECT name FROM events WHERE block_number > ?", forkBlock).map((e) => e.name),
+        ).to.deep.equal(["OrderPlaced"]);
+
+        const [bobQuote] = query(
+            indexer,
+            "SELECT amount FROM balances WHERE contract = ? AND token = ? AND user = ?",
+            spot.target,
+            usdt.target,
+            bob.address,
+        );
+        expect(bobQuote.amount).to.equal(u(200000, 6).toString());
+        await expectBalancesMatchChain(indexer, fx);
+    });
+});
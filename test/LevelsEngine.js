@@ -0,0 +1,359 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { createLevelsEngine, revertErrorName } = require("../sdk");
+const { createRandom } = require("../sim/order-flow");
+
+describe("levels engine (off-chain MultiBaseOrderBookDEXVaultLevels)", function () {
+    const e = (n, d) => BigInt(n) * 10n ** BigInt(d);
+
+    // Quote with 6 decimals against an 18- and an 8-decimal base, three funded traders, and an engine that
+    // derives the same order ids. Not a loadFixture fixture: the engine's state lives outside the chain.
+    async function deployFixture() {
+        const [owner, ...traders] = (await ethers.getSigners()).slice(0, 4);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+        const doge = await MockERC20.deploy("Doge", "DOGE", 18);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const dex = await (await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels")).deploy(usdc.target);
+
+        let timestamp = 0n;
+        const engine = createLevelsEngine({
+            quoteToken: usdc.target,
+            quoteDecimals: 6,
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            address: dex.target,
+            now: () => timestamp,
+            feeRecipient: owner.address,
+        });
+        const bases = [
+            { token: doge, decimals: 18 },
+            { token: btc, decimals: 8 },
+        ];
+        for (const { token, decimals } of bases) {
+            await dex.supportBaseToken(token.target);
+            engine.supportBaseToken(token.target, decimals);
+        }
+        for (const trader of traders) {
+            await usdc.mint(trader.address, e(1_000_000, 6));
+            await usdc.connect(trader).approve(dex.target, ethers.MaxUint256);
+            for (const { token, decimals } of bases) {
+                await token.mint(trader.address, e(1_000_000, decimals));
+                await token.connect(trader).approve(dex.target, ethers.MaxUint256);
+            }
+        }
+
+        // Sends `method(...args)` from `trader` to both at the same block timestamp and returns both outcomes.
+        async function both(trader, method, ...args) {
+            timestamp = BigInt((await time.latest()) + 1);
+            await time.setNextBlockTimestamp(timestamp);
+            const onChain = { error: null, events: [] };
+            try {
+                const receipt = await (await dex.connect(trader)[method](...args)).wait();
+                onChain.events = receipt.logs
+                    .filter((log) => log.address === dex.target)
+                    .map((log) => dex.interface.parseLog(log))
+                    .map((p) => ({
+                        name: p.name,
+                        args: Object.fromEntries(p.fragment.inputs.map((input, i) => [input.name, p.args[i]])),
+                    }));
+            } catch (err) {
+                onChain.error = revertErrorName(dex, err) || err.message;
+            }
+            const offChain = { error: null, events: [] };
+            try {
+                offChain.events = engine[method](trader.address, ...args).events;
+            } catch (err) {
+                offChain.error = revertErrorName(dex, err) || err.message;
+            }
+            return { onChain, offChain };
+        }
+
+        return { owner, dex, engine, usdc, bases, traders, both };
+    }
+
+    // bigint / number / enum differences aside, compare as strings.
+    const plain = (value) => JSON.parse(JSON.stringify(value, (k, v) => (typeof v === "bigint" ? String(v) : v)));
+    const normalize = (value) => JSON.stringify(plain(value), (k, v) => (typeof v === "number" ? String(v) : v));
+
+    async function expectSameState({ owner, dex, engine, bases, traders }, orderIds) {
+        expect(await dex.feeRecipient()).to.equal(engine.feeRecipient());
+        for (const { token } of bases) {
+            const base = token.target;
+            const depth = await dex.getOrderBookDepthFor(base, 20);
+            expect(normalize(depth.map((side) => [...side]))).to.equal(
+                normalize(engine.getOrderBookDepthFor(base, 20)),
+            );
+            expect(await dex.bestBidPrice(base)).to.equal(engine.bestBidPrice(base));
+            expect(await dex.bestAskPrice(base)).to.equal(engine.bestAskPrice(base));
+            expect(await dex.lastTradePriceForBase(base)).to.equal(engine.lastTradePriceForBase(base));
+            for (const trader of traders) {
+                expect(
+                    normalize((await dex.getOpenOrdersOfFor(trader.address, base)).map((o) => o.toObject())),
+                ).to.equal(normalize(engine.getOpenOrdersOfFor(trader.address, base)));
+            }
+        }
+        for (const account of [...traders, owner]) {
+            expect(await dex.quoteBalance(account.address)).to.equal(engine.quoteBalance(account.address));
+            for (const { token } of bases) {
+                expect(await dex.baseBalance(account.address, token.target)).to.equal(
+                    engine.baseBalance(account.address, token.target),
+                );
+            }
+        }
+        for (const id of orderIds) {
+            expect(normalize((await dex.orders(id)).toObject())).to.equal(normalize(engine.orders(id)));
+        }
+    }
+
+    it("mirrors the contract call by call: ids, events, reverts, quotes, fees, balances, levels and orders", async function () {
+        const fixture = await deployFixture();
+        const { dex, engine, bases, traders, both } = fixture;
+        const random = createRandom(5);
+        const randInt = (lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+        const orderIds = [];
+
+        // Default rates, and a BTC override with a free maker side.
+        await dex.setFees(10, 25);
+        engine.setFees(10, 25);
+        await dex.setBaseFees(bases[1].token.target, 0, 40);
+        engine.setBaseFees(bases[1].token.target, 0, 40);
+
+        for (const trader of traders) {
+            await both(trader, "depositQuote", e(2_000, 6));
+            for (const { token, decimals } of bases)
+                await both(trader, "depositBaseFor", token.target, e(2_000, decimals));
+        }
+
+        for (let step = 0; step < 80; step++) {
+            const trader = traders[randInt(0, traders.length - 1)];
+            const { token, decimals } = bases[randInt(0, bases.length - 1)];
+            const base = token.target;
+            // Tenths of a unit, sometimes with dust below one quote unit, and now and then more than the balance.
+            const amount = e(randInt(1, 300), decimals - 1) + (random() < 0.3 ? BigInt(randInt(1, 999)) : 0n);
+            const price = e(1, 18) + BigInt(randInt(-6, 6)) * e(37, 14);
+            const r = random();
+            let call;
+            if (r < 0.05) call = ["withdrawQuote", e(randInt(1, 3000), 6)];
+            else if (r < 0.1) call = ["depositBaseFor", base, amount];
+            else if (r < 0.55) call = [random() < 0.5 ? "limitBuyFor" : "limitSellFor", base, price, amount];
+            else if (r < 0.6) call = ["marketBuyFor", base, e(randInt(1, 300), 5)];
+            else if (r < 0.65) call = ["marketBuyWithMaxPriceFor", base, e(randInt(1, 300), 5), price];
+            else if (r < 0.7) call = ["marketSellFor", base, amount];
+            else if (r < 0.75) call = ["marketSellWithMinPriceFor", base, amount, price];
+            else if (orderIds.length > 0) call = ["cancelOrder", orderIds[randInt(0, orderIds.length - 1)]];
+            else continue;
+
+            const { onChain, offChain } = await both(trader, ...call);
+            expect(offChain.error, `step ${step} ${call[0]}`).to.equal(onChain.error);
+            expect(normalize(offChain.events), `step ${step} ${call[0]}`).to.equal(normalize(onChain.events));
+            for (const ev of onChain.events) if (ev.name === "LimitOrderPlaced") orderIds.push(ev.args.orderId);
+
+            const budget = e(randInt(1, 300), 5) + BigInt(randInt(0, 99));
+            expect(normalize((await dex.quoteMarketBuyFor(base, budget)).toObject()), `step ${step} quote`).to.equal(
+                normalize(engine.quoteMarketBuyFor(base, budget)),
+            );
+            expect(normalize((await dex.quoteMarketSellFor(base, amount)).toObject()), `step ${step} quote`).to.equal(
+                normalize(engine.quoteMarketSellFor(base, amount)),
+            );
+        }
+
+        expect(orderIds.length).to.be.greaterThan(20);
+        await expectSameState(fixture, orderIds);
+    });
+
+    it("cancels a dust order instead of stalling on it, like the contract (audit High-01)", async function () {
+        const fixture = await deployFixture();
+        const { engine, bases, traders, both } = fixture;
+        const [alice, bob] = traders;
+        const base = bases[0].token.target;
+
+        await both(alice, "depositBaseFor", base, e(10, 18));
+        await both(bob, "depositQuote", e(100, 6));
+        // 1 wei of base at 0.5 is worth less than one quote unit, so no bid can ever fill it.
+        const dust = await both(alice, "limitSellFor", base, e(5, 17), 1n);
+        await both(alice, "limitSellFor", base, e(6, 17), e(1, 18));
+        const { onChain, offChain } = await both(bob, "limitBuyFor", base, e(1, 18), e(2, 18));
+        expect(offChain.events.map((ev) => ev.name)).to.deep.equal(["LimitOrderPlaced", "OrderCancelled", "Trade"]);
+        expect(normalize(offChain.events)).to.equal(normalize(onChain.events));
+        expect(engine.bestAskPrice(base)).to.equal(0n);
+
+        // A partial fill leaves 1 wei of the bid at the top of the book; the next market sell cancels it and
+        // goes on to the bid below.
+        await both(alice, "marketSellFor", base, e(1, 18) - 1n);
+        await both(bob, "limitBuyFor", base, e(9, 17), e(1, 18));
+        const sell = await both(alice, "marketSellFor", base, e(1, 18));
+        expect(sell.offChain.events.map((ev) => ev.name)).to.deep.equal(["OrderCancelled", "Trade"]);
+        expect(normalize(sell.offChain.events)).to.equal(normalize(sell.onChain.events));
+
+        // With a minimum notional the dust order is not accepted in the first place.
+        await fixture.dex.setOrderLimits(base, 0, e(1, 6));
+        engine.setOrderLimits(base, 0, e(1, 6));
+        const rejected = await both(alice, "limitSellFor", base, e(5, 17), 1n);
+        expect(rejected.offChain.error).to.equal("NotionalTooSmall");
+        expect(rejected.onChain.error).to.equal("NotionalTooSmall");
+
+        const ids = [dust.onChain.events[0].args.orderId, onChain.events[0].args.orderId];
+        await expectSameState(fixture, ids);
+    });
+
+    it("rejects off-grid orders and rounds market buys to the lot, like the contract", async function () {
+        const fixture = await deployFixture();
+        const { dex, engine, bases, traders, both } = fixture;
+        const [alice, bob] = traders;
+        const base = bases[1].token.target; // 8 decimals
+
+        // 1 USDT ticks and 0.01 BTC lots.
+        await dex.setMarketGrid(base, e(1, 18), e(1, 6));
+        engine.setMarketGrid(base, e(1, 18), e(1, 6));
+        expect(engine.marketGrid(base)).to.deep.equal({ tickSize: e(1, 18), lotSize: e(1, 6) });
+
+        await both(alice, "depositBaseFor", base, e(1, 8));
+        await both(bob, "depositQuote", e(10_000, 6));
+        for (const [trader, call, error] of [
+            [alice, ["limitSellFor", base, e(60_000, 18) + e(5, 17), e(1, 7)], "PriceNotOnTick"],
+            [alice, ["limitSellFor", base, e(60_000, 18), e(1, 7) + 1n], "AmountNotOnLot"],
+            [alice, ["marketSellFor", base, e(5, 5)], "AmountNotOnLot"],
+        ]) {
+            const { onChain, offChain } = await both(trader, ...call);
+            expect(onChain.error).to.equal(error);
+            expect(offChain.error).to.equal(error);
+        }
+        const ask = await both(alice, "limitSellFor", base, e(60_000, 18), e(1, 7));
+
+        // 1,000 USDT would buy 0.01666 BTC; the fill stops at one whole lot.
+        const { onChain, offChain } = await both(bob, "marketBuyFor", base, e(1_000, 6));
+        expect(normalize(offChain.events)).to.equal(normalize(onChain.events));
+        expect(onChain.events.find((ev) => ev.name === "Trade").args.amountBase).to.equal(e(1, 6));
+        await expectSameState(fixture, [ask.onChain.events[0].args.orderId]);
+    });
+
+    it("halts trading like the contract while withdrawals and cancels go through", async function () {
+        const fixture = await deployFixture();
+        const { owner, dex, engine, bases, traders, both } = fixture;
+        const [alice, bob, guardian] = traders;
+        const base = bases[0].token.target;
+
+        await dex.setGuardian(guardian.address);
+        engine.setGuardian(guardian.address);
+        await both(alice, "depositBaseFor", base, e(10, 18));
+        await both(bob, "depositQuote", e(100, 6));
+        const ask = await both(alice, "limitSellFor", base, e(1, 18), e(5, 18));
+
+        const expectSame = async (trader, call, error) => {
+            const { onChain, offChain } = await both(trader, ...call);
+            expect(onChain.error, call[0]).to.equal(error);
+            expect(offChain.error, call[0]).to.equal(error);
+            expect(normalize(offChain.events), call[0]).to.equal(normalize(onChain.events));
+        };
+        await expectSame(guardian, ["pauseBase", base], null);
+        await expectSame(guardian, ["pauseBase", base], "EnforcedBasePause");
+        await expectSame(bob, ["limitBuyFor", base, e(1, 18), e(1, 18)], "EnforcedBasePause");
+        await expectSame(alice, ["marketSellFor", base, e(1, 18)], "EnforcedBasePause");
+        await expectSame(alice, ["depositBaseFor", base, e(1, 18)], "EnforcedBasePause");
+        await expectSame(bob, ["depositQuote", e(1, 6)], null);
+        await expectSame(owner, ["unpauseBase", base], null);
+        await expectSame(owner, ["unpauseBase", base], "ExpectedBasePause");
+
+        await expectSame(guardian, ["pause"], null);
+        await expectSame(bob, ["marketBuyFor", base, e(1, 6)], "EnforcedPause");
+        await expectSame(bob, ["depositQuote", e(1, 6)], "EnforcedPause");
+        await expectSame(alice, ["cancelOrder", ask.onChain.events[0].args.orderId], null);
+        await expectSame(alice, ["withdrawBaseFor", base, e(10, 18)], null);
+        await expectSame(owner, ["unpause"], null);
+        await expectSame(bob, ["marketBuyFor", base, e(1, 6)], null);
+
+        expect(engine.paused()).to.equal(await dex.paused());
+        expect(engine.guardian()).to.equal(await dex.guardian());
+        await expectSameState(fixture, [ask.onChain.events[0].args.orderId]);
+    });
+
+    it("delists a base like the contract: batch cancels, refunds and the supported list", async function () {
+        const fixture = await deployFixture();
+        const { dex, engine, bases, traders, both } = fixture;
+        const [alice, bob, carol] = traders;
+        const base = bases[0].token.target;
+        const orderIds = [];
+
+        await both(alice, "depositBaseFor", base, e(50, 18));
+        await both(bob, "depositQuote", e(100, 6));
+        for (const [trader, method, price] of [
+            [alice, "limitSellFor", e(2, 18)],
+            [alice, "limitSellFor", e(2, 18)],
+            [alice, "limitSellFor", e(3, 18)],
+            [bob, "limitBuyFor", e(1, 18)],
+            [bob, "limitBuyFor", e(5, 17)],
+        ]) {
+            const { onChain } = await both(trader, method, base, price, e(5, 18));
+            orderIds.push(onChain.events[0].args.orderId);
+        }
+        await both(bob, "marketBuyFor", base, e(3, 6));
+
+        const expectSame = async (trader, call, error = null) => {
+            const { onChain, offChain } = await both(trader, ...call);
+            expect(onChain.error, call[0]).to.equal(error);
+            expect(offChain.error, call[0]).to.equal(error);
+            expect(normalize(offChain.events), call[0]).to.equal(normalize(onChain.events));
+            return offChain.events;
+        };
+        await expectSame(carol, ["cancelDelistedOrders", base, 1], "NotDelisting");
+        // Settings the relisted base must not inherit: a 2-unit lot would reject the 1-unit bid below.
+        for (const [method, ...args] of [
+            ["setMarketGrid", base, e(1, 17), e(2, 18)],
+            ["setOrderLimits", base, e(2, 18), 0n],
+            ["setBaseFees", base, 10, 30],
+            ["delistBase", base],
+        ]) {
+            await dex[method](...args);
+            engine[method](...args);
+        }
+        await dex.pauseBase(base);
+        engine.pauseBase(fixture.owner.address, base);
+        await expectSame(bob, ["limitBuyFor", base, e(1, 18), e(1, 18)], "DelistedBase");
+        await expectSame(alice, ["depositBaseFor", base, e(1, 18)], "DelistedBase");
+
+        const batches = [];
+        for (let i = 0; i < 3; i++) batches.push(await expectSame(carol, ["cancelDelistedOrders", base, 2]));
+        expect(batches.map((events) => events.map((ev) => ev.name))).to.deep.equal([
+            ["OrderCancelled", "OrderCancelled"],
+            ["OrderCancelled", "OrderCancelled"],
+            ["OrderCancelled", "BaseDelisted"],
+        ]);
+        expect(engine.getSupportedBases()).to.deep.equal(await dex.getSupportedBases());
+        await expectSame(carol, ["cancelDelistedOrders", base, 2], "UnsupportedBaseToken");
+        await expectSame(alice, ["withdrawBaseFor", base, engine.baseBalance(alice.address, base)]);
+
+        await dex.supportBaseToken(base);
+        engine.supportBaseToken(base, 18);
+        expect(engine.isBaseDelisted(base)).to.equal(await dex.isBaseDelisted(base));
+        expect(plain(engine.marketGrid(base))).to.deep.equal({ tickSize: "0", lotSize: "0" });
+        expect(engine.basePaused(base)).to.equal(await dex.basePaused(base));
+        const { makerBps, takerBps } = engine.feeRatesFor(base);
+        expect([makerBps, takerBps].map(Number)).to.deep.equal([...(await dex.feeRatesFor(base))].map(Number));
+        await expectSame(bob, ["limitBuyFor", base, e(1, 18), e(1, 18)]);
+        await expectSameState(fixture, orderIds);
+    });
+
+    it("previews market orders without changing the book", async function () {
+        const fixture = await deployFixture();
+        const { engine, bases, traders, both } = fixture;
+        const [alice, bob] = traders;
+        const base = bases[1].token.target; // 8 decimals
+
+        await both(alice, "depositBaseFor", base, e(3, 8));
+        await both(bob, "depositQuote", e(200_000, 6));
+        await both(alice, "limitSellFor", base, e(60_000, 18), e(1, 8));
+        await both(alice, "limitSellFor", base, e(61_000, 18), e(2, 8));
+
+        const preview = engine.previewMarketBuyFor(base, e(90_500, 6));
+        expect(engine.getOrderBookDepthFor(base, 2)[3]).to.deep.equal([e(1, 8), e(2, 8)]);
+        expect(preview.levels).to.equal(2);
+        expect(preview.quote).to.equal(e(60_000, 6) + e(30_500, 6));
+        expect(preview.filledBase).to.equal(e(15, 7));
+        expect(preview.averagePrice).to.equal((e(90_500, 18) * 10n) / 15n);
+
+        const { onChain } = await both(bob, "marketBuyFor", base, e(90_500, 6));
+        expect(onChain.events.map((ev) => ev.args.amountBase)).to.deep.equal(preview.trades.map((t) => t.amountBase));
+        expect(engine.previewMarketSellFor(base, e(1, 8)).filledBase).to.equal(0n);
+    });
+});
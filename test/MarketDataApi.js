@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const WebSocket = require("ws");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { openIndexerDb, describeSource, createIndexer, createMarketDataServer } = require("../indexer");
+
+function u(amount, decimals) {
+    return ethers.parseUnits(String(amount), decimals);
+}
+
+describe("market-data API", function () {
+    // PharosSpotMarket priceE18 for a BTC/USDT (8/6 decimals) price.
+    const spotPrice = (price) => u(price, 16);
+
+    async function deployFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const doge = await MockERC20.deploy("Dogecoin", "DOGE", 18);
+
+        const Spot = await ethers.getContractFactory("PharosSpotMarket");
+        const spot = await Spot.deploy(btc.target, usdt.target);
+        const Dex = await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels");
+        const dex = await Dex.deploy(usdt.target);
+        await dex.connect(owner).supportBaseToken(btc.target);
+        await dex.connect(owner).supportBaseToken(doge.target);
+
+        for (const user of [alice, bob]) {
+            await usdt.mint(user.address, u(1000000, 6));
+            await btc.mint(user.address, u(10, 8));
+            await doge.mint(user.address, u(1000, 18));
+            for (const token of [usdt, btc, doge]) {
+                await token.connect(user).approve(spot.target, ethers.MaxUint256);
+                await token.connect(user).approve(dex.target, ethers.MaxUint256);
+            }
+        }
+
+        await spot.connect(alice).deposit(btc.target, u(3, 8));
+        await spot.connect(bob).deposit(usdt.target, u(200000, 6));
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(60000), u("0.5", 8), 0, 0, false, 0);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(59000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(61000), u("0.75", 8), 0, 0, false, 8);
+
+        await dex.connect(alice).depositBaseFor(doge.target, u(100, 18));
+        await dex.connect(bob).depositQuote(u(1000, 6));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+        await dex.connect(bob).limitBuyFor(doge.target, u("2.1", 18), u(5, 18));
+
+        const sources = [];
+        for (const [contractName, address] of [
+            ["PharosSpotMarket", spot.target],
+            ["MultiBaseOrderBookDEXVaultLevels", dex.target],
+        ]) {
+            sources.push(await describeSource({ provider: ethers.provider, contractName, address, startBlock }));
+        }
+
+        return { owner, alice, bob, usdt, btc, doge, spot, dex, sources };
+    }
+
+    async function startService(fx) {
+        const db = openIndexerDb(":memory:");
+        const indexer = createIndexer({ provider: ethers.provider, db, sources: fx.sources });
+        await indexer.syncOnce();
+
+        // Other test files move the chain clock; measure the 24h ticker window from the chain head.
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const service = createMarketDataServer({ db, indexer, now: () => timestamp });
+        const { port } = await service.listen(0);
+        const base = `http://127.0.0.1:${port}`;
+        const get = async (path) => {
+            const res = await fetch(`${base}${path}`);
+            return { status: res.status, body: await res.json() };
+        };
+        return { db, indexer, service, port, get };
+    }
+
+    // Collects WebSocket messages so tests can wait for the next one matching a predicate.
+    function connect(port) {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+        const received = [];
+        const waiters = [];
+        ws.on("message", (raw) => {
+            const msg = JSON.parse(String(raw));
+            const i = waiters.findIndex((w) => w.match(msg));
+            if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+            else received.push(msg);
+        });
+        const next = (match) => {
+            const i = received.findIndex(match);
+            if (i >= 0) return Promise.resolve(received.splice(i, 1)[0]);
+            return new Promise((resolve) => waiters.push({ match, resolve }));
+        };
+        return new Promise((resolve, reject) => {
+            ws.once("open", () => resolve({ ws, next, send: (msg) => ws.send(JSON.stringify(msg)) }));
+            ws.once("error", reject);
+        });
+    }
+
+    it("serves markets, depth, trades, tickers and orders over REST", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { bob, btc, doge, spot, dex } = fx;
+        const { service, get } = await startService(fx);
+
+        try {
+            const markets = await get("/markets");
+            expect(markets.body.markets.map((m) => [m.contract, m.baseToken, m.kind])).to.have.deep.members([
+                [spot.target, btc.target, "spot"],
+                [dex.target, btc.target, "levels"],
+                [dex.target, doge.target, "levels"],
+            ]);
+
+            const ambiguous = await get(`/depth/${btc.target}`);
+            expect(ambiguous.status).to.equal(409);
+            expect(ambiguous.body.error).to.match(/listed on several contracts/);
+
+            const spotDepth = await get(`/depth/${btc.target}?contract=${spot.target}`);
+            expect(spotDepth.body.bids.map((l) => [l.price, l.amount])).to.deep.equal([["59000.0", "1.0"]]);
+            expect(spotDepth.body.asks.map((l) => [l.price, l.amount])).to.deep.equal([["61000.0", "0.75"]]);
+            expect(spotDepth.body.asks[0]).to.include({
+                priceRaw: spotPrice(61000).toString(),
+                amountBase: u("0.75", 8).toString(),
+            });
+
+            const dogeDepth = await get(`/depth/${doge.target.toLowerCase()}`);
+            expect(dogeDepth.body.asks.map((l) => [l.price, l.amount])).to.deep.equal([["2.0", "5.0"]]);
+            expect(dogeDepth.body.bids).to.deep.equal([]);
+
+            const trades = await get(`/trades/${doge.target}`);
+            expect(trades.body.trades).to.have.length(1);
+            expect(trades.body.trades[0]).to.include({
+                side: "buy",
+                price: "2.0",
+                amount: "5.0",
+                quoteAmount: "10.0",
+                makerFee: "0.0",
+                takerFee: "0.0",
+            });
+
+            const spotTrades = await get(`/trades/${btc.target}?contract=${spot.target}&limit=1`);
+            expect(spotTrades.body.trades.map((t) => [t.price, t.amount])).to.deep.equal([["61000.0", "0.25"]]);
+
+            const ticker = await get(`/ticker?base=${btc.target}&contract=${spot.target}`);
+            expect(ticker.body).to.include({
+                last: "61000.0",
+                high24h: "61000.0",
+                low24h: "60000.0",
+                open24h: "60000.0",
+                volumeBase24h: "0.75",
+                volumeQuote24h: "45250.0",
+                trades24h: 2,
+                bestBid: "59000.0",
+                bestAsk: "61000.0",
+            });
+            expect((await get("/ticker")).body.tickers).to.have.length(3);
+
+            const open = await get(`/orders/${bob.address}`);
+            expect(open.body.orders.map((o) => [o.market, o.side, o.price, o.remaining])).to.deep.equal([
+                [`${spot.target}:${btc.target}`, "buy", "59000.0", "1.0"],
+            ]);
+            const all = await get(`/orders/${bob.address.toLowerCase()}?status=all`);
+            expect(all.body.orders.map((o) => o.status).sort()).to.deep.equal(["filled", "filled", "open"]);
+
+            expect((await get("/orders/nope")).status).to.equal(400);
+            expect((await get("/depth/0x0000000000000000000000000000000000000001")).status).to.equal(404);
+            expect((await get("/nope")).status).to.equal(404);
+            expect((await get(`/trades/${doge.target}?limit=0`)).status).to.equal(400);
+        } finally {
+            await service.close();
+        }
+    });
+
+    it("pushes depth snapshots, incremental updates and trades over WebSocket", async function () {
+        const fx = await loadFixture(deployFixture);
+        const { alice, btc, spot } = fx;
+        const { indexer, service, port } = await startService(fx);
+        const client = await connect(port);
+
+        try {
+            client.send({ op: "subscribe", channel: "depth", base: btc.target, contract: spot.target });
+            client.send({ op: "subscribe", channel: "trades", base: btc.target, contract: spot.target });
+            client.send({ op: "subscribe", channel: "depth", base: btc.target });
+
+            const snapshot = await client.next((m) => m.type === "depth");
+            expect(snapshot).to.include({ snapshot: true, seq: 0 });
+            expect(snapshot.bids.map((l) => [l.price, l.amount])).to.deep.equal([["59000.0", "1.0"]]);
+            expect((await client.next((m) => m.type === "error")).message).to.match(/several contracts/);
+
+            // Sells into the 59000 bid and posts a new ask level.
+            await spot.connect(alice).placeLimitOrder(1, spotPrice(59000), u("0.25", 8), 0, 0, false, 8);
+            await spot.connect(alice).placeLimitOrder(1, spotPrice(62000), u("0.5", 8), 0, 0, false, 0);
+            await indexer.syncOnce();
+
+            const trade = await client.next((m) => m.type === "trade");
+            expect(trade).to.include({ side: "sell", price: "59000.0", amount: "0.25", quoteAmount: "14750.0" });
+
+            const first = await client.next((m) => m.type === "depth");
+            expect(first).to.include({ snapshot: false, seq: 1 });
+            expect(first.bids.map((l) => [l.price, l.amount])).to.deep.equal([["59000.0", "0.75"]]);
+            expect(first.asks).to.deep.equal([]);
+
+            const second = await client.next((m) => m.type === "depth");
+            expect(second).to.include({ seq: 2 });
+            expect(second.asks.map((l) => [l.price, l.amount])).to.deep.equal([["62000.0", "0.5"]]);
+
+            await spot.connect(alice).cancelOrder(6);
+            await indexer.syncOnce();
+            const removed = await client.next((m) => m.type === "depth");
+            expect(removed.asks.map((l) => [l.price, l.amount])).to.deep.equal([["62000.0", "0.0"]]);
+        } finally {
+            client.ws.close();
+            await service.close();
+        }
+    });
+});
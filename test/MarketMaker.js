@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { connectSpotMarket, connectLevelsMarket } = require("../sdk");
+const { buildLadder, createPriceSource, createMarketMaker, fundFromMock } = require("../bots/market-maker");
+
+describe("market-maker bot", function () {
+    async function deployFixture() {
+        const [owner, maker, taker] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const doge = await MockERC20.deploy("Dogecoin", "DOGE", 18);
+
+        const spot = await (await ethers.getContractFactory("PharosSpotMarket")).deploy(btc.target, usdt.target);
+        const dex = await (await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels")).deploy(usdt.target);
+        await dex.supportBaseToken(doge.target);
+
+        const spotMaker = await connectSpotMarket({ address: spot.target, runner: maker });
+        const spotTaker = await connectSpotMarket({ address: spot.target, runner: taker });
+        const dogeMaker = await connectLevelsMarket({ address: dex.target, base: doge.target, runner: maker });
+        const dogeTaker = await connectLevelsMarket({ address: dex.target, base: doge.target, runner: taker });
+        await fundFromMock(spotMaker, { base: "1", quote: "100000" });
+        await fundFromMock(spotTaker, { base: "1", quote: "100000" });
+        await fundFromMock(dogeMaker, { base: "5000", quote: "1000" });
+        await fundFromMock(dogeTaker, { base: "5000", quote: "1000" });
+
+        return { owner, maker, taker, spot, dex, spotMaker, spotTaker, dogeMaker, dogeTaker };
+    }
+
+    const levels = (depth) => ({
+        bids: depth.bids.map((l) => [l.price, l.amount]),
+        asks: depth.asks.map((l) => [l.price, l.amount]),
+    });
+
+    it("builds a ladder around the mid and reads reference prices", async function () {
+        const { spotMaker } = await loadFixture(deployFixture);
+
+        expect(buildLadder({ midE18: 10000n, spreadBps: 100n, levels: 2, levelStepBps: 50n })).to.deep.equal({
+            bids: [9950n, 9900n],
+            asks: [10050n, 10100n],
+        });
+        // Asks round up, bids down.
+        expect(buildLadder({ midE18: 333n, spreadBps: 100n, levels: 1, levelStepBps: 0n })).to.deep.equal({
+            bids: [331n],
+            asks: [335n],
+        });
+
+        const walk = createPriceSource({ type: "random-walk", price: "60000", stepBps: 10 }, spotMaker, {
+            random: () => 1,
+        });
+        expect([await walk(), await walk()]).to.deep.equal(["60060.0", "60120.06"]);
+        expect(await createPriceSource("61000", spotMaker)()).to.equal("61000");
+        expect(await createPriceSource({ type: "last", fallback: "59000" }, spotMaker)()).to.equal("59000");
+        expect(() => createPriceSource({ type: "oracle" }, spotMaker)).to.throw(/Unknown price source/);
+        expect(() => createMarketMaker({ market: spotMaker, kind: "spot", config: { levels: 0 } })).to.throw(
+            /Invalid levels/,
+        );
+    });
+
+    it("quotes PharosSpotMarket postOnly within inventory limits and requotes on moves and fills", async function () {
+        const { spotMaker, spotTaker } = await loadFixture(deployFixture);
+        let mid = "60000";
+        const mm = createMarketMaker({
+            market: spotMaker,
+            kind: "spot",
+            referencePrice: async () => mid,
+            config: { spreadBps: 100, levels: 3, levelStepBps: 50, size: "0.2", requoteBps: 20, maxBase: "1.3" },
+        });
+
+        // 1 BTC held and maxBase 1.3: room for a single 0.2 bid; asks can use the whole balance.
+        const first = await mm.tick();
+        expect(first).to.include({ action: "requote", reason: "initial", canceled: 0 });
+        expect(levels(await spotMaker.getDepth())).to.deep.equal({
+            bids: [["59700.0", "0.2"]],
+            asks: [
+                ["60300.0", "0.2"],
+                ["60600.0", "0.2"],
+                ["60900.0", "0.2"],
+            ],
+        });
+
+        mid = "60100"; // ~17 bps
+        expect(await mm.tick()).to.deep.equal({ action: "hold", mid });
+        mid = "60200";
+        expect(await mm.tick()).to.include({ action: "requote", reason: "moved", canceled: 4 });
+        expect((await spotMaker.getDepth()).bids.map((l) => l.price)).to.deep.equal(["59899.0"]);
+
+        await spotTaker.placeMarketOrder({ side: "buy", amount: "0.1", maxQuoteIn: "7000" });
+        const afterFill = await mm.tick();
+        expect(afterFill).to.include({ action: "requote", reason: "fill", canceled: 4 });
+        // 0.9 BTC left: two bids fit under maxBase now.
+        expect(afterFill.placed.map((o) => o.side)).to.deep.equal(["buy", "buy", "sell", "sell", "sell"]);
+        expect(await mm.cancelAll()).to.equal(5);
+        expect(await spotMaker.openOrders()).to.deep.equal([]);
+
+        // A resting bid from someone else above the best ask levels: those levels are skipped, not crossed.
+        await spotTaker.placeLimitOrder({ side: "buy", price: "60600", amount: "0.1" });
+        mid = "60000";
+        const crossed = await mm.tick();
+        expect(crossed.placed.map((o) => [o.side, o.price])).to.deep.equal([
+            ["buy", "59700.0"],
+            ["buy", "59400.0"],
+            ["sell", "60900.0"],
+        ]);
+    });
+
+    it("quotes whole lots when size is not a multiple of the lot size and holds until something changes", async function () {
+        const { spot, spotMaker } = await loadFixture(deployFixture);
+        await spot.setMarketGrid(0, 10n ** 7n); // 0.1 BTC lots
+        const mm = createMarketMaker({
+            market: spotMaker,
+            kind: "spot",
+            referencePrice: async () => "60000",
+            config: { spreadBps: 100, levels: 3, levelStepBps: 50, size: "0.25", maxBase: "1.45" },
+        });
+
+        // Quotes are 0.2 BTC, so two bids fit in the 0.45 BTC of room under maxBase.
+        const first = await mm.tick();
+        expect(first.placed.map((o) => [o.side, o.amount])).to.deep.equal([
+            ["buy", "0.2"],
+            ["buy", "0.2"],
+            ["sell", "0.2"],
+            ["sell", "0.2"],
+            ["sell", "0.2"],
+        ]);
+        expect([...mm.quotes.values()].map((q) => q.amountBase)).to.deep.equal(Array(5).fill(2n * 10n ** 7n));
+        expect(await mm.tick()).to.deep.equal({ action: "hold", mid: "60000" });
+
+        await mm.cancelAll();
+        const tooSmall = createMarketMaker({
+            market: spotMaker,
+            kind: "spot",
+            referencePrice: async () => "60000",
+            config: { size: "0.05" },
+        });
+        await expect(tooSmall.tick()).to.be.rejectedWith(/below the lot size/);
+    });
+
+    it("keeps quoting a MultiBaseOrderBookDEXVaultLevels base without crossing and respects minBase", async function () {
+        const { dogeMaker, dogeTaker } = await loadFixture(deployFixture);
+        await dogeTaker.placeLimitOrder({ side: "sell", price: "0.1997", amount: "100" });
+
+        const mm = createMarketMaker({
+            market: dogeMaker,
+            kind: "levels",
+            referencePrice: createPriceSource("0.2", dogeMaker),
+            config: { spreadBps: 20, levels: 2, levelStepBps: 20, size: "1000", minBase: "3500" },
+        });
+        const { placed } = await mm.tick();
+        // A 0.1998 bid would take the resting 0.1997 ask; only 1500 DOGE may be offered above minBase.
+        expect(placed.map((o) => [o.side, o.price, o.amount])).to.deep.equal([
+            ["buy", "0.1994", "1000.0"],
+            ["sell", "0.2002", "1000.0"],
+        ]);
+        expect(levels(await dogeMaker.getDepth())).to.deep.equal({
+            bids: [["0.1994", "1000.0"]],
+            asks: [
+                ["0.1997", "100.0"],
+                ["0.2002", "1000.0"],
+            ],
+        });
+
+        await dogeTaker.placeMarketOrder({ side: "sell", amount: "10" });
+        expect(await dogeMaker.balances()).to.deep.equal({ base: "4010.0", quote: "800.6" });
+        expect(await mm.tick()).to.include({ action: "requote", reason: "fill", canceled: 2 });
+    });
+});
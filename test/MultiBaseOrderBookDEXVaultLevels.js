@@ -397,6 +397,374 @@ describe("MultiBaseOrderBookDEXVaultLevels", function () {
         expect(await dex.baseBalance(alice.address, baseA.target)).to.equal(0n);
     });
 
+    it("quotes market orders without trading and bounds them by price", async function () {
+        const { alice, bob, dex, quote, baseA } = await deployFixture();
+
+        await baseA.connect(bob).approve(dex.target, u(10, 18));
+        await dex.connect(bob).depositBaseFor(baseA.target, u(10, 18));
+        await dex.connect(bob).limitSellFor(baseA.target, u(2, 18), u(1, 18));
+        await dex.connect(bob).limitSellFor(baseA.target, u("2.5", 18), u(2, 18));
+        await dex.connect(bob).limitSellFor(baseA.target, u(4, 18), u(3, 18));
+        await quote.connect(alice).approve(dex.target, u(100, 6));
+        await dex.connect(alice).depositQuote(u(100, 6));
+
+        // 7 quote buys 1 @ 2 and 2 @ 2.5.
+        const buy = await dex.quoteMarketBuyFor(baseA.target, u(7, 6));
+        expect([...buy]).to.deep.equal([u(3, 18), u(7, 6), u(7, 18) / 3n, 2n]);
+        expect([...(await dex.quoteMarketSellFor(baseA.target, u(1, 18)))]).to.deep.equal([0n, 0n, 0n, 0n]);
+
+        // Up to 2.5 only: the same fill, and the rest of the 20 quote stays in the vault.
+        await expect(
+            dex.connect(alice).marketBuyWithMaxPriceFor(baseA.target, u(20, 6), 0),
+        ).to.be.revertedWithCustomError(dex, "InvalidPrice");
+        await dex.connect(alice).marketBuyWithMaxPriceFor(baseA.target, u(20, 6), u("2.5", 18));
+        expect(await dex.baseBalance(alice.address, baseA.target)).to.equal(buy.filledBase);
+        expect(await dex.quoteBalance(alice.address)).to.equal(u(100, 6) - buy.filledQuote);
+        expect(await dex.bestAskPrice(baseA.target)).to.equal(u(4, 18));
+
+        // Bids 2 @ 1.5 and 2 @ 1; selling 3 would reach 1, a 1.5 floor sells 2.
+        await dex.connect(alice).limitBuyFor(baseA.target, u("1.5", 18), u(2, 18));
+        await dex.connect(alice).limitBuyFor(baseA.target, u(1, 18), u(2, 18));
+        expect([...(await dex.quoteMarketSellFor(baseA.target, u(3, 18)))]).to.deep.equal([
+            u(3, 18),
+            u(4, 6),
+            u(4, 18) / 3n,
+            2n,
+        ]);
+        const bobBase = await dex.baseBalance(bob.address, baseA.target);
+        await dex.connect(bob).marketSellWithMinPriceFor(baseA.target, u(3, 18), u("1.5", 18));
+        expect(await dex.baseBalance(bob.address, baseA.target)).to.equal(bobBase - u(2, 18));
+        expect(await dex.bestBidPrice(baseA.target)).to.equal(u(1, 18));
+    });
+
+    it("charges maker and taker fees, optionally per base, to the fee recipient", async function () {
+        const { owner, alice, bob, carol, dex, quote, baseA, baseB } = await deployFixture();
+
+        await expect(dex.connect(alice).setFees(10, 20)).to.be.revertedWithCustomError(
+            dex,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(dex.setFees(10, 1001)).to.be.revertedWithCustomError(dex, "FeeTooHigh");
+        await expect(dex.setBaseFees(quote.target, 0, 50)).to.be.revertedWithCustomError(dex, "UnsupportedBaseToken");
+        expect(await dex.feeRecipient()).to.equal(owner.address);
+        await dex.setFeeRecipient(carol.address);
+        await expect(dex.setFees(10, 20)).to.emit(dex, "FeesUpdated").withArgs(10, 20);
+        await expect(dex.setBaseFees(baseB.target, 0, 50))
+            .to.emit(dex, "BaseFeesUpdated")
+            .withArgs(baseB.target, 0, 50, true);
+        expect([...(await dex.feeRatesFor(baseA.target))]).to.deep.equal([10n, 20n]);
+        expect([...(await dex.feeRatesFor(baseB.target))]).to.deep.equal([0n, 50n]);
+
+        await quote.connect(bob).approve(dex.target, u(50000, 6));
+        await dex.connect(bob).depositQuote(u(50000, 6));
+        await baseA.connect(alice).approve(dex.target, u(100, 18));
+        await dex.connect(alice).depositBaseFor(baseA.target, u(100, 18));
+        await baseB.connect(alice).approve(dex.target, u(1, 8));
+        await dex.connect(alice).depositBaseFor(baseB.target, u(1, 8));
+
+        // DOGE (18 decimals): Alice's limit sell crosses Bob's resting bid, so she pays the taker rate on the
+        // quote and he the maker rate on the base. The ask is still reported as the maker.
+        await dex.connect(bob).limitBuyFor(baseA.target, u("0.2", 18), u(100, 18));
+        const sellTx = await dex.connect(alice).limitSellFor(baseA.target, u("0.2", 18), u(100, 18));
+        const trade = findEventArgs(await sellTx.wait(), dex, "Trade");
+        expect([trade.maker, trade.taker, trade.makerFee, trade.takerFee]).to.deep.equal([
+            alice.address,
+            bob.address,
+            u("0.04", 6),
+            u("0.1", 18),
+        ]);
+        expect(await dex.quoteBalance(alice.address)).to.equal(u("19.96", 6));
+        expect(await dex.baseBalance(bob.address, baseA.target)).to.equal(u("99.9", 18));
+
+        // WBTC (8 decimals) has its own rates: a free maker and a 50 bps taker.
+        await dex.connect(alice).limitSellFor(baseB.target, u(60000, 18), u(1, 8));
+        await dex.connect(bob).marketBuyFor(baseB.target, u(30000, 6));
+        expect(await dex.baseBalance(bob.address, baseB.target)).to.equal(u("0.4975", 8));
+        expect(await dex.quoteBalance(alice.address)).to.equal(u("19.96", 6) + u(30000, 6));
+
+        // Back to the defaults: Bob's market sell pays 20 bps of the quote, Alice's bid 10 bps of the base.
+        await expect(dex.clearBaseFees(baseB.target))
+            .to.emit(dex, "BaseFeesUpdated")
+            .withArgs(baseB.target, 0, 0, false);
+        await quote.connect(alice).approve(dex.target, u(30000, 6));
+        await dex.connect(alice).depositQuote(u(30000, 6));
+        await dex.connect(alice).limitBuyFor(baseB.target, u(50000, 18), u("0.4", 8));
+        const bobQuote = await dex.quoteBalance(bob.address);
+        await dex.connect(bob).marketSellFor(baseB.target, u("0.4", 8));
+        expect(await dex.quoteBalance(bob.address)).to.equal(bobQuote + u(20000, 6) - u(40, 6));
+        expect(await dex.baseBalance(alice.address, baseB.target)).to.equal(u("0.3996", 8));
+
+        expect(await dex.quoteBalance(carol.address)).to.equal(u("0.04", 6) + u(40, 6));
+        expect(await dex.baseBalance(carol.address, baseA.target)).to.equal(u("0.1", 18));
+        expect(await dex.baseBalance(carol.address, baseB.target)).to.equal(u("0.0025", 8) + u("0.0004", 8));
+        const carolWallet = await baseB.balanceOf(carol.address);
+        await dex.connect(carol).withdrawBaseFor(baseB.target, u("0.0029", 8));
+        expect(await baseB.balanceOf(carol.address)).to.equal(carolWallet + u("0.0029", 8));
+    });
+
+    it("cancels dust orders instead of stalling matching and enforces per-base minimums (audit High-01)", async function () {
+        const { alice, bob, dex, quote, baseA, baseB } = await deployFixture();
+
+        await baseA.connect(alice).approve(dex.target, u(10, 18));
+        await dex.connect(alice).depositBaseFor(baseA.target, u(10, 18));
+        await quote.connect(bob).approve(dex.target, u(100, 6));
+        await dex.connect(bob).depositQuote(u(100, 6));
+
+        // The attack: 1 wei of DOGE at 0.5 USDT is worth zero quote units. It used to stop matching for the base,
+        // leaving every later crossing order resting on a crossed book.
+        const dustTx = await dex.connect(alice).limitSellFor(baseA.target, u("0.5", 18), 1n);
+        const dustId = findEventArgs(await dustTx.wait(), dex, "LimitOrderPlaced").orderId;
+        await expect(dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u(1, 18)))
+            .to.emit(dex, "OrderCancelled")
+            .withArgs(dustId, alice.address);
+        expect(await dex.bestAskPrice(baseA.target)).to.equal(0n);
+        expect(await dex.baseBalance(alice.address, baseA.target)).to.equal(u(10, 18));
+
+        await expect(dex.connect(alice).limitSellFor(baseA.target, u(1, 18), u(1, 18))).to.emit(dex, "Trade");
+        expect(await dex.bestBidPrice(baseA.target)).to.equal(0n);
+        expect(await dex.quoteBalance(alice.address)).to.equal(u(1, 6));
+
+        await expect(dex.connect(alice).setOrderLimits(baseA.target, 1n, 1n)).to.be.revertedWithCustomError(
+            dex,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(dex.setOrderLimits(quote.target, 1n, 1n)).to.be.revertedWithCustomError(
+            dex,
+            "UnsupportedBaseToken",
+        );
+        await expect(dex.setOrderLimits(baseA.target, u(1, 18), u(5, 6)))
+            .to.emit(dex, "OrderLimitsUpdated")
+            .withArgs(baseA.target, u(1, 18), u(5, 6));
+        expect([...(await dex.orderLimits(baseA.target))]).to.deep.equal([u(1, 18), u(5, 6)]);
+
+        await expect(dex.connect(alice).limitSellFor(baseA.target, u("0.5", 18), 1n)).to.be.revertedWithCustomError(
+            dex,
+            "OrderTooSmall",
+        );
+        await expect(dex.connect(alice).limitSellFor(baseA.target, u(1, 18), u(2, 18))).to.be.revertedWithCustomError(
+            dex,
+            "NotionalTooSmall",
+        );
+        await expect(dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u(2, 18))).to.be.revertedWithCustomError(
+            dex,
+            "NotionalTooSmall",
+        );
+        await dex.connect(alice).limitSellFor(baseA.target, u(1, 18), u(5, 18));
+        // Limits are per base.
+        expect([...(await dex.orderLimits(baseB.target))]).to.deep.equal([0n, 0n]);
+    });
+
+    it("keeps orders on the per-base tick and lot size", async function () {
+        const { alice, bob, dex, quote, baseA, baseB } = await deployFixture();
+
+        await expect(dex.connect(alice).setMarketGrid(baseA.target, 1n, 1n)).to.be.revertedWithCustomError(
+            dex,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(dex.setMarketGrid(quote.target, 1n, 1n)).to.be.revertedWithCustomError(
+            dex,
+            "UnsupportedBaseToken",
+        );
+        // DOGE prices in steps of 0.01 USDT and amounts in whole DOGE.
+        await expect(dex.setMarketGrid(baseA.target, u("0.01", 18), u(1, 18)))
+            .to.emit(dex, "MarketGridUpdated")
+            .withArgs(baseA.target, u("0.01", 18), u(1, 18));
+        expect([...(await dex.marketGrid(baseA.target))]).to.deep.equal([u("0.01", 18), u(1, 18)]);
+        expect([...(await dex.marketGrid(baseB.target))]).to.deep.equal([0n, 0n]);
+
+        await baseA.connect(alice).approve(dex.target, u(20, 18));
+        await dex.connect(alice).depositBaseFor(baseA.target, u(20, 18));
+        await quote.connect(bob).approve(dex.target, u(100, 6));
+        await dex.connect(bob).depositQuote(u(100, 6));
+
+        await expect(
+            dex.connect(alice).limitSellFor(baseA.target, u("1.005", 18), u(10, 18)),
+        ).to.be.revertedWithCustomError(dex, "PriceNotOnTick");
+        await expect(dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u("2.5", 18))).to.be.revertedWithCustomError(
+            dex,
+            "AmountNotOnLot",
+        );
+        await expect(dex.connect(alice).marketSellFor(baseA.target, u("0.5", 18))).to.be.revertedWithCustomError(
+            dex,
+            "AmountNotOnLot",
+        );
+        await expect(dex.quoteMarketSellFor(baseA.target, u("0.5", 18))).to.be.revertedWithCustomError(
+            dex,
+            "AmountNotOnLot",
+        );
+        await dex.connect(alice).limitSellFor(baseA.target, u("1.01", 18), u(10, 18));
+
+        // 3 USDT buys 2.97 DOGE at 1.01; the market buy takes whole lots only, and the ask keeps a whole lot.
+        expect([...(await dex.quoteMarketBuyFor(baseA.target, u(3, 6)))]).to.deep.equal([
+            u(2, 18),
+            u("2.02", 6),
+            u("1.01", 18),
+            1n,
+        ]);
+        await dex.connect(bob).marketBuyFor(baseA.target, u(3, 6));
+        expect(await dex.baseBalance(bob.address, baseA.target)).to.equal(u(2, 18));
+        expect(await dex.quoteBalance(bob.address)).to.equal(u(100, 6) - u("2.02", 6));
+        const [, , , askSizes] = await dex.getOrderBookDepthFor(baseA.target, 1);
+        expect(askSizes[0]).to.equal(u(8, 18));
+    });
+
+    it("halts trading globally or per base while withdrawals and cancels keep working", async function () {
+        const { owner, alice, bob, carol, dex, quote, baseA, baseB } = await deployFixture();
+        await baseA.connect(alice).approve(dex.target, u(20, 18));
+        await dex.connect(alice).depositBaseFor(baseA.target, u(20, 18));
+        await quote.connect(bob).approve(dex.target, u(100, 6));
+        await dex.connect(bob).depositQuote(u(50, 6));
+        const ask = findEventArgs(
+            await (await dex.connect(alice).limitSellFor(baseA.target, u(1, 18), u(10, 18))).wait(),
+            dex,
+            "LimitOrderPlaced",
+        ).orderId;
+
+        // Only the owner sets the guardian; the guardian can pause but not resume.
+        await expect(dex.connect(carol).setGuardian(carol.address)).to.be.revertedWithCustomError(
+            dex,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(dex.connect(carol).pause()).to.be.revertedWithCustomError(dex, "NotGuardian");
+        await expect(dex.setGuardian(carol.address)).to.emit(dex, "GuardianUpdated").withArgs(carol.address);
+        await expect(dex.connect(carol).pauseBase(quote.target)).to.be.revertedWithCustomError(
+            dex,
+            "UnsupportedBaseToken",
+        );
+        await expect(dex.connect(carol).pauseBase(baseA.target))
+            .to.emit(dex, "BasePaused")
+            .withArgs(baseA.target, carol.address);
+        await expect(dex.connect(carol).pauseBase(baseA.target))
+            .to.be.revertedWithCustomError(dex, "EnforcedBasePause")
+            .withArgs(baseA.target);
+        expect(await dex.basePaused(baseA.target)).to.equal(true);
+
+        for (const call of [
+            dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u(1, 18)),
+            dex.connect(bob).marketBuyFor(baseA.target, u(1, 6)),
+            dex.connect(alice).marketSellFor(baseA.target, u(1, 18)),
+            dex.connect(alice).depositBaseFor(baseA.target, u(1, 18)),
+        ]) {
+            await expect(call).to.be.revertedWithCustomError(dex, "EnforcedBasePause").withArgs(baseA.target);
+        }
+        // Other bases and quote deposits are unaffected.
+        await dex.connect(bob).limitBuyFor(baseB.target, u(50000, 18), u("0.0001", 8));
+        await dex.connect(bob).depositQuote(u(50, 6));
+
+        await expect(dex.connect(carol).unpauseBase(baseA.target)).to.be.revertedWithCustomError(
+            dex,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(dex.unpauseBase(baseA.target)).to.emit(dex, "BaseUnpaused").withArgs(baseA.target, owner.address);
+        await expect(dex.unpauseBase(baseA.target))
+            .to.be.revertedWithCustomError(dex, "ExpectedBasePause")
+            .withArgs(baseA.target);
+
+        // A global pause stops every base and deposit, but not withdrawals or cancels.
+        await expect(dex.connect(carol).pause()).to.emit(dex, "Paused").withArgs(carol.address);
+        await expect(
+            dex.connect(bob).limitBuyFor(baseB.target, u(50000, 18), u("0.0001", 8)),
+        ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+        await expect(dex.connect(bob).marketBuyFor(baseA.target, u(1, 6))).to.be.revertedWithCustomError(
+            dex,
+            "EnforcedPause",
+        );
+        await expect(dex.connect(bob).depositQuote(u(1, 6))).to.be.revertedWithCustomError(dex, "EnforcedPause");
+        await dex.connect(alice).cancelOrder(ask);
+        await dex.connect(alice).withdrawBaseFor(baseA.target, u(20, 18));
+        await dex.connect(bob).withdrawQuote(u(10, 6));
+        expect(await baseA.balanceOf(alice.address)).to.equal(u(1000, 18));
+
+        await expect(dex.connect(carol).unpause()).to.be.revertedWithCustomError(dex, "OwnableUnauthorizedAccount");
+        await dex.unpause();
+        await dex.connect(bob).marketBuyFor(baseA.target, u(1, 6));
+    });
+
+    it("delists a base: new orders stop, batches cancel and refund the book, then the base is removed", async function () {
+        const { alice, bob, carol, dex, quote, baseA, baseB } = await deployFixture();
+        await baseA.connect(alice).approve(dex.target, u(30, 18));
+        await dex.connect(alice).depositBaseFor(baseA.target, u(30, 18));
+        await quote.connect(bob).approve(dex.target, u(100, 6));
+        await dex.connect(bob).depositQuote(u(100, 6));
+        await dex.connect(alice).limitSellFor(baseA.target, u(2, 18), u(10, 18));
+        await dex.connect(alice).limitSellFor(baseA.target, u(3, 18), u(10, 18));
+        await dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u(10, 18));
+        const [bid] = await dex.getOpenOrdersOfFor(bob.address, baseA.target);
+        await dex.connect(bob).limitBuyFor(baseA.target, u("0.5", 18), u(10, 18));
+        await dex.connect(bob).marketBuyFor(baseA.target, u(4, 6)); // 2 DOGE of the 2 USDT ask
+        // Per-base settings that must not survive the delisting.
+        await dex.setMarketGrid(baseA.target, u("0.5", 18), u(1, 18));
+        await dex.setOrderLimits(baseA.target, u(1, 18), u(1, 6));
+        await dex.setBaseFees(baseA.target, 10, 30);
+
+        await expect(dex.connect(carol).delistBase(baseA.target)).to.be.revertedWithCustomError(
+            dex,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(dex.delistBase(quote.target)).to.be.revertedWithCustomError(dex, "UnsupportedBaseToken");
+        await expect(dex.cancelDelistedOrders(baseA.target, 1))
+            .to.be.revertedWithCustomError(dex, "NotDelisting")
+            .withArgs(baseA.target);
+        await expect(dex.delistBase(baseA.target)).to.emit(dex, "BaseDelistingStarted").withArgs(baseA.target);
+        await expect(dex.delistBase(baseA.target))
+            .to.be.revertedWithCustomError(dex, "DelistedBase")
+            .withArgs(baseA.target);
+        expect(await dex.isBaseDelisted(baseA.target)).to.equal(true);
+        await dex.pauseBase(baseA.target);
+
+        for (const call of [
+            dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u(1, 18)),
+            dex.connect(bob).marketBuyFor(baseA.target, u(1, 6)),
+            dex.connect(alice).marketSellFor(baseA.target, u(1, 18)),
+            dex.connect(alice).depositBaseFor(baseA.target, u(1, 18)),
+        ]) {
+            await expect(call).to.be.revertedWithCustomError(dex, "DelistedBase").withArgs(baseA.target);
+        }
+        await dex.connect(bob).limitBuyFor(baseB.target, u(50000, 18), u("0.0001", 8));
+
+        // Anyone winds the book down in batches, best bid first; traders can still cancel their own orders.
+        expect(await dex.connect(carol).cancelDelistedOrders.staticCall(baseA.target, 2)).to.equal(false);
+        await expect(dex.connect(carol).cancelDelistedOrders(baseA.target, 2))
+            .to.emit(dex, "OrderCancelled")
+            .withArgs(bid.id, bob.address)
+            .and.not.to.emit(dex, "BaseDelisted");
+        expect(await dex.bestBidPrice(baseA.target)).to.equal(0n);
+        const [, ask] = await dex.getOpenOrdersOfFor(alice.address, baseA.target);
+        await dex.connect(alice).cancelOrder(ask.id);
+        expect(await dex.getSupportedBases()).to.deep.equal([baseA.target, baseB.target]);
+
+        await expect(dex.connect(carol).cancelDelistedOrders(baseA.target, 5))
+            .to.emit(dex, "BaseDelisted")
+            .withArgs(baseA.target);
+        expect(await dex.getSupportedBases()).to.deep.equal([baseB.target]);
+        expect(await dex.isBaseSupported(baseA.target)).to.equal(false);
+        await expect(dex.cancelDelistedOrders(baseA.target, 1)).to.be.revertedWithCustomError(
+            dex,
+            "UnsupportedBaseToken",
+        );
+        await expect(dex.connect(alice).depositBaseFor(baseA.target, u(1, 18))).to.be.revertedWithCustomError(
+            dex,
+            "UnsupportedBaseToken",
+        );
+
+        // Everything that was locked is back in the vault and can be withdrawn.
+        expect(await dex.baseBalance(alice.address, baseA.target)).to.equal(u(28, 18));
+        expect(await dex.baseBalance(bob.address, baseA.target)).to.equal(u(2, 18));
+        expect(await dex.quoteBalance(bob.address)).to.equal(u(100 - 4 - 5, 6)); // minus the buy and the WBTC bid
+        await dex.connect(alice).withdrawBaseFor(baseA.target, u(28, 18));
+        await dex.connect(bob).withdrawBaseFor(baseA.target, u(2, 18));
+        expect(await baseA.balanceOf(dex.target)).to.equal(0n);
+
+        // supportBaseToken lists it again, with the default settings.
+        await dex.supportBaseToken(baseA.target);
+        expect(await dex.isBaseDelisted(baseA.target)).to.equal(false);
+        expect([...(await dex.marketGrid(baseA.target))]).to.deep.equal([0n, 0n]);
+        expect([...(await dex.orderLimits(baseA.target))]).to.deep.equal([0n, 0n]);
+        expect([...(await dex.baseFeeRates(baseA.target))]).to.deep.equal([0n, 0n, false]);
+        expect(await dex.basePaused(baseA.target)).to.equal(false);
+        await dex.connect(bob).limitBuyFor(baseA.target, u(1, 18), u(1, 18));
+    });
+
     it("getOrderBookDepthFor defaults topN=10 when passed 0", async function () {
         const { dex, baseA } = await deployFixture();
         const depth = await dex.getOrderBookDepthFor(baseA.target, 0);
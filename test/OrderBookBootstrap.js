@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+
+const { bootstrapOrderBookLevels, quoteForBase } = require("../scripts/lib/orderbook-bootstrap");
+
+function u(amount, decimals) {
+    return ethers.parseUnits(String(amount), decimals);
+}
+
+describe("orderbook bootstrap", function () {
+    async function deployFixture() {
+        const [owner] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const quote = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const eth = await MockERC20.deploy("Ether", "ETH", 18);
+
+        const Dex = await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels");
+        const dex = await Dex.deploy(quote.target);
+
+        return { owner, dex, quote, btc, eth };
+    }
+
+    it("supports only missing bases and skips the quote token", async function () {
+        const { owner, dex, quote, btc, eth } = await deployFixture();
+        await dex.supportBaseToken(btc.target);
+
+        const result = await bootstrapOrderBookLevels({
+            dex,
+            signer: owner,
+            bases: [quote.target, btc.target, eth.target],
+            log: () => {},
+        });
+
+        expect(result.added).to.deep.equal([eth.target]);
+        expect(await dex.getSupportedBases()).to.deep.equal([btc.target, eth.target]);
+        expect(result.quoteToken).to.deep.equal({ address: quote.target, symbol: "USDT", decimals: 6 });
+        expect(result.markets).to.deep.equal([
+            { baseToken: btc.target, symbol: "BTC", decimals: 8 },
+            { baseToken: eth.target, symbol: "ETH", decimals: 18 },
+        ]);
+
+        // a second run is a no-op
+        const again = await bootstrapOrderBookLevels({
+            dex,
+            signer: owner,
+            bases: [btc.target, eth.target],
+            log: () => {},
+        });
+        expect(again.added).to.deep.equal([]);
+    });
+
+    it("seeds one bid and one ask around the mid price", async function () {
+        const { owner, dex, btc } = await deployFixture();
+
+        const { markets } = await bootstrapOrderBookLevels({
+            dex,
+            signer: owner,
+            bases: [btc.target],
+            seed: { BTC: { price: "60000", size: "0.5", spreadBps: 100 } },
+            log: () => {},
+        });
+
+        const [bidPrices, bidSizes, askPrices, askSizes] = await dex.getOrderBookDepthFor(btc.target, 1);
+        expect(bidPrices[0]).to.equal(u(59400, 18));
+        expect(askPrices[0]).to.equal(u(60600, 18));
+        expect(bidSizes[0]).to.equal(u("0.5", 8));
+        expect(askSizes[0]).to.equal(u("0.5", 8));
+
+        expect(markets[0].seeded).to.deep.equal({
+            amountBase: u("0.5", 8).toString(),
+            askPriceE18: u(60600, 18).toString(),
+            bidPriceE18: u(59400, 18).toString(),
+        });
+        expect(quoteForBase(u("0.5", 8), u(59400, 18), 8, 6)).to.equal(u(29700, 6));
+    });
+});
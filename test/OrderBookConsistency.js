@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { loadFixture, setStorageAt } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { describeSource, checkOrderBook, replayOrderBook, levelTotals } = require("../indexer");
+
+function u(amount, decimals) {
+    return ethers.parseUnits(String(amount), decimals);
+}
+
+// Storage slot of mapping[key] (and mapping[key][key2]) for corrupting state in tests.
+function mappingSlot(slot, ...keys) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    let current = BigInt(slot);
+    for (const [type, key] of keys) current = BigInt(ethers.keccak256(coder.encode([type, "uint256"], [key, current])));
+    return current;
+}
+
+describe("order book consistency checker", function () {
+    // PharosSpotMarket priceE18 for a BTC/USDT (8/6 decimals) price.
+    const spotPrice = (price) => u(price, 16);
+
+    async function deployFixture() {
+        const [owner, alice, bob, carol] = await ethers.getSigners();
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const doge = await MockERC20.deploy("Dogecoin", "DOGE", 18);
+
+        const Spot = await ethers.getContractFactory("PharosSpotMarket");
+        const spot = await Spot.deploy(btc.target, usdt.target);
+        const Dex = await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels");
+        const dex = await Dex.deploy(usdt.target);
+        await dex.connect(owner).supportBaseToken(btc.target);
+        await dex.connect(owner).supportBaseToken(doge.target);
+        // Fees accrue to the owner, so the replay has to credit them too.
+        await spot.connect(owner).setFees(10, 25);
+        await dex.connect(owner).setFees(10, 25);
+        await dex.connect(owner).setBaseFees(btc.target, 0, 40);
+
+        for (const user of [alice, bob, carol]) {
+            await usdt.mint(user.address, u(1000000, 6));
+            await btc.mint(user.address, u(10, 8));
+            await doge.mint(user.address, u(1000, 18));
+            for (const token of [usdt, btc, doge]) {
+                await token.connect(user).approve(spot.target, ethers.MaxUint256);
+                await token.connect(user).approve(dex.target, ethers.MaxUint256);
+            }
+        }
+
+        // PharosSpotMarket: resting orders, a price-improved limit fill, market orders, a cancel and a withdraw.
+        await spot.connect(alice).deposit(btc.target, u(3, 8));
+        await spot.connect(bob).deposit(usdt.target, u(200000, 6));
+        await spot.connect(carol).deposit(usdt.target, u(50000, 6));
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(61000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(60000), u("0.5", 8), 0, 0, false, 0);
+        await spot.connect(alice).placeLimitOrder(1, spotPrice(60000), u("0.5", 8), 0, 0, false, 0);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice("60500.5"), u("0.3", 8), 0, 0, false, 8);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(59000), u(1, 8), 0, 0, false, 0);
+        await spot.connect(bob).placeLimitOrder(0, spotPrice(58000), u("0.2", 8), 0, 0, false, 0);
+        await spot.connect(carol).placeMarketOrder(0, u("0.8", 8), u(40000, 6), 0, 0);
+        await spot.connect(alice).placeMarketOrder(1, u("0.1", 8), 0, 0, 0);
+        await spot.connect(bob).cancelOrder(6);
+        await spot.connect(alice).withdraw(usdt.target, u(1000, 6));
+
+        // MultiBaseOrderBookDEXVaultLevels: two bases, identical orders, crossing limits, market orders, cancels.
+        await dex.connect(alice).depositBaseFor(doge.target, u(100, 18));
+        await dex.connect(alice).depositBaseFor(btc.target, u(1, 8));
+        await dex.connect(bob).depositQuote(u(100000, 6));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+        await dex.connect(alice).limitSellFor(doge.target, u(2, 18), u(10, 18));
+        await dex.connect(alice).limitSellFor(doge.target, u("2.5", 18), u(5, 18));
+        await dex.connect(alice).limitSellFor(btc.target, u(60000, 18), u("0.5", 8));
+        await dex.connect(bob).limitBuyFor(doge.target, u("2.1", 18), u(4, 18));
+        await dex.connect(bob).limitBuyFor(doge.target, u("1.5", 18), u(10, 18));
+        await dex.connect(bob).limitBuyFor(doge.target, u("1.4", 18), u(10, 18));
+        await dex.connect(bob).limitBuyFor(btc.target, u(61000, 18), u("0.01", 8));
+        await dex.connect(bob).marketBuyFor(doge.target, u(5, 6));
+        await dex.connect(alice).marketSellFor(doge.target, u(2, 18));
+        const [bid] = await dex.getOpenOrdersOfFor(bob.address, doge.target);
+        await dex.connect(bob).cancelOrder(bid.id);
+        const asks = await dex.getOpenOrdersOfFor(alice.address, doge.target);
+        await dex.connect(alice).cancelOrder(asks[asks.length - 1].id);
+        await dex.connect(alice).withdrawQuote(u(1, 6));
+
+        const describe = (contractName, address) =>
+            describeSource({ provider: ethers.provider, contractName, address, startBlock });
+        const spotSource = await describe("PharosSpotMarket", spot.target);
+        const dexSource = await describe("MultiBaseOrderBookDEXVaultLevels", dex.target);
+
+        return { owner, alice, bob, carol, usdt, btc, doge, spot, dex, spotSource, dexSource };
+    }
+
+    it("rebuilds the PharosSpotMarket book from events and finds it consistent", async function () {
+        const { btc, spot, spotSource } = await loadFixture(deployFixture);
+
+        const report = await checkOrderBook({ provider: ethers.provider, source: spotSource, batchSize: 7 });
+        expect(report.issues).to.deep.equal([]);
+        expect(report).to.include({ ok: true, kind: "spot", orders: 8, openOrders: 3, users: 4 });
+
+        const [bidPrices, , askPrices] = await spot.getDepth(10);
+        expect(report.markets).to.deep.equal([
+            {
+                baseToken: btc.target,
+                bids: bidPrices.length,
+                asks: askPrices.length,
+                bestBid: await spot.bestBidPrice(),
+                bestAsk: await spot.bestAskPrice(),
+            },
+        ]);
+    });
+
+    it("attributes levels DEX orders to their base from the event log alone", async function () {
+        const { btc, doge, dex, dexSource } = await loadFixture(deployFixture);
+
+        const report = await checkOrderBook({ provider: ethers.provider, source: dexSource });
+        expect(report.issues).to.deep.equal([]);
+        expect(report).to.include({ ok: true, kind: "levels", orders: 8, users: 3 });
+
+        // The replay, not just the comparison, reproduces the depth view.
+        const replay = await replayOrderBook({
+            provider: ethers.provider,
+            source: dexSource,
+            toBlock: await ethers.provider.getBlockNumber(),
+        });
+        for (const base of [btc.target, doge.target]) {
+            const [bp, bs, ap, as] = await dex.getOrderBookDepthFor(base, 10);
+            const trim = (prices, sizes) => prices.map((p, i) => [p, sizes[i]]).filter(([p]) => p !== 0n);
+            const totals = levelTotals(replay.state, base);
+            expect([...totals.bids]).to.have.deep.members(trim(bp, bs));
+            expect([...totals.asks]).to.have.deep.members(trim(ap, as));
+        }
+    });
+
+    it("reports balance drift, level aggregates that do not match their orders and insolvency", async function () {
+        const { alice, usdt, doge, spot, dex, spotSource, dexSource } = await loadFixture(deployFixture);
+
+        // balances comes after Ownable's owner and ReentrancyGuard's status.
+        const balanceSlot = mappingSlot(2, ["address", usdt.target], ["address", alice.address]);
+        const balance = await spot.balances(usdt.target, alice.address);
+        await setStorageAt(spot.target, balanceSlot, balance + 1n);
+
+        const spotReport = await checkOrderBook({ provider: ethers.provider, source: spotSource });
+        expect(spotReport.ok).to.equal(false);
+        expect(spotReport.issues.map((i) => [i.severity, i.check])).to.deep.equal([["error", "balance"]]);
+        expect(spotReport.issues[0].message).to.include(alice.address);
+
+        // filledBase (field 5 of the Order struct) of a resting ask moves without its level aggregate.
+        const [ask] = await dex.getOpenOrdersOfFor(alice.address, doge.target);
+        await setStorageAt(dex.target, mappingSlot(6, ["uint256", ask.id]) + 5n, ask.filledBase + 1n);
+        const held = await usdt.balanceOf(dex.target);
+        await setStorageAt(usdt.target, mappingSlot(0, ["address", dex.target]), held - 1n);
+
+        const dexReport = await checkOrderBook({ provider: ethers.provider, source: dexSource });
+        expect(dexReport.issues.map((i) => [i.severity, i.check])).to.have.deep.members([
+            ["error", "order"],
+            ["error", "level-sum"],
+            ["error", "solvency"],
+        ]);
+        expect(dexReport.issues.find((i) => i.check === "solvency").message).to.include("short 1");
+    });
+
+    it("replays a dust order the levels DEX cancels instead of stalling on it (audit High-01)", async function () {
+        const { alice, bob, doge, dex, dexSource } = await loadFixture(deployFixture);
+
+        // 1 wei of DOGE at 1 USDT is worth 0 quote units: the crossing bid cancels it and rests.
+        await dex.connect(alice).limitSellFor(doge.target, u(1, 18), 1n);
+        await dex.connect(bob).limitBuyFor(doge.target, u("1.1", 18), u(1, 18));
+        expect(await dex.bestBidPrice(doge.target)).to.be.lessThan(await dex.bestAskPrice(doge.target));
+
+        const report = await checkOrderBook({ provider: ethers.provider, source: dexSource });
+        expect(report.issues).to.deep.equal([]);
+    });
+
+    it("replays a delisted base: its orders refunded and its book dropped (audit Info-01)", async function () {
+        const { alice, bob, btc, doge, dex, dexSource } = await loadFixture(deployFixture);
+
+        await dex.delistBase(doge.target);
+        while (!(await dex.cancelDelistedOrders.staticCall(doge.target, 2))) {
+            await dex.connect(bob).cancelDelistedOrders(doge.target, 2);
+        }
+        await dex.connect(bob).cancelDelistedOrders(doge.target, 2);
+        expect(await dex.getSupportedBases()).to.deep.equal([btc.target]);
+        await dex.connect(alice).withdrawBaseFor(doge.target, await dex.baseBalance(alice.address, doge.target));
+
+        const report = await checkOrderBook({ provider: ethers.provider, source: dexSource });
+        expect(report.issues).to.deep.equal([]);
+        expect(report.markets.map((m) => m.baseToken)).to.deep.equal([btc.target]);
+    });
+
+    it("replays a refunded dust taker remainder and flags a book crossed by an unmatched order", async function () {
+        const { alice, bob, usdt, doge } = await loadFixture(deployFixture);
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        const spot = await (await ethers.getContractFactory("PharosSpotMarket")).deploy(doge.target, usdt.target);
+        for (const user of [alice, bob]) {
+            await doge.connect(user).approve(spot.target, ethers.MaxUint256);
+            await usdt.connect(user).approve(spot.target, ethers.MaxUint256);
+        }
+        await spot.connect(alice).deposit(doge.target, u(2, 18));
+        await spot.connect(bob).deposit(usdt.target, u(10, 6));
+
+        // 1 DOGE = 1 USDT is 1e6 quote per 1e18 base. The bid fills one ask, and its last wei can never fill
+        // the next one, so it is refunded rather than left resting at the ask's price (audit High-01).
+        const price = u(1, 6);
+        await spot.connect(alice).placeLimitOrder(1, price, u(1, 18), 0, 0, false, 0);
+        await spot.connect(alice).placeLimitOrder(1, price, u(1, 18), 0, 0, false, 0);
+        await spot.connect(bob).placeLimitOrder(0, price, u(1, 18) + 1n, 0, 0, false, 8);
+        expect(await spot.bestBidPrice()).to.equal(0n);
+
+        const source = await describeSource({
+            provider: ethers.provider,
+            contractName: "PharosSpotMarket",
+            address: spot.target,
+            startBlock,
+        });
+        let report = await checkOrderBook({ provider: ethers.provider, source });
+        expect(report.issues).to.deep.equal([]);
+
+        // An order posted without matching (maxMatches 0) still crosses the book.
+        await spot.connect(bob).placeLimitOrder(0, price, u(1, 18), 0, 0, false, 0);
+        expect(await spot.bestBidPrice()).to.equal(await spot.bestAskPrice());
+        report = await checkOrderBook({ provider: ethers.provider, source });
+        expect(report.ok).to.equal(true);
+        expect(report.issues.map((i) => [i.severity, i.check])).to.deep.equal([["warning", "crossed"]]);
+    });
+});
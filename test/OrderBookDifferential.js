@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+
+const { createTraders } = require("../sim/books");
+const { quoteForBase } = require("../scripts/lib/orderbook-bootstrap");
+const {
+    DEFAULT_DIFF_FLOW,
+    countDifferences,
+    diffTraces,
+    formatDifferentialReport,
+    runDifferential,
+} = require("../sim/differential");
+
+describe("order book differential replay", function () {
+    this.timeout(0);
+
+    const unit = 10n ** 18n;
+
+    it("matches MultiBaseOrderBookDEXVaultLevels to the reference engine and flags where the others differ", async function () {
+        const traders = await createTraders(ethers, 3);
+        const result = await runDifferential({ ethers, traders, seed: 1, flow: { steps: 40 } });
+        const byKind = Object.fromEntries(result.books.map((b) => [b.kind, b]));
+
+        expect(byKind.levels.differences).to.deep.equal([]);
+        // The sorted-array vaults fill exactly like the reference and only settle the price improvement differently.
+        for (const kind of ["singleVault", "multi"]) {
+            expect(Object.keys(countDifferences(byKind[kind].differences))).to.deep.equal(["refund"]);
+            expect(byKind[kind].differences).to.deep.equal(byKind.singleVault.differences);
+        }
+        // SinglePairOrderBookDEX also lets a market buy take base for zero quote.
+        expect(countDifferences(byKind.single.differences).fills).to.be.greaterThan(0);
+
+        const report = formatDifferentialReport(result);
+        expect(report).to.match(/MultiBaseOrderBookDEXVaultLevels: identical to the reference/);
+        expect(report).to.match(/MultiBaseOrderBookDEXVault: \d+ differences \(refund \d+\)/);
+    });
+
+    it("flags the refund of a buy filled at two prices", async function () {
+        const traders = await createTraders(ethers, 3);
+        const commands = [
+            { op: "limit", t: 0, side: "sell", k: -2, amount: 5n * unit },
+            { op: "limit", t: 1, side: "sell", k: -1, amount: 5n * unit },
+            { op: "limit", t: 2, side: "buy", k: 2, amount: 10n * unit },
+        ];
+        const result = await runDifferential({ ethers, traders, commands, kinds: ["multi", "levels"] });
+        const [multi, levels] = result.books;
+
+        const { mid, tick, decimals } = DEFAULT_DIFF_FLOW;
+        const quoteFor = (amount, k) => quoteForBase(amount, mid + BigInt(k) * tick, decimals.base, decimals.quote);
+        const spent = quoteFor(5n * unit, -2) + quoteFor(5n * unit, -1);
+        // The array book refunds as if all 10 had traded at the last fill's price.
+        const charged = quoteFor(10n * unit, -1);
+
+        expect(levels.differences).to.deep.equal([]);
+        expect(result.reference.steps[2].deltas[2].quote).to.equal(-spent);
+        expect(multi.differences).to.deep.equal([
+            {
+                step: 2,
+                category: "refund",
+                message: `price-improvement refund: trader2 quote ${-charged} (reference ${-spent})`,
+            },
+        ]);
+        expect(multi.drift).to.deep.equal({ base: 0n, quote: spent - charged });
+    });
+
+    it("tells FIFO differences, reverts and resting-book differences apart", function () {
+        const step = (fills, error = null) => ({ error, fills, deltas: [{ base: 0n, quote: 0n }] });
+        const fill = (maker, amount) => ({ maker, taker: 0, price: unit, amount });
+        const commands = [
+            { op: "limit", t: 0, side: "sell", k: 0, amount: unit },
+            { op: "limit", t: 0, side: "sell", k: 0, amount: unit },
+            { op: "market", t: 0, side: "buy", amount: unit },
+            { op: "cancel", t: 0, ref: 1 },
+        ];
+        const reference = {
+            steps: [step([]), step([]), step([fill(0, unit)]), step([])],
+            resting: new Map([[1, unit]]),
+        };
+        const trace = {
+            steps: [step([]), step([]), step([fill(1, unit)]), step([], "NotActive")],
+            resting: new Map([[0, unit]]),
+        };
+
+        expect(diffTraces(commands, reference, trace).map((d) => [d.step, d.category])).to.deep.equal([
+            [2, "fifo"],
+            [3, "revert"],
+            [null, "book"],
+            [null, "book"],
+        ]);
+    });
+});
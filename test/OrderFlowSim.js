@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+
+const { createTraders, deployBook } = require("../sim/books");
+const { simulateOrderFlow } = require("../sim/order-flow");
+const { linearFit, summarizeRun, formatGasReportMarkdown } = require("../sim/gas-report");
+
+describe("order-flow simulator", function () {
+    const funding = 10n ** 24n;
+
+    it("fits gas lines and extrapolates the block gas limit", async function () {
+        const fit = linearFit([
+            { x: 1, y: 150 },
+            { x: 2, y: 250 },
+            { x: 4, y: 450 },
+        ]);
+        expect(fit.intercept).to.be.closeTo(50, 1e-9);
+        expect(fit.slope).to.be.closeTo(100, 1e-9);
+        expect(fit.r2).to.be.closeTo(1, 1e-9);
+        expect(
+            linearFit([
+                { x: 3, y: 1 },
+                { x: 3, y: 2 },
+            ]),
+        ).to.equal(null);
+
+        const run = {
+            kind: "levels",
+            contractName: "MultiBaseOrderBookDEXVaultLevels",
+            functions: { marketBuy: "marketBuyFor", openOrders: "getOpenOrdersOfFor" },
+            drivers: { openOrders: "history" },
+            steps: 3,
+            traders: 1,
+            seed: 1,
+            peak: { orders: 2, levels: 2, history: 4 },
+            samples: [
+                { call: "marketBuy", gas: 100000, orders: 5, levels: 3, fills: 1, history: 0 },
+                { call: "marketBuy", gas: 160000, orders: 5, levels: 3, fills: 2, history: 0 },
+                { call: "openOrders", gas: 30000, orders: 1, levels: 1, fills: 0, history: 2 },
+                { call: "openOrders", gas: 50000, orders: 1, levels: 1, fills: 0, history: 4 },
+            ],
+            failures: [{ call: "cancel", error: "NotActive" }],
+        };
+        const summary = summarizeRun(run, { blockGasLimit: 1000000 });
+        expect(summary.calls.map((c) => [c.function, c.driver, c.limitAt])).to.deep.equal([
+            ["marketBuyFor", "fills", 16],
+            ["getOpenOrdersOfFor", "history", 99],
+        ]);
+        expect(summary.failures).to.deep.equal({ "cancel: NotActive": 1 });
+        expect(formatGasReportMarkdown([summary])).to.match(/\| MultiBaseOrderBookDEXVaultLevels \| marketBuyFor \|/);
+    });
+
+    it("replays a seeded flow and tracks the resting orders of the book", async function () {
+        const traders = await createTraders(ethers, 4);
+        const flow = { steps: 60, viewEvery: 5 };
+
+        const runs = [];
+        for (const kind of ["levels", "levels", "singleVault"]) {
+            const book = await deployBook({ ethers, kind, traders, funding });
+            const run = await simulateOrderFlow({ book, traders, seed: 7, flow });
+            runs.push(run);
+
+            const onChain = [];
+            for (const trader of traders) {
+                onChain.push(
+                    ...(kind === "levels"
+                        ? await book.contract.getOpenOrdersOfFor(trader.address, book.base)
+                        : await book.contract.getOpenOrdersOf(trader.address)),
+                );
+            }
+            expect(run.final.orders).to.equal(onChain.length);
+            expect(run.failures).to.deep.equal([]);
+        }
+
+        const calls = (run) => run.samples.map((s) => s.call);
+        expect(calls(runs[0])).to.deep.equal(calls(runs[1]));
+        expect(calls(runs[0])).to.include.members(["limit", "marketBuy", "marketSell", "cancel", "openOrders"]);
+        expect(runs[0].samples.filter((s) => s.call === "openOrders")).to.have.length(12);
+    });
+});
@@ -141,4 +141,348 @@ describe("PharosSpotMarket", function () {
         const quoteAfter = await market.balances(quote.target, bob.address);
         expect(quoteAfter).to.equal(quoteBefore - ethers.parseUnits("20", 18));
     });
+
+    it("quoteMarketBuy / quoteMarketSell return what placeMarketOrder would fill", async function () {
+        const { alice, bob, base, quote, market } = await deployFixture();
+        const one = ethers.parseUnits("1", 18);
+
+        await base.connect(alice).approve(market.target, 10n * one);
+        await market.connect(alice).deposit(base.target, 10n * one);
+        await quote.connect(bob).approve(market.target, 100n * one);
+        await market.connect(bob).deposit(quote.target, 100n * one);
+        // Asks: two orders of 1 @ 2, then 2 @ 3 and 4 @ 5
+        for (const [price, amount] of [
+            [2n, 1n],
+            [2n, 1n],
+            [3n, 2n],
+            [5n, 4n],
+        ]) {
+            await market.connect(alice).placeLimitOrder(1, price * one, amount * one, 0, 0, false, 0);
+        }
+
+        // 5 base: 2 @ 2 + 2 @ 3 + 1 @ 5 = 15 quote over three levels
+        const buy = await market.quoteMarketBuy(5n * one, 0, 0);
+        expect([...buy]).to.deep.equal([5n * one, 15n * one, 3n * one, 3n]);
+        // A 7 quote budget stops inside the 3 level; two matches stop after the two orders at 2.
+        expect([...(await market.quoteMarketBuy(5n * one, 7n * one, 0))]).to.deep.equal([
+            3n * one,
+            7n * one,
+            (7n * one) / 3n,
+            2n,
+        ]);
+        expect([...(await market.quoteMarketBuy(5n * one, 0, 2))]).to.deep.equal([2n * one, 4n * one, 2n * one, 1n]);
+
+        const [, filledBase, filledQuote] = await market
+            .connect(bob)
+            .placeMarketOrder.staticCall(0, 5n * one, 20n * one, 0, 0);
+        expect([filledBase, filledQuote]).to.deep.equal([buy.filledBase, buy.filledQuote]);
+
+        // Bids: 1 @ 1.5, then 2 @ 1
+        await market.connect(bob).placeLimitOrder(0, (3n * one) / 2n, one, 0, 0, false, 0);
+        await market.connect(bob).placeLimitOrder(0, one, 2n * one, 0, 0, false, 0);
+        const sell = await market.quoteMarketSell(2n * one, 0);
+        expect([...sell]).to.deep.equal([2n * one, (5n * one) / 2n, (5n * one) / 4n, 2n]);
+
+        await expect(
+            market.connect(alice).placeMarketOrder(1, 2n * one, 0, sell.filledQuote + 1n, 0),
+        ).to.be.revertedWithCustomError(market, "Slippage");
+        await market.connect(alice).placeMarketOrder(1, 2n * one, 0, sell.filledQuote, 0);
+        expect(await market.balances(quote.target, alice.address)).to.equal(sell.filledQuote);
+        expect([...(await market.quoteMarketSell(10n * one, 0))]).to.deep.equal([one, one, one, 1n]);
+    });
+
+    it("bounds a market buy by the base it gets, so a book that moved after the quote reverts", async function () {
+        const { alice, bob, base, quote, market } = await deployFixture();
+        const one = ethers.parseUnits("1", 18);
+
+        await base.connect(alice).approve(market.target, 10n * one);
+        await market.connect(alice).deposit(base.target, 10n * one);
+        await quote.connect(bob).approve(market.target, 100n * one);
+        await market.connect(bob).deposit(quote.target, 100n * one);
+        await market.connect(alice).placeLimitOrder(1, 2n * one, 2n * one, 0, 0, false, 0);
+        await market.connect(alice).placeLimitOrder(1, 3n * one, 2n * one, 0, 0, false, 0);
+
+        // Quoted: 2 base for 4 quote. Bound 1% worse, as the SDK does for slippageBps 100.
+        const quoted = await market.quoteMarketBuy(2n * one, 0, 0);
+        const maxQuoteIn = (quoted.filledQuote * 101n) / 100n;
+        const minBaseOut = (quoted.filledBase * 99n) / 100n;
+
+        // The cheap ask goes away before the order lands.
+        await market.connect(alice).cancelOrder(1);
+        const [, filledBase, filledQuote] = await market
+            .connect(bob)
+            .placeMarketOrder.staticCall(0, 2n * one, maxQuoteIn, 0, 0);
+        // Without a base bound the whole budget goes on the 3 ask: about 1.35 base.
+        expect(filledQuote).to.be.closeTo(maxQuoteIn, 2n);
+        expect(filledBase).to.be.lessThan(minBaseOut);
+        await expect(
+            market.connect(bob).placeMarketOrder(0, 2n * one, maxQuoteIn, minBaseOut, 0),
+        ).to.be.revertedWithCustomError(market, "Slippage");
+
+        const requoted = await market.quoteMarketBuy(2n * one, 0, 0);
+        await market.connect(bob).placeMarketOrder(0, 2n * one, requoted.filledQuote, requoted.filledBase, 0);
+        expect(await market.balances(base.target, bob.address)).to.equal(2n * one);
+    });
+
+    it("charges maker and taker fees in what each side receives, for the fee recipient to withdraw", async function () {
+        const [, alice, bob, treasury] = await ethers.getSigners();
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const market = await (await ethers.getContractFactory("PharosSpotMarket")).deploy(btc.target, usdt.target);
+        const btcUnits = (n) => ethers.parseUnits(n, 8);
+        const usdtUnits = (n) => ethers.parseUnits(n, 6);
+        // Raw quote per raw base: 60000 USDT per BTC is 600 * 1e18.
+        const price = (n) => ethers.parseUnits(n, 16);
+
+        await expect(market.connect(alice).setFees(10, 30)).to.be.revertedWithCustomError(
+            market,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(market.setFees(1001, 0)).to.be.revertedWithCustomError(market, "FeeTooHigh");
+        await expect(market.setFeeRecipient(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+            market,
+            "InvalidFeeRecipient",
+        );
+        await expect(market.setFees(10, 30)).to.emit(market, "FeesUpdated").withArgs(10, 30);
+        await expect(market.setFeeRecipient(treasury.address))
+            .to.emit(market, "FeeRecipientUpdated")
+            .withArgs(treasury.address);
+
+        await btc.mint(alice.address, btcUnits("2"));
+        await usdt.mint(bob.address, usdtUnits("100000"));
+        await btc.connect(alice).approve(market.target, btcUnits("2"));
+        await usdt.connect(bob).approve(market.target, usdtUnits("100000"));
+        await market.connect(alice).deposit(btc.target, btcUnits("2"));
+        await market.connect(bob).deposit(usdt.target, usdtUnits("100000"));
+
+        // Bob's crossing limit buy takes half of Alice's ask: he pays 30 bps of the base, she 10 bps of the quote.
+        await market.connect(alice).placeLimitOrder(1, price("60000"), btcUnits("1"), 0, 0, false, 0);
+        await expect(market.connect(bob).placeLimitOrder(0, price("60000"), btcUnits("0.5"), 0, 0, false, 8))
+            .to.emit(market, "Trade")
+            .withArgs(
+                1,
+                2,
+                alice.address,
+                bob.address,
+                1,
+                price("60000"),
+                btcUnits("0.5"),
+                usdtUnits("30000"),
+                usdtUnits("30"),
+                btcUnits("0.0015"),
+            );
+        expect(await market.balances(btc.target, bob.address)).to.equal(btcUnits("0.4985"));
+        expect(await market.balances(usdt.target, alice.address)).to.equal(usdtUnits("29970"));
+
+        // Alice's market sell hits Bob's resting bid; minQuoteOut bounds the fill before her fee.
+        await market.connect(bob).placeLimitOrder(0, price("59000"), btcUnits("0.5"), 0, 0, false, 0);
+        await market.connect(alice).placeMarketOrder(1, btcUnits("0.5"), 0, usdtUnits("29500"), 0);
+        expect(await market.balances(usdt.target, alice.address)).to.equal(usdtUnits("29970") + usdtUnits("29411.5"));
+        expect(await market.balances(btc.target, bob.address)).to.equal(btcUnits("0.4985") + btcUnits("0.4995"));
+
+        expect(await market.balances(btc.target, treasury.address)).to.equal(btcUnits("0.002"));
+        expect(await market.balances(usdt.target, treasury.address)).to.equal(usdtUnits("118.5"));
+        await market.connect(treasury).withdraw(usdt.target, usdtUnits("118.5"));
+        expect(await usdt.balanceOf(treasury.address)).to.equal(usdtUnits("118.5"));
+    });
+
+    it("cancels a dust maker instead of stalling on it and enforces the minimum order size (audit High-01)", async function () {
+        const { alice, bob, base, quote, market } = await deployFixture();
+        const one = ethers.parseUnits("1", 18);
+
+        await base.connect(alice).approve(market.target, 10n * one);
+        await market.connect(alice).deposit(base.target, 10n * one);
+        await quote.connect(bob).approve(market.target, 100n * one);
+        await market.connect(bob).deposit(quote.target, 100n * one);
+
+        // 1 wei of base at 0.5 is worth zero quote and can never fill; the ask behind it can.
+        await market.connect(alice).placeLimitOrder(1, one / 2n, 1n, 0, 0, false, 0);
+        await market.connect(alice).placeLimitOrder(1, (one * 6n) / 10n, one, 0, 0, false, 0);
+        expect([...(await market.quoteMarketBuy(one, 10n * one, 0))]).to.deep.equal([
+            one,
+            (one * 6n) / 10n,
+            (one * 6n) / 10n,
+            1n,
+        ]);
+
+        await expect(market.connect(bob).placeLimitOrder(0, one, one, 0, 0, false, 8))
+            .to.emit(market, "OrderCanceled")
+            .withArgs(1, alice.address, 1n)
+            .and.to.emit(market, "Trade");
+        expect(await market.bestAskPrice()).to.equal(0n);
+        expect(await market.bestBidPrice()).to.equal(0n);
+        expect(await market.balances(base.target, alice.address)).to.equal(9n * one);
+
+        await expect(market.connect(alice).setOrderLimits(one, 5n * one)).to.be.revertedWithCustomError(
+            market,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(market.setOrderLimits(one, 5n * one))
+            .to.emit(market, "OrderLimitsUpdated")
+            .withArgs(one, 5n * one);
+        await expect(
+            market.connect(alice).placeLimitOrder(1, one / 2n, 1n, 0, 0, false, 0),
+        ).to.be.revertedWithCustomError(market, "OrderTooSmall");
+        await expect(
+            market.connect(alice).placeLimitOrder(1, one, 2n * one, 0, 0, false, 0),
+        ).to.be.revertedWithCustomError(market, "NotionalTooSmall");
+        await market.connect(alice).placeLimitOrder(1, one, 5n * one, 0, 0, false, 0);
+        expect(await market.bestAskPrice()).to.equal(one);
+    });
+
+    it("refunds a dust taker remainder instead of posting it onto a crossed book (audit High-01)", async function () {
+        const { alice, bob, base, quote, market } = await deployFixture();
+        const one = ethers.parseUnits("1", 18);
+        const half = one / 2n;
+
+        await base.connect(alice).approve(market.target, 10n * one);
+        await market.connect(alice).deposit(base.target, 10n * one);
+        await quote.connect(bob).approve(market.target, 100n * one);
+        await market.connect(bob).deposit(quote.target, 100n * one);
+
+        // After one ask fills, 1 wei of base at 0.5 is worth zero quote against the second ask.
+        await market.connect(alice).placeLimitOrder(1, half, one, 0, 0, false, 0);
+        await market.connect(alice).placeLimitOrder(1, half, one, 0, 0, false, 0);
+        await expect(market.connect(bob).placeLimitOrder(0, half, one + 1n, 0, 0, false, 8))
+            .to.emit(market, "OrderCanceled")
+            .withArgs(3, bob.address, 1n)
+            .and.to.emit(market, "Trade");
+        expect(await market.bestBidPrice()).to.equal(0n);
+        expect(await market.bestAskPrice()).to.equal(half);
+        expect((await market.orders(3)).active).to.equal(false);
+        expect(await market.balances(quote.target, bob.address)).to.equal(100n * one - half);
+        expect(await market.balances(base.target, bob.address)).to.equal(one);
+
+        // The same on the sell side: the base remainder goes back to the taker.
+        await market.connect(alice).cancelOrder(2);
+        await market.connect(bob).placeLimitOrder(0, half, one, 0, 0, false, 0);
+        await market.connect(bob).placeLimitOrder(0, half, one, 0, 0, false, 0);
+        await expect(market.connect(alice).placeLimitOrder(1, half, one + 1n, 0, 0, false, 8))
+            .to.emit(market, "OrderCanceled")
+            .withArgs(6, alice.address, 1n)
+            .and.to.emit(market, "Trade");
+        expect(await market.bestAskPrice()).to.equal(0n);
+        expect(await market.bestBidPrice()).to.equal(half);
+        expect(await market.balances(base.target, alice.address)).to.equal(8n * one);
+    });
+
+    it("keeps orders on the tick and lot size", async function () {
+        const { alice, bob, base, quote, market } = await deployFixture();
+        const one = ethers.parseUnits("1", 18);
+        const cent = one / 100n;
+
+        await expect(market.connect(alice).setMarketGrid(cent, one)).to.be.revertedWithCustomError(
+            market,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(market.setMarketGrid(cent, one)).to.emit(market, "MarketGridUpdated").withArgs(cent, one);
+        expect([await market.tickSize(), await market.lotSize()]).to.deep.equal([cent, one]);
+
+        await base.connect(alice).approve(market.target, 20n * one);
+        await market.connect(alice).deposit(base.target, 20n * one);
+        await quote.connect(bob).approve(market.target, 100n * one);
+        await market.connect(bob).deposit(quote.target, 100n * one);
+
+        await expect(
+            market.connect(alice).placeLimitOrder(1, one + cent / 2n, 10n * one, 0, 0, false, 0),
+        ).to.be.revertedWithCustomError(market, "PriceNotOnTick");
+        await expect(
+            market.connect(alice).placeLimitOrder(1, one, 10n * one + 1n, 0, 0, false, 0),
+        ).to.be.revertedWithCustomError(market, "AmountNotOnLot");
+        await expect(market.connect(bob).placeMarketOrder(0, one / 2n, one, 0, 0)).to.be.revertedWithCustomError(
+            market,
+            "AmountNotOnLot",
+        );
+        await market.connect(alice).placeLimitOrder(1, one + cent, 10n * one, 0, 0, false, 0);
+
+        // 3 quote buys 2.97 base at 1.01: the market buy takes whole lots only, and the ask keeps a whole lot.
+        expect([...(await market.quoteMarketBuy(5n * one, 3n * one, 0))]).to.deep.equal([
+            2n * one,
+            2n * (one + cent),
+            one + cent,
+            1n,
+        ]);
+        await market.connect(bob).placeMarketOrder(0, 5n * one, 3n * one, 0, 0);
+        expect(await market.balances(base.target, bob.address)).to.equal(2n * one);
+        expect(await market.balances(quote.target, bob.address)).to.equal(100n * one - 2n * (one + cent));
+        const [, , , askTotals] = await market.getDepth(1);
+        expect(askTotals[0]).to.equal(8n * one);
+    });
+
+    it("pause halts orders and deposits while withdrawals and cancels keep working", async function () {
+        const { deployer, alice, bob, base, quote, market } = await deployFixture();
+        const one = ethers.parseUnits("1", 18);
+        await base.connect(alice).approve(market.target, 20n * one);
+        await market.connect(alice).deposit(base.target, 10n * one);
+        await quote.connect(bob).approve(market.target, 100n * one);
+        await market.connect(bob).deposit(quote.target, 100n * one);
+        await market.connect(alice).placeLimitOrder(1, one, 10n * one, 0, 0, false, 0);
+
+        await expect(market.connect(bob).pause()).to.be.revertedWithCustomError(market, "NotGuardian");
+        await expect(market.connect(bob).setGuardian(bob.address)).to.be.revertedWithCustomError(
+            market,
+            "OwnableUnauthorizedAccount",
+        );
+        await expect(market.setGuardian(bob.address)).to.emit(market, "GuardianUpdated").withArgs(bob.address);
+        await expect(market.connect(bob).pause()).to.emit(market, "Paused").withArgs(bob.address);
+        expect(await market.paused()).to.equal(true);
+
+        await expect(market.connect(bob).placeLimitOrder(0, one, one, 0, 0, false, 0)).to.be.revertedWithCustomError(
+            market,
+            "EnforcedPause",
+        );
+        await expect(market.connect(bob).placeMarketOrder(0, one, 2n * one, 0, 0)).to.be.revertedWithCustomError(
+            market,
+            "EnforcedPause",
+        );
+        await expect(market.connect(alice).deposit(base.target, one)).to.be.revertedWithCustomError(
+            market,
+            "EnforcedPause",
+        );
+        await market.connect(alice).cancelOrder(1);
+        await market.connect(alice).withdraw(base.target, 10n * one);
+        await market.connect(bob).withdraw(quote.target, 100n * one);
+        expect(await base.balanceOf(alice.address)).to.equal(1000n * one);
+
+        await expect(market.connect(bob).unpause()).to.be.revertedWithCustomError(market, "OwnableUnauthorizedAccount");
+        await expect(market.unpause()).to.emit(market, "Unpaused").withArgs(deployer.address);
+        await market.connect(alice).deposit(base.target, one);
+    });
+
+    it("getLevels pages past the top levels and stale hints revert with BadHint", async function () {
+        const { alice, base, market } = await deployFixture();
+
+        await base.connect(alice).approve(market.target, ethers.parseUnits("10", 18));
+        await market.connect(alice).deposit(base.target, ethers.parseUnits("10", 18));
+
+        const price = (n) => ethers.parseUnits(String(n), 18);
+        for (const p of [10, 11, 12, 13, 14]) {
+            await market.connect(alice).placeLimitOrder(1, price(p), ethers.parseUnits("1", 18), 0, 0, false, 0);
+        }
+
+        const [first] = await market.getLevels(1, 0, 2);
+        expect(first).to.deep.equal([price(10), price(11)]);
+        const [second, totals] = await market.getLevels(1, price(11), 2);
+        expect(second).to.deep.equal([price(12), price(13)]);
+        expect(totals).to.deep.equal([ethers.parseUnits("1", 18), ethers.parseUnits("1", 18)]);
+        expect((await market.getLevels(1, price(13), 10))[0]).to.deep.equal([price(14)]);
+        expect((await market.getLevels(0, 0, 10))[0]).to.deep.equal([]);
+        await expect(market.getLevels(1, price(15), 1)).to.be.revertedWithCustomError(market, "UnknownLevel");
+
+        // Level 12 (order id 3) disappears; a hint that still points at it must not be linked into the list.
+        await market.connect(alice).cancelOrder(3);
+        await expect(
+            market.connect(alice).placeLimitOrder(1, price(12.5), ethers.parseUnits("1", 18), price(12), 0, false, 0),
+        ).to.be.revertedWithCustomError(market, "BadHint");
+
+        await market.connect(alice).placeLimitOrder(1, price(12.5), ethers.parseUnits("1", 18), price(11), 0, false, 0);
+        expect((await market.getLevels(1, 0, 10))[0]).to.deep.equal([
+            price(10),
+            price(11),
+            price(12.5),
+            price(13),
+            price(14),
+        ]);
+    });
 });
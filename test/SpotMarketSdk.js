@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+
+const { connectSpotMarket, parsePrice, formatPrice, parseSide, Side } = require("../sdk");
+
+describe("PharosSpotMarket SDK", function () {
+    async function deployFixture() {
+        const [deployer, alice, bob] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        await btc.mint(alice.address, ethers.parseUnits("10", 8));
+        await usdt.mint(bob.address, ethers.parseUnits("1000000", 6));
+
+        const Market = await ethers.getContractFactory("PharosSpotMarket");
+        const market = await Market.deploy(btc.target, usdt.target);
+
+        const asAlice = await connectSpotMarket({ address: market.target, runner: alice });
+        const asBob = await connectSpotMarket({ address: market.target, runner: bob });
+
+        return { deployer, alice, bob, btc, usdt, market, asAlice, asBob };
+    }
+
+    it("converts human prices using base and quote decimals", function () {
+        // 1 BTC (1e8) at 60000 USDT (6e10) -> priceE18 = 6e10 * 1e18 / 1e8
+        expect(parsePrice("60000", 8, 6)).to.equal(6n * 10n ** 20n);
+        expect(formatPrice(6n * 10n ** 20n, 8, 6)).to.equal("60000.0");
+        expect(parsePrice("2.5", 18, 18)).to.equal(ethers.parseUnits("2.5", 18));
+
+        expect(() => parsePrice("0.00000000000000001", 8, 6)).to.throw(/Invalid price .*at most 16 decimals/);
+        expect(parseSide("buy")).to.equal(Side.Buy);
+        expect(parseSide("SELL")).to.equal(Side.Sell);
+        expect(() => parseSide("hold")).to.throw(/Invalid side/);
+    });
+
+    it("reads token decimals and wraps deposit/withdraw", async function () {
+        const { alice, btc, market, asAlice } = await deployFixture();
+
+        expect(asAlice.baseDecimals).to.equal(8);
+        expect(asAlice.quoteDecimals).to.equal(6);
+
+        await asAlice.deposit("base", "2.5");
+        expect(await market.balances(btc.target, alice.address)).to.equal(ethers.parseUnits("2.5", 8));
+
+        await asAlice.withdraw(btc.target, "0.5");
+        expect(await asAlice.balances()).to.deep.equal({ base: "2.0", quote: "0.0" });
+
+        await expect(asAlice.withdraw(alice.address, "1")).to.be.rejectedWith(/neither the base nor the quote/);
+        await expect(asAlice.deposit("base", "0.000000001")).to.be.rejectedWith(/at most 8 decimals/);
+    });
+
+    it("places limit orders and returns the order id, fills and depth", async function () {
+        const { asAlice, asBob } = await deployFixture();
+        await asAlice.deposit("base", "2");
+        await asBob.deposit("quote", "200000");
+
+        const ask = await asAlice.placeLimitOrder({ side: "sell", price: "61000", amount: "1", maxMatches: 0 });
+        expect(ask.orderId).to.equal(1n);
+        expect(ask).to.include({ side: "sell", price: "61000.0", amount: "1.0", reserved: "1.0", filled: "0.0" });
+
+        const ask2 = await asAlice.placeLimitOrder({ side: "sell", price: "60000", amount: "0.5", postOnly: true });
+        expect(ask2.orderId).to.equal(2n);
+
+        const bid = await asBob.placeLimitOrder({ side: "buy", price: "59000", amount: "1", hintPrice: 0 });
+        expect(bid).to.include({ price: "59000.0", reserved: "59000.0", filled: "0.0" });
+
+        expect(await asBob.getBestPrices()).to.include({ bid: "59000.0", ask: "60000.0" });
+        const depth = await asBob.getDepth(5);
+        expect(depth.asks.map((l) => [l.price, l.amount])).to.deep.equal([
+            ["60000.0", "0.5"],
+            ["61000.0", "1.0"],
+        ]);
+        expect(depth.bids.map((l) => [l.price, l.amount])).to.deep.equal([["59000.0", "1.0"]]);
+
+        // Crosses the 60000 ask fully and 0.25 of the 61000 ask.
+        const taker = await asBob.placeLimitOrder({ side: "buy", price: "61000", amount: "0.75" });
+        expect(taker.orderId).to.equal(4n);
+        expect(taker.filled).to.equal("0.75");
+        expect(taker.trades.map((t) => [t.makerOrderId, t.price, t.amount, t.quoteAmount])).to.deep.equal([
+            [2n, "60000.0", "0.5", "30000.0"],
+            [1n, "61000.0", "0.25", "15250.0"],
+        ]);
+
+        await expect(
+            asBob.placeLimitOrder({ side: "buy", price: "61000", amount: "0.1", postOnly: true }),
+        ).to.be.revertedWithCustomError(asBob.contract, "WouldCrossBook");
+    });
+
+    it("places market orders with slippage bounds and cancels with a parsed refund", async function () {
+        const { asAlice, asBob } = await deployFixture();
+        await asAlice.deposit("base", "2");
+        await asBob.deposit("quote", "200000");
+
+        await asAlice.placeLimitOrder({ side: "sell", price: "60000", amount: "1" });
+        const bid = await asBob.placeLimitOrder({ side: "buy", price: "58000", amount: "1" });
+
+        const buy = await asBob.placeMarketOrder({ side: "buy", amount: "0.4", maxQuoteIn: "25000" });
+        expect(buy).to.include({ side: "buy", filledBase: "0.4", filledQuote: "24000.0" });
+        expect(buy.orderId).to.equal(3n);
+
+        await expect(asBob.placeMarketOrder({ side: "buy", amount: "0.1" })).to.be.rejectedWith(/needs maxQuoteIn/);
+        await expect(
+            asAlice.placeMarketOrder({ side: "sell", amount: "0.5", minQuoteOut: "30000" }),
+        ).to.be.revertedWithCustomError(asAlice.contract, "Slippage");
+
+        const sell = await asAlice.placeMarketOrder({ side: "sell", amount: "0.5", minQuoteOut: "29000" });
+        expect(sell).to.include({ filledBase: "0.5", filledQuote: "29000.0" });
+
+        const canceled = await asBob.cancelOrder(bid.orderId);
+        expect(canceled).to.include({ refund: "29000.0", refundToken: asBob.quoteToken });
+        expect(await asBob.balances()).to.deep.equal({ base: "0.9", quote: "147000.0" });
+    });
+
+    it("reports the fee rates and each trade's maker and taker fee in the asset it was charged in", async function () {
+        const { deployer, market, asAlice, asBob } = await deployFixture();
+        await market.setFees(10, 30);
+        expect(await asBob.getFees()).to.deep.equal({ makerBps: 10, takerBps: 30, recipient: deployer.address });
+
+        await asAlice.deposit("base", "1");
+        await asBob.deposit("quote", "100000");
+        await asAlice.placeLimitOrder({ side: "sell", price: "60000", amount: "1" });
+        const { trades } = await asBob.placeLimitOrder({ side: "buy", price: "60000", amount: "0.5" });
+        expect(trades[0]).to.include({
+            makerSide: "sell",
+            quoteAmount: "30000.0",
+            makerFee: "30.0",
+            takerFee: "0.0015",
+        });
+        expect(await asBob.balances()).to.deep.equal({ base: "0.4985", quote: "70000.0" });
+    });
+
+    it("reads the minimum order size in human units", async function () {
+        const { market, asAlice } = await deployFixture();
+        expect(await asAlice.getOrderLimits()).to.include({ minAmount: "0.0", minNotional: "0.0" });
+
+        await market.setOrderLimits(ethers.parseUnits("0.001", 8), ethers.parseUnits("10", 6));
+        expect(await asAlice.getOrderLimits()).to.deep.equal({
+            minAmount: "0.001",
+            minNotional: "10.0",
+            minAmountBase: 100000n,
+            minNotionalQuote: 10000000n,
+        });
+        await asAlice.deposit("base", "1");
+        await expect(
+            asAlice.placeLimitOrder({ side: "sell", price: "5000", amount: "0.001" }),
+        ).to.be.revertedWithCustomError(asAlice.contract, "NotionalTooSmall");
+    });
+
+    it("rounds prices onto the tick and amounts to whole lots", async function () {
+        const { market, asAlice, asBob } = await deployFixture();
+        // 0.5 USDT ticks and 0.001 BTC lots.
+        await market.setMarketGrid(asAlice.parsePrice("0.5"), ethers.parseUnits("0.001", 8));
+        expect(await asAlice.getMarketGrid()).to.include({ tickSize: "0.5", lotSize: "0.001" });
+
+        await asAlice.deposit("base", "1");
+        await asBob.deposit("quote", "100000");
+        const ask = await asAlice.placeLimitOrder({ side: "sell", price: "60000.2", amount: "0.0109" });
+        expect(ask).to.include({ price: "60000.5", amount: "0.01" });
+        const bid = await asBob.placeLimitOrder({ side: "buy", price: "59999.9", amount: "0.0101" });
+        expect(bid).to.include({ price: "59999.5", amount: "0.01" });
+
+        await expect(asBob.placeLimitOrder({ side: "buy", price: "0.4", amount: "0.01" })).to.be.rejectedWith(
+            /Price 0.4 is below the tick size 0.5/,
+        );
+        await expect(asAlice.placeMarketOrder({ side: "sell", amount: "0.0009" })).to.be.rejectedWith(
+            /Amount 0.0009 is below the lot size 0.001/,
+        );
+        const sell = await asAlice.placeMarketOrder({ side: "sell", amount: "0.0051" });
+        expect(sell).to.include({ filledBase: "0.005" });
+    });
+
+    it("quotes market orders and derives their bounds from a slippage tolerance", async function () {
+        const { asAlice, asBob } = await deployFixture();
+        await asAlice.deposit("base", "3");
+        await asBob.deposit("quote", "200000");
+        await asAlice.placeLimitOrder({ side: "sell", price: "60000", amount: "1" });
+        await asAlice.placeLimitOrder({ side: "sell", price: "61000", amount: "1" });
+
+        const quoted = await asBob.quoteMarketOrder({ side: "buy", amount: "1.5" });
+        expect(quoted).to.include({
+            filledBase: "1.5",
+            filledQuote: "90500.0",
+            averagePrice: "60333.3333333333333333",
+            levels: 2,
+        });
+        expect(await asBob.quoteMarketOrder({ side: "buy", amount: "1.5", maxQuoteIn: "30000" })).to.include({
+            filledBase: "0.5",
+            levels: 1,
+        });
+        expect(await asAlice.quoteMarketOrder({ side: "sell", amount: "1" })).to.include({ filledBase: "0.0" });
+        await expect(asAlice.placeMarketOrder({ side: "sell", amount: "1", slippageBps: 50 })).to.be.rejectedWith(
+            /Nothing to fill/,
+        );
+        await expect(asBob.placeMarketOrder({ side: "buy", amount: "1", slippageBps: 10_000 })).to.be.rejectedWith(
+            /Invalid slippage/,
+        );
+
+        // 1% over the quoted 90500 caps the spend at 91405 and 1% under the quoted 1.5 BTC bounds what comes
+        // back; a tighter maxQuoteIn wins.
+        const buy = await asBob.placeMarketOrder({ side: "buy", amount: "1.5", slippageBps: 100 });
+        expect(buy).to.include({
+            filledBase: "1.5",
+            filledQuote: "90500.0",
+            quotedQuote: "90500.0",
+            maxQuoteIn: "91405.0",
+            minBaseOut: "1.485",
+        });
+
+        await asBob.placeLimitOrder({ side: "buy", price: "59000", amount: "1" });
+        const sell = await asAlice.placeMarketOrder({ side: "sell", amount: "0.5", slippageBps: 50, minQuoteOut: "1" });
+        expect(sell).to.include({ filledQuote: "29500.0", minQuoteOut: "29352.5" });
+    });
+
+    describe("hintPrice", function () {
+        // 40 ask levels 100..139 and 40 bid levels 60..99, deeper than one 32-level page.
+        async function deepBookFixture() {
+            const fx = await deployFixture();
+            const { asAlice, asBob } = fx;
+            await asAlice.deposit("base", "10");
+            await asBob.deposit("quote", "200000");
+
+            for (let i = 0; i < 40; i++) {
+                await asAlice.contract.placeLimitOrder(1, asAlice.parsePrice(100 + i), 1000, 0, 0, false, 0);
+                await asBob.contract.placeLimitOrder(0, asBob.parsePrice(99 - i), 1000, 0, 0, false, 0);
+            }
+            return fx;
+        }
+
+        it("finds the predecessor level across getDepth and getLevels pages", async function () {
+            const { asAlice } = await deepBookFixture();
+
+            expect(await asAlice.findHintPrice({ side: "sell", price: "135.5" })).to.equal("135.0");
+            expect(await asAlice.findHintPrice({ side: "sell", price: "135.5", pageSize: 4 })).to.equal("135.0");
+            expect(await asAlice.findHintPrice({ side: "sell", price: "200" })).to.equal("139.0");
+            expect(await asAlice.findHintPrice({ side: "sell", price: "120" })).to.equal("119.0");
+            expect(await asAlice.findHintPrice({ side: "sell", price: "99.5" })).to.equal("0.0");
+
+            expect(await asAlice.findHintPrice({ side: "buy", price: "61.5" })).to.equal("62.0");
+            expect(await asAlice.findHintPrice({ side: "buy", price: "1" })).to.equal("60.0");
+            expect(await asAlice.findHintPrice({ side: "buy", price: "99.9" })).to.equal("0.0");
+
+            const page = await asAlice.getLevels("sell", "135", 3);
+            expect(page.map((l) => l.price)).to.deep.equal(["136.0", "137.0", "138.0"]);
+        });
+
+        it("places deep orders with an automatic hint even when maxHops is small", async function () {
+            const { asAlice } = await deepBookFixture();
+
+            const walk = { side: "sell", price: "137.5", amount: "0.1", hintPrice: 0, maxHops: 4, hintRetries: 0 };
+            await expect(asAlice.placeLimitOrder(walk)).to.be.revertedWithCustomError(asAlice.contract, "BadHint");
+
+            const placed = await asAlice.placeLimitOrder({ side: "sell", price: "137.5", amount: "0.1", maxHops: 4 });
+            expect(placed.hintPrice).to.equal("137.0");
+
+            const page = await asAlice.getLevels("sell", "136", 3);
+            expect(page.map((l) => l.price)).to.deep.equal(["137.0", "137.5", "138.0"]);
+        });
+
+        it("recomputes the hint and retries when the book moved", async function () {
+            const { asAlice } = await deepBookFixture();
+
+            // The 130 ask (order id 61) is canceled after a client read it as the hint for 130.5.
+            expect(await asAlice.findHintPrice({ side: "sell", price: "130.5" })).to.equal("130.0");
+            await asAlice.cancelOrder(61);
+
+            const stale = { side: "sell", price: "130.5", amount: "0.1", hintPrice: "130", maxHops: 1 };
+            await expect(asAlice.placeLimitOrder({ ...stale, hintRetries: 0 })).to.be.revertedWithCustomError(
+                asAlice.contract,
+                "BadHint",
+            );
+
+            const placed = await asAlice.placeLimitOrder(stale);
+            expect(placed.hintPrice).to.equal("129.0");
+            expect((await asAlice.getLevels("sell", "128", 2)).map((l) => l.price)).to.deep.equal(["129.0", "130.5"]);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { selectMarketRecord, connectMarketFromRecord, runCommand, formatResult } = require("../scripts/lib/trading-cli");
+
+describe("pharosdex trading CLI", function () {
+    async function deployFixture() {
+        const [owner, alice, bob] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdt = await MockERC20.deploy("USDT", "USDT", 6);
+        const btc = await MockERC20.deploy("Bitcoin", "BTC", 8);
+        const doge = await MockERC20.deploy("Dogecoin", "DOGE", 18);
+        for (const user of [alice, bob]) {
+            await usdt.mint(user.address, ethers.parseUnits("1000000", 6));
+            await btc.mint(user.address, ethers.parseUnits("10", 8));
+            await doge.mint(user.address, ethers.parseUnits("1000", 18));
+        }
+
+        const spot = await (await ethers.getContractFactory("PharosSpotMarket")).deploy(btc.target, usdt.target);
+        const dex = await (await ethers.getContractFactory("MultiBaseOrderBookDEXVaultLevels")).deploy(usdt.target);
+        await dex.supportBaseToken(btc.target);
+        await dex.supportBaseToken(doge.target);
+
+        const records = [
+            { key: "MockERC20.USDT", record: { contractName: "MockERC20", address: usdt.target } },
+            { key: "PharosSpotMarket", record: { contractName: "PharosSpotMarket", address: spot.target } },
+            {
+                key: "MultiBaseOrderBookDEXVaultLevels",
+                record: { contractName: "MultiBaseOrderBookDEXVaultLevels", address: dex.target },
+            },
+        ];
+        return { owner, alice, bob, usdt, btc, doge, spot, dex, records };
+    }
+
+    it("selects the order book record by key or address", async function () {
+        const { spot, dex, records } = await loadFixture(deployFixture);
+
+        expect(selectMarketRecord(records, "PharosSpotMarket").record.address).to.equal(spot.target);
+        expect(selectMarketRecord(records, dex.target.toLowerCase()).key).to.equal("MultiBaseOrderBookDEXVaultLevels");
+        expect(selectMarketRecord(records.slice(0, 2)).key).to.equal("PharosSpotMarket");
+        expect(() => selectMarketRecord(records)).to.throw(/Pass --market <key>/);
+        expect(() => selectMarketRecord(records, "MockERC20.USDT")).to.throw(/Unknown --market/);
+    });
+
+    it("trades on PharosSpotMarket with human-readable amounts", async function () {
+        const { alice, bob, btc, spot, records } = await loadFixture(deployFixture);
+        const entry = selectMarketRecord(records, "PharosSpotMarket");
+        const asAlice = await connectMarketFromRecord({ entry, runner: alice });
+        const asBob = await connectMarketFromRecord({ entry, runner: bob });
+
+        await runCommand(asAlice, "deposit", ["base", "2"]);
+        await runCommand(asBob, "deposit", ["quote", "100000"]);
+        const ask = await runCommand(asAlice, "limit", ["sell", "1", "61000"]);
+        await runCommand(asAlice, "limit", ["sell", "0.5", "62000"], { "post-only": true });
+        const bid = await runCommand(asBob, "limit", ["buy", "0.4", "61000"]);
+        expect(bid).to.include({ side: "buy", filled: "0.4" });
+        expect(bid.trades.map((t) => t.makerOrderId)).to.deep.equal([ask.orderId]);
+
+        const orders = await runCommand(asAlice, "orders");
+        expect(orders.map((o) => [o.orderId, o.amount, o.filled, o.remaining])).to.deep.equal([
+            [1n, "1.0", "0.4", "0.6"],
+            [2n, "0.5", "0.0", "0.5"],
+        ]);
+
+        const sold = await runCommand(asBob, "market", ["buy", "0.1"], { "max-quote": "7000" });
+        expect(sold).to.include({ filledBase: "0.1", filledQuote: "6100.0" });
+        await expect(runCommand(asBob, "market", ["buy", "0.1"], { "max-price": "62000" })).to.be.rejectedWith(
+            /MultiBaseOrderBookDEXVaultLevels only/,
+        );
+
+        const [canceled] = await runCommand(asAlice, "cancel", ["2"]);
+        expect(canceled).to.include({ orderId: 2n, refund: "0.5", refundToken: btc.target });
+
+        const depth = await runCommand(asAlice, "depth", [], { levels: "5" });
+        expect(depth.asks.map((l) => [l.price, l.amount])).to.deep.equal([["61000.0", "0.5"]]);
+        expect(formatResult("depth", depth)).to.match(/ask\s+61000\.0\s+0\.5/);
+
+        // Read-only: balances of another address through a provider.
+        const readOnly = await connectMarketFromRecord({ entry, runner: ethers.provider });
+        const balances = await runCommand(readOnly, "balances", [], { user: alice.address });
+        expect(balances.map((b) => [b.asset, b.symbol, b.wallet, b.vault])).to.deep.equal([
+            ["base", "BTC", "8.0", "1.0"],
+            ["quote", "USDT", "1000000.0", "30500.0"],
+        ]);
+        expect(await spot.balances(btc.target, alice.address)).to.equal(ethers.parseUnits("1", 8));
+        await expect(runCommand(readOnly, "balances")).to.be.rejectedWith(/Pass --user/);
+    });
+
+    it("trades one base of MultiBaseOrderBookDEXVaultLevels picked by symbol", async function () {
+        const { alice, bob, usdt, doge, dex, records } = await loadFixture(deployFixture);
+        const entry = selectMarketRecord(records, "MultiBaseOrderBookDEXVaultLevels");
+        await expect(connectMarketFromRecord({ entry, runner: alice })).to.be.rejectedWith(/Pass --base/);
+        for (const base of ["pepe", usdt.target]) {
+            await expect(connectMarketFromRecord({ entry, runner: alice, base })).to.be.rejectedWith(
+                new RegExp(`supported bases: .*${doge.target}`),
+            );
+        }
+        const asAlice = await connectMarketFromRecord({ entry, runner: alice, base: "doge" });
+        const asBob = await connectMarketFromRecord({ entry, runner: bob, base: doge.target });
+        expect(asAlice.market.baseToken).to.equal(doge.target);
+
+        await runCommand(asAlice, "deposit", ["base", "100"]);
+        await runCommand(asBob, "deposit", [usdt.target, "50"]);
+        await runCommand(asAlice, "limit", ["sell", "10", "2"]);
+        await runCommand(asAlice, "limit", ["sell", "10", "2.5"]);
+        const bid = await runCommand(asBob, "limit", ["buy", "4", "2.1"]);
+        expect(bid).to.include({ side: "buy", price: "2.1", reserved: "8.4", filled: "4.0" });
+        expect(bid.trades.map((t) => [t.makerSide, t.price, t.amount, t.quoteAmount])).to.deep.equal([
+            ["sell", "2.0", "4.0", "8.0"],
+        ]);
+
+        const bought = await runCommand(asBob, "market", ["buy"], { "max-quote": "5" });
+        expect(bought).to.include({ filledBase: "2.5", filledQuote: "5.0" });
+        await expect(runCommand(asBob, "market", ["buy", "1"], { "max-quote": "5" })).to.be.rejectedWith(/omit amount/);
+        await expect(runCommand(asBob, "limit", ["buy", "1", "1"], { "post-only": true })).to.be.rejectedWith(
+            /PharosSpotMarket only/,
+        );
+
+        const orders = await runCommand(asAlice, "orders");
+        expect(orders.map((o) => [o.side, o.price, o.remaining])).to.deep.equal([
+            ["sell", "2.0", "3.5"],
+            ["sell", "2.5", "10.0"],
+        ]);
+        const [canceled] = await runCommand(asAlice, "cancel", [orders[1].orderId.toString()]);
+        expect(canceled).to.include({ refund: "10.0", refundToken: doge.target });
+
+        const depth = await runCommand(asBob, "depth");
+        expect(depth.asks.map((l) => [l.price, l.amount])).to.deep.equal([["2.0", "3.5"]]);
+        expect(depth.bids).to.deep.equal([]);
+
+        const balances = await runCommand(asAlice, "balances");
+        expect(balances.map((b) => [b.asset, b.vault])).to.deep.equal([
+            ["base", "90.0"],
+            ["quote", "13.0"],
+        ]);
+        expect(await dex.quoteBalance(alice.address)).to.equal(ethers.parseUnits("13", 6));
+
+        // 2% slippage over the one quoted level: asks up to 2.04.
+        const quoted = await runCommand(asBob, "quote", ["buy"], { "max-quote": "4" });
+        expect(quoted).to.include({ filledBase: "2.0", filledQuote: "4.0", averagePrice: "2.0", levels: 1 });
+        const slipped = await runCommand(asBob, "market", ["buy"], { "max-quote": "4", slippage: "200" });
+        expect(slipped).to.include({ filledBase: "2.0", quotedBase: "2.0", maxPrice: "2.04" });
+        expect(formatResult("orders", [])).to.equal("No open orders");
+    });
+});
@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const http = require("http");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const {
+    interpretVerifyResponse,
+    waitForVerification,
+    diagnoseVerifyFailure,
+    verifyAllDeployments,
+} = require("../scripts/lib/pharos-verify");
+const { formatTable } = require("../scripts/lib/pharos-evm-helpers");
+
+// Minimal stand-in for the explorer's /verify_contract/{check,verify} endpoints.
+// behaviour[address]: "verified" | "accept" | "reject" | "stall"
+// "reject" answers with rejectMessage (default "Bytecode mismatch").
+function startMockExplorer(behaviour, rejectMessage = "Bytecode mismatch") {
+    const submitted = [];
+    const checks = new Map();
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const reply = (data) => {
+                res.writeHead(200, { "content-type": "application/json" });
+                res.end(JSON.stringify(data));
+            };
+
+            if (req.url === "/v1/explorer/verify_contract/check") {
+                const { address } = JSON.parse(body);
+                const n = (checks.get(address) || 0) + 1;
+                checks.set(address, n);
+
+                const mode = behaviour[address];
+                if (mode === "verified") return reply({ already_verified: true });
+                if (!submitted.includes(address)) return reply({ already_verified: false });
+                if (mode === "accept") return reply({ already_verified: n > 2 });
+                if (mode === "reject")
+                    return reply({ already_verified: false, status: "failed", message: rejectMessage });
+                return reply({ already_verified: false, status: "pending" });
+            }
+
+            if (req.url === "/v1/explorer/verify_contract/verify") {
+                const address = /name="address"\r\n\r\n(0x[0-9a-fA-F]{40})/.exec(body)[1];
+                submitted.push(address);
+                return reply({ status: "queued" });
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({ server, submitted, checks, apiBase: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+// Runs verify-pharos.js against the mock explorer; resolves with { code, stdout, stderr }.
+function runVerifyScript(args) {
+    const script = path.join(__dirname, "..", "scripts", "verify-pharos.js");
+    return new Promise((resolve) => {
+        execFile(process.execPath, [script, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe("verify-all", function () {
+    const addr = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+    const record = (key, address) => ({
+        key,
+        record: { contractName: "MockERC20", address, constructorArgs: ["USDT", "USDT", 18] },
+    });
+
+    it("interprets check and submit responses", function () {
+        expect(interpretVerifyResponse({ already_verified: true }).state).to.equal("verified");
+        expect(interpretVerifyResponse({ already_verified: false }).state).to.equal("pending");
+        expect(interpretVerifyResponse({ status: "failed", message: "nope" })).to.deep.equal({
+            state: "failed",
+            message: "nope",
+        });
+        expect(interpretVerifyResponse("Fail - Unable to verify").state).to.equal("failed");
+    });
+
+    it("submits only unverified records and polls each to a final status", async function () {
+        const behaviour = {
+            [addr(1)]: "verified",
+            [addr(2)]: "accept",
+            [addr(3)]: "reject",
+            [addr(4)]: "stall",
+        };
+        const { server, submitted, apiBase } = await startMockExplorer(behaviour);
+
+        try {
+            const results = await verifyAllDeployments({
+                records: [
+                    record("MockERC20.A", addr(1)),
+                    record("MockERC20.B", addr(2)),
+                    record("MockERC20.C", addr(3)),
+                    record("MockERC20.D", addr(4)),
+                    { key: "Broken", record: { contractName: "MockERC20" } },
+                ],
+                apiBase,
+                timeoutMs: 300,
+                intervalMs: 10,
+                log: () => {},
+            });
+
+            expect(submitted).to.deep.equal([addr(2), addr(3), addr(4)]);
+            expect(results.map((r) => [r.key, r.state, r.submitted])).to.deep.equal([
+                ["MockERC20.A", "verified", false],
+                ["MockERC20.B", "verified", true],
+                ["MockERC20.C", "failed", true],
+                ["MockERC20.D", "pending", true],
+                ["Broken", "failed", false],
+            ]);
+            expect(results[2].message).to.equal("Bytecode mismatch");
+        } finally {
+            server.close();
+        }
+    });
+
+    it("attaches failure diagnostics to rejected records", async function () {
+        const { server, apiBase } = await startMockExplorer({ [addr(5)]: "reject" }, "Constructor arguments mismatch");
+
+        try {
+            const [result] = await verifyAllDeployments({
+                records: [record("MockERC20.E", addr(5))],
+                apiBase,
+                timeoutMs: 300,
+                intervalMs: 10,
+                log: () => {},
+            });
+
+            expect(result.state).to.equal("failed");
+            expect(result.diagnostics.map((d) => d.kind)).to.deep.equal(["constructor-args"]);
+            expect(result.diagnostics[0].hint).to.match(/Submitted 0x[0-9a-f]+;/);
+        } finally {
+            server.close();
+        }
+    });
+
+    it("formats a summary table", function () {
+        const table = formatTable(
+            [
+                { key: "MockERC20.USDT", status: "verified" },
+                { key: "X", status: "failed" },
+            ],
+            [
+                { key: "key", title: "Deployment" },
+                { key: "status", title: "Status" },
+            ],
+        );
+
+        expect(table.split("\n")).to.deep.equal([
+            "Deployment      Status",
+            "--------------  --------",
+            "MockERC20.USDT  verified",
+            "X               failed",
+        ]);
+    });
+});
+
+describe("verify-pharos polling and diagnostics", function () {
+    const address = "0x00000000000000000000000000000000000000AA";
+    const verifyArgs = (apiBase) => [
+        "--api",
+        apiBase,
+        "--address",
+        address,
+        "--contract",
+        "MockERC20",
+        "--args",
+        '["USDT","USDT",18]',
+        "--interval-ms",
+        "10",
+        "--timeout-ms",
+        "500",
+        "--skip-preflight",
+    ];
+
+    it("maps common explorer failures to a diagnosis", function () {
+        const submitted = {
+            compilerVersion: "v0.8.28+commit.7893614a",
+            optimizerEnabled: true,
+            optimizerRuns: 200,
+            constructorArgs: "1234",
+            evmVersion: "cancun",
+        };
+        const kind = (message) => diagnoseVerifyFailure(message, submitted)[0].kind;
+
+        expect(kind("Bytecode mismatch")).to.equal("bytecode-mismatch");
+        expect(kind("Deployed bytecode does not match compiled output")).to.equal("bytecode-mismatch");
+        expect(kind("Invalid compiler version v0.8.20")).to.equal("compiler-version");
+        expect(kind("Constructor arguments mismatch")).to.equal("constructor-args");
+        expect(kind("Optimizer runs do not match")).to.equal("optimizer");
+        expect(kind("Something else")).to.equal("unknown");
+        // Messages that mention a compiler or a version without being about the solc version.
+        expect(kind("Unable to verify with compiler settings/optimizer runs")).to.equal("optimizer");
+        expect(kind("Invalid EVM version 'prague' for this compiler")).to.equal("evm-version");
+        expect(kind("Source code does not match the deployed contract (solc version v0.8.28)")).to.equal(
+            "bytecode-mismatch",
+        );
+        expect(kind("Unsupported API version")).to.equal("unknown");
+        expect(diagnoseVerifyFailure("constructor", submitted)[0].hint).to.contain("Submitted 0x1234;");
+
+        expect(diagnoseVerifyFailure("Optimization mismatch", submitted)[0].hint).to.contain("runs=200");
+        expect(diagnoseVerifyFailure("wrong compiler", submitted)[0].hint).to.contain("v0.8.28+commit.7893614a");
+        expect(diagnoseVerifyFailure("evm_version mismatch", submitted)[0].hint).to.contain("Submitted cancun;");
+    });
+
+    it("backs off between polls and gives up at the timeout", async function () {
+        const address2 = ethers.getAddress("0x00000000000000000000000000000000000000bb");
+        const { server, apiBase, checks } = await startMockExplorer({ [address2]: "stall" });
+        const polls = [];
+
+        try {
+            const result = await waitForVerification({
+                apiBase,
+                address: address2,
+                timeoutMs: 250,
+                intervalMs: 20,
+                backoff: 2,
+                maxIntervalMs: 80,
+                onPoll: (p) => polls.push(p.attempt),
+            });
+
+            expect(result.state).to.equal("pending");
+            expect(result.message).to.contain("250ms");
+            // 20 + 40 + 80 + 80 ... fits far fewer polls than a fixed 20ms interval would
+            expect(polls.length).to.be.within(3, 6);
+            expect(checks.get(address2)).to.equal(polls.length);
+        } finally {
+            server.close();
+        }
+    });
+
+    it("exits 0 once the explorer reports the contract verified", async function () {
+        const { server, apiBase } = await startMockExplorer({ [ethers.getAddress(address)]: "accept" });
+        try {
+            const { code, stdout } = await runVerifyScript(verifyArgs(apiBase));
+            expect(code).to.equal(0);
+            expect(stdout).to.contain("[OK] Verified.");
+        } finally {
+            server.close();
+        }
+    });
+
+    it("exits 1 with a diagnosis when the explorer rejects the source", async function () {
+        const { server, apiBase } = await startMockExplorer(
+            { [ethers.getAddress(address)]: "reject" },
+            "Compiler version mismatch",
+        );
+        try {
+            const { code, stderr } = await runVerifyScript(verifyArgs(apiBase));
+            expect(code).to.equal(1);
+            expect(stderr).to.contain("[FAIL] Verification rejected: Compiler version mismatch");
+            expect(stderr).to.contain("Compiler version rejected. Submitted v0.8.28");
+        } finally {
+            server.close();
+        }
+    });
+
+    it("exits 2 when the result is still pending at the timeout", async function () {
+        const { server, apiBase } = await startMockExplorer({ [ethers.getAddress(address)]: "stall" });
+        try {
+            const { code, stderr } = await runVerifyScript(verifyArgs(apiBase));
+            expect(code).to.equal(2);
+            expect(stderr).to.contain("still pending");
+        } finally {
+            server.close();
+        }
+    });
+});